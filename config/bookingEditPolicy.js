@@ -0,0 +1,55 @@
+// config/bookingEditPolicy.js
+// Fields an admin may change through PATCH /api/bookings/:bookingId, per booking status.
+// Statuses not listed here (completed, cancelled, no_show) cannot be edited.
+
+// Before the ride starts everything can still be corrected
+const PRE_RIDE_FIELDS = [
+  "from_location",
+  "to_location",
+  "date_time",
+  "num_passengers",
+  "luggage",
+  "flight_no",
+  "stops",
+  "stopsCoordinates",
+  "pickupCoordinates",
+  "dropoffCoordinates",
+  "pickup_house_no",
+  "dropoff_house_no",
+  "distance",
+  "cat_title",
+  "extras",
+  "user_name",
+  "email",
+  "number",
+  "note_description",
+];
+
+// Once the driver is on the way only details that do not change the route or price
+const IN_RIDE_FIELDS = [
+  "luggage",
+  "flight_no",
+  "dropoff_house_no",
+  "user_name",
+  "email",
+  "number",
+  "note_description",
+];
+
+const EDITABLE_FIELDS_BY_STATUS = {
+  pending: PRE_RIDE_FIELDS,
+  accepted: PRE_RIDE_FIELDS,
+  rejected: PRE_RIDE_FIELDS,
+  started: IN_RIDE_FIELDS,
+  arrived: IN_RIDE_FIELDS,
+  picked_up: IN_RIDE_FIELDS,
+  dropped_off: IN_RIDE_FIELDS,
+};
+
+// Changing any of these re-runs the fare engine (price, commission, driver price)
+const PRICE_FIELDS = ["cat_title", "distance", "stops", "num_passengers", "date_time", "extras"];
+
+module.exports = {
+  EDITABLE_FIELDS_BY_STATUS,
+  PRICE_FIELDS,
+};
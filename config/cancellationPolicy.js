@@ -0,0 +1,45 @@
+// config/cancellationPolicy.js
+// Refund tiers applied when a customer cancels a booking
+// Tiers are matched top-down: the first tier whose minHoursBefore is <= the hours
+// left until pickup wins. Override with CANCELLATION_REFUND_TIERS (JSON array), e.g.
+// [{"minHoursBefore":24,"refundPercentage":100},{"minHoursBefore":0,"refundPercentage":50}]
+
+// Default: full refund more than 24h before pickup, 75% between 2h and 24h, 50% inside 2h
+const DEFAULT_REFUND_TIERS = [
+  { minHoursBefore: 24, refundPercentage: 100 },
+  { minHoursBefore: 2, refundPercentage: 75 },
+  { minHoursBefore: 0, refundPercentage: 50 },
+];
+
+const parseRefundTiers = (raw) => {
+  if (!raw) return DEFAULT_REFUND_TIERS;
+  try {
+    const tiers = JSON.parse(raw);
+    const valid =
+      Array.isArray(tiers) &&
+      tiers.length > 0 &&
+      tiers.every(
+        (tier) =>
+          Number.isFinite(tier.minHoursBefore) &&
+          Number.isFinite(tier.refundPercentage) &&
+          tier.refundPercentage >= 0 &&
+          tier.refundPercentage <= 100
+      );
+    if (!valid) return DEFAULT_REFUND_TIERS;
+    return [...tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  } catch (error) {
+    return DEFAULT_REFUND_TIERS;
+  }
+};
+
+const REFUND_TIERS = parseRefundTiers(process.env.CANCELLATION_REFUND_TIERS);
+
+// Statuses in which a customer may still cancel (driver has not started the ride)
+const CANCELLABLE_STATUSES = ["pending", "accepted", "rejected"];
+
+module.exports = {
+  REFUND_TIERS,
+  CANCELLABLE_STATUSES,
+  // Export defaults for reference
+  DEFAULT_REFUND_TIERS,
+};
@@ -0,0 +1,41 @@
+// config/customers.js
+// Customer accounts with passwordless email login (see src/services/customer.service.js)
+// All values can be configured via environment variables
+
+// Login codes expire after this many minutes
+const DEFAULT_CUSTOMER_OTP_EXPIRES_MINUTES = 10;
+const CUSTOMER_OTP_EXPIRES_MINUTES =
+  Number(process.env.CUSTOMER_OTP_EXPIRES_MINUTES) || DEFAULT_CUSTOMER_OTP_EXPIRES_MINUTES;
+
+// Login codes that can be sent to one email address per 24 hours
+const DEFAULT_CUSTOMER_OTP_MAX_SENDS_PER_DAY = 5;
+const CUSTOMER_OTP_MAX_SENDS_PER_DAY =
+  Number(process.env.CUSTOMER_OTP_MAX_SENDS_PER_DAY) || DEFAULT_CUSTOMER_OTP_MAX_SENDS_PER_DAY;
+
+// Wrong codes accepted before the current code is invalidated
+const DEFAULT_CUSTOMER_OTP_MAX_ATTEMPTS = 5;
+const CUSTOMER_OTP_MAX_ATTEMPTS =
+  Number(process.env.CUSTOMER_OTP_MAX_ATTEMPTS) || DEFAULT_CUSTOMER_OTP_MAX_ATTEMPTS;
+
+// Saved phone numbers and addresses per customer
+const DEFAULT_CUSTOMER_MAX_SAVED_PHONES = 5;
+const CUSTOMER_MAX_SAVED_PHONES =
+  Number(process.env.CUSTOMER_MAX_SAVED_PHONES) || DEFAULT_CUSTOMER_MAX_SAVED_PHONES;
+
+const DEFAULT_CUSTOMER_MAX_SAVED_ADDRESSES = 10;
+const CUSTOMER_MAX_SAVED_ADDRESSES =
+  Number(process.env.CUSTOMER_MAX_SAVED_ADDRESSES) || DEFAULT_CUSTOMER_MAX_SAVED_ADDRESSES;
+
+module.exports = {
+  CUSTOMER_OTP_EXPIRES_MINUTES,
+  CUSTOMER_OTP_MAX_SENDS_PER_DAY,
+  CUSTOMER_OTP_MAX_ATTEMPTS,
+  CUSTOMER_MAX_SAVED_PHONES,
+  CUSTOMER_MAX_SAVED_ADDRESSES,
+  // Export defaults for reference
+  DEFAULT_CUSTOMER_OTP_EXPIRES_MINUTES,
+  DEFAULT_CUSTOMER_OTP_MAX_SENDS_PER_DAY,
+  DEFAULT_CUSTOMER_OTP_MAX_ATTEMPTS,
+  DEFAULT_CUSTOMER_MAX_SAVED_PHONES,
+  DEFAULT_CUSTOMER_MAX_SAVED_ADDRESSES,
+};
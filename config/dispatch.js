@@ -0,0 +1,54 @@
+// config/dispatch.js
+// How auto bookings reach drivers (see src/services/dispatch.service.js)
+// All values can be configured via environment variables
+
+// broadcast  - every online driver with a matching vehicle is notified at once (first tap wins)
+// sequential - the nearest driver gets an exclusive offer, then the next one, then broadcast
+// hybrid     - sequential, except pickups within DISPATCH_HYBRID_MIN_LEAD_MINUTES are broadcast right away
+const DISPATCH_STRATEGIES = ["broadcast", "sequential", "hybrid"];
+const DEFAULT_DISPATCH_STRATEGY = "broadcast";
+const DISPATCH_STRATEGY = DISPATCH_STRATEGIES.includes(process.env.DISPATCH_STRATEGY)
+  ? process.env.DISPATCH_STRATEGY
+  : DEFAULT_DISPATCH_STRATEGY;
+
+// How long one driver has the ride to themselves
+const DEFAULT_DISPATCH_OFFER_SECONDS = 30;
+const DISPATCH_OFFER_SECONDS =
+  Number(process.env.DISPATCH_OFFER_SECONDS) || DEFAULT_DISPATCH_OFFER_SECONDS;
+
+// Number of drivers offered the ride one by one before it is broadcast
+const DEFAULT_DISPATCH_MAX_CANDIDATES = 3;
+const DISPATCH_MAX_CANDIDATES =
+  Number(process.env.DISPATCH_MAX_CANDIDATES) || DEFAULT_DISPATCH_MAX_CANDIDATES;
+
+// Drivers further from the pickup than this are never offered the ride exclusively
+const DEFAULT_DISPATCH_MAX_DISTANCE_KM = 15;
+const DISPATCH_MAX_DISTANCE_KM =
+  Number(process.env.DISPATCH_MAX_DISTANCE_KM) || DEFAULT_DISPATCH_MAX_DISTANCE_KM;
+
+// Positions older than this are considered unknown
+const DEFAULT_DISPATCH_LOCATION_MAX_AGE_MINUTES = 10;
+const DISPATCH_LOCATION_MAX_AGE_MINUTES =
+  Number(process.env.DISPATCH_LOCATION_MAX_AGE_MINUTES) || DEFAULT_DISPATCH_LOCATION_MAX_AGE_MINUTES;
+
+// Hybrid only: pickups sooner than this are broadcast without exclusive offers
+const DEFAULT_DISPATCH_HYBRID_MIN_LEAD_MINUTES = 60;
+const DISPATCH_HYBRID_MIN_LEAD_MINUTES =
+  Number(process.env.DISPATCH_HYBRID_MIN_LEAD_MINUTES) || DEFAULT_DISPATCH_HYBRID_MIN_LEAD_MINUTES;
+
+module.exports = {
+  DISPATCH_STRATEGIES,
+  DISPATCH_STRATEGY,
+  DISPATCH_OFFER_SECONDS,
+  DISPATCH_MAX_CANDIDATES,
+  DISPATCH_MAX_DISTANCE_KM,
+  DISPATCH_LOCATION_MAX_AGE_MINUTES,
+  DISPATCH_HYBRID_MIN_LEAD_MINUTES,
+  // Export defaults for reference
+  DEFAULT_DISPATCH_STRATEGY,
+  DEFAULT_DISPATCH_OFFER_SECONDS,
+  DEFAULT_DISPATCH_MAX_CANDIDATES,
+  DEFAULT_DISPATCH_MAX_DISTANCE_KM,
+  DEFAULT_DISPATCH_LOCATION_MAX_AGE_MINUTES,
+  DEFAULT_DISPATCH_HYBRID_MIN_LEAD_MINUTES,
+};
@@ -0,0 +1,33 @@
+// config/driverLocation.js
+// Driver live location (POST /api/drivers/location or Ably "location" messages)
+// All values can be configured via environment variables with sensible defaults
+
+// Number of breadcrumbs kept on the driver (oldest are dropped)
+const DEFAULT_LOCATION_TRAIL_LENGTH = 50;
+const LOCATION_TRAIL_LENGTH =
+  Number(process.env.LOCATION_TRAIL_LENGTH) || DEFAULT_LOCATION_TRAIL_LENGTH;
+
+// Updates arriving faster than this per driver are ignored
+const DEFAULT_LOCATION_MIN_INTERVAL_MS = 1000;
+const LOCATION_MIN_INTERVAL_MS =
+  Number(process.env.LOCATION_MIN_INTERVAL_MS) || DEFAULT_LOCATION_MIN_INTERVAL_MS;
+
+// The admin map feed publishes at most one position per driver in this window
+const DEFAULT_ADMIN_LOCATION_THROTTLE_SECONDS = 5;
+const ADMIN_LOCATION_THROTTLE_SECONDS =
+  Number(process.env.ADMIN_LOCATION_THROTTLE_SECONDS) || DEFAULT_ADMIN_LOCATION_THROTTLE_SECONDS;
+
+// Also accept positions published by drivers on the Ably "driver-locations" channel
+// (long-running server only; drivers must use token auth from GET /api/drivers/ably-token)
+const LOCATION_ABLY_INGEST = process.env.LOCATION_ABLY_INGEST === "true";
+
+module.exports = {
+  LOCATION_TRAIL_LENGTH,
+  LOCATION_MIN_INTERVAL_MS,
+  ADMIN_LOCATION_THROTTLE_SECONDS,
+  LOCATION_ABLY_INGEST,
+  // Export defaults for reference
+  DEFAULT_LOCATION_TRAIL_LENGTH,
+  DEFAULT_LOCATION_MIN_INTERVAL_MS,
+  DEFAULT_ADMIN_LOCATION_THROTTLE_SECONDS,
+};
@@ -0,0 +1,51 @@
+// config/flightTracking.js
+// Flight tracking for airport pickups (bookings with a flight_no)
+// Polled by src/jobs/trackFlights.js; all values can be configured via environment variables
+
+// Which flight status provider to use (see src/services/flightStatusProvider.js)
+const DEFAULT_FLIGHT_STATUS_PROVIDER = "stub";
+const FLIGHT_STATUS_PROVIDER =
+  process.env.FLIGHT_STATUS_PROVIDER || DEFAULT_FLIGHT_STATUS_PROVIDER;
+
+// Only pickups within this many hours are polled
+const DEFAULT_FLIGHT_TRACKING_LOOKAHEAD_HOURS = 6;
+const FLIGHT_TRACKING_LOOKAHEAD_HOURS =
+  Number(process.env.FLIGHT_TRACKING_LOOKAHEAD_HOURS) || DEFAULT_FLIGHT_TRACKING_LOOKAHEAD_HOURS;
+
+// Pickups are shifted (and the driver notified) only when the time moves at least this much
+const DEFAULT_FLIGHT_DELAY_THRESHOLD_MINUTES = 10;
+const FLIGHT_DELAY_THRESHOLD_MINUTES =
+  Number(process.env.FLIGHT_DELAY_THRESHOLD_MINUTES) || DEFAULT_FLIGHT_DELAY_THRESHOLD_MINUTES;
+
+// Delays (minutes) reported by the stub provider per flight number, e.g. {"KL1234":45}
+const parseStubDelays = (raw) => {
+  if (!raw) return {};
+  try {
+    const delays = JSON.parse(raw);
+    const valid =
+      delays &&
+      typeof delays === "object" &&
+      !Array.isArray(delays) &&
+      Object.values(delays).every((minutes) => Number.isFinite(minutes));
+    if (!valid) return {};
+    return Object.keys(delays).reduce((acc, flightNo) => {
+      acc[flightNo.replace(/\s+/g, "").toUpperCase()] = delays[flightNo];
+      return acc;
+    }, {});
+  } catch (error) {
+    return {};
+  }
+};
+
+const FLIGHT_STUB_DELAYS = parseStubDelays(process.env.FLIGHT_STUB_DELAYS);
+
+module.exports = {
+  FLIGHT_STATUS_PROVIDER,
+  FLIGHT_TRACKING_LOOKAHEAD_HOURS,
+  FLIGHT_DELAY_THRESHOLD_MINUTES,
+  FLIGHT_STUB_DELAYS,
+  // Export defaults for reference
+  DEFAULT_FLIGHT_STATUS_PROVIDER,
+  DEFAULT_FLIGHT_TRACKING_LOOKAHEAD_HOURS,
+  DEFAULT_FLIGHT_DELAY_THRESHOLD_MINUTES,
+};
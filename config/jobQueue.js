@@ -0,0 +1,47 @@
+// config/jobQueue.js
+// MongoDB-backed job queue for scheduled work (booking expiry, reminders, dispatch offers)
+// See src/services/jobQueue.service.js; all values can be configured via environment variables
+
+// How often the long-running server looks for due jobs
+const DEFAULT_JOB_POLL_INTERVAL_SECONDS = 5;
+const JOB_POLL_INTERVAL_SECONDS =
+  Number(process.env.JOB_POLL_INTERVAL_SECONDS) || DEFAULT_JOB_POLL_INTERVAL_SECONDS;
+
+// A claimed job is locked for this long; after that another worker may take it over
+const DEFAULT_JOB_LEASE_SECONDS = 60;
+const JOB_LEASE_SECONDS = Number(process.env.JOB_LEASE_SECONDS) || DEFAULT_JOB_LEASE_SECONDS;
+
+// Failed jobs are retried with exponential backoff (base * 2^(attempt - 1), at most one hour)
+const DEFAULT_JOB_MAX_ATTEMPTS = 5;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_JOB_MAX_ATTEMPTS;
+const DEFAULT_JOB_RETRY_BASE_SECONDS = 30;
+const JOB_RETRY_BASE_SECONDS =
+  Number(process.env.JOB_RETRY_BASE_SECONDS) || DEFAULT_JOB_RETRY_BASE_SECONDS;
+
+// Jobs run per poll (or per call of GET /api/jobs/run)
+const DEFAULT_JOB_BATCH_SIZE = 20;
+const JOB_BATCH_SIZE = Number(process.env.JOB_BATCH_SIZE) || DEFAULT_JOB_BATCH_SIZE;
+
+// Finished (completed, failed, cancelled) jobs are removed after this many days
+const DEFAULT_JOB_RETENTION_DAYS = 7;
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || DEFAULT_JOB_RETENTION_DAYS;
+
+// Bearer token for GET /api/jobs/run (serverless deployments call it from a cron)
+const JOB_RUNNER_SECRET = process.env.CRON_SECRET || null;
+
+module.exports = {
+  JOB_POLL_INTERVAL_SECONDS,
+  JOB_LEASE_SECONDS,
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_BASE_SECONDS,
+  JOB_BATCH_SIZE,
+  JOB_RETENTION_DAYS,
+  JOB_RUNNER_SECRET,
+  // Export defaults for reference
+  DEFAULT_JOB_POLL_INTERVAL_SECONDS,
+  DEFAULT_JOB_LEASE_SECONDS,
+  DEFAULT_JOB_MAX_ATTEMPTS,
+  DEFAULT_JOB_RETRY_BASE_SECONDS,
+  DEFAULT_JOB_BATCH_SIZE,
+  DEFAULT_JOB_RETENTION_DAYS,
+};
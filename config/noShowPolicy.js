@@ -0,0 +1,29 @@
+// config/noShowPolicy.js
+// Customer no-show handling (driver waited at the pickup, customer never came)
+// All values can be configured via environment variables with sensible defaults
+
+// Minutes the driver must wait after arriving before a no-show can be recorded
+const DEFAULT_NO_SHOW_WAIT_MINUTES = 15;
+const NO_SHOW_WAIT_MINUTES =
+  Number(process.env.NO_SHOW_WAIT_MINUTES) || DEFAULT_NO_SHOW_WAIT_MINUTES;
+
+// Share of the ride price (actualPrice) the customer is charged as no-show fee
+// The rest of a prepaid booking is refunded
+const DEFAULT_NO_SHOW_FEE_PERCENTAGE = 50;
+const NO_SHOW_FEE_PERCENTAGE =
+  Number(process.env.NO_SHOW_FEE_PERCENTAGE) || DEFAULT_NO_SHOW_FEE_PERCENTAGE;
+
+// Share of the no-show fee credited to the driver's wallet
+const DEFAULT_NO_SHOW_DRIVER_SHARE_PERCENTAGE = 70;
+const NO_SHOW_DRIVER_SHARE_PERCENTAGE =
+  Number(process.env.NO_SHOW_DRIVER_SHARE_PERCENTAGE) || DEFAULT_NO_SHOW_DRIVER_SHARE_PERCENTAGE;
+
+module.exports = {
+  NO_SHOW_WAIT_MINUTES,
+  NO_SHOW_FEE_PERCENTAGE,
+  NO_SHOW_DRIVER_SHARE_PERCENTAGE,
+  // Export defaults for reference
+  DEFAULT_NO_SHOW_WAIT_MINUTES,
+  DEFAULT_NO_SHOW_FEE_PERCENTAGE,
+  DEFAULT_NO_SHOW_DRIVER_SHARE_PERCENTAGE,
+};
@@ -0,0 +1,41 @@
+// config/orderNumbers.js
+// Configuration for booking order/ride numbers (src/services/orderNumber.service.js)
+// Numbers come from a MongoDB counter, so they never collide; a failed booking
+// insert simply leaves a gap in the sequence.
+
+// Prefix of every order number, e.g. RID-100234
+const DEFAULT_ORDER_NUMBER_PREFIX = "RID";
+const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || DEFAULT_ORDER_NUMBER_PREFIX;
+
+// Prefix of group booking numbers (the child rides get regular numbers), e.g. GRP-100012
+const DEFAULT_GROUP_ORDER_NUMBER_PREFIX = "GRP";
+const GROUP_ORDER_NUMBER_PREFIX =
+  process.env.GROUP_ORDER_NUMBER_PREFIX || DEFAULT_GROUP_ORDER_NUMBER_PREFIX;
+
+// First sequence value is START + 1. Keep it above the old 5-digit
+// timestamp numbers (RID-00000..RID-99999) so old and new never clash.
+// Do not lower this once numbers have been issued.
+const DEFAULT_ORDER_NUMBER_START = 100000;
+const ORDER_NUMBER_START =
+  Number(process.env.ORDER_NUMBER_START) || DEFAULT_ORDER_NUMBER_START;
+
+// "global": one sequence per prefix             -> RID-100234
+// "yearly": sequence restarts every (UTC) year  -> RID-2026-100001
+const ORDER_NUMBER_SCOPES = ["global", "yearly"];
+const DEFAULT_ORDER_NUMBER_SCOPE = "global";
+const ORDER_NUMBER_SCOPE = ORDER_NUMBER_SCOPES.includes(process.env.ORDER_NUMBER_SCOPE)
+  ? process.env.ORDER_NUMBER_SCOPE
+  : DEFAULT_ORDER_NUMBER_SCOPE;
+
+module.exports = {
+  ORDER_NUMBER_PREFIX,
+  GROUP_ORDER_NUMBER_PREFIX,
+  ORDER_NUMBER_START,
+  ORDER_NUMBER_SCOPE,
+  ORDER_NUMBER_SCOPES,
+  // Export defaults for reference
+  DEFAULT_ORDER_NUMBER_PREFIX,
+  DEFAULT_GROUP_ORDER_NUMBER_PREFIX,
+  DEFAULT_ORDER_NUMBER_START,
+  DEFAULT_ORDER_NUMBER_SCOPE,
+};
@@ -0,0 +1,84 @@
+// config/pricing.js
+// Tariffs used by the server-side fare engine (src/services/pricing.service.js)
+// All amounts are in EUR. Keys of TARIFFS are the normalized vehicle types
+// returned by normalizeVehicleType ("Standard", "Luxury", "Taxi Bus").
+// waitingPerMinute / freeWaitingMinutes / perStop also price the surcharges a
+// driver logs during the ride (waiting time, unplanned stops).
+
+const TARIFFS = {
+  Standard: {
+    baseFare: 5,
+    perKm: 2.2,
+    minimumFare: 25,
+    perStop: 7.5,
+    includedPassengers: 3,
+    maxPassengers: 4,
+    perExtraPassenger: 5,
+    waitingPerMinute: 0.5,
+    freeWaitingMinutes: 10,
+  },
+  Luxury: {
+    baseFare: 10,
+    perKm: 3,
+    minimumFare: 40,
+    perStop: 10,
+    includedPassengers: 3,
+    maxPassengers: 4,
+    perExtraPassenger: 7.5,
+    waitingPerMinute: 0.75,
+    freeWaitingMinutes: 15,
+  },
+  "Taxi Bus": {
+    baseFare: 10,
+    perKm: 3,
+    minimumFare: 45,
+    perStop: 10,
+    includedPassengers: 4,
+    maxPassengers: 8,
+    perExtraPassenger: 5,
+    waitingPerMinute: 0.75,
+    freeWaitingMinutes: 10,
+  },
+};
+
+// Optional extras the customer can add to a ride (flat fee each)
+const EXTRAS = {
+  child_seat: { label: "Child seat", amount: 10 },
+  extra_luggage: { label: "Extra luggage", amount: 5 },
+  meet_and_greet: { label: "Meet & greet at arrivals", amount: 15 },
+  pet: { label: "Pet transport", amount: 10 },
+};
+
+// Group bookings split passengers over several vehicles of one category
+const MAX_GROUP_VEHICLES = 10;
+
+// Night surcharge window (local time in PRICING_TIMEZONE, 24h clock, end exclusive)
+const NIGHT_SURCHARGE = {
+  startHour: 22,
+  endHour: 6,
+  multiplier: 1.15,
+};
+
+const PRICING_TIMEZONE = process.env.PRICING_TIMEZONE || "Europe/Amsterdam";
+
+// A submitted price is accepted when it is within either tolerance of the calculated fare
+// Defaults: €1.00 or 2%, whichever is larger
+const DEFAULT_PRICE_TOLERANCE_AMOUNT = 1;
+const DEFAULT_PRICE_TOLERANCE_PERCENTAGE = 2;
+const PRICE_TOLERANCE_AMOUNT =
+  Number(process.env.PRICE_TOLERANCE_AMOUNT) || DEFAULT_PRICE_TOLERANCE_AMOUNT;
+const PRICE_TOLERANCE_PERCENTAGE =
+  Number(process.env.PRICE_TOLERANCE_PERCENTAGE) || DEFAULT_PRICE_TOLERANCE_PERCENTAGE;
+
+module.exports = {
+  TARIFFS,
+  EXTRAS,
+  NIGHT_SURCHARGE,
+  MAX_GROUP_VEHICLES,
+  PRICING_TIMEZONE,
+  PRICE_TOLERANCE_AMOUNT,
+  PRICE_TOLERANCE_PERCENTAGE,
+  // Export defaults for reference
+  DEFAULT_PRICE_TOLERANCE_AMOUNT,
+  DEFAULT_PRICE_TOLERANCE_PERCENTAGE,
+};
@@ -0,0 +1,22 @@
+// config/recurringBookings.js
+// Recurring series generate concrete bookings on a rolling horizon
+// (src/jobs/generateRecurringBookings.js). Occurrence times are local to PRICING_TIMEZONE.
+
+// How far ahead occurrences are created as real bookings
+const DEFAULT_RECURRING_HORIZON_DAYS = 14;
+const RECURRING_HORIZON_DAYS =
+  Number(process.env.RECURRING_HORIZON_DAYS) || DEFAULT_RECURRING_HORIZON_DAYS;
+
+// Safety cap on occurrences a single series may produce
+const MAX_RECURRING_OCCURRENCES = 500;
+
+// Recurring rides are billed outside Checkout (no customer present for each occurrence)
+const RECURRING_PAYMENT_METHODS = ["cash", "invoice"];
+
+module.exports = {
+  RECURRING_HORIZON_DAYS,
+  MAX_RECURRING_OCCURRENCES,
+  RECURRING_PAYMENT_METHODS,
+  // Export defaults for reference
+  DEFAULT_RECURRING_HORIZON_DAYS,
+};
@@ -0,0 +1,56 @@
+// config/reminders.js
+// Reminders sent before pickup (see src/services/bookingReminderScheduler.js)
+// Each stage reminds one audience over one channel, minutesBefore the pickup time:
+//   customer - "email" or "sms" (booking email / phone number)
+//   driver   - "push" (push notification + realtime event to the assigned driver)
+// A stage without minutesBefore follows the reminderMinutesBefore platform setting.
+// Override with REMINDER_STAGES (JSON array), e.g.
+// [{"name":"customer-email","audience":"customer","channel":"email","minutesBefore":1440},
+//  {"name":"driver-push","audience":"driver","channel":"push"}]
+// Stage names are stored on the booking to record sends, so keep them stable once in use.
+
+const REMINDER_CHANNELS = {
+  customer: ["email", "sms"],
+  driver: ["push"],
+};
+
+// Default: customer email the day before, driver push 4h before, customer SMS 2h before,
+// driver push reminderMinutesBefore (30) before
+const DEFAULT_REMINDER_STAGES = [
+  { name: "customer-email", audience: "customer", channel: "email", minutesBefore: 24 * 60 },
+  { name: "driver-early-push", audience: "driver", channel: "push", minutesBefore: 4 * 60 },
+  { name: "customer-sms", audience: "customer", channel: "sms", minutesBefore: 2 * 60 },
+  { name: "driver-push", audience: "driver", channel: "push" },
+];
+
+const parseReminderStages = (raw) => {
+  if (!raw) return DEFAULT_REMINDER_STAGES;
+  try {
+    const stages = JSON.parse(raw);
+    const names = new Set();
+    const valid =
+      Array.isArray(stages) &&
+      stages.every((stage) => {
+        const isValid =
+          /^[a-z0-9-]+$/.test(stage.name || "") &&
+          !names.has(stage.name) &&
+          (REMINDER_CHANNELS[stage.audience] || []).includes(stage.channel) &&
+          (stage.minutesBefore === undefined ||
+            (Number.isInteger(stage.minutesBefore) && stage.minutesBefore > 0));
+        names.add(stage.name);
+        return isValid;
+      });
+    return valid ? stages : DEFAULT_REMINDER_STAGES;
+  } catch (error) {
+    return DEFAULT_REMINDER_STAGES;
+  }
+};
+
+const REMINDER_STAGES = parseReminderStages(process.env.REMINDER_STAGES);
+
+module.exports = {
+  REMINDER_CHANNELS,
+  REMINDER_STAGES,
+  // Export defaults for reference
+  DEFAULT_REMINDER_STAGES,
+};
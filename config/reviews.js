@@ -0,0 +1,30 @@
+// config/reviews.js
+// Customer reviews after a completed ride (see src/services/review.service.js)
+// All values can be configured via environment variables
+
+// Tags the customer can pick (stored as the key)
+const REVIEW_TAGS = {
+  clean_car: "Clean car",
+  punctual: "Punctual",
+  friendly: "Friendly driver",
+  safe_driving: "Safe driving",
+  helped_with_luggage: "Helped with luggage",
+  good_route: "Good route",
+};
+
+// How long the review link in the completion email works
+const DEFAULT_REVIEW_LINK_EXPIRES_IN = "30d";
+const REVIEW_LINK_EXPIRES_IN = process.env.REVIEW_LINK_EXPIRES_IN || DEFAULT_REVIEW_LINK_EXPIRES_IN;
+
+const DEFAULT_REVIEW_COMMENT_MAX_LENGTH = 1000;
+const REVIEW_COMMENT_MAX_LENGTH =
+  Number(process.env.REVIEW_COMMENT_MAX_LENGTH) || DEFAULT_REVIEW_COMMENT_MAX_LENGTH;
+
+module.exports = {
+  REVIEW_TAGS,
+  REVIEW_LINK_EXPIRES_IN,
+  REVIEW_COMMENT_MAX_LENGTH,
+  // Export defaults for reference
+  DEFAULT_REVIEW_LINK_EXPIRES_IN,
+  DEFAULT_REVIEW_COMMENT_MAX_LENGTH,
+};
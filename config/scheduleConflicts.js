@@ -0,0 +1,22 @@
+// config/scheduleConflicts.js
+// Ride duration estimate used to detect overlapping rides of one driver
+// (see src/services/scheduleConflict.service.js; the gap between rides is the scheduleBufferMinutes setting)
+// All values can be configured via environment variables
+
+// Average door-to-door speed used to turn a booking's distance (km) into a duration
+const DEFAULT_SCHEDULE_AVERAGE_SPEED_KMH = 50;
+const SCHEDULE_AVERAGE_SPEED_KMH =
+  Number(process.env.SCHEDULE_AVERAGE_SPEED_KMH) || DEFAULT_SCHEDULE_AVERAGE_SPEED_KMH;
+
+// Shortest duration assumed for a ride (also used when the distance is unknown)
+const DEFAULT_SCHEDULE_MIN_RIDE_MINUTES = 20;
+const SCHEDULE_MIN_RIDE_MINUTES =
+  Number(process.env.SCHEDULE_MIN_RIDE_MINUTES) || DEFAULT_SCHEDULE_MIN_RIDE_MINUTES;
+
+module.exports = {
+  SCHEDULE_AVERAGE_SPEED_KMH,
+  SCHEDULE_MIN_RIDE_MINUTES,
+  // Export defaults for reference
+  DEFAULT_SCHEDULE_AVERAGE_SPEED_KMH,
+  DEFAULT_SCHEDULE_MIN_RIDE_MINUTES,
+};
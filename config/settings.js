@@ -0,0 +1,69 @@
+// config/settings.js
+// Platform settings admins can change at runtime (GET/PATCH /auth/settings)
+// Stored in the Settings collection; these definitions give each key its type, bounds and default.
+// Values not stored yet fall back to the default below.
+
+const DEFAULT_DRIVER_COMMISSION_PERCENTAGE =
+  parseFloat(process.env.DRIVER_COMMISSION_PERCENTAGE || "22");
+
+const SETTING_DEFINITIONS = {
+  // Bookings above this price (EUR) are assigned by an admin, the rest are offered to drivers
+  assignmentPriceThreshold: {
+    type: "number",
+    min: 0,
+    default: 150,
+    description: "Price (EUR) above which bookings are assigned by an admin instead of offered to drivers",
+  },
+  // How long auto bookings are offered to drivers before they expire to the admin
+  autoBookingExpiryMinutes: {
+    type: "integer",
+    min: 1,
+    max: 120,
+    default: 5,
+    description: "Minutes an auto booking stays open for drivers before it expires",
+  },
+  // When the assigned driver gets the "booking starts soon" reminder
+  reminderMinutesBefore: {
+    type: "integer",
+    min: 1,
+    max: 1440,
+    default: 30,
+    description: "Minutes before pickup the assigned driver is reminded",
+  },
+  // Gap kept between two rides of the same driver (services/scheduleConflict.service.js)
+  scheduleBufferMinutes: {
+    type: "integer",
+    min: 0,
+    max: 240,
+    default: 15,
+    description: "Minutes kept free between the end of one ride and the pickup of the next for the same driver",
+  },
+  maxVehiclesPerDriver: {
+    type: "integer",
+    min: 1,
+    max: 20,
+    default: 3,
+    description: "Maximum number of vehicles a driver can register",
+  },
+  // Deducted from the customer price to get the driver's earnings
+  driverCommissionPercentage: {
+    type: "number",
+    min: 0,
+    max: 100,
+    default: DEFAULT_DRIVER_COMMISSION_PERCENTAGE,
+    description: "Commission (%) deducted from the booking price",
+  },
+};
+
+// Other server instances pick up changes after at most this many seconds
+const DEFAULT_SETTINGS_CACHE_TTL_SECONDS = 60;
+const SETTINGS_CACHE_TTL_SECONDS =
+  Number(process.env.SETTINGS_CACHE_TTL_SECONDS) || DEFAULT_SETTINGS_CACHE_TTL_SECONDS;
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  SETTINGS_CACHE_TTL_SECONDS,
+  // Export defaults for reference
+  DEFAULT_DRIVER_COMMISSION_PERCENTAGE,
+  DEFAULT_SETTINGS_CACHE_TTL_SECONDS,
+};
@@ -0,0 +1,19 @@
+// config/sms.js
+// Text messages to customers (see src/services/sms.service.js)
+// All values can be configured via environment variables
+
+// Which SMS transport to use; "stub" only logs the message
+const DEFAULT_SMS_PROVIDER = "stub";
+const SMS_PROVIDER = process.env.SMS_PROVIDER || DEFAULT_SMS_PROVIDER;
+
+// Sender shown to the customer (alphanumeric sender ID or phone number, depending on the provider)
+const DEFAULT_SMS_SENDER = "Taxigate";
+const SMS_SENDER = process.env.SMS_SENDER || DEFAULT_SMS_SENDER;
+
+module.exports = {
+  SMS_PROVIDER,
+  SMS_SENDER,
+  // Export defaults for reference
+  DEFAULT_SMS_PROVIDER,
+  DEFAULT_SMS_SENDER,
+};
@@ -0,0 +1,33 @@
+// config/tips.js
+// Customer tips after a completed ride (see src/services/tip.service.js)
+// Tips are paid through Stripe Checkout and credited in full to the driver's wallet
+// All values can be configured via environment variables
+
+// Smallest and largest tip accepted (EUR)
+const DEFAULT_TIP_MIN_AMOUNT = 1;
+const TIP_MIN_AMOUNT = Number(process.env.TIP_MIN_AMOUNT) || DEFAULT_TIP_MIN_AMOUNT;
+
+const DEFAULT_TIP_MAX_AMOUNT = 100;
+const TIP_MAX_AMOUNT = Number(process.env.TIP_MAX_AMOUNT) || DEFAULT_TIP_MAX_AMOUNT;
+
+// Amounts offered as buttons on the review page (comma separated, e.g. "2,5,10")
+const DEFAULT_TIP_PRESET_AMOUNTS = [2, 5, 10];
+const parsePresetAmounts = (raw) => {
+  if (!raw) return DEFAULT_TIP_PRESET_AMOUNTS;
+  const amounts = raw
+    .split(",")
+    .map((value) => Number(value.trim()))
+    .filter((value) => value >= TIP_MIN_AMOUNT && value <= TIP_MAX_AMOUNT);
+  return amounts.length > 0 ? amounts : DEFAULT_TIP_PRESET_AMOUNTS;
+};
+const TIP_PRESET_AMOUNTS = parsePresetAmounts(process.env.TIP_PRESET_AMOUNTS);
+
+module.exports = {
+  TIP_MIN_AMOUNT,
+  TIP_MAX_AMOUNT,
+  TIP_PRESET_AMOUNTS,
+  // Export defaults for reference
+  DEFAULT_TIP_MIN_AMOUNT,
+  DEFAULT_TIP_MAX_AMOUNT,
+  DEFAULT_TIP_PRESET_AMOUNTS,
+};
@@ -0,0 +1,28 @@
+// config/tracking.js
+// Customer trip tracking links (GET /api/track/:token, see src/services/tracking.service.js)
+// All values can be configured via environment variables
+
+// Links stop working this many hours after the pickup time
+const DEFAULT_TRACKING_LINK_HOURS_AFTER_PICKUP = 24;
+const TRACKING_LINK_HOURS_AFTER_PICKUP =
+  Number(process.env.TRACKING_LINK_HOURS_AFTER_PICKUP) || DEFAULT_TRACKING_LINK_HOURS_AFTER_PICKUP;
+
+// Average speed used for the rough ETA shown to the customer
+const DEFAULT_TRACKING_ETA_SPEED_KMH = 35;
+const TRACKING_ETA_SPEED_KMH =
+  Number(process.env.TRACKING_ETA_SPEED_KMH) || DEFAULT_TRACKING_ETA_SPEED_KMH;
+
+// Driver positions older than this are not shown
+const DEFAULT_TRACKING_LOCATION_MAX_AGE_MINUTES = 5;
+const TRACKING_LOCATION_MAX_AGE_MINUTES =
+  Number(process.env.TRACKING_LOCATION_MAX_AGE_MINUTES) || DEFAULT_TRACKING_LOCATION_MAX_AGE_MINUTES;
+
+module.exports = {
+  TRACKING_LINK_HOURS_AFTER_PICKUP,
+  TRACKING_ETA_SPEED_KMH,
+  TRACKING_LOCATION_MAX_AGE_MINUTES,
+  // Export defaults for reference
+  DEFAULT_TRACKING_LINK_HOURS_AFTER_PICKUP,
+  DEFAULT_TRACKING_ETA_SPEED_KMH,
+  DEFAULT_TRACKING_LOCATION_MAX_AGE_MINUTES,
+};
@@ -200,6 +200,51 @@ async function clearCollections(collectionNames = []) {
 
 }
 
+/** Assign order numbers to old bookings that have none (oldest first) */
+async function backfillOrderNumbers() {
+  const { generateOrderNumber } = require("../src/services/orderNumber.service");
+  const Booking = mongoose.models.Bookings;
+
+  const missingFilter = {
+    $or: [{ orderNumber: { $exists: false } }, { orderNumber: null }, { orderNumber: "" }],
+  };
+  const total = await Booking.countDocuments(missingFilter);
+  if (total === 0) {
+    console.log("✓ All bookings already have an order number");
+    return;
+  }
+
+  const confirmed = await confirmAction(
+    `This will assign order numbers to ${total} booking(s). Continue?`
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  const cursor = Booking.find(missingFilter)
+    .sort({ createdAt: 1, _id: 1 })
+    .select("_id createdAt")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const booking of cursor) {
+    // eslint-disable-next-line no-await-in-loop
+    const orderNumber = await generateOrderNumber({ date: booking.createdAt || new Date() });
+    // eslint-disable-next-line no-await-in-loop
+    const result = await Booking.updateOne(
+      { _id: booking._id, ...missingFilter },
+      { $set: { orderNumber } }
+    );
+    if (result.nModified > 0) {
+      updated += 1;
+      console.log(`  ✓ ${booking._id} -> ${orderNumber}`);
+    }
+  }
+
+  console.log(`\n✓ Backfilled ${updated} booking(s)`);
+}
+
 const printUsage = () => {
   console.log(`Usage: node scripts/dbManager.js <command> [options]
 
@@ -209,7 +254,9 @@ Commands:
   --reset            Drop then migrate (destructive)
   --clear [names]    Delete all docs from specific collections (comma separated)
                      e.g. --clear bookings,vehicles
-  --status           Print connection info & loaded models`);
+  --status           Print connection info & loaded models
+  --backfill-order-numbers
+                     Assign order numbers to bookings that have none`);
 };
 
 const printStatus = () => {
@@ -255,6 +302,9 @@ const printStatus = () => {
       case "--status":
         printStatus();
         break;
+      case "--backfill-order-numbers":
+        await backfillOrderNumbers();
+        break;
       default:
         printUsage();
         break;
@@ -23,6 +23,13 @@ const vehicleRoutes = require("./routes/vehicle.routes");
 const bookingRoutes = require("./routes/booking.routes");
 const notificationRoutes = require("./routes/notification.routes");
 const paymentRoutes = require("./routes/payment.routes");
+const recurringBookingRoutes = require("./routes/recurringBooking.routes");
+const commissionRuleRoutes = require("./routes/commissionRule.routes");
+const jobRoutes = require("./routes/job.routes");
+const trackingRoutes = require("./routes/tracking.routes");
+const reviewRoutes = require("./routes/review.routes");
+const tipRoutes = require("./routes/tip.routes");
+const customerRoutes = require("./routes/customer.routes");
 
 const app = express();
 
@@ -44,6 +51,8 @@ app.use(
     max: API_RATE_LIMIT,
     windowMs: 60 * 60 * 1000,
     message: "Too many requests from this IP, try again in an hour",
+    // Driver apps post their position every few seconds (throttled per driver in the service)
+    skip: (req) => req.originalUrl.split("?")[0] === "/api/drivers/location",
   })
 );
 
@@ -163,6 +172,13 @@ app.use("/api/vehicle", vehicleRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/recurring-bookings", recurringBookingRoutes);
+app.use("/api/commission-rules", commissionRuleRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/track", trackingRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/tips", tipRoutes);
+app.use("/api/customers", customerRoutes);
 
 // Health check
 // PHASE 2: Enhanced health check with detailed Ably status
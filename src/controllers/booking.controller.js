@@ -7,6 +7,10 @@ const sendEmail = require("../utils/email");
 const bookingConfirmationEmail = require("../templates/emails/bookingConfirmationEmail");
 const adminBookingNotificationEmail = require("../templates/emails/adminBookingNotificationEmail");
 const { createPaymentSessionForBooking } = require("../services/payment.service");
+const { getSetting } = require("../services/settings.service");
+const { signBookingToken } = require("../utils/token");
+const { buildCancellationUrl } = require("../utils/booking.helper");
+const { calculateFare } = require("../services/pricing.service");
 const mongoose = require("mongoose");
 const {
   createBooking: createBookingService,
@@ -25,9 +29,12 @@ const {
   getDriverCompletedBookings: getDriverCompletedBookingsService,
   startBooking: startBookingService,
   getActiveBooking: getActiveBookingService,
+  arriveBooking: arriveBookingService,
+  markNoShow: markNoShowService,
   pickupBooking: pickupBookingService,
   dropoffBooking: dropoffBookingService,
   completeBooking: completeBookingService,
+  addSurcharge: addSurchargeService,
   viewAdminAssignedBookings: viewAdminAssignedBookingsService,
   getAllAssignedBookings: getAllAssignedBookingsService,
   getExpiredBookings: getExpiredBookingsService,
@@ -35,76 +42,113 @@ const {
   getAdminCompletedBookings: getAdminCompletedBookingsService,
   getBookingByOrderNumber: getBookingByOrderNumberService,
   deleteBooking: deleteBookingService,
+  updateBooking: updateBookingService,
+  getCancellationQuote: getCancellationQuoteService,
+  cancelBooking: cancelBookingService,
+  createReturnBooking: createReturnBookingService,
+  resolveLinkedLegReview: resolveLinkedLegReviewService,
+  getBookingHistory: getBookingHistoryService,
+  getBookingsForReview: getBookingsForReviewService,
+  resolveAdminReview: resolveAdminReviewService,
 } = require("../services/booking.service");
+const { scheduleBookingExpiry } = require("../services/bookingExpiryScheduler");
+const { scheduleBookingReminder } = require("../services/bookingReminderScheduler");
+const { startDispatch } = require("../services/dispatch.service");
 const {
-  scheduleBookingExpiry,
-  clearExpiryTimer,
-} = require("../services/bookingExpiryScheduler");
+  getScheduleConflictWarnings,
+  getScheduleConflictWarningsForBooking,
+} = require("../services/scheduleConflict.service");
 const {
-  scheduleBookingReminder,
-  clearReminderTimer,
-} = require("../services/bookingReminderScheduler");
+  createGroupBooking: createGroupBookingService,
+  getGroupBooking: getGroupBookingService,
+  getGroupBookings: getGroupBookingsService,
+} = require("../services/groupBooking.service");
 const {
   notifyNewBooking,
   notifyAllDriversNewBooking,
   notifyAdminBookingCreated,
-  notifyBookingAccepted,
   notifyBookingAssigned,
   notifyBookingUnassigned,
-  notifyBookingStatusUpdate,
-  notifyBookingRejected,
-  notifyAdminBookingCompleted,
+  notifyBookingUpdated,
   notifyLiveBookingAdded,
   notifyLiveBookingRemoved,
   notifyLiveBookingUpdated,
+  notifyBookingCancelled,
+  notifyLinkedLegReviewRequired,
 } = require("../services/bookingNotifications");
 
 // ===== USER CONTROLLERS =====
 
+/**
+ * Build the booking payload shared by customer and admin booking creation
+ * (req.fareQuote is set by validateCreateBooking)
+ */
+const buildBookingPayload = (req) => ({
+  from_location: req.body.from_location,
+  to_location: req.body.to_location,
+  date_time: new Date(req.body.date_time),
+  return_date_time: req.body.return_date_time
+    ? new Date(req.body.return_date_time)
+    : undefined,
+  cat_title: req.body.cat_title,
+  // Server-calculated fare (validateCreateBooking rejects mismatching client prices)
+  actualPrice: req.fareQuote.total.toFixed(2),
+  user_name: req.body.user_name,
+  email: req.body.email.toLowerCase(),
+  num_passengers: req.body.num_passengers || 1,
+  luggage: req.body.luggage,
+  number: req.body.number,
+  note_description: req.body.note_description,
+  pickup_house_no: req.body.pickup_house_no,
+  dropoff_house_no: req.body.dropoff_house_no,
+  stops: req.body.stops && Array.isArray(req.body.stops)
+    ? req.body.stops.filter(stop => stop && stop.trim()) 
+    : [],
+  stopsCoordinates: req.body.stopsCoordinates && Array.isArray(req.body.stopsCoordinates)
+    ? req.body.stopsCoordinates.filter(coord => coord && coord.lat && coord.lng) 
+    : [],
+  flight_no: req.body.flight_no,
+  distance: req.body.distance,
+  pickupCoordinates: req.body.pickupCoordinates,
+  dropoffCoordinates: req.body.dropoffCoordinates,
+  extras: req.fareQuote.extras.map((extra) => extra.code),
+  priceBreakdown: {
+    ...req.fareQuote.breakdown,
+    isNight: req.fareQuote.isNight,
+    total: req.fareQuote.total,
+  },
+  isPaid: false,
+});
+
 exports.createBooking = catchAsync(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const payload = {
-      from_location: req.body.from_location,
-      to_location: req.body.to_location,
-      date_time: new Date(req.body.date_time),
-      return_date_time: req.body.return_date_time
-        ? new Date(req.body.return_date_time)
-        : undefined,
-      cat_title: req.body.cat_title,
-      actualPrice: String(req.body.price),
-      user_name: req.body.user_name,
-      email: req.body.email.toLowerCase(),
-      num_passengers: req.body.num_passengers || 1,
-      luggage: req.body.luggage,
-      number: req.body.number,
-      note_description: req.body.note_description,
-      pickup_house_no: req.body.pickup_house_no,
-      dropoff_house_no: req.body.dropoff_house_no,
-      stops: req.body.stops && Array.isArray(req.body.stops)
-        ? req.body.stops.filter(stop => stop && stop.trim()) 
-        : [],
-      stopsCoordinates: req.body.stopsCoordinates && Array.isArray(req.body.stopsCoordinates)
-        ? req.body.stopsCoordinates.filter(coord => coord && coord.lat && coord.lng) 
-        : [],
-      flight_no: req.body.flight_no,
-      distance: req.body.distance,
-      pickupCoordinates: req.body.pickupCoordinates,
-      dropoffCoordinates: req.body.dropoffCoordinates,
-      isPaid: false,
-    };
+    const payload = buildBookingPayload(req);
     const booking = await createBookingService(payload);
+
+    // Round trip: second leg with its own order number and lifecycle, paid in the same checkout
+    let returnBooking = null;
+    if (req.returnFareQuote) {
+      returnBooking = await createReturnBookingService(booking, req.returnFareQuote);
+    }
+
     const frontendUrl = process.env.CLIENT_URL
-    const paymentAmount = parseFloat(String(payload.actualPrice || payload.price || "0").replace(/[^\d.-]/g, "")) || 0;
+    const paymentAmount = [booking, returnBooking]
+      .filter(Boolean)
+      .reduce(
+        (sum, leg) => sum + (parseFloat(String(leg.actualPrice || leg.price || "0").replace(/[^\d.-]/g, "")) || 0),
+        0
+      );
     let paymentSessionUrl = null;
     try {
       const paymentResult = await createPaymentSessionForBooking(
         booking._id,
         paymentAmount,
         payload.email,
-        frontendUrl
+        frontendUrl,
+        returnBooking ? [returnBooking._id] : []
       );
       paymentSessionUrl = paymentResult.sessionUrl;
     } catch (paymentError) {
@@ -119,7 +163,11 @@ exports.createBooking = catchAsync(async (req, res) => {
       res,
       { 
         booking: toBookingResponse(booking),
-        paymentSessionUrl: paymentSessionUrl
+        returnBooking: returnBooking ? toBookingResponse(returnBooking) : null,
+        returnCancellationToken: returnBooking ? signBookingToken(returnBooking, "cancel") : null,
+        paymentSessionUrl: paymentSessionUrl,
+        paymentAmount: paymentAmount.toFixed(2),
+        cancellationToken: signBookingToken(booking, "cancel"),
       },
       "Booking created successfully",
       201
@@ -134,6 +182,149 @@ exports.createBooking = catchAsync(async (req, res) => {
 
 
 
+/**
+ * Dispatcher-created (phone) booking. Stripe bookings get a checkout link to send to the
+ * customer; cash and invoice bookings skip checkout and go straight to the notification pipeline.
+ */
+exports.adminCreateBooking = catchAsync(async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+    const payload = {
+      ...buildBookingPayload(req),
+      source: "phone",
+      createdBy: req.user.id,
+      paymentMethod,
+    };
+    const booking = await createBookingService(payload);
+
+    let returnBooking = null;
+    if (req.returnFareQuote) {
+      returnBooking = await createReturnBookingService(booking, req.returnFareQuote);
+    }
+
+    const paymentAmount = [booking, returnBooking]
+      .filter(Boolean)
+      .reduce(
+        (sum, leg) => sum + (parseFloat(String(leg.actualPrice || leg.price || "0").replace(/[^\d.-]/g, "")) || 0),
+        0
+      );
+
+    let paymentSessionUrl = null;
+    if (paymentMethod === "stripe") {
+      // Notifications run after payment (webhook / verify), like customer bookings
+      const paymentResult = await createPaymentSessionForBooking(
+        booking._id,
+        paymentAmount,
+        payload.email,
+        process.env.CLIENT_URL,
+        returnBooking ? [returnBooking._id] : []
+      );
+      paymentSessionUrl = paymentResult.sessionUrl;
+    } else {
+      setImmediate(async () => {
+        const { sendBookingNotificationsForBooking } = require("../services/paymentConfirmation.service");
+        for (const leg of [booking, returnBooking].filter(Boolean)) {
+          try {
+            await sendBookingNotificationsForBooking(leg);
+          } catch (notifError) {
+            const logger = require("../utils/logger");
+            logger.error(`[NOTIFICATION] Failed to send phone booking notifications: ${notifError?.message || notifError}`);
+          }
+        }
+      });
+    }
+
+    return successResponse(
+      res,
+      {
+        booking: toBookingResponse(booking),
+        returnBooking: returnBooking ? toBookingResponse(returnBooking) : null,
+        paymentSessionUrl,
+        paymentAmount: paymentAmount.toFixed(2),
+      },
+      "Booking created successfully",
+      201
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Group booking: one parent, one child ride per vehicle, paid in a single checkout
+ */
+exports.createGroupBooking = catchAsync(async (req, res) => {
+  try {
+    const payload = buildBookingPayload(req);
+    const { group, bookings } = await createGroupBookingService(payload, req.groupFareQuote);
+
+    const [firstBooking, ...otherBookings] = bookings;
+    const paymentResult = await createPaymentSessionForBooking(
+      firstBooking._id,
+      req.groupFareQuote.total,
+      payload.email,
+      process.env.CLIENT_URL,
+      otherBookings.map((booking) => booking._id)
+    );
+
+    return successResponse(
+      res,
+      {
+        group,
+        bookings: bookings.map(toBookingResponse),
+        cancellationTokens: bookings.map((booking) => ({
+          bookingId: booking._id,
+          orderNumber: booking.orderNumber,
+          token: signBookingToken(booking, "cancel"),
+        })),
+        paymentSessionUrl: paymentResult.sessionUrl,
+        paymentAmount: req.groupFareQuote.total.toFixed(2),
+      },
+      "Group booking created successfully",
+      201
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+// Admin only: the group and its children carry customer contact details and prices
+exports.getGroupBooking = catchAsync(async (req, res) => {
+  try {
+    const { group, bookings } = await getGroupBookingService(req.params.groupId);
+    return successResponse(
+      res,
+      { group, bookings: bookings.map(toBookingResponse) },
+      "Group booking fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.getGroupBookings = catchAsync(async (req, res) => {
+  try {
+    const { page = 1, limit = 12, status } = req.query;
+    const result = await getGroupBookingsService(page, limit, status);
+    return successResponse(
+      res,
+      { groups: result.groups, pagination: result.pagination },
+      "Group bookings fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.getFareQuote = catchAsync(async (req, res) => {
+  try {
+    const quote = calculateFare(req.body);
+    return successResponse(res, { quote }, "Fare calculated successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
 exports.sendBookingNotifications = catchAsync(async (req, res) => {
   const startTime = Date.now();
   try {
@@ -142,13 +333,14 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
     if (!booking) {
       return errorResponse(res, "Booking not found", 404);
     }
-    const actualPriceNumber = parseFloat(String(booking.actualPrice || booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
-    const isAutoAssigned = actualPriceNumber <= 150 && booking.assignmentType === "auto";
+    const isAutoAssigned = booking.assignmentType === "auto";
 
     try {
       if (booking.email) {
         try {
-          const customerEmailHtml = bookingConfirmationEmail(booking);
+          const customerEmailHtml = bookingConfirmationEmail(booking, {
+            cancelUrl: buildCancellationUrl(booking),
+          });
           await sendEmail({
             email: booking.email,
             subject: `Booking Confirmation`,
@@ -192,7 +384,18 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
       });
     }
 
+    // Sequential dispatch offers the ride to the nearest drivers first (config/dispatch.js)
+    let dispatchStarted = false;
     if (isAutoAssigned) {
+      try {
+        dispatchStarted = await startDispatch(booking);
+      } catch (dispatchError) {
+        console.error(`[BOOKING] Failed to start dispatch:`, dispatchError.stack);
+      }
+    }
+    const broadcastToDrivers = isAutoAssigned && !dispatchStarted;
+
+    if (broadcastToDrivers) {
       try {
         const fcmResult = await notifyAllDriversNewBooking(booking);
       } catch (fcmError) {
@@ -204,7 +407,7 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
       }
     }
 
-    scheduleBookingExpiry(booking);
+    await scheduleBookingExpiry(booking);
 
     try {
       const logger = require("../utils/logger");
@@ -217,7 +420,7 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
         }
       }
 
-      if (isAutoAssigned) {
+      if (broadcastToDrivers) {
         try {
           await notifyNewBooking(booking);
         } catch (notificationError) {
@@ -227,7 +430,7 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
         }
       }
 
-      if (isAutoAssigned && booking.status === "pending" && !booking.isExpired) {
+      if (broadcastToDrivers && booking.status === "pending" && !booking.isExpired) {
         try {
           await notifyLiveBookingAdded(booking);
           logger.info(`[REALTIME] Added auto-assigned booking ${booking._id} to LIVE API`);
@@ -236,7 +439,7 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
             console.error(`[BOOKING] Failed to add to live bookings:`, liveError.stack);
           }
         }
-      } else if (actualPriceNumber > 150) {
+      } else if (!isAutoAssigned) {
         logger.info(`[REALTIME] Admin-assigned booking ${booking._id} - skipping LIVE API (will be in ASSIGNED API when admin assigns)`);
       }
     } catch (globalError) {
@@ -251,6 +454,9 @@ exports.sendBookingNotifications = catchAsync(async (req, res) => {
     booking.notificationsSentAt = new Date();
     await booking.save();
 
+    // Customer reminders start once the booking is confirmed
+    await scheduleBookingReminder(booking);
+
     const endTime = Date.now();
     const executionTime = ((endTime - startTime) / 1000).toFixed(3);
     console.log(`[BOOKING] Booking notifications sent successfully in ${executionTime}s (Booking ID: ${bookingId})`);
@@ -291,19 +497,94 @@ exports.getBookingByOrderNumber = catchAsync(async (req, res) => {
   }
 });
 
+exports.getCancellationQuote = catchAsync(async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const quote = await getCancellationQuoteService(orderNumber, req.query.token);
+    return successResponse(res, { quote }, "Cancellation quote fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.cancelBooking = catchAsync(async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { token, reason, cancelLinkedLeg } = req.body;
+    const { booking, previousDriverId, linkedLeg } = await cancelBookingService(
+      orderNumber,
+      token,
+      reason,
+      { cancelLinkedLeg: cancelLinkedLeg === true }
+    );
+
+    const cancelledLegs = [{ booking, previousDriverId }];
+    if (linkedLeg && !linkedLeg.decisionRequired) {
+      cancelledLegs.push(linkedLeg);
+    }
+
+    // Return response immediately - notifications run in background
+    const response = successResponse(
+      res,
+      {
+        booking: toBookingResponse(booking),
+        linkedBooking: linkedLeg ? toBookingResponse(linkedLeg.booking) : null,
+        linkedBookingDecisionRequired: linkedLeg ? linkedLeg.decisionRequired : false,
+      },
+      linkedLeg && linkedLeg.decisionRequired
+        ? "Booking cancelled successfully. The linked return trip is still active."
+        : "Booking cancelled successfully"
+    );
+
+    setImmediate(async () => {
+      for (const leg of cancelledLegs) {
+        try {
+          await notifyBookingCancelled(leg.booking, leg.previousDriverId);
+        } catch (notifError) {
+          const logger = require("../utils/logger");
+          logger.error(`[NOTIFICATION] Failed to send booking cancellation notification: ${notifError?.message || notifError}`);
+        }
+
+        // Remove from live bookings in case it was still pending
+        try {
+          await notifyLiveBookingRemoved(leg.booking);
+        } catch (liveError) {
+          // Non-critical, continue
+        }
+      }
+
+      if (linkedLeg && linkedLeg.decisionRequired) {
+        try {
+          await notifyLinkedLegReviewRequired(linkedLeg.booking);
+        } catch (notifError) {
+          // Non-critical, continue
+        }
+      }
+    });
+
+    return response;
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
 exports.assignDriverToBooking = catchAsync(async (req, res) => {
   try {
     const { bookingId } = req.params;
     const { driverId } = req.body;
     const bookingBeforeUpdate = await Booking.findById(bookingId).lean();
-    const booking = await assignDriverToBookingService(bookingId, driverId);
+    const booking = await assignDriverToBookingService(bookingId, driverId, req.user.id);
     const wasExpired = bookingBeforeUpdate?.isExpired === true;
+    // Overlapping rides do not block an admin assignment, they are returned as warnings
+    const warnings = await getScheduleConflictWarnings(driverId, booking);
 
     // Return response immediately - notifications run in background
     const response = successResponse(
       res,
-      { booking: toBookingResponse(booking) },
-      "Driver assigned to booking successfully"
+      { booking: toBookingResponse(booking), warnings },
+      warnings.length > 0
+        ? "Driver assigned to booking with schedule conflicts"
+        : "Driver assigned to booking successfully"
     );
 
     // Send notifications in background (non-blocking)
@@ -383,7 +664,7 @@ exports.unassignDriver = catchAsync(async (req, res) => {
     const bookingBeforeUnassign = await Booking.findById(bookingId);
     if (!bookingBeforeUnassign || !bookingBeforeUnassign.driverId) {
       // If no driver assigned, just proceed with unassign (will throw error in service)
-      const booking = await unassignDriverService(bookingId);
+      const booking = await unassignDriverService(bookingId, req.user.id);
       return successResponse(
         res,
         { booking: toBookingResponse(booking) },
@@ -392,7 +673,7 @@ exports.unassignDriver = catchAsync(async (req, res) => {
     }
 
     const driverId = bookingBeforeUnassign.driverId.toString();
-    const booking = await unassignDriverService(bookingId);
+    const booking = await unassignDriverService(bookingId, req.user.id);
 
     // Notify the unassigned driver
     try {
@@ -481,7 +762,7 @@ exports.viewHighPriceBookings = catchAsync(async (req, res) => {
         bookings: result.bookings.map(toBookingResponse),
         pagination: result.pagination,
       },
-      "High price bookings (above 150) fetched successfully"
+      `High price bookings (above ${getSetting("assignmentPriceThreshold")}) fetched successfully`
     );
   } catch (err) {
     return handleServiceError(res, err);
@@ -498,7 +779,38 @@ exports.viewLowPriceBookings = catchAsync(async (req, res) => {
         bookings: result.bookings.map(toBookingResponse),
         pagination: result.pagination,
       },
-      "Low price bookings (150 and below) fetched successfully"
+      `Low price bookings (${getSetting("assignmentPriceThreshold")} and below) fetched successfully`
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.getBookingsForReview = catchAsync(async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+    const result = await getBookingsForReviewService(page, limit);
+    return successResponse(
+      res,
+      {
+        bookings: result.bookings.map(toBookingResponse),
+        pagination: result.pagination,
+      },
+      "Bookings requiring review fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.resolveAdminReview = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const booking = await resolveAdminReviewService(bookingId, req.user.id, req.body.note);
+    return successResponse(
+      res,
+      { booking: toBookingResponse(booking) },
+      "Booking review resolved successfully"
     );
   } catch (err) {
     return handleServiceError(res, err);
@@ -575,57 +887,18 @@ exports.getLiveBookings = catchAsync(async (req, res) => {
   }
 });
 
+// ===== DRIVER: BOOKING LIFECYCLE =====
+// Timers and notifications for these actions run as state machine hooks (services/bookingStateMachine.js)
 exports.acceptBooking = catchAsync(async (req, res) => {
   try {
     const { bookingId } = req.params;
     const driverId = req.user.id;
     const booking = await acceptBookingService(bookingId, driverId);
-
-    // Clear expiry timer when booking is accepted
-    clearExpiryTimer(bookingId);
-
-    // Schedule 30-minute reminder if booking is in the future and within 48 hours
-    // This will send push notification and real-time notification 30 minutes before booking time
-    try {
-      scheduleBookingReminder(booking);
-    } catch (reminderError) {
-      console.error(`[BOOKING] Failed to schedule reminder for booking ${bookingId}:`, reminderError.message);
-      // Don't throw - reminder scheduling shouldn't fail booking acceptance
-    }
-
-    // Return response immediately - notifications run in background
-    const response = successResponse(
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking accepted successfully"
     );
-
-    // Send notifications in background (non-blocking)
-    // Use setImmediate to ensure response is sent first, then process notifications
-    setImmediate(async () => {
-      try {
-
-        // Send real-time notifications to other drivers
-        // This will remove the booking from their available list
-        try {
-          await handleNotification(notifyBookingAccepted(booking, driverId));
-        } catch (notifError) {
-        }
-
-        // Send live booking removed notification (booking is no longer pending/live)
-        try {
-          await notifyLiveBookingRemoved(booking);
-        } catch (liveError) {
-          // Non-critical, continue
-        }
-
-      } catch (globalError) {
-        if (globalError.stack) {
-        }
-      }
-    });
-
-    return response;
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -635,41 +908,12 @@ exports.rejectBooking = catchAsync(async (req, res) => {
   try {
     const { bookingId } = req.params;
     const driverId = req.user.id;
-    const { reason } = req.body;
-    const booking = await rejectBookingService(bookingId, driverId, reason);
-
-    // Return response immediately - notifications run in background
-    const response = successResponse(
+    const booking = await rejectBookingService(bookingId, driverId, req.body.reason);
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking rejected successfully"
     );
-
-    // Send real-time notifications in background (non-blocking)
-    setImmediate(async () => {
-      try {
-        // Send real-time notifications (don't use handleNotification to avoid delays)
-        await notifyBookingRejected(booking, driverId);
-
-        // If booking is still pending after rejection, update live bookings
-        // If booking is rejected, remove from live bookings
-        try {
-          if (booking.status === "rejected") {
-            await notifyLiveBookingRemoved(booking);
-          } else if (booking.status === "pending") {
-            await notifyLiveBookingUpdated(booking);
-          }
-        } catch (liveError) {
-          // Non-critical, continue
-        }
-      } catch (notifError) {
-        // Log error but don't fail - notifications are non-critical
-        const logger = require("../utils/logger");
-        logger.error(`[NOTIFICATION] Failed to send booking rejection notification: ${notifError?.message || notifError}`);
-      }
-    });
-
-    return response;
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -694,26 +938,11 @@ exports.startBooking = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
     const driverId = req.user.id;
     const booking = await startBookingService(bookingId, driverId);
-
-    // Safety: clear expiry timer once started
-    clearExpiryTimer(bookingId);
-
-    // Return response immediately - notifications run in background
-    const response = successResponse(
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking started successfully"
     );
-
-    // Send real-time notifications in background (non-blocking)
-    setImmediate(async () => {
-      try {
-        await notifyBookingStatusUpdate(booking, driverId, "started");
-      } catch (notifError) {
-      }
-    });
-
-    return response;
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -733,32 +962,46 @@ exports.activeBooking = catchAsync(async (req, res) => {
   }
 });
 
-exports.pickupBooking = catchAsync(async (req, res) => {
+exports.arriveBooking = catchAsync(async (req, res) => {
   try {
     const { bookingId } = req.params;
     const driverId = req.user.id;
-    const booking = await pickupBookingService(bookingId, driverId);
+    const booking = await arriveBookingService(bookingId, driverId);
+    return successResponse(
+      res,
+      { booking: toBookingResponse(booking) },
+      "Booking marked as arrived successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
 
-    // Safety: clear expiry timer and reminder timer once picked up
-    clearExpiryTimer(bookingId);
-    clearReminderTimer(bookingId);
+exports.markNoShow = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const driverId = req.user.id;
+    const booking = await markNoShowService(bookingId, driverId);
+    return successResponse(
+      res,
+      { booking: toBookingResponse(booking) },
+      "Customer no-show recorded successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
 
-    // Return response immediately - notifications run in background
-    const response = successResponse(
+exports.pickupBooking = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const driverId = req.user.id;
+    const booking = await pickupBookingService(bookingId, driverId);
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking marked as picked up successfully"
     );
-
-    // Send real-time notifications in background (non-blocking)
-    setImmediate(async () => {
-      try {
-        await notifyBookingStatusUpdate(booking, driverId, "picked_up");
-      } catch (notifError) {
-      }
-    });
-
-    return response;
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -769,26 +1012,27 @@ exports.dropoffBooking = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
     const driverId = req.user.id;
     const booking = await dropoffBookingService(bookingId, driverId);
-
-    // Safety: clear expiry timer once dropped off
-    clearExpiryTimer(bookingId);
-
-    // Return response immediately - notifications run in background
-    const response = successResponse(
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking marked as dropped off successfully"
     );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
 
-    // Send real-time notifications in background (non-blocking)
-    setImmediate(async () => {
-      try {
-        await notifyBookingStatusUpdate(booking, driverId, "dropped_off");
-      } catch (notifError) {
-      }
-    });
-
-    return response;
+exports.addSurcharge = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const driverId = req.user.id;
+    const { type, minutes, location, note } = req.body;
+    const booking = await addSurchargeService(bookingId, driverId, { type, minutes, location, note });
+    return successResponse(
+      res,
+      { booking: toBookingResponse(booking) },
+      "Surcharge added successfully"
+    );
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -799,31 +1043,11 @@ exports.completeBooking = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
     const driverId = req.user.id;
     const booking = await completeBookingService(bookingId, driverId);
-    clearExpiryTimer(bookingId);
-    clearReminderTimer(bookingId);
-    const response = successResponse(
+    return successResponse(
       res,
       { booking: toBookingResponse(booking) },
       "Booking completed successfully"
     );
-    setImmediate(async () => {
-      try {
-        try {
-          await notifyAdminBookingCompleted(booking, driverId);
-        } catch (adminNotifError) {
-        }
-        try {
-          await notifyBookingStatusUpdate(booking, driverId, "completed");
-        } catch (statusNotifError) {
-        }
-
-      } catch (globalError) {
-        if (globalError.stack) {
-        }
-      }
-    });
-
-    return response;
   } catch (err) {
     return handleServiceError(res, err);
   }
@@ -919,10 +1143,135 @@ exports.getAdminCompletedBookings = catchAsync(async (req, res) => {
   }
 });
 
+exports.resolveLinkedLegReview = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { action } = req.body;
+    const { booking, previousDriverId, cancelled } = await resolveLinkedLegReviewService(bookingId, action, req.user.id);
+
+    const response = successResponse(
+      res,
+      { booking: toBookingResponse(booking) },
+      cancelled ? "Linked booking cancelled successfully" : "Linked booking kept"
+    );
+
+    if (cancelled) {
+      setImmediate(async () => {
+        try {
+          await notifyBookingCancelled(booking, previousDriverId);
+        } catch (notifError) {
+          const logger = require("../utils/logger");
+          logger.error(`[NOTIFICATION] Failed to send booking cancellation notification: ${notifError?.message || notifError}`);
+        }
+
+        try {
+          await notifyLiveBookingRemoved(booking);
+        } catch (liveError) {
+          // Non-critical, continue
+        }
+      });
+    }
+
+    return response;
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Rides of a driver that would overlap a booking (admin assignment UI, before assigning)
+ * GET /api/bookings/:bookingId/schedule-conflicts?driverId=...
+ */
+exports.getScheduleConflicts = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { driverId } = req.query;
+    const warnings = await getScheduleConflictWarningsForBooking(bookingId, driverId);
+    return successResponse(
+      res,
+      { bookingId, driverId, hasConflicts: warnings.length > 0, warnings },
+      "Schedule conflicts fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.getBookingHistory = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { booking, events } = await getBookingHistoryService(bookingId);
+    return successResponse(
+      res,
+      {
+        booking: booking ? toBookingResponse(booking) : null,
+        events,
+      },
+      "Booking history fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+exports.updateBooking = catchAsync(async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { booking, changes, linkedLeg } = await updateBookingService(bookingId, req.body, req.user.id);
+    const changedFields = Object.keys(changes);
+
+    const response = successResponse(
+      res,
+      {
+        booking: toBookingResponse(booking),
+        changedFields,
+        linkedBooking: linkedLeg ? toBookingResponse(linkedLeg) : null,
+      },
+      changedFields.length > 0 ? "Booking updated successfully" : "No changes to apply"
+    );
+
+    if (changedFields.length === 0) {
+      return response;
+    }
+
+    setImmediate(async () => {
+      if (booking.driverId) {
+        try {
+          await notifyBookingUpdated(booking, booking.driverId, changes);
+        } catch (notifError) {
+          const logger = require("../utils/logger");
+          logger.error(`[NOTIFICATION] Failed to send booking update notification: ${notifError?.message || notifError}`);
+        }
+      }
+
+      // Keep the live feed in sync for bookings still waiting for a driver
+      if (booking.status === "pending" && !booking.isExpired && booking.assignmentType === "auto") {
+        try {
+          await notifyLiveBookingUpdated(booking);
+        } catch (liveError) {
+          // Non-critical, continue
+        }
+      }
+
+      if (linkedLeg) {
+        try {
+          await notifyLinkedLegReviewRequired(linkedLeg);
+        } catch (notifError) {
+          // Non-critical, continue
+        }
+      }
+    });
+
+    return response;
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
 exports.deleteBooking = catchAsync(async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const booking = await deleteBookingService(bookingId);
+    const booking = await deleteBookingService(bookingId, req.user.id);
     setImmediate(async () => {
       try {
         await notifyLiveBookingRemoved(booking);
@@ -0,0 +1,73 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const {
+  createCommissionRule: createCommissionRuleService,
+  getCommissionRules: getCommissionRulesService,
+  getCommissionRuleById: getCommissionRuleByIdService,
+  updateCommissionRule: updateCommissionRuleService,
+  deleteCommissionRule: deleteCommissionRuleService,
+} = require("../services/commission.service");
+
+/**
+ * Create a commission rule
+ * POST /api/commission-rules
+ */
+exports.createCommissionRule = catchAsync(async (req, res) => {
+  try {
+    const rule = await createCommissionRuleService(req.body, req.user.id);
+    return successResponse(res, { rule }, "Commission rule created successfully", 201);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * List commission rules (?isActive=true|false)
+ * GET /api/commission-rules
+ */
+exports.getCommissionRules = catchAsync(async (req, res) => {
+  try {
+    const rules = await getCommissionRulesService({ isActive: req.query.isActive });
+    return successResponse(res, { rules }, "Commission rules fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * GET /api/commission-rules/:ruleId
+ */
+exports.getCommissionRule = catchAsync(async (req, res) => {
+  try {
+    const rule = await getCommissionRuleByIdService(req.params.ruleId);
+    return successResponse(res, { rule }, "Commission rule fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Update a rule; only future bookings are affected (existing ones keep their snapshot)
+ * PATCH /api/commission-rules/:ruleId
+ */
+exports.updateCommissionRule = catchAsync(async (req, res) => {
+  try {
+    const rule = await updateCommissionRuleService(req.params.ruleId, req.body, req.user.id);
+    return successResponse(res, { rule }, "Commission rule updated successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/commission-rules/:ruleId
+ */
+exports.deleteCommissionRule = catchAsync(async (req, res) => {
+  try {
+    await deleteCommissionRuleService(req.params.ruleId);
+    return successResponse(res, null, "Commission rule deleted successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
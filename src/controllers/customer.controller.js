@@ -0,0 +1,162 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const {
+  requestLoginCode,
+  verifyLoginCode,
+  refreshSession,
+  logout: logoutService,
+  getProfile: getProfileService,
+  updateProfile: updateProfileService,
+  getBookingHistory,
+  addPhone: addPhoneService,
+  addAddress: addAddressService,
+  removeSavedItem,
+} = require("../services/customer.service");
+
+/**
+ * Email a login code (creates the account on first use)
+ * POST /api/customers/auth/request-otp
+ */
+exports.requestOtp = catchAsync(async (req, res) => {
+  try {
+    await requestLoginCode(req.body.email);
+    return successResponse(res, {}, "A login code has been sent to your email.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Log in with the emailed code ({ email, otp })
+ * POST /api/customers/auth/verify-otp
+ */
+exports.verifyOtp = catchAsync(async (req, res) => {
+  try {
+    const { email, otp } = req.body;
+    const result = await verifyLoginCode(email, otp);
+    return successResponse(res, result, "Logged in successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Rotate tokens ({ refreshToken })
+ * POST /api/customers/auth/refresh-token
+ */
+exports.refreshToken = catchAsync(async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken);
+    return successResponse(res, result, "Tokens refreshed successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * End all sessions
+ * POST /api/customers/auth/logout
+ */
+exports.logout = catchAsync(async (req, res) => {
+  try {
+    await logoutService(req.user.id);
+    return successResponse(res, {}, "Logged out successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Profile with saved phone numbers and addresses
+ * GET /api/customers/me
+ */
+exports.getProfile = catchAsync(async (req, res) => {
+  try {
+    const customer = await getProfileService(req.user.id);
+    return successResponse(res, { customer }, "Profile fetched successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Update profile ({ name })
+ * PATCH /api/customers/me
+ */
+exports.updateProfile = catchAsync(async (req, res) => {
+  try {
+    const customer = await updateProfileService(req.user.id, { name: req.body.name });
+    return successResponse(res, { customer }, "Profile updated successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Booking history (?status=completed&page=1&limit=10)
+ * GET /api/customers/me/bookings
+ */
+exports.getMyBookings = catchAsync(async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await getBookingHistory(req.user.id, { status, page, limit });
+    return successResponse(res, result, "Bookings fetched successfully.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Save a phone number ({ label, number })
+ * POST /api/customers/me/phones
+ */
+exports.addPhone = catchAsync(async (req, res) => {
+  try {
+    const { label, number } = req.body;
+    const customer = await addPhoneService(req.user.id, { label, number });
+    return successResponse(res, { customer }, "Phone number saved.", 201);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Remove a saved phone number
+ * DELETE /api/customers/me/phones/:phoneId
+ */
+exports.removePhone = catchAsync(async (req, res) => {
+  try {
+    const customer = await removeSavedItem(req.user.id, "phones", req.params.phoneId);
+    return successResponse(res, { customer }, "Phone number removed.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Save an address ({ label, address, house_no, coordinates: { lat, lng } })
+ * POST /api/customers/me/addresses
+ */
+exports.addAddress = catchAsync(async (req, res) => {
+  try {
+    const { label, address, house_no, coordinates } = req.body;
+    const customer = await addAddressService(req.user.id, { label, address, house_no, coordinates });
+    return successResponse(res, { customer }, "Address saved.", 201);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Remove a saved address
+ * DELETE /api/customers/me/addresses/:addressId
+ */
+exports.removeAddress = catchAsync(async (req, res) => {
+  try {
+    const customer = await removeSavedItem(req.user.id, "addresses", req.params.addressId);
+    return successResponse(res, { customer }, "Address removed.");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
@@ -16,6 +16,15 @@ const { promisify } = require("util");
 const AppError = require("../utils/appError");
 const APIFeatures = require("../utils/apiFeatures");
 const { notifyDriverRegistered, notifyDriverStatusChanged, notifyDriverProfileUpdated, notifyDriverAccountDeleted } = require("../services/driverNotifications");
+const {
+  updateDriverLocation,
+  getOnlineDriverLocations,
+  getDriverTrail: getDriverTrailService,
+} = require("../services/driverLocation.service");
+const { handleServiceError } = require("../utils/booking.utils");
+const { getDriverRatingSummary } = require("../services/review.service");
+const { getTipSummary } = require("../services/tip.service");
+const { channels } = require("../utils/notificationEvents");
 const { MAX_TOTAL_SIZE_BYTES, MAX_FILE_SIZE_BYTES, MAX_FILE_SIZE_MB, MAX_TOTAL_SIZE_MB } = require("../../config/uploadLimits");
 
 // ===== REGISTER DRIVER =====
@@ -398,6 +407,54 @@ exports.setOnlineStatus = catchAsync(async (req, res) => {
   return successResponse(res, { isOnline }, `Driver is now ${isOnline ? "online" : "offline"}`, 200);
 });
 
+// ===== DRIVER: LIVE LOCATION =====
+exports.updateLocation = catchAsync(async (req, res) => {
+  try {
+    const result = await updateDriverLocation(req.user.id, req.body);
+    return successResponse(
+      res,
+      result,
+      result.accepted ? "Location updated" : "Location ignored (older or too frequent)",
+      200
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+// ===== DRIVER: ABLY TOKEN (identified client for realtime + location publishing) =====
+exports.getAblyToken = catchAsync(async (req, res) => {
+  const { ablyRest } = require("../../config/ably");
+  if (!ablyRest) return errorResponse(res, "Realtime service unavailable.", 503);
+
+  const driverId = req.user.id.toString();
+  const tokenRequest = await ablyRest.auth.createTokenRequest({
+    clientId: channels.DRIVER(driverId), // Same "driver-{id}" clientId the app already uses
+    capability: JSON.stringify({
+      [channels.DRIVER(driverId)]: ["subscribe", "presence", "history"],
+      [channels.DRIVERS]: ["subscribe", "history"],
+      [channels.DRIVER_LOCATIONS]: ["publish"],
+    }),
+  });
+
+  return successResponse(res, { tokenRequest }, "Ably token request created", 200);
+});
+
+// ===== ADMIN: LIVE MAP =====
+exports.getDriverLocations = catchAsync(async (req, res) => {
+  const drivers = await getOnlineDriverLocations();
+  return successResponse(res, { drivers }, "Driver locations fetched successfully", 200);
+});
+
+exports.getDriverTrail = catchAsync(async (req, res) => {
+  try {
+    const result = await getDriverTrailService(req.params.driverId);
+    return successResponse(res, result, "Driver trail fetched successfully", 200);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
 exports.getDriverProfile = catchAsync(async (req, res) => {
   const driver = await Driver.findById(req.user.id)
     .select("firstName lastName email phone profilePicture isVerified status isOnline")
@@ -653,6 +710,25 @@ exports.getAllDrivers = catchAsync(async (req, res) => {
   );
 });
 
+// ===== ADMIN: SET DRIVER FLEET (used by commission rules) =====
+exports.setDriverFleet = catchAsync(async (req, res) => {
+  const { driverId } = req.params;
+  const { fleet } = req.body;
+
+  if (fleet !== null && (typeof fleet !== "string" || fleet.trim().length > 50)) {
+    return errorResponse(res, "Fleet must be a name of at most 50 characters, or null to remove it.", 400);
+  }
+
+  const driver = await Driver.findByIdAndUpdate(
+    driverId,
+    { fleet: fleet ? fleet.trim() : null },
+    { new: true, runValidators: false }
+  ).select("_id firstName lastName email fleet");
+  if (!driver) return errorResponse(res, "Driver not found.", 404);
+
+  return successResponse(res, { driver }, "Driver fleet updated successfully");
+});
+
 // ===== ADMIN: APPROVE OR REJECT DRIVER =====
 exports.approveDriver = catchAsync(async (req, res) => {
   const { driverId, status } = req.body;
@@ -1434,34 +1510,14 @@ exports.getDriverStats = catchAsync(async (req, res) => {
     status: "completed",
   });
 
-  // Calculate average rating from completed bookings (if rating field exists)
-  // Note: Rating field may not exist yet in the schema, so we handle it gracefully
-  let averageRating = null;
-  let totalRatings = 0;
-  
-  try {
-    const completedBookingsWithRating = await Booking.find({
-      driverId: driverId,
-      status: "completed",
-      rating: { $exists: true, $ne: null },
-    })
-      .select("rating")
-      .lean();
-
-    if (completedBookingsWithRating.length > 0) {
-      const ratings = completedBookingsWithRating
-        .map((booking) => booking.rating)
-        .filter((rating) => rating !== null && rating !== undefined && !isNaN(rating) && rating >= 1 && rating <= 5);
-
-      if (ratings.length > 0) {
-        totalRatings = ratings.length;
-        const sum = ratings.reduce((acc, rating) => acc + rating, 0);
-        averageRating = Math.round((sum / ratings.length) * 100) / 100;
-      }
-    }
-  } catch (error) {
-    // Rating field doesn't exist yet, return null
-  }
+  // Average of visible (not hidden) customer reviews
+  const { averageRating, totalRatings } = await getDriverRatingSummary(driverId);
+
+  // Tips are credited on top of ride earnings and reported separately
+  const [todayTips, allTips] = await Promise.all([
+    getTipSummary({ driverId, from: today, to: tomorrow }),
+    getTipSummary({ driverId }),
+  ]);
 
   return successResponse(
     res,
@@ -1471,6 +1527,9 @@ exports.getDriverStats = catchAsync(async (req, res) => {
         completedRides,
         averageRating,
         totalRatings,
+        todayTips: todayTips.totalTips,
+        totalTips: allTips.totalTips,
+        tipCount: allTips.tipCount,
         currency: "EUR",
       },
     },
@@ -1562,32 +1621,9 @@ exports.getDriverCompleteDetails = catchAsync(async (req, res) => {
     status: "completed",
   });
 
-  let averageRating = null;
-  let totalRatings = 0;
-
-  try {
-    const completedBookingsWithRating = await Booking.find({
-      driverId: driverId,
-      status: "completed",
-      rating: { $exists: true, $ne: null },
-    })
-      .select("rating")
-      .lean();
-
-    if (completedBookingsWithRating.length > 0) {
-      const ratings = completedBookingsWithRating
-        .map((booking) => booking.rating)
-        .filter((rating) => rating !== null && rating !== undefined && !isNaN(rating) && rating >= 1 && rating <= 5);
-
-      if (ratings.length > 0) {
-        totalRatings = ratings.length;
-        const sum = ratings.reduce((acc, rating) => acc + rating, 0);
-        averageRating = Math.round((sum / ratings.length) * 100) / 100;
-      }
-    }
-  } catch (error) {
-    // Rating field not available
-  }
+  // Average of visible (not hidden) customer reviews
+  const { averageRating, totalRatings } = await getDriverRatingSummary(driverId);
+  const { totalTips, tipCount } = await getTipSummary({ driverId });
 
   // Check document completion status
   const requiredDocuments = [
@@ -1665,6 +1701,8 @@ exports.getDriverCompleteDetails = catchAsync(async (req, res) => {
       completedRides,
       averageRating,
       totalRatings,
+      totalTips,
+      tipCount,
       currency: "EUR",
     },
     
@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const catchAsync = require("../utils/catchAsync");
+const { successResponse, errorResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const {
+  runDueJobs,
+  getJobs: getJobsService,
+  retryJob: retryJobService,
+} = require("../services/jobQueue.service");
+const { JOB_RUNNER_SECRET } = require("../../config/jobQueue");
+
+const isValidRunnerToken = (header) => {
+  if (!JOB_RUNNER_SECRET || !header || !header.startsWith("Bearer ")) {
+    return false;
+  }
+  const token = Buffer.from(header.slice("Bearer ".length));
+  const secret = Buffer.from(JOB_RUNNER_SECRET);
+  return token.length === secret.length && crypto.timingSafeEqual(token, secret);
+};
+
+/**
+ * Run one batch of due jobs (serverless deployments, called by a cron with CRON_SECRET)
+ * GET /api/jobs/run
+ */
+exports.runJobs = catchAsync(async (req, res) => {
+  if (!isValidRunnerToken(req.headers.authorization)) {
+    return errorResponse(res, "Unauthorized", 401);
+  }
+  try {
+    const result = await runDueJobs();
+    return successResponse(res, result, "Due jobs processed");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * List jobs (?status=failed&name=booking-expiry&page=1&limit=50)
+ * GET /api/jobs
+ */
+exports.getJobs = catchAsync(async (req, res) => {
+  try {
+    const { status, name, page, limit } = req.query;
+    const result = await getJobsService({ status, name, page, limit });
+    return successResponse(res, result, "Jobs fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Run a failed job again
+ * POST /api/jobs/:jobId/retry
+ */
+exports.retryJob = catchAsync(async (req, res) => {
+  try {
+    const job = await retryJobService(req.params.jobId);
+    return successResponse(res, { job }, "Job queued for retry");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
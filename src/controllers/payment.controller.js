@@ -6,6 +6,7 @@ const { successResponse, errorResponse } = require("../utils/response");
 const { verifyWebhookSignature, getStripe } = require("../utils/stripe");
 const { confirmPaymentAndNotify } = require("../services/paymentConfirmation.service");
 const { verifyAndConfirmPaymentBySessionId } = require("../services/payment.service");
+const { isTipSession, confirmTipPayment } = require("../services/tip.service");
 
 exports.handleWebhook = catchAsync(async (req, res) => {
   const sig = req.headers["stripe-signature"];
@@ -84,6 +85,12 @@ exports.handleWebhook = catchAsync(async (req, res) => {
 });
 
 const handleCheckoutSessionCompleted = async (session) => {
+  // Tips have no Payment record; they are credited to the driver's wallet
+  if (isTipSession(session)) {
+    await confirmTipPayment(session);
+    return;
+  }
+
   const payment = await Payment.findOne({ stripeSessionId: session.id });
   if (!payment) {
     console.error(`[WEBHOOK] Payment not found for session: ${session.id}`);
@@ -125,6 +132,13 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
       { new: true }
     );
 
+    if (payment.linkedBookingIds && payment.linkedBookingIds.length > 0) {
+      await Booking.updateMany(
+        { _id: { $in: payment.linkedBookingIds } },
+        { $set: { isPaid: true, paymentId: payment._id } }
+      );
+    }
+
     if (booking && !booking.isPaid) {
       await confirmPaymentAndNotify(payment.bookingId, payment._id);
     }
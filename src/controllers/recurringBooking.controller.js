@@ -0,0 +1,155 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { toBookingResponse, handleServiceError } = require("../utils/booking.utils");
+const {
+  notifyBookingCancelled,
+  notifyLiveBookingRemoved,
+} = require("../services/bookingNotifications");
+const {
+  createRecurringBooking: createRecurringBookingService,
+  getRecurringBookings: getRecurringBookingsService,
+  getRecurringBookingById: getRecurringBookingByIdService,
+  skipOccurrence: skipOccurrenceService,
+  cancelRecurringBooking: cancelRecurringBookingService,
+  notifyGeneratedOccurrences,
+} = require("../services/recurringBooking.service");
+
+/**
+ * Cancellation notifications for bookings cancelled through a series (background)
+ */
+const notifyCancelledOccurrences = (cancelled) => {
+  setImmediate(async () => {
+    for (const { booking, previousDriverId } of cancelled) {
+      try {
+        await notifyBookingCancelled(booking, previousDriverId);
+      } catch (notifError) {
+        const logger = require("../utils/logger");
+        logger.error(`[NOTIFICATION] Failed to send booking cancellation notification: ${notifError?.message || notifError}`);
+      }
+      try {
+        await notifyLiveBookingRemoved(booking);
+      } catch (liveError) {
+        // Non-critical, continue
+      }
+    }
+  });
+};
+
+/**
+ * Create a recurring series
+ * POST /api/recurring-bookings
+ */
+exports.createRecurringBooking = catchAsync(async (req, res) => {
+  try {
+    const { template, recurrence, paymentMethod, preferredDriverId } = req.body;
+    const { series, occurrences } = await createRecurringBookingService(
+      { template, recurrence, paymentMethod, preferredDriverId },
+      req.user.id
+    );
+
+    setImmediate(() => notifyGeneratedOccurrences(occurrences));
+
+    return successResponse(
+      res,
+      {
+        recurringBooking: series,
+        bookings: occurrences.map(({ booking }) => toBookingResponse(booking)),
+      },
+      "Recurring booking created successfully",
+      201
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * GET /api/recurring-bookings?page=&limit=&status=
+ */
+exports.getRecurringBookings = catchAsync(async (req, res) => {
+  try {
+    const { page = 1, limit = 12, status } = req.query;
+    const result = await getRecurringBookingsService(page, limit, status);
+    return successResponse(
+      res,
+      { recurringBookings: result.series, pagination: result.pagination },
+      "Recurring bookings fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * GET /api/recurring-bookings/:seriesId
+ */
+exports.getRecurringBooking = catchAsync(async (req, res) => {
+  try {
+    const { series, bookings } = await getRecurringBookingByIdService(req.params.seriesId);
+    return successResponse(
+      res,
+      { recurringBooking: series, bookings: bookings.map(toBookingResponse) },
+      "Recurring booking fetched successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Skip one occurrence (cancels its booking if already generated)
+ * POST /api/recurring-bookings/:seriesId/skip
+ */
+exports.skipOccurrence = catchAsync(async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+    const { series, cancelled } = await skipOccurrenceService(
+      req.params.seriesId,
+      date,
+      req.user.id,
+      reason
+    );
+
+    if (cancelled) {
+      notifyCancelledOccurrences([cancelled]);
+    }
+
+    return successResponse(
+      res,
+      {
+        recurringBooking: series,
+        cancelledBooking: cancelled ? toBookingResponse(cancelled.booking) : null,
+      },
+      "Occurrence skipped successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Cancel the whole series and its upcoming bookings
+ * PATCH /api/recurring-bookings/:seriesId/cancel
+ */
+exports.cancelRecurringBooking = catchAsync(async (req, res) => {
+  try {
+    const { series, cancelled } = await cancelRecurringBookingService(
+      req.params.seriesId,
+      req.user.id,
+      req.body.reason
+    );
+
+    notifyCancelledOccurrences(cancelled);
+
+    return successResponse(
+      res,
+      {
+        recurringBooking: series,
+        cancelledBookings: cancelled.map(({ booking }) => toBookingResponse(booking)),
+      },
+      "Recurring booking cancelled successfully"
+    );
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
@@ -0,0 +1,76 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const {
+  getReviewForm: getReviewFormService,
+  submitReview: submitReviewService,
+  getReviews: getReviewsService,
+  setReviewHidden,
+} = require("../services/review.service");
+
+/**
+ * Ride summary and review tags for the review page (link from the completion email)
+ * GET /api/reviews/:token
+ */
+exports.getReviewForm = catchAsync(async (req, res) => {
+  try {
+    const form = await getReviewFormService(req.params.token);
+    return successResponse(res, form, "Review form fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Submit a review ({ rating: 1-5, comment, tags })
+ * POST /api/reviews/:token
+ */
+exports.submitReview = catchAsync(async (req, res) => {
+  try {
+    const { rating, comment, tags } = req.body;
+    const review = await submitReviewService(req.params.token, { rating, comment, tags });
+    return successResponse(res, { review }, "Thank you for your review", 201);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * List reviews (?driverId=...&hidden=true&maxRating=2&page=1&limit=20)
+ * GET /api/reviews
+ */
+exports.getReviews = catchAsync(async (req, res) => {
+  try {
+    const { driverId, hidden, maxRating, page, limit } = req.query;
+    const result = await getReviewsService({ driverId, hidden, maxRating, page, limit });
+    return successResponse(res, result, "Reviews fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Hide an abusive review ({ reason })
+ * PATCH /api/reviews/:bookingId/hide
+ */
+exports.hideReview = catchAsync(async (req, res) => {
+  try {
+    const review = await setReviewHidden(req.params.bookingId, true, req.user.id, req.body.reason);
+    return successResponse(res, { review }, "Review hidden");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Show a hidden review again
+ * PATCH /api/reviews/:bookingId/unhide
+ */
+exports.unhideReview = catchAsync(async (req, res) => {
+  try {
+    const review = await setReviewHidden(req.params.bookingId, false, req.user.id);
+    return successResponse(res, { review }, "Review visible again");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
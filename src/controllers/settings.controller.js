@@ -0,0 +1,50 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const { publishToChannel } = require("../../config/ably");
+const { channels, events } = require("../utils/notificationEvents");
+const {
+  getSettings: getSettingsService,
+  updateSettings: updateSettingsService,
+} = require("../services/settings.service");
+
+/**
+ * All platform settings with current values and allowed ranges
+ * GET /auth/settings
+ */
+exports.getSettings = catchAsync(async (req, res) => {
+  try {
+    const settings = await getSettingsService();
+    return successResponse(res, { settings }, "Settings fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Update one or more settings, e.g. { "assignmentPriceThreshold": 175 }
+ * PATCH /auth/settings
+ */
+exports.updateSettings = catchAsync(async (req, res) => {
+  try {
+    const { settings, changes } = await updateSettingsService(req.body, req.user.id);
+
+    if (Object.keys(changes).length > 0) {
+      // Keep other open admin dashboards in sync
+      setImmediate(() => {
+        publishToChannel(channels.ADMIN, events.SETTINGS_UPDATED, {
+          changes,
+          updatedBy: req.user.id,
+          timestamp: new Date().toISOString(),
+        }).catch((ablyError) => {
+          const logger = require("../utils/logger");
+          logger.error(`[SETTINGS] Failed to publish settings update: ${ablyError?.message || ablyError}`);
+        });
+      });
+    }
+
+    return successResponse(res, { settings, changes }, "Settings updated successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
@@ -0,0 +1,33 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const {
+  createTipCheckout: createTipCheckoutService,
+  verifyTipBySessionId,
+} = require("../services/tip.service");
+
+/**
+ * Start a Stripe Checkout for a tip ({ amount } in EUR; token from the review link)
+ * POST /api/tips/:token
+ */
+exports.createTipCheckout = catchAsync(async (req, res) => {
+  try {
+    const result = await createTipCheckoutService(req.params.token, { amount: req.body.amount });
+    return successResponse(res, result, "Tip checkout created", 201);
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
+
+/**
+ * Check a tip payment from the checkout success page
+ * GET /api/tips/verify/:sessionId
+ */
+exports.verifyTip = catchAsync(async (req, res) => {
+  try {
+    const tip = await verifyTipBySessionId(req.params.sessionId);
+    return successResponse(res, { tip }, tip.paid ? "Thank you for your tip" : "Tip payment not completed yet");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
@@ -0,0 +1,17 @@
+const catchAsync = require("../utils/catchAsync");
+const { successResponse } = require("../utils/response");
+const { handleServiceError } = require("../utils/booking.utils");
+const { getTripByToken } = require("../services/tracking.service");
+
+/**
+ * Public trip tracking (link sent to the customer)
+ * GET /api/track/:token
+ */
+exports.getTrip = catchAsync(async (req, res) => {
+  try {
+    const trip = await getTripByToken(req.params.token);
+    return successResponse(res, { trip }, "Trip fetched successfully");
+  } catch (err) {
+    return handleServiceError(res, err);
+  }
+});
@@ -4,6 +4,7 @@ const { errorResponse, successResponse } = require("../utils/response");
 const catchAsync = require("../utils/catchAsync");
 const sendEmail = require("../utils/email");
 const { notifyVehicleUploaded } = require("../services/driverNotifications");
+const { getSetting } = require("../services/settings.service");
 
 // ===== DRIVER: ADD VEHICLE =====
 exports.addVehicle = catchAsync(async (req, res) => {
@@ -29,13 +30,14 @@ exports.addVehicle = catchAsync(async (req, res) => {
         return errorResponse(res, "Please verify your account first to add vehicle.", 403);
     }
 
-    // Check vehicle limit - driver can have up to 3 vehicles (exclude soft-deleted)
+    // Check vehicle limit - maxVehiclesPerDriver platform setting (exclude soft-deleted)
+    const maxVehicles = getSetting("maxVehiclesPerDriver");
     const vehicleCount = await Vehicle.countDocuments({ 
         driver: req.user.id,
         deletedAt: null 
     });
-    if (vehicleCount >= 3) {
-        return errorResponse(res, "A driver can only have up to 3 vehicles. Please delete an existing vehicle before adding a new one.", 400);
+    if (vehicleCount >= maxVehicles) {
+        return errorResponse(res, `A driver can only have up to ${maxVehicles} vehicles. Please delete an existing vehicle before adding a new one.`, 400);
     }
 
     // Check if driver already has a vehicle with the same type (exclude soft-deleted)
@@ -0,0 +1,31 @@
+// jobs/generateRecurringBookings.js
+const cron = require("node-cron");
+const { generateDueOccurrences } = require("../services/recurringBooking.service");
+const { RECURRING_HORIZON_DAYS } = require("../../config/recurringBookings");
+const logger = require("../utils/logger");
+const chalk = require("chalk");
+
+/**
+ * Background job that turns recurring series into concrete bookings
+ * up to RECURRING_HORIZON_DAYS ahead. Runs every hour (idempotent).
+ */
+const generateRecurringBookingsJob = () => {
+  const schedule = "15 * * * *"; // Every hour at minute 15
+  logger.info(chalk.cyan(`Cron job initialized: generateRecurringBookings (schedule: every hour, horizon: ${RECURRING_HORIZON_DAYS} days)`));
+
+  cron.schedule(schedule, async () => {
+    const startTime = new Date();
+    try {
+      const { series, created, errors } = await generateDueOccurrences(startTime);
+      if (created > 0 || errors > 0) {
+        const duration = new Date() - startTime;
+        logger.info(chalk.cyan(`Generate recurring bookings job completed: ${series} series, ${created} booking(s) created, ${errors} errors (${duration}ms)`));
+      }
+    } catch (err) {
+      const duration = new Date() - startTime;
+      logger.error(chalk.red(`Generate recurring bookings job error: ${err.message} (${duration}ms)`));
+    }
+  });
+};
+
+module.exports = generateRecurringBookingsJob;
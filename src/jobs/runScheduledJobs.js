@@ -0,0 +1,33 @@
+// jobs/runScheduledJobs.js
+const cron = require("node-cron");
+const { runDueJobs } = require("../services/jobQueue.service");
+const { JOB_POLL_INTERVAL_SECONDS } = require("../../config/jobQueue");
+const logger = require("../utils/logger");
+const chalk = require("chalk");
+
+/**
+ * Background job that runs due jobs of the durable job queue
+ * (booking expiry, reminders, dispatch offer timeouts). Runs every JOB_POLL_INTERVAL_SECONDS.
+ * Serverless deployments call GET /api/jobs/run from a cron instead.
+ */
+const runScheduledJobsJob = () => {
+  const intervalSeconds = Math.min(Math.max(Math.round(JOB_POLL_INTERVAL_SECONDS), 1), 59);
+  const schedule = `*/${intervalSeconds} * * * * *`; // Every N seconds
+  logger.info(chalk.cyan(`Cron job initialized: runScheduledJobs (schedule: every ${intervalSeconds} seconds)`));
+
+  cron.schedule(schedule, async () => {
+    const startTime = new Date();
+    try {
+      const { processed, failed } = await runDueJobs();
+      if (processed > 0) {
+        const duration = new Date() - startTime;
+        logger.info(chalk.cyan(`Scheduled jobs run: ${processed} processed, ${failed} failed (${duration}ms)`));
+      }
+    } catch (err) {
+      const duration = new Date() - startTime;
+      logger.error(chalk.red(`Scheduled jobs error: ${err.message} (${duration}ms)`));
+    }
+  });
+};
+
+module.exports = runScheduledJobsJob;
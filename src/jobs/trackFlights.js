@@ -0,0 +1,31 @@
+// jobs/trackFlights.js
+const cron = require("node-cron");
+const { trackUpcomingFlights } = require("../services/flightTracking.service");
+const { FLIGHT_STATUS_PROVIDER, FLIGHT_TRACKING_LOOKAHEAD_HOURS } = require("../../config/flightTracking");
+const logger = require("../utils/logger");
+const chalk = require("chalk");
+
+/**
+ * Background job that polls flight status for upcoming airport pickups
+ * and moves the pickup time when a flight is delayed. Runs every 10 minutes.
+ */
+const trackFlightsJob = () => {
+  const schedule = "*/10 * * * *"; // Every 10 minutes
+  logger.info(chalk.cyan(`Cron job initialized: trackFlights (schedule: every 10 minutes, provider: ${FLIGHT_STATUS_PROVIDER}, lookahead: ${FLIGHT_TRACKING_LOOKAHEAD_HOURS} hours)`));
+
+  cron.schedule(schedule, async () => {
+    const startTime = new Date();
+    try {
+      const { checked, shifted, errors } = await trackUpcomingFlights(startTime);
+      if (shifted > 0 || errors > 0) {
+        const duration = new Date() - startTime;
+        logger.info(chalk.cyan(`Track flights job completed: ${checked} checked, ${shifted} pickup(s) moved, ${errors} errors (${duration}ms)`));
+      }
+    } catch (err) {
+      const duration = new Date() - startTime;
+      logger.error(chalk.red(`Track flights job error: ${err.message} (${duration}ms)`));
+    }
+  });
+};
+
+module.exports = trackFlightsJob;
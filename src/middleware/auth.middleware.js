@@ -5,6 +5,7 @@ const AppError = require("../utils/appError");
 const catchAsync = require("../utils/catchAsync");
 const Admin = require("../models/admin.model");
 const Driver = require("../models/driver.model");
+const Customer = require("../models/customer.model");
 
 exports.protect = catchAsync(async (req, res, next) => {
   let token;
@@ -45,6 +46,10 @@ exports.protect = catchAsync(async (req, res, next) => {
     currentUser = await Driver.findOne({ _id: decoded.id, deletedAt: null })
       .select("_id email phone firstName lastName role tokenVersion isVerified status")
       .lean();
+  } else if (decoded.role === "customer") {
+    currentUser = await Customer.findById(decoded.id)
+      .select("_id email name role tokenVersion")
+      .lean();
   } else {
     return next(new AppError("Invalid user role in token. Please login again.", 401));
   }
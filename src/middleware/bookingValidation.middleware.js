@@ -1,5 +1,11 @@
 const { errorResponse } = require("../utils/response");
 const { parseDistanceToNumber } = require("../utils/booking.helper");
+const {
+  calculateFare,
+  calculateGroupFare,
+  isPriceWithinTolerance,
+} = require("../services/pricing.service");
+const { RECURRING_PAYMENT_METHODS } = require("../../config/recurringBookings");
 
 const validateRequired = (body, fields) => {
   const missing = fields.filter((f) => body[f] === undefined || body[f] === null || body[f] === "");
@@ -32,6 +38,119 @@ exports.validateCreateBooking = (req, res, next) => {
     return errorResponse(res, "Invalid distance value.", 400);
   }
 
+  // Never trust the client price: recompute the fare and compare
+  let quote;
+  try {
+    quote = calculateFare(req.body);
+  } catch (err) {
+    return errorResponse(res, err.message, err.statusCode || 400, err.meta ? [err.meta] : []);
+  }
+
+  const submittedPrice = parseFloat(String(req.body.price).replace(/[^\d.-]/g, ""));
+  if (Number.isNaN(submittedPrice) || !isPriceWithinTolerance(submittedPrice, quote.total)) {
+    return errorResponse(
+      res,
+      `Submitted price does not match the calculated fare of €${quote.total.toFixed(2)}.`,
+      400,
+      [
+        {
+          code: "PRICE_MISMATCH",
+          submittedPrice: Number.isNaN(submittedPrice) ? null : submittedPrice,
+          expectedPrice: quote.total,
+          breakdown: quote.breakdown,
+        },
+      ]
+    );
+  }
+
+  // Round trip: the return leg is priced separately (night surcharge may differ)
+  if (req.body.return_date_time) {
+    const returnDate = new Date(req.body.return_date_time);
+    if (Number.isNaN(returnDate.getTime())) {
+      return errorResponse(res, "Invalid return_date_time value.", 400);
+    }
+    if (returnDate <= new Date(req.body.date_time)) {
+      return errorResponse(res, "return_date_time must be after date_time.", 400);
+    }
+    req.returnFareQuote = calculateFare({
+      ...req.body,
+      date_time: returnDate,
+      stops: Array.isArray(req.body.stops) ? [...req.body.stops].reverse() : [],
+    });
+  }
+
+  req.fareQuote = quote;
+  return next();
+};
+
+exports.validateCreateGroupBooking = (req, res, next) => {
+  const required = [
+    "from_location",
+    "to_location",
+    "date_time",
+    "cat_title",
+    "price",
+    "user_name",
+    "email",
+    "distance",
+    "num_passengers",
+  ];
+
+  const missing = validateRequired(req.body, required);
+  if (missing.length) {
+    return errorResponse(
+      res,
+      `Missing required fields: ${missing.join(", ")}`,
+      400
+    );
+  }
+
+  if (req.body.return_date_time) {
+    return errorResponse(res, "Group bookings cannot be round trips; book the return as a separate group.", 400);
+  }
+
+  let groupQuote;
+  try {
+    groupQuote = calculateGroupFare(req.body);
+  } catch (err) {
+    return errorResponse(res, err.message, err.statusCode || 400, err.meta ? [err.meta] : []);
+  }
+
+  const submittedPrice = parseFloat(String(req.body.price).replace(/[^\d.-]/g, ""));
+  if (Number.isNaN(submittedPrice) || !isPriceWithinTolerance(submittedPrice, groupQuote.total)) {
+    return errorResponse(
+      res,
+      `Submitted price does not match the calculated fare of €${groupQuote.total.toFixed(2)}.`,
+      400,
+      [
+        {
+          code: "PRICE_MISMATCH",
+          submittedPrice: Number.isNaN(submittedPrice) ? null : submittedPrice,
+          expectedPrice: groupQuote.total,
+          vehicles: groupQuote.vehicles.map((quote) => ({
+            passengers: quote.passengers,
+            total: quote.total,
+          })),
+        },
+      ]
+    );
+  }
+
+  // Shared ride details use the first vehicle's quote; each child is priced separately
+  req.fareQuote = groupQuote.vehicles[0];
+  req.groupFareQuote = groupQuote;
+  return next();
+};
+
+exports.validateFareQuote = (req, res, next) => {
+  const missing = validateRequired(req.body, ["cat_title", "distance", "date_time"]);
+  if (missing.length) {
+    return errorResponse(
+      res,
+      `Missing required fields: ${missing.join(", ")}`,
+      400
+    );
+  }
   return next();
 };
 
@@ -63,4 +182,214 @@ exports.validateRejectBooking = (req, res, next) => {
   return next();
 };
 
+exports.validateCancelBooking = (req, res, next) => {
+  const { token, reason } = req.body;
+  if (!token || typeof token !== "string") {
+    return errorResponse(res, "Cancellation token is required.", 400);
+  }
+  if (reason !== undefined && typeof reason !== "string") {
+    return errorResponse(res, "Cancellation reason must be a string.", 400);
+  }
+  if (req.body.cancelLinkedLeg !== undefined && typeof req.body.cancelLinkedLeg !== "boolean") {
+    return errorResponse(res, "cancelLinkedLeg must be a boolean.", 400);
+  }
+  return next();
+};
+
+exports.validateResolveLinkedLegReview = (req, res, next) => {
+  const { action } = req.body;
+  if (!["keep", "cancel"].includes(action)) {
+    return errorResponse(res, "Action must be either 'keep' or 'cancel'.", 400);
+  }
+  return next();
+};
 
+exports.validateResolveAdminReview = (req, res, next) => {
+  const { note } = req.body;
+  if (note !== undefined && typeof note !== "string") {
+    return errorResponse(res, "Review note must be a string.", 400);
+  }
+  return next();
+};
+
+exports.validateAddSurcharge = (req, res, next) => {
+  const { type, minutes, location, note } = req.body;
+  if (!["waiting", "extra_stop"].includes(type)) {
+    return errorResponse(res, "Surcharge type must be either 'waiting' or 'extra_stop'.", 400);
+  }
+  if (type === "waiting") {
+    const waitingMinutes = Number(minutes);
+    if (!Number.isInteger(waitingMinutes) || waitingMinutes <= 0 || waitingMinutes > 240) {
+      return errorResponse(res, "Waiting minutes must be a whole number between 1 and 240.", 400);
+    }
+  }
+  if (type === "extra_stop" && (!location || typeof location !== "string")) {
+    return errorResponse(res, "Location is required for an extra stop.", 400);
+  }
+  if (note !== undefined && typeof note !== "string") {
+    return errorResponse(res, "Surcharge note must be a string.", 400);
+  }
+  return next();
+};
+
+exports.validateUpdateBooking = (req, res, next) => {
+  const updates = req.body || {};
+  if (Object.keys(updates).length === 0) {
+    return errorResponse(res, "No fields to update.", 400);
+  }
+
+  const stringFields = [
+    "from_location",
+    "to_location",
+    "luggage",
+    "flight_no",
+    "pickup_house_no",
+    "dropoff_house_no",
+    "distance",
+    "cat_title",
+    "user_name",
+    "email",
+    "number",
+    "note_description",
+  ];
+  const invalidStrings = stringFields.filter(
+    (field) => updates[field] !== undefined && typeof updates[field] !== "string"
+  );
+  if (invalidStrings.length) {
+    return errorResponse(res, `Fields must be strings: ${invalidStrings.join(", ")}`, 400);
+  }
+
+  const requiredStrings = ["from_location", "to_location", "cat_title", "user_name", "email"];
+  const emptyRequired = requiredStrings.filter(
+    (field) => updates[field] !== undefined && !updates[field].trim()
+  );
+  if (emptyRequired.length) {
+    return errorResponse(res, `Fields cannot be empty: ${emptyRequired.join(", ")}`, 400);
+  }
+
+  if (updates.date_time !== undefined) {
+    const dateTime = new Date(updates.date_time);
+    if (Number.isNaN(dateTime.getTime())) {
+      return errorResponse(res, "Invalid date_time value.", 400);
+    }
+    if (dateTime <= new Date()) {
+      return errorResponse(res, "date_time must be in the future.", 400);
+    }
+  }
+
+  if (updates.num_passengers !== undefined) {
+    const passengers = Number(updates.num_passengers);
+    if (!Number.isInteger(passengers) || passengers < 1) {
+      return errorResponse(res, "num_passengers must be a positive whole number.", 400);
+    }
+    req.body.num_passengers = passengers;
+  }
+
+  if (updates.distance !== undefined) {
+    const distanceNumber = parseDistanceToNumber(updates.distance);
+    if (Number.isNaN(distanceNumber) || distanceNumber < 0) {
+      return errorResponse(res, "Invalid distance value.", 400);
+    }
+  }
+
+  const arrayFields = ["stops", "stopsCoordinates", "extras"];
+  const invalidArrays = arrayFields.filter(
+    (field) => updates[field] !== undefined && !Array.isArray(updates[field])
+  );
+  if (invalidArrays.length) {
+    return errorResponse(res, `Fields must be arrays: ${invalidArrays.join(", ")}`, 400);
+  }
+
+  return next();
+};
+
+exports.validatePaymentMethod = (req, res, next) => {
+  const { paymentMethod } = req.body;
+  if (!["stripe", "cash", "invoice"].includes(paymentMethod)) {
+    return errorResponse(res, "Payment method must be one of 'stripe', 'cash' or 'invoice'.", 400);
+  }
+  return next();
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidDateString = (value) =>
+  typeof value === "string" &&
+  DATE_PATTERN.test(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+exports.validateCreateRecurringBooking = (req, res, next) => {
+  const { template, recurrence, paymentMethod } = req.body;
+
+  if (!template || typeof template !== "object") {
+    return errorResponse(res, "Ride template is required.", 400);
+  }
+  const missing = validateRequired(template, [
+    "from_location",
+    "to_location",
+    "cat_title",
+    "user_name",
+    "email",
+    "distance",
+  ]);
+  if (missing.length) {
+    return errorResponse(res, `Missing required template fields: ${missing.join(", ")}`, 400);
+  }
+  const distanceNumber = parseDistanceToNumber(template.distance);
+  if (Number.isNaN(distanceNumber) || distanceNumber < 0) {
+    return errorResponse(res, "Invalid distance value.", 400);
+  }
+
+  if (!recurrence || typeof recurrence !== "object") {
+    return errorResponse(res, "Recurrence is required.", 400);
+  }
+  const { frequency, interval, weekdays, startDate, timeOfDay, endDate, count } = recurrence;
+  if (!["daily", "weekly"].includes(frequency)) {
+    return errorResponse(res, "Recurrence frequency must be either 'daily' or 'weekly'.", 400);
+  }
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1)) {
+    return errorResponse(res, "Recurrence interval must be a positive whole number.", 400);
+  }
+  if (
+    weekdays !== undefined &&
+    (!Array.isArray(weekdays) || !weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+  ) {
+    return errorResponse(res, "Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday).", 400);
+  }
+  if (!isValidDateString(startDate)) {
+    return errorResponse(res, "Recurrence startDate must be a date (YYYY-MM-DD).", 400);
+  }
+  if (typeof timeOfDay !== "string" || !TIME_PATTERN.test(timeOfDay)) {
+    return errorResponse(res, "Recurrence timeOfDay must be a time (HH:mm).", 400);
+  }
+  if (endDate === undefined && count === undefined) {
+    return errorResponse(res, "Recurrence needs an endDate or a count.", 400);
+  }
+  if (endDate !== undefined && (!isValidDateString(endDate) || endDate < startDate)) {
+    return errorResponse(res, "Recurrence endDate must be a date (YYYY-MM-DD) on or after startDate.", 400);
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    return errorResponse(res, "Recurrence count must be a positive whole number.", 400);
+  }
+
+  if (!RECURRING_PAYMENT_METHODS.includes(paymentMethod)) {
+    return errorResponse(
+      res,
+      `Payment method must be one of: ${RECURRING_PAYMENT_METHODS.join(", ")}.`,
+      400
+    );
+  }
+  return next();
+};
+
+exports.validateSkipOccurrence = (req, res, next) => {
+  const { date, reason } = req.body;
+  if (!isValidDateString(date)) {
+    return errorResponse(res, "Occurrence date must be a date (YYYY-MM-DD).", 400);
+  }
+  if (reason !== undefined && typeof reason !== "string") {
+    return errorResponse(res, "Reason must be a string.", 400);
+  }
+  return next();
+};
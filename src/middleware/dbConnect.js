@@ -1,8 +1,11 @@
 const connectDB = require("../../config/database");
+const { refreshSettingsIfStale } = require("../services/settings.service");
 
 const dbConnectMiddleware = async (req, res, next) => {
   try {
     await connectDB();
+    // Platform settings are cached in-process; reload them when the cache is stale
+    await refreshSettingsIfStale();
     next();
   } catch (err) {
     res.status(503).json({
@@ -9,6 +9,112 @@ const coordinatesSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const priceBreakdownSchema = new mongoose.Schema(
+  {
+    baseFare: { type: Number, default: 0 },
+    distanceFare: { type: Number, default: 0 },
+    stopsFare: { type: Number, default: 0 },
+    passengerFare: { type: Number, default: 0 },
+    minimumFareAdjustment: { type: Number, default: 0 },
+    nightSurcharge: { type: Number, default: 0 },
+    extrasFare: { type: Number, default: 0 },
+    isNight: { type: Boolean, default: false },
+    total: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Waiting time / unplanned stops logged by the driver during the ride
+const surchargeSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["waiting", "extra_stop"], required: true },
+    minutes: { type: Number, min: 0 },
+    location: { type: String, trim: true },
+    note: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// One exclusive offer made by sequential dispatch (src/services/dispatch.service.js)
+const dispatchAttemptSchema = new mongoose.Schema(
+  {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", required: true },
+    distanceKm: { type: Number },
+    offeredAt: { type: Date, required: true },
+    respondedAt: { type: Date },
+    outcome: {
+      type: String,
+      enum: ["offered", "accepted", "declined", "timeout", "withdrawn"],
+      default: "offered",
+    },
+  },
+  { _id: false }
+);
+
+// One reminder sent before pickup (src/services/bookingReminderScheduler.js)
+// A stage is sent once per pickup time (and driver for driver stages)
+const reminderSchema = new mongoose.Schema(
+  {
+    stage: { type: String, required: true, trim: true },
+    audience: { type: String, enum: ["customer", "driver"], required: true },
+    channel: { type: String, enum: ["email", "sms", "push"], required: true },
+    dateTime: { type: Date, required: true },
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", default: null },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Customer review after completion (src/services/review.service.js)
+// The score itself is booking.rating so stats can query it directly
+const reviewSchema = new mongoose.Schema(
+  {
+    comment: { type: String, trim: true },
+    tags: [{ type: String, trim: true }],
+    submittedAt: { type: Date },
+    // Moderation: hidden reviews are left out of the driver's rating
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    hiddenReason: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// Customer tip after completion (src/services/tip.service.js), paid through Stripe Checkout
+// and credited in full to the driver's wallet
+const tipSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, min: 0 },
+    status: { type: String, enum: ["pending", "paid"], default: "pending" },
+    // Latest checkout; once paid, the checkout that was credited
+    stripeSessionId: { type: String, trim: true },
+    // Every checkout issued for this tip, so a paid older one is still credited (or refunded)
+    stripeSessionIds: { type: [String], default: undefined },
+    stripePaymentIntentId: { type: String, trim: true },
+    requestedAt: { type: Date },
+    paidAt: { type: Date },
+    walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: "WalletTransaction", default: null },
+  },
+  { _id: false }
+);
+
+const flightDelaySchema = new mongoose.Schema(
+  {
+    flightNumber: { type: String, trim: true },
+    flightStatus: { type: String, trim: true },
+    delayMinutes: { type: Number, default: 0 },
+    estimatedArrival: { type: Date },
+    previousDateTime: { type: Date },
+    newDateTime: { type: Date },
+    provider: { type: String, trim: true },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema(
   {
     from_location: { type: String, required: true, index: true, trim: true },
@@ -17,9 +123,29 @@ const bookingSchema = new mongoose.Schema(
     num_passengers: { type: Number, min: 1 },
     date_time: { type: Date, required: true, index: true },
     return_date_time: { type: Date },
+    // Round trips are stored as two linked bookings, each with its own lifecycle
+    tripLeg: {
+      type: String,
+      enum: ["outbound", "return"],
+      default: "outbound",
+    },
+    linkedBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bookings",
+      default: null,
+    },
+    // Set when the linked leg was cancelled/rescheduled and this leg needs a keep/cancel decision
+    linkedLegReview: {
+      pending: { type: Boolean, default: false },
+      reason: { type: String, enum: ["cancelled", "rescheduled", null], default: null },
+      sourceOrderNumber: { type: String, trim: true },
+      flaggedAt: { type: Date },
+    },
     cat_title: { type: String, required: true, trim: true, index: true },
     actualPrice: { type: String, trim: true },
     price: { type: String, required: true, trim: true },
+    priceBreakdown: { type: priceBreakdownSchema },
+    extras: [{ type: String, trim: true }],
     user_name: { type: String, required: true, trim: true, index: true },
     email: {
       type: String,
@@ -29,15 +155,45 @@ const bookingSchema = new mongoose.Schema(
       index: true,
     },
     number: { type: String, trim: true },
+    // Customer account the booking belongs to (linked by email, src/services/customer.service.js)
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null, index: true },
     note_description: { type: String, trim: true },
     pickup_house_no: { type: String, trim: true },
     dropoff_house_no: { type: String, trim: true },
     stops: [{ type: String, trim: true }],
     stopsCoordinates: [coordinatesSchema],
     flight_no: { type: String, trim: true, index: true },
+    // Flight tracking (src/jobs/trackFlights.js): date_time is the effective pickup time,
+    // scheduledDateTime the booked one before any flight delay shift
+    scheduledDateTime: { type: Date },
+    flightStatus: {
+      status: { type: String, trim: true },
+      delayMinutes: { type: Number },
+      estimatedArrival: { type: Date },
+      lastCheckedAt: { type: Date },
+    },
+    flightDelayHistory: [flightDelaySchema],
     distance: { type: String, trim: true },
     commission: { type: String, default: "0", trim: true },
+    // Snapshot of the commission rule applied (null ruleId = platform default percentage)
+    commissionRule: {
+      ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "CommissionRule", default: null },
+      name: { type: String, trim: true },
+      percentage: { type: Number },
+      fixedFee: { type: Number },
+      driverId: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", default: null },
+      appliedAt: { type: Date },
+    },
     driverPrice: { type: String, default: "0", trim: true },
+    // Sequential dispatch of auto bookings; while status is "offering" only offeredTo may accept
+    dispatch: {
+      strategy: { type: String, enum: ["broadcast", "sequential", "hybrid"] },
+      status: { type: String, enum: ["offering", "broadcast", "accepted", "stopped"] },
+      offeredTo: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", default: null },
+      offerExpiresAt: { type: Date, default: null },
+      attempts: [dispatchAttemptSchema],
+      broadcastAt: { type: Date },
+    },
     assignmentType: {
       type: String,
       enum: ["auto", "admin", null],
@@ -59,11 +215,13 @@ const bookingSchema = new mongoose.Schema(
         "pending",
         "accepted",
         "started",
+        "arrived",
         "picked_up",
         "dropped_off",
         "completed",
         "rejected",
         "cancelled",
+        "no_show",
       ],
       index: true,
     },
@@ -73,13 +231,82 @@ const bookingSchema = new mongoose.Schema(
     rejectionReason: { type: String, trim: true },
 
     startedAt: { type: Date },
+    arrivedAt: { type: Date },
     pickedUpAt: { type: Date },
     droppedOffAt: { type: Date },
     completedAt: { type: Date },
 
+    cancelledAt: { type: Date },
+    cancelledBy: {
+      type: String,
+      enum: ["customer", "admin", "system", null],
+      default: null,
+    },
+    cancellationReason: { type: String, trim: true },
+    refundPercentage: { type: Number, min: 0, max: 100 },
+    refundAmount: { type: String, trim: true },
+    refundStatus: {
+      type: String,
+      enum: ["none", "pending", "succeeded", "failed"],
+      default: "none",
+    },
+
+    noShowAt: { type: Date },
+    noShowFee: { type: String, trim: true },
+    noShowDriverPayout: { type: String, trim: true },
+
+    surcharges: [surchargeSchema],
+    surchargeTotal: { type: String, default: "0", trim: true },
+    surchargeDriverShare: { type: String, default: "0", trim: true },
+    surchargePaymentStatus: {
+      type: String,
+      enum: ["none", "pending", "succeeded", "failed"],
+      default: "none",
+    },
+    surchargePaymentIntentId: { type: String, trim: true },
+
+    // Bookings an admin has to look at (e.g. no-show disputes)
+    adminReview: {
+      pending: { type: Boolean, default: false, index: true },
+      reason: { type: String, trim: true },
+      flaggedAt: { type: Date },
+      resolvedAt: { type: Date },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      note: { type: String, trim: true },
+    },
+
     pickupCoordinates: { type: coordinatesSchema },
     dropoffCoordinates: { type: coordinatesSchema },
 
+    // Phone bookings are created by a dispatcher and may be paid in cash or invoiced
+    source: {
+      type: String,
+      enum: ["website", "phone", "recurring"],
+      default: "website",
+      index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    // Generated from a recurring series; occurrenceDate is the local day (YYYY-MM-DD)
+    recurringBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringBooking",
+      default: null,
+    },
+    occurrenceDate: { type: String, trim: true },
+    // Child ride of a group booking (see bookingGroup.model.js)
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingGroup",
+      default: null,
+      index: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["stripe", "cash", "invoice"],
+      default: "stripe",
+      index: true,
+    },
+
     isPaid: { type: Boolean, default: false, index: true },
     paymentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -100,6 +327,12 @@ const bookingSchema = new mongoose.Schema(
       sparse: true,
     },
 
+    reminders: [reminderSchema],
+
+    rating: { type: Number, min: 1, max: 5, default: null },
+    review: { type: reviewSchema, default: undefined },
+    tip: { type: tipSchema, default: undefined },
+
     notificationsSentAt: {
       type: Date,
       index: true,
@@ -117,12 +350,23 @@ bookingSchema.index({ from_location: 1, to_location: 1, date_time: 1 });
 bookingSchema.index({ driverId: 1, status: 1 });
 bookingSchema.index({ driverId: 1, status: 1, date_time: -1 });
 bookingSchema.index({ email: 1, date_time: -1 });
+bookingSchema.index({ customerId: 1, date_time: -1 });
 bookingSchema.index({ status: 1, isPaid: 1 });
 bookingSchema.index({ assignmentType: 1, status: 1 });
 bookingSchema.index({ paymentId: 1 });
+bookingSchema.index({ linkedBookingId: 1 });
+// One booking per series occurrence (makes generation idempotent)
+bookingSchema.index(
+  { recurringBookingId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringBookingId: { $type: "objectId" } } }
+);
 bookingSchema.index({ date_time: -1 });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ status: 1, assignmentType: 1, isExpired: 1, expiresAt: 1 });
+bookingSchema.index({ "dispatch.status": 1, status: 1 });
+bookingSchema.index({ "review.submittedAt": -1 }, { sparse: true });
+bookingSchema.index({ "tip.stripeSessionId": 1 }, { sparse: true });
+bookingSchema.index({ "tip.stripeSessionIds": 1 }, { sparse: true });
 
 bookingSchema.index({
   from_location: "text",
@@ -0,0 +1,74 @@
+// src/models/bookingEvent.model.js
+const mongoose = require("mongoose");
+
+/**
+ * Append-only audit trail of everything that happened to a booking
+ * (created, accepted, rejected, assigned, expired, cancelled, ...).
+ * Kept after the booking itself is deleted for dispute handling.
+ */
+const bookingEventSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bookings",
+      required: true,
+      index: true,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+    // What happened, e.g. "accept", "assign", "expire", "cancel"
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    actorType: {
+      type: String,
+      enum: ["customer", "driver", "admin", "system"],
+      required: true,
+      default: "system",
+    },
+    // Driver or Admin ID (null for customers and the system)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    previousStatus: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    newStatus: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Driver involved in the event (assigned, rejecting, completing, ...)
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      default: null,
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+bookingEventSchema.index({ bookingId: 1, createdAt: 1 });
+
+module.exports =
+  mongoose.models.BookingEvent || mongoose.model("BookingEvent", bookingEventSchema);
@@ -0,0 +1,49 @@
+// src/models/bookingGroup.model.js
+const mongoose = require("mongoose");
+
+/**
+ * Parent of a group booking: one customer request split over several child
+ * rides (Booking documents with groupId), each with its own driver and lifecycle.
+ * status is derived from the children (services/groupBooking.service.js).
+ */
+const bookingGroupSchema = new mongoose.Schema(
+  {
+    orderNumber: { type: String, trim: true, unique: true, sparse: true },
+    from_location: { type: String, required: true, trim: true },
+    to_location: { type: String, required: true, trim: true },
+    date_time: { type: Date, required: true, index: true },
+    cat_title: { type: String, required: true, trim: true },
+    num_passengers: { type: Number, required: true, min: 1 },
+    vehicleCount: { type: Number, required: true, min: 2 },
+    user_name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true, index: true },
+    number: { type: String, trim: true },
+    totalPrice: { type: String, required: true, trim: true },
+    bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Bookings" }],
+    status: {
+      type: String,
+      enum: [
+        "unassigned",
+        "partially_assigned",
+        "all_assigned",
+        "in_progress",
+        "partially_completed",
+        "all_completed",
+        "cancelled",
+      ],
+      default: "unassigned",
+      index: true,
+    },
+    isPaid: { type: Boolean, default: false },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+bookingGroupSchema.index({ createdAt: -1 });
+
+module.exports =
+  mongoose.models.BookingGroup || mongoose.model("BookingGroup", bookingGroupSchema);
@@ -0,0 +1,38 @@
+// src/models/commissionRule.model.js
+const mongoose = require("mongoose");
+
+/**
+ * Commission rule: who pays which commission on which rides.
+ * Every condition that is set must match (empty = any). Among matching active rules the
+ * highest priority wins, then the most specific one. Without a match the
+ * driverCommissionPercentage platform setting applies.
+ * Commission = fixedFee + percentage of the customer price (capped at the price).
+ */
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    isActive: { type: Boolean, default: true, index: true },
+    priority: { type: Number, default: 0 },
+
+    // Conditions
+    categories: [{ type: String, enum: ["Standard", "Luxury", "Taxi Bus"] }],
+    driverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Driver" }],
+    fleets: [{ type: String, trim: true }],
+    sources: [{ type: String, enum: ["website", "phone", "recurring"] }],
+    // Matched against the pickup time (date_time) of the booking
+    validFrom: { type: Date, default: null },
+    validTo: { type: Date, default: null },
+
+    // Commission model
+    percentage: { type: Number, min: 0, max: 100, default: 0 },
+    fixedFee: { type: Number, min: 0, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports =
+  mongoose.models.CommissionRule || mongoose.model("CommissionRule", commissionRuleSchema);
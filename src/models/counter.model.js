@@ -0,0 +1,28 @@
+// src/models/counter.model.js
+const mongoose = require("mongoose");
+
+/**
+ * Named sequences (e.g. order numbers). _id is the sequence key,
+ * seq the last value handed out. Incremented atomically with $inc.
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    seq: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports =
+  mongoose.models.Counter || mongoose.model("Counter", counterSchema);
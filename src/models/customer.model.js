@@ -0,0 +1,66 @@
+// src/models/customer.model.js
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const savedPhoneSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true, default: "Mobile" },
+    number: { type: String, required: true, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const savedAddressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true, default: "Home" },
+    address: { type: String, required: true, trim: true },
+    house_no: { type: String, trim: true },
+    coordinates: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Customer account: passwordless login with a code sent by email (src/services/customer.service.js)
+// Bookings stay keyed by email; customerId links them to the account.
+const customerSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Please provide your email"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      validate: [validator.isEmail, "Please provide a valid email"],
+      index: true,
+    },
+    name: { type: String, trim: true },
+    phones: [savedPhoneSchema],
+    addresses: [savedAddressSchema],
+    role: { type: String, enum: ["customer"], default: "customer", index: true },
+
+    // Verified on the first successful login
+    isVerified: { type: Boolean, default: false, index: true },
+    lastLoginAt: { type: Date },
+    bookingsLinkedAt: { type: Date },
+
+    // Login code (sha256 hash; the plain code is only emailed)
+    otp: { type: String, trim: true, select: false },
+    otpExpiresAt: { type: Date },
+    otpAttempts: { type: Number, default: 0 },
+    otpSendCount: { type: Number, default: 0 },
+    otpLastSentAt: { type: Date },
+
+    // Token version for logout invalidation
+    tokenVersion: { type: Number, default: 0 },
+
+    // Refresh token (hashed) for token rotation
+    refreshToken: { type: String, select: false },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports =
+  mongoose.models.Customer || mongoose.model("Customer", customerSchema);
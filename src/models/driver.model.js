@@ -3,6 +3,26 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 
+// GeoJSON point: coordinates are [lng, lat]
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+const breadcrumbSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    heading: { type: Number },
+    speed: { type: Number },
+    recordedAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 const DriverSchema = new mongoose.Schema(
   {
     firstName: { type: String, trim: true, index: true },
@@ -67,8 +87,30 @@ const DriverSchema = new mongoose.Schema(
     // Soft delete
     deletedAt: { type: Date, default: null, index: true },
     
+    // Live location (latest position + short breadcrumb trail)
+    location: { type: pointSchema, default: undefined },
+    locationMeta: {
+      heading: { type: Number },
+      speed: { type: Number },
+      accuracy: { type: Number },
+      bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Bookings", default: null },
+      recordedAt: { type: Date },
+    },
+    locationTrail: { type: [breadcrumbSchema], select: false },
+
+    // Fleet / group used by commission rules (e.g. "top-performers")
+    fleet: { type: String, trim: true, default: null, index: true },
+
     // Wallet
-    walletBalance: { type: Number, default: 0, min: 0 },
+    // Can go negative when the driver owes commission on cash rides
+    walletBalance: { type: Number, default: 0 },
+
+    // Customer ratings (visible reviews only), recomputed by src/services/review.service.js
+    ratingSummary: {
+      average: { type: Number, default: null },
+      count: { type: Number, default: 0 },
+      updatedAt: { type: Date },
+    },
   },
   { timestamps: true, versionKey: false }
 );
@@ -120,5 +162,7 @@ DriverSchema.index({ isOnline: 1, status: 1 });
 DriverSchema.index({ paidStatus: 1, isVerified: 1 });
 DriverSchema.index({ firstName: "text", lastName: "text", email: "text", phone: "text" });
 DriverSchema.index({ createdAt: -1 });
+// Live map and proximity queries
+DriverSchema.index({ location: "2dsphere" });
 
 module.exports = mongoose.models.Driver || mongoose.model("Driver", DriverSchema);
@@ -0,0 +1,73 @@
+// src/models/job.model.js
+const mongoose = require("mongoose");
+const { JOB_MAX_ATTEMPTS, JOB_RETENTION_DAYS } = require("../../config/jobQueue");
+
+/**
+ * Scheduled unit of work (see src/services/jobQueue.service.js).
+ * key identifies the job (e.g. "booking-expiry:{bookingId}"): scheduling the same key again
+ * moves the existing job instead of adding a second one.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: JOB_MAX_ATTEMPTS,
+    },
+    // Lease of the worker running the job
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.Job || mongoose.model("Job", jobSchema);
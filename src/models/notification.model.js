@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["booking-expired", "booking-assigned", "booking-cancelled", "booking-created", "booking-completed", "system"],
+      enum: ["booking-expired", "booking-assigned", "booking-cancelled", "linked-leg-review", "booking-no-show", "booking-created", "booking-completed", "system"],
       index: true,
     },
 
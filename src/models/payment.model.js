@@ -9,6 +9,13 @@ const paymentSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Other bookings paid by the same checkout (e.g. the return leg of a round trip)
+    linkedBookingIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bookings",
+      },
+    ],
 
     stripeSessionId: {
       type: String,
@@ -22,6 +29,15 @@ const paymentSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Saved at checkout for later off-session charges (surcharges)
+    stripeCustomerId: {
+      type: String,
+      trim: true,
+    },
+    stripePaymentMethodId: {
+      type: String,
+      trim: true,
+    },
 
     amount: {
       type: Number,
@@ -37,7 +53,7 @@ const paymentSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["pending", "succeeded", "failed", "refunded"],
+      enum: ["pending", "succeeded", "failed", "refunded", "partially_refunded"],
       default: "pending",
       index: true,
     },
@@ -57,6 +73,16 @@ const paymentSchema = new mongoose.Schema(
     refundedAt: {
       type: Date,
     },
+    // Refunded amount in cents (same unit as amount)
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    stripeRefundId: {
+      type: String,
+      trim: true,
+    },
   },
   {
     timestamps: true,
@@ -65,6 +91,7 @@ const paymentSchema = new mongoose.Schema(
 );
 
 paymentSchema.index({ bookingId: 1, status: 1 });
+paymentSchema.index({ linkedBookingIds: 1 });
 paymentSchema.index({ stripeSessionId: 1, status: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.virtual("formattedAmount").get(function () {
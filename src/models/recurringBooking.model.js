@@ -0,0 +1,95 @@
+// src/models/recurringBooking.model.js
+const mongoose = require("mongoose");
+
+const coordinatesSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * RRULE-like recurrence: FREQ (daily/weekly), INTERVAL, BYDAY (weekdays 0=Sunday..6=Saturday),
+ * UNTIL (endDate) or COUNT. Dates are local calendar days (YYYY-MM-DD) and timeOfDay is HH:mm,
+ * both in the pricing timezone.
+ */
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: { type: String, enum: ["daily", "weekly"], required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    weekdays: [{ type: Number, min: 0, max: 6 }],
+    startDate: { type: String, required: true, trim: true },
+    timeOfDay: { type: String, required: true, trim: true },
+    endDate: { type: String, trim: true },
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// Ride details copied onto every generated booking
+const templateSchema = new mongoose.Schema(
+  {
+    from_location: { type: String, required: true, trim: true },
+    to_location: { type: String, required: true, trim: true },
+    cat_title: { type: String, required: true, trim: true },
+    user_name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    number: { type: String, trim: true },
+    num_passengers: { type: Number, min: 1, default: 1 },
+    luggage: { type: String, trim: true },
+    note_description: { type: String, trim: true },
+    pickup_house_no: { type: String, trim: true },
+    dropoff_house_no: { type: String, trim: true },
+    stops: [{ type: String, trim: true }],
+    stopsCoordinates: [coordinatesSchema],
+    pickupCoordinates: { type: coordinatesSchema },
+    dropoffCoordinates: { type: coordinatesSchema },
+    distance: { type: String, required: true, trim: true },
+    extras: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+const recurringBookingSchema = new mongoose.Schema(
+  {
+    template: { type: templateSchema, required: true },
+    recurrence: { type: recurrenceSchema, required: true },
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "invoice"],
+      default: "invoice",
+    },
+    preferredDriverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      default: null,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled", "ended"],
+      default: "active",
+      index: true,
+    },
+    // Local dates (YYYY-MM-DD) of occurrences that must not be generated
+    skippedDates: [{ type: String, trim: true }],
+    // Last occurrence already turned into a booking (generation resumes after it)
+    generatedUntil: { type: Date, default: null },
+    occurrenceCount: { type: Number, default: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    cancellationReason: { type: String, trim: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+recurringBookingSchema.index({ status: 1, generatedUntil: 1 });
+
+module.exports =
+  mongoose.models.RecurringBooking ||
+  mongoose.model("RecurringBooking", recurringBookingSchema);
@@ -0,0 +1,32 @@
+// src/models/setting.model.js
+const mongoose = require("mongoose");
+
+/**
+ * Platform settings changed by admins at runtime. _id is the setting key
+ * (see config/settings.js for the allowed keys, types and defaults).
+ */
+const settingSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports =
+  mongoose.models.Setting || mongoose.model("Setting", settingSchema);
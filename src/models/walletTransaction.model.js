@@ -19,9 +19,10 @@ const walletTransactionSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // tip: customer tip, credited in full (src/services/tip.service.js)
     type: {
       type: String,
-      enum: ["credit", "debit"],
+      enum: ["credit", "debit", "tip"],
       required: true,
       default: "credit",
     },
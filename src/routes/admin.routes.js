@@ -15,6 +15,7 @@ const {
     getBookingStatusStats,
 } = require("../controllers/dashboard.controller");
 const { getBookingByOrderNumber } = require("../controllers/booking.controller");
+const { getSettings, updateSettings } = require("../controllers/settings.controller");
 const { protect, restrictTo } = require("../middleware/auth.middleware");
 
 const router = express.Router();
@@ -39,4 +40,8 @@ router.get("/dashboard/top-customers", protect, restrictTo("admin"), getTopCusto
 router.get("/dashboard/booking-status-stats", protect, restrictTo("admin"), getBookingStatusStats);
 router.get("/dashboard/order/:orderNumber", protect, restrictTo("admin"), getBookingByOrderNumber);
 
+// ===== PLATFORM SETTINGS =====
+router.get("/settings", protect, restrictTo("admin"), getSettings);
+router.patch("/settings", protect, restrictTo("admin"), updateSettings);
+
 module.exports = router;
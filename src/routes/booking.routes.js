@@ -1,6 +1,11 @@
 const express = require("express");
 const {
   createBooking,
+  adminCreateBooking,
+  createGroupBooking,
+  getGroupBooking,
+  getGroupBookings,
+  getFareQuote,
   sendBookingNotifications,
   getBookingStatus,
   getBookingByOrderNumber,
@@ -18,15 +23,26 @@ const {
   upcomingBookings,
   startBooking,
   activeBooking,
+  arriveBooking,
+  markNoShow,
   pickupBooking,
   dropoffBooking,
   completeBooking,
+  addSurcharge,
   completedBookings,
   getAllAssignedBookings,
   getExpiredBookings,
   getLiveBookings,
   getAdminCompletedBookings,
   deleteBooking,
+  updateBooking,
+  getCancellationQuote,
+  cancelBooking,
+  resolveLinkedLegReview,
+  getBookingHistory,
+  getScheduleConflicts,
+  getBookingsForReview,
+  resolveAdminReview,
 } = require("../controllers/booking.controller");
 const { protect, restrictTo } = require("../middleware/auth.middleware");
 const {
@@ -34,17 +50,50 @@ const {
   validateAssignDriver,
   validateDriverAction,
   validateRejectBooking,
+  validateCancelBooking,
+  validateFareQuote,
+  validateResolveLinkedLegReview,
+  validateResolveAdminReview,
+  validateAddSurcharge,
+  validateUpdateBooking,
+  validatePaymentMethod,
+  validateCreateGroupBooking,
 } = require("../middleware/bookingValidation.middleware");
 
 const router = express.Router();
 
 // ===== USER ROUTES =====
 router.post("/", validateCreateBooking, createBooking);
+router.post("/quote", validateFareQuote, getFareQuote);
+router.post("/group", validateCreateGroupBooking, createGroupBooking);
 router.post("/:bookingId/send-notifications", sendBookingNotifications);
 router.get("/:bookingId/status", getBookingStatus);
 router.get("/order/:orderNumber", getBookingByOrderNumber);
+router.get("/order/:orderNumber/cancellation", getCancellationQuote);
+router.post("/order/:orderNumber/cancel", validateCancelBooking, cancelBooking);
 
 // ===== ADMIN ROUTES =====
+// Phone bookings taken by a dispatcher (paymentMethod: stripe, cash or invoice)
+router.post(
+  "/admin",
+  protect,
+  restrictTo("admin"),
+  validatePaymentMethod,
+  validateCreateBooking,
+  adminCreateBooking
+);
+router.get(
+  "/admin/groups",
+  protect,
+  restrictTo("admin"),
+  getGroupBookings
+);
+router.get(
+  "/admin/groups/:groupId",
+  protect,
+  restrictTo("admin"),
+  getGroupBooking
+);
 router.get(
   "/admin/all",
   protect,
@@ -87,6 +136,12 @@ router.get(
   restrictTo("admin"),
   getExpiredBookings
 );
+router.get(
+  "/admin/review",
+  protect,
+  restrictTo("admin"),
+  getBookingsForReview
+);
 router.get(
   "/admin/completed",
   protect,
@@ -106,6 +161,39 @@ router.patch(
   restrictTo("admin"),
   unassignDriver
 );
+router.patch(
+  "/:bookingId/review",
+  protect,
+  restrictTo("admin"),
+  validateResolveAdminReview,
+  resolveAdminReview
+);
+router.get(
+  "/:bookingId/history",
+  protect,
+  restrictTo("admin"),
+  getBookingHistory
+);
+router.get(
+  "/:bookingId/schedule-conflicts",
+  protect,
+  restrictTo("admin"),
+  getScheduleConflicts
+);
+router.patch(
+  "/:bookingId/linked-leg-review",
+  protect,
+  restrictTo("admin"),
+  validateResolveLinkedLegReview,
+  resolveLinkedLegReview
+);
+router.patch(
+  "/:bookingId",
+  protect,
+  restrictTo("admin"),
+  validateUpdateBooking,
+  updateBooking
+);
 router.delete(
   "/:bookingId",
   protect,
@@ -165,6 +253,20 @@ router.get(
   restrictTo("driver"),
   activeBooking
 );
+router.patch(
+  "/:bookingId/arrived",
+  protect,
+  restrictTo("driver"),
+  validateDriverAction,
+  arriveBooking
+);
+router.patch(
+  "/:bookingId/no-show",
+  protect,
+  restrictTo("driver"),
+  validateDriverAction,
+  markNoShow
+);
 router.patch(
   "/:bookingId/pickup",
   protect,
@@ -179,6 +281,14 @@ router.patch(
   validateDriverAction,
   dropoffBooking
 );
+router.post(
+  "/:bookingId/surcharges",
+  protect,
+  restrictTo("driver"),
+  validateDriverAction,
+  validateAddSurcharge,
+  addSurcharge
+);
 router.patch(
   "/:bookingId/complete",
   protect,
@@ -0,0 +1,23 @@
+// routes/commissionRule.routes.js
+const express = require("express");
+const {
+  createCommissionRule,
+  getCommissionRules,
+  getCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+} = require("../controllers/commissionRule.controller");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// ===== ADMIN ROUTES =====
+router.use(protect, restrictTo("admin"));
+
+router.post("/", createCommissionRule);
+router.get("/", getCommissionRules);
+router.get("/:ruleId", getCommissionRule);
+router.patch("/:ruleId", updateCommissionRule);
+router.delete("/:ruleId", deleteCommissionRule);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/customer.routes.js
+const express = require("express");
+const {
+  requestOtp,
+  verifyOtp,
+  refreshToken,
+  logout,
+  getProfile,
+  updateProfile,
+  getMyBookings,
+  addPhone,
+  removePhone,
+  addAddress,
+  removeAddress,
+} = require("../controllers/customer.controller");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// ===== PUBLIC ROUTES (passwordless login) =====
+router.post("/auth/request-otp", requestOtp);
+router.post("/auth/verify-otp", verifyOtp);
+router.post("/auth/refresh-token", refreshToken);
+
+// ===== CUSTOMER ROUTES =====
+router.use(protect, restrictTo("customer"));
+
+router.post("/auth/logout", logout);
+router.get("/me", getProfile);
+router.patch("/me", updateProfile);
+router.get("/me/bookings", getMyBookings);
+router.post("/me/phones", addPhone);
+router.delete("/me/phones/:phoneId", removePhone);
+router.post("/me/addresses", addAddress);
+router.delete("/me/addresses/:addressId", removeAddress);
+
+module.exports = router;
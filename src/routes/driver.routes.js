@@ -11,6 +11,11 @@ const {
   setupProfile,
   setOnlineStatus,
   approveDriver,
+  setDriverFleet,
+  updateLocation,
+  getAblyToken,
+  getDriverLocations,
+  getDriverTrail,
   getAllDrivers,
   getDriverProfile,
   getDriverDocuments,
@@ -76,6 +81,8 @@ router.get("/documents", protect, restrictTo("driver"), getDriverDocuments);
 router.get("/vehicles", protect, restrictTo("driver"), getDriverVehicles);
 router.get("/online-status", protect, restrictTo("driver"), getOnlineStatus);
 router.post("/online-status", protect, restrictTo("driver"), setOnlineStatus);
+router.post("/location", protect, restrictTo("driver"), updateLocation);
+router.get("/ably-token", protect, restrictTo("driver"), getAblyToken);
 router.get("/onboarding-status", protect, restrictTo("driver"), getOnboardingStatus);
 
 // Push notification token management
@@ -97,8 +104,11 @@ router.get("/stats", protect, restrictTo("driver"), getDriverStats);
 
 // ===== ADMIN ROUTES =====
 router.get("/all", protect, restrictTo("admin"), getAllDrivers);
+router.get("/locations", protect, restrictTo("admin"), getDriverLocations);
+router.get("/:driverId/trail", protect, restrictTo("admin"), getDriverTrail);
 router.get("/:driverId", protect, restrictTo("admin"), getDriverCompleteDetails);
 router.post("/approve", protect, restrictTo("admin"), approveDriver);
+router.patch("/:driverId/fleet", protect, restrictTo("admin"), setDriverFleet);
 router.delete("/:driverId", protect, restrictTo("admin"), deleteDriverAccount);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+// routes/job.routes.js
+const express = require("express");
+const { runJobs, getJobs, retryJob } = require("../controllers/job.controller");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// ===== CRON ROUTE (Bearer CRON_SECRET) =====
+router.get("/run", runJobs);
+
+// ===== ADMIN ROUTES =====
+router.use(protect, restrictTo("admin"));
+
+router.get("/", getJobs);
+router.post("/:jobId/retry", retryJob);
+
+module.exports = router;
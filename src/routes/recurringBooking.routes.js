@@ -0,0 +1,27 @@
+// routes/recurringBooking.routes.js
+const express = require("express");
+const {
+  createRecurringBooking,
+  getRecurringBookings,
+  getRecurringBooking,
+  skipOccurrence,
+  cancelRecurringBooking,
+} = require("../controllers/recurringBooking.controller");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+const {
+  validateCreateRecurringBooking,
+  validateSkipOccurrence,
+} = require("../middleware/bookingValidation.middleware");
+
+const router = express.Router();
+
+// ===== ADMIN ROUTES =====
+router.use(protect, restrictTo("admin"));
+
+router.post("/", validateCreateRecurringBooking, createRecurringBooking);
+router.get("/", getRecurringBookings);
+router.get("/:seriesId", getRecurringBooking);
+router.post("/:seriesId/skip", validateSkipOccurrence, skipOccurrence);
+router.patch("/:seriesId/cancel", cancelRecurringBooking);
+
+module.exports = router;
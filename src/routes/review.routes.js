@@ -0,0 +1,25 @@
+// routes/review.routes.js
+const express = require("express");
+const {
+  getReviewForm,
+  submitReview,
+  getReviews,
+  hideReview,
+  unhideReview,
+} = require("../controllers/review.controller");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// ===== PUBLIC ROUTES (signed review token) =====
+router.get("/:token", getReviewForm);
+router.post("/:token", submitReview);
+
+// ===== ADMIN ROUTES =====
+router.use(protect, restrictTo("admin"));
+
+router.get("/", getReviews);
+router.patch("/:bookingId/hide", hideReview);
+router.patch("/:bookingId/unhide", unhideReview);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/tip.routes.js
+const express = require("express");
+const { createTipCheckout, verifyTip } = require("../controllers/tip.controller");
+
+const router = express.Router();
+
+// ===== PUBLIC ROUTES (signed review token / Stripe session) =====
+router.get("/verify/:sessionId", verifyTip);
+router.post("/:token", createTipCheckout);
+
+module.exports = router;
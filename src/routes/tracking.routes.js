@@ -0,0 +1,10 @@
+// routes/tracking.routes.js
+const express = require("express");
+const { getTrip } = require("../controllers/tracking.controller");
+
+const router = express.Router();
+
+// ===== PUBLIC ROUTES (signed tracking token) =====
+router.get("/:token", getTrip);
+
+module.exports = router;
@@ -4,7 +4,13 @@ const app = require("./app");
 const connectDB = require("../config/database");
 const logger = require("./utils/logger");
 const chalk = require("chalk");
-const notifyUpcomingBookingsJob = require("./jobs/notifyUpcomingBookings");
+const generateRecurringBookingsJob = require("./jobs/generateRecurringBookings");
+const trackFlightsJob = require("./jobs/trackFlights");
+const runScheduledJobsJob = require("./jobs/runScheduledJobs");
+const { refreshSettingsIfStale } = require("./services/settings.service");
+const { startLocationIngestion } = require("./services/driverLocation.service");
+const { resumeDispatches } = require("./services/dispatch.service");
+const { recoverOverdueJobs } = require("./services/jobQueue.service");
 
 // Ensure database connection before handling requests
 let isConnecting = false;
@@ -72,6 +78,7 @@ app.get('/api/health', (req, res) => {
 (async () => {
   try {
     await ensureDBConnection();
+    await refreshSettingsIfStale();
     const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
     if (webhookSecret) {
       const secretPreview = webhookSecret.length > 10 
@@ -83,8 +90,18 @@ app.get('/api/health', (req, res) => {
       logger.warn(chalk.yellow("   Webhook endpoint will not work without this secret"));
     }
     logger.info(chalk.blue("Initializing cron jobs..."));
-    notifyUpcomingBookingsJob();
+    generateRecurringBookingsJob();
+    trackFlightsJob();
+    runScheduledJobsJob();
     logger.info(chalk.green("All cron jobs initialized successfully"));
+    // Run jobs that became due while the server was down
+    recoverOverdueJobs().catch((error) => {
+      logger.error(`Failed to recover overdue jobs: ${error.message}`);
+    });
+    startLocationIngestion();
+    resumeDispatches().catch((error) => {
+      logger.error(`Failed to resume dispatches: ${error.message}`);
+    });
     
     const PORT = process.env.PORT || 5000;
     const NODE_ENV = process.env.NODE_ENV || "development";
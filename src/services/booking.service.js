@@ -1,38 +1,26 @@
-const mongoose = require("mongoose");
 const Booking = require("../models/booking.model");
 const Driver = require("../models/driver.model");
 const Vehicle = require("../models/vehicle.model");
-const WalletTransaction = require("../models/walletTransaction.model");
 const {
   parseDistanceToNumber,
-  assertDriverHasNoActiveBooking,
   findActiveBookingForDriver,
   getCatTitleVariations,
   getVehicleTypesForBooking,
+  calculateCancellationRefund,
 } = require("../utils/booking.helper");
-
-/**
- * Generate a unique order/ride number
- * Format: {PREFIX}-{NUMBER}
- * Example: RID-1000, RID-1001, RID-1002, etc.
- * Starts from 1000 and increments sequentially
- */
-/**
- * ULTRA-FAST order number generation - NO database queries
- * Uses last 5 digits of timestamp for short, unique order numbers
- * Format: RID-{5digits}
- * Last 5 digits of timestamp provide uniqueness for ~2.7 hours
- * If collision occurs (rare), retry mechanism handles it
- * This is the simplest and fastest approach with short numbers
- */
-const generateOrderNumber = () => {
-  const prefix = process.env.ORDER_NUMBER_PREFIX || "RID";
-  const timestamp = Date.now();
-  // Use last 5 digits of timestamp for short order number (up to 5 digits)
-  // This provides uniqueness for ~2.7 hours, which is sufficient for most use cases
-  const shortNumber = timestamp.toString().slice(-5); // Last 5 digits
-  return `${prefix}-${shortNumber}`;
-};
+const { verifyBookingToken } = require("../utils/token");
+const { CANCELLABLE_STATUSES } = require("../../config/cancellationPolicy");
+const { generateOrderNumber } = require("./orderNumber.service");
+const { transitionBooking } = require("./bookingStateMachine");
+const { recordBookingEvent, getBookingHistory } = require("./bookingEvent.service");
+const { calculateFare, calculateSurcharge } = require("./pricing.service");
+const { EDITABLE_FIELDS_BY_STATUS, PRICE_FIELDS } = require("../../config/bookingEditPolicy");
+const { scheduleBookingExpiry, cancelBookingExpiry } = require("./bookingExpiryScheduler");
+const { scheduleBookingReminder, cancelBookingReminder } = require("./bookingReminderScheduler");
+const { getSetting } = require("./settings.service");
+const { calculateCommission } = require("./commission.service");
+const { declineOffer, holdsDispatchOffer, startDispatch, stopDispatch } = require("./dispatch.service");
+const { findCustomerIdByEmail } = require("./customer.service");
 
 /**
  * Helper to build a consistent error with HTTP status code.
@@ -45,33 +33,51 @@ const buildError = (message, statusCode = 400, code, meta) => {
   return err;
 };
 
+/**
+ * Re-apply commission rules for the driver a booking is (un)assigned to
+ * Keeps the booking's commission, driver price and applied-rule snapshot in sync.
+ */
+const applyCommissionForDriver = async (booking, driverId) => {
+  const actualPriceNumber = parseFloat(String(booking.actualPrice || booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
+  const split = await calculateCommission(booking, actualPriceNumber, driverId);
+  booking.commission = split.commission;
+  booking.price = split.driverPrice;
+  booking.driverPrice = split.driverPrice;
+  booking.commissionRule = split.commissionRule;
+};
+
 /**
  * USER SERVICES
  */
 
 exports.createBooking = async (payload) => {
-  const commissionPercentage = parseFloat(process.env.DRIVER_COMMISSION_PERCENTAGE || "22");
   const actualPriceString = payload.actualPrice || payload.price;
   const actualPriceNumber = parseFloat(String(actualPriceString || "0").replace(/[^\d.-]/g, "")) || 0;
-  const commissionAmount = actualPriceNumber * (commissionPercentage / 100);
-  const driverPriceNumber = actualPriceNumber - commissionAmount;
-  const commissionRounded = Math.round(commissionAmount * 100) / 100;
-  const driverPriceRounded = Math.round(driverPriceNumber * 100) / 100;
-  const commissionString = commissionRounded.toFixed(2);
-  const driverPriceString = driverPriceRounded.toFixed(2);
+  // Driver-specific rules are applied again once a driver accepts or is assigned
+  const {
+    commission: commissionString,
+    driverPrice: driverPriceString,
+    commissionRule,
+  } = await calculateCommission(payload, actualPriceNumber, null);
   const actualPriceStringFormatted = String(actualPriceString);
-  const assignmentType = actualPriceNumber > 150 ? "admin" : "auto";
+  const threshold = getSetting("assignmentPriceThreshold");
+  const assignmentType = actualPriceNumber > threshold ? "admin" : "auto";
   const now = new Date();
-  const expiresAt = actualPriceNumber < 150 ? new Date(now.getTime() + 5 * 60 * 1000) : undefined;
-  let orderNumber = generateOrderNumber();
+  const expiresAt = actualPriceNumber < threshold
+    ? new Date(now.getTime() + getSetting("autoBookingExpiryMinutes") * 60 * 1000)
+    : undefined;
+  let orderNumber = await generateOrderNumber();
+  const customerId = payload.customerId || (await findCustomerIdByEmail(payload.email));
 
   const bookingData = {
     ...payload,
+    customerId,
     orderNumber,
     actualPrice: actualPriceStringFormatted,
     price: driverPriceString,
     commission: commissionString,
     driverPrice: driverPriceString,
+    commissionRule,
     assignmentType,
     status: "pending",
     isAccepted: false,
@@ -86,18 +92,85 @@ exports.createBooking = async (payload) => {
     isExpired: false,
   };
 
+  let booking;
   try {
-    const booking = await Booking.create(bookingData);
-    return booking;
+    booking = await Booking.create(bookingData);
   } catch (error) {
-    if (error.code === 11000 && error.keyPattern?.orderNumber) {
-      orderNumber = generateOrderNumber();
-      bookingData.orderNumber = orderNumber;
-      const booking = await Booking.create(bookingData);
-      return booking;
+    // Only possible if the counter was reset below already issued numbers
+    if (error.code !== 11000 || !error.keyPattern?.orderNumber) {
+      throw error;
     }
-    throw error;
+    orderNumber = await generateOrderNumber();
+    bookingData.orderNumber = orderNumber;
+    booking = await Booking.create(bookingData);
   }
+
+  await recordBookingEvent(booking, {
+    action: "create",
+    actor: booking.createdBy ? { role: "admin", id: booking.createdBy } : { role: "customer" },
+    newStatus: booking.status,
+    metadata: {
+      actualPrice: booking.actualPrice,
+      assignmentType: booking.assignmentType,
+      tripLeg: booking.tripLeg,
+      source: booking.source,
+      paymentMethod: booking.paymentMethod,
+    },
+  });
+
+  return booking;
+};
+
+/**
+ * Create the return leg of a round trip and link both legs
+ * The return leg runs from the outbound dropoff back to the pickup at return_date_time
+ * @param {Object} outboundBooking - The created outbound booking
+ * @param {Object} fareQuote - Fare quote for the return leg (from calculateFare)
+ * @returns {Promise<Object>} The created return booking
+ */
+exports.createReturnBooking = async (outboundBooking, fareQuote) => {
+  const reverse = (list) => (Array.isArray(list) ? [...list].reverse() : []);
+
+  const returnBooking = await exports.createBooking({
+    from_location: outboundBooking.to_location,
+    to_location: outboundBooking.from_location,
+    date_time: outboundBooking.return_date_time,
+    cat_title: outboundBooking.cat_title,
+    actualPrice: fareQuote.total.toFixed(2),
+    user_name: outboundBooking.user_name,
+    email: outboundBooking.email,
+    num_passengers: outboundBooking.num_passengers,
+    luggage: outboundBooking.luggage,
+    number: outboundBooking.number,
+    note_description: outboundBooking.note_description,
+    pickup_house_no: outboundBooking.dropoff_house_no,
+    dropoff_house_no: outboundBooking.pickup_house_no,
+    stops: reverse(outboundBooking.stops),
+    stopsCoordinates: reverse(outboundBooking.stopsCoordinates),
+    distance: outboundBooking.distance,
+    pickupCoordinates: outboundBooking.dropoffCoordinates,
+    dropoffCoordinates: outboundBooking.pickupCoordinates,
+    extras: fareQuote.extras.map((extra) => extra.code),
+    priceBreakdown: {
+      ...fareQuote.breakdown,
+      isNight: fareQuote.isNight,
+      total: fareQuote.total,
+    },
+    tripLeg: "return",
+    linkedBookingId: outboundBooking._id,
+    source: outboundBooking.source,
+    paymentMethod: outboundBooking.paymentMethod,
+    createdBy: outboundBooking.createdBy,
+    isPaid: false,
+  });
+
+  await Booking.updateOne(
+    { _id: outboundBooking._id },
+    { $set: { linkedBookingId: returnBooking._id } }
+  );
+  outboundBooking.linkedBookingId = returnBooking._id;
+
+  return returnBooking;
 };
 
 exports.getBookingStatus = async (bookingId) => {
@@ -130,17 +203,333 @@ exports.getBookingByOrderNumber = async (orderNumber) => {
   return booking;
 };
 
+/**
+ * Load a booking for a customer action (cancel, ...) and verify the proof token.
+ * The token must have been issued for this booking and for the given purpose.
+ */
+const findBookingForCustomerAction = async (orderNumber, token, purpose) => {
+  const booking = await Booking.findOne({ orderNumber });
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  const decoded = verifyBookingToken(token, purpose);
+  if (!decoded || decoded.bookingId !== booking._id.toString()) {
+    throw buildError(
+      "Invalid or expired booking token.",
+      403,
+      "INVALID_BOOKING_TOKEN"
+    );
+  }
+
+  return booking;
+};
+
+/**
+ * Get the refund a customer would receive if they cancelled now
+ * @param {string} orderNumber - Booking order number
+ * @param {string} token - Cancellation token from the confirmation email
+ * @returns {Promise<Object>} Cancellation quote
+ */
+exports.getCancellationQuote = async (orderNumber, token) => {
+  const booking = await findBookingForCustomerAction(orderNumber, token, "cancel");
+  const refund = calculateCancellationRefund(booking);
+
+  return {
+    bookingId: booking._id,
+    orderNumber: booking.orderNumber,
+    status: booking.status,
+    cancellable: CANCELLABLE_STATUSES.includes(booking.status),
+    isPaid: booking.isPaid,
+    hoursBeforePickup: refund.hoursBeforePickup,
+    refundPercentage: booking.isPaid ? refund.refundPercentage : 0,
+    refundAmount: booking.isPaid ? refund.refundAmount.toFixed(2) : "0.00",
+    totalPrice: refund.totalPrice.toFixed(2),
+    linkedLeg: await getLinkedLegSummary(booking),
+  };
+};
+
+/**
+ * Short description of the other leg of a round trip (null for single rides)
+ */
+const getLinkedLegSummary = async (booking) => {
+  if (!booking.linkedBookingId) {
+    return null;
+  }
+  const linked = await Booking.findById(booking.linkedBookingId)
+    .select("orderNumber status tripLeg date_time")
+    .lean();
+  if (!linked) {
+    return null;
+  }
+  return {
+    bookingId: linked._id,
+    orderNumber: linked.orderNumber,
+    tripLeg: linked.tripLeg,
+    status: linked.status,
+    date_time: linked.date_time,
+    cancellable: CANCELLABLE_STATUSES.includes(linked.status),
+  };
+};
+
+/**
+ * Refund part of a booking's Stripe payment and store the outcome on the booking
+ * The refund only counts as succeeded when Stripe actually made one: no refundable payment
+ * (or nothing left to refund) is a failure too, and failures are flagged for admin review.
+ * @param {Object} booking - Booking after the cancel / no-show transition (refundStatus is updated)
+ * @param {number} refundAmount - Amount to refund in currency units
+ * @param {string} reason - Why the refund is issued (stored in Stripe metadata)
+ * @param {string} logTag - Log prefix (e.g. "CANCEL")
+ */
+const refundBooking = async (booking, refundAmount, reason, logTag) => {
+  const { refundPaymentForBooking } = require("./payment.service");
+  let failureMessage;
+  try {
+    const result = await refundPaymentForBooking(booking._id, refundAmount, reason);
+    if (!result) {
+      failureMessage = "No refundable Stripe payment found for this booking";
+    }
+  } catch (error) {
+    failureMessage = error?.message || String(error);
+  }
+  booking.refundStatus = failureMessage ? "failed" : "succeeded";
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { refundStatus: booking.refundStatus } });
+  if (failureMessage) {
+    const logger = require("../utils/logger");
+    logger.error(`[${logTag}] Refund failed for booking ${booking._id}: ${failureMessage}`);
+    // Keep an existing flag (e.g. a no-show dispute) and its reason
+    await Booking.updateOne(
+      { _id: booking._id, "adminReview.pending": { $ne: true } },
+      {
+        $set: {
+          "adminReview.pending": true,
+          "adminReview.reason": "refund_failed",
+          "adminReview.flaggedAt": new Date(),
+        },
+      }
+    );
+  }
+
+  await recordBookingEvent(booking, {
+    action: "refund",
+    actor: { role: "system" },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    reason: failureMessage,
+    metadata: {
+      refundAmount: booking.refundAmount,
+      refundPercentage: booking.refundPercentage,
+      refundStatus: booking.refundStatus,
+    },
+  });
+};
+
+/**
+ * Move a cancellable booking to "cancelled" and refund according to the cancellation policy
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { reason, cancelledBy }
+ * @returns {Promise<Object>} { booking, previousDriverId }
+ */
+const cancelBookingRecord = async (booking, { reason, cancelledBy, actorId }) => {
+  const refund = calculateCancellationRefund(booking, new Date());
+  const refundAmount = booking.isPaid ? refund.refundAmount : 0;
+  const previousDriverId = booking.driverId ? booking.driverId.toString() : null;
+
+  const updated = await transitionBooking(
+    "cancel",
+    booking._id,
+    { role: cancelledBy, id: actorId },
+    {
+      cancelledBy,
+      cancellationReason: reason,
+      refundPercentage: booking.isPaid ? refund.refundPercentage : 0,
+      refundAmount: refundAmount.toFixed(2),
+      refundStatus: refundAmount > 0 ? "pending" : "none",
+    }
+  );
+
+  if (refundAmount > 0) {
+    // Booking stays cancelled; a failed refund is left to an admin (Stripe dashboard)
+    await refundBooking(updated, refundAmount, updated.cancellationReason, "CANCEL");
+  }
+
+  return { booking: updated, previousDriverId };
+};
+
+/**
+ * Flag the other leg of a round trip for a keep/cancel decision
+ * Called when one leg is cancelled or rescheduled
+ * @param {Object} booking - The leg that changed
+ * @param {string} reason - "cancelled" | "rescheduled"
+ * @returns {Promise<Object|null>} The flagged linked booking, or null if there is nothing to decide
+ */
+exports.flagLinkedLegForReview = async (booking, reason) => {
+  if (!booking.linkedBookingId) {
+    return null;
+  }
+
+  const flagged = await Booking.findOneAndUpdate(
+    {
+      _id: booking.linkedBookingId,
+      status: { $in: CANCELLABLE_STATUSES },
+    },
+    {
+      $set: {
+        linkedLegReview: {
+          pending: true,
+          reason,
+          sourceOrderNumber: booking.orderNumber,
+          flaggedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (flagged) {
+    await recordBookingEvent(flagged, {
+      action: "linked_leg_review",
+      actor: { role: "system" },
+      previousStatus: flagged.status,
+      newStatus: flagged.status,
+      reason: `Linked booking ${booking.orderNumber} was ${reason}`,
+      metadata: { sourceBookingId: booking._id, sourceOrderNumber: booking.orderNumber },
+    });
+  }
+
+  return flagged;
+};
+
+/**
+ * Cancel a booking on behalf of the customer and refund according to the cancellation policy
+ * For round trips the customer either cancels both legs (cancelLinkedLeg) or the other
+ * leg is flagged so the customer/admin can decide whether to keep it.
+ * @param {string} orderNumber - Booking order number
+ * @param {string} token - Cancellation token from the confirmation email
+ * @param {string} reason - Optional reason given by the customer
+ * @param {Object} options - { cancelLinkedLeg }
+ * @returns {Promise<Object>} { booking, previousDriverId, linkedLeg }
+ */
+exports.cancelBooking = async (orderNumber, token, reason, options = {}) => {
+  const booking = await findBookingForCustomerAction(orderNumber, token, "cancel");
+
+  const result = await cancelBookingRecord(booking, {
+    reason: reason || "Cancelled by customer",
+    cancelledBy: "customer",
+  });
+
+  let linkedLeg = null;
+  if (booking.linkedBookingId) {
+    const linked = await Booking.findById(booking.linkedBookingId);
+    if (linked && CANCELLABLE_STATUSES.includes(linked.status)) {
+      if (options.cancelLinkedLeg) {
+        const linkedResult = await cancelBookingRecord(linked, {
+          reason: reason || "Cancelled by customer",
+          cancelledBy: "customer",
+        });
+        linkedLeg = { ...linkedResult, decisionRequired: false };
+      } else {
+        const flagged = await exports.flagLinkedLegForReview(result.booking, "cancelled");
+        linkedLeg = {
+          booking: flagged || linked,
+          previousDriverId: null,
+          decisionRequired: true,
+        };
+      }
+    }
+  }
+
+  return { ...result, linkedLeg };
+};
+
+/**
+ * Admin decision on a leg flagged after its linked leg was cancelled/rescheduled
+ * @param {string} bookingId - The flagged booking
+ * @param {string} action - "keep" | "cancel"
+ * @returns {Promise<Object>} { booking, previousDriverId, cancelled }
+ */
+exports.resolveLinkedLegReview = async (bookingId, action, adminId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  if (!booking.linkedLegReview || !booking.linkedLegReview.pending) {
+    throw buildError(
+      "Booking has no pending linked-leg decision.",
+      400,
+      "NO_LINKED_LEG_REVIEW"
+    );
+  }
+
+  if (action === "cancel") {
+    const result = await cancelBookingRecord(booking, {
+      reason: `Linked booking ${booking.linkedLegReview.sourceOrderNumber} was ${booking.linkedLegReview.reason}`,
+      cancelledBy: "admin",
+      actorId: adminId,
+    });
+    return { ...result, cancelled: true };
+  }
+
+  booking.linkedLegReview.pending = false;
+  await booking.save();
+
+  await recordBookingEvent(booking, {
+    action: "linked_leg_keep",
+    actor: { role: "admin", id: adminId },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+  });
+
+  return { booking, previousDriverId: null, cancelled: false };
+};
+
 /**
  * ADMIN SERVICES
  */
 
-exports.assignDriverToBooking = async (bookingId, driverId) => {
+/**
+ * Group child rides: re-derive the parent status after an assignment change
+ * (lifecycle transitions do this through a state machine hook)
+ */
+const refreshParentGroup = async (booking) => {
+  if (!booking.groupId) {
+    return;
+  }
+  const { refreshGroupStatus } = require("./groupBooking.service");
+  try {
+    await refreshGroupStatus(booking.groupId);
+  } catch (error) {
+    const logger = require("../utils/logger");
+    logger.error(`[GROUP] Failed to refresh group ${booking.groupId}: ${error?.message || error}`);
+  }
+};
+
+/**
+ * Cancel a booking on behalf of the customer/dispatcher (same refund rules as customer cancellation)
+ * @param {string} bookingId - Booking ID
+ * @param {string} adminId - Admin cancelling the booking
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} { booking, previousDriverId }
+ */
+exports.cancelBookingAsAdmin = async (bookingId, adminId, reason) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+  return cancelBookingRecord(booking, { reason, cancelledBy: "admin", actorId: adminId });
+};
+
+exports.assignDriverToBooking = async (bookingId, driverId, adminId) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) {
     throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
   }
 
   const wasExpired = booking.isExpired === true;
+  const previousStatus = booking.status;
+  const previousDriverId = booking.driverId ? booking.driverId.toString() : null;
 
   if (!["pending", "rejected"].includes(booking.status)) {
     throw buildError(
@@ -153,6 +542,7 @@ exports.assignDriverToBooking = async (bookingId, driverId) => {
   booking.driverId = driverId;
   booking.assignmentType = "admin";
   booking.status = "pending"; // Reset status to pending (for rejected bookings being reassigned)
+  await applyCommissionForDriver(booking, driverId);
   booking.isRejected = false;
   booking.isAccepted = false;
   booking.rejectionReason = undefined;
@@ -166,10 +556,24 @@ exports.assignDriverToBooking = async (bookingId, driverId) => {
   }
 
   await booking.save();
+
+  await recordBookingEvent(booking, {
+    action: previousDriverId ? "reassign" : "assign",
+    actor: { role: "admin", id: adminId },
+    previousStatus,
+    newStatus: booking.status,
+    driverId,
+    metadata: { previousDriverId, reactivated: wasExpired },
+  });
+
+  await stopDispatch(booking, "stopped");
+  await scheduleBookingReminder(booking);
+  await refreshParentGroup(booking);
+
   return booking;
 };
 
-exports.unassignDriver = async (bookingId) => {
+exports.unassignDriver = async (bookingId, adminId) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) {
     throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
@@ -186,12 +590,191 @@ exports.unassignDriver = async (bookingId) => {
     );
   }
 
+  const previousDriverId = booking.driverId;
   booking.driverId = null;
   booking.assignmentType = "admin"; // still a long ride requiring admin assignment
+  await applyCommissionForDriver(booking, null);
   await booking.save();
+
+  await recordBookingEvent(booking, {
+    action: "unassign",
+    actor: { role: "admin", id: adminId },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    driverId: previousDriverId,
+  });
+
+  await scheduleBookingReminder(booking);
+  await refreshParentGroup(booking);
+
   return booking;
 };
 
+/**
+ * Correct booking details on behalf of the customer (phone-in changes)
+ * Only the fields allowed for the booking's status (config/bookingEditPolicy.js) may be
+ * changed. Price and commission are recomputed when a fare-relevant field changes, and
+ * the expiry/reminder timers follow a new pickup time. An unassigned pending booking is
+ * reclassified as auto/admin for its new price (as in createBooking). The price of a
+ * booking already paid through Stripe cannot change.
+ * @param {string} bookingId - Booking ID
+ * @param {Object} updates - Fields to change
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} { booking, changes, linkedLeg }
+ */
+exports.updateBooking = async (bookingId, updates, adminId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  const editableFields = EDITABLE_FIELDS_BY_STATUS[booking.status];
+  if (!editableFields) {
+    throw buildError(
+      `A ${booking.status} booking can no longer be edited.`,
+      400,
+      "BOOKING_NOT_EDITABLE"
+    );
+  }
+
+  const requestedFields = Object.keys(updates);
+  const notEditable = requestedFields.filter((field) => !editableFields.includes(field));
+  if (notEditable.length > 0) {
+    throw buildError(
+      `These fields cannot be changed while the booking is ${booking.status}: ${notEditable.join(", ")}`,
+      400,
+      "FIELDS_NOT_EDITABLE",
+      { fields: notEditable, editableFields }
+    );
+  }
+
+  // Only keep values that actually differ, so the audit trail and notifications stay meaningful
+  const changes = {};
+  requestedFields.forEach((field) => {
+    const current = booking[field] instanceof Date ? booking[field].toISOString() : booking[field];
+    const next = field === "date_time" ? new Date(updates[field]).toISOString() : updates[field];
+    const currentValue = current && current.toObject ? current.toObject() : current;
+    if (JSON.stringify(currentValue) !== JSON.stringify(next)) {
+      changes[field] = { from: currentValue === undefined ? null : currentValue, to: next };
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return { booking, changes, linkedLeg: null };
+  }
+
+  Object.keys(changes).forEach((field) => {
+    booking[field] = updates[field];
+  });
+
+  // A new pickup time or flight restarts flight tracking from the booked time
+  if (changes.date_time || changes.flight_no) {
+    booking.scheduledDateTime = undefined;
+    booking.flightStatus = undefined;
+  }
+
+  const previousPrice = booking.actualPrice || booking.price;
+  const priceChanged = PRICE_FIELDS.some((field) => changes[field]);
+  if (priceChanged) {
+    const quote = calculateFare({
+      cat_title: booking.cat_title,
+      distance: booking.distance,
+      stops: booking.stops,
+      num_passengers: booking.num_passengers,
+      date_time: booking.date_time,
+      extras: booking.extras,
+    });
+    // The customer paid the old fare; collecting or refunding the difference is not automated
+    if (booking.isPaid && booking.paymentMethod === "stripe" && quote.total.toFixed(2) !== parsePrice(previousPrice).toFixed(2)) {
+      throw buildError(
+        "The price of a booking paid online cannot be changed. Cancel and rebook it instead.",
+        409,
+        "PAID_BOOKING_PRICE_LOCKED",
+        { currentPrice: parsePrice(previousPrice), newPrice: quote.total }
+      );
+    }
+    booking.actualPrice = quote.total.toFixed(2);
+    await applyCommissionForDriver(booking, booking.driverId);
+    booking.priceBreakdown = { ...quote.breakdown, isNight: quote.isNight, total: quote.total };
+  }
+
+  // Until a driver has it, a new price can move the booking between the auto and admin queues
+  const previousAssignmentType = booking.assignmentType;
+  if (priceChanged && booking.status === "pending" && !booking.driverId && !booking.isExpired) {
+    booking.assignmentType = parsePrice(booking.actualPrice) > getSetting("assignmentPriceThreshold") ? "admin" : "auto";
+  }
+  const assignmentTypeChanged = booking.assignmentType !== previousAssignmentType;
+  if (assignmentTypeChanged && booking.assignmentType === "admin") {
+    booking.expiresAt = undefined;
+  }
+
+  // A pending auto booking with a new time/route is a new offer: give drivers a fresh window
+  const timeChanged = Boolean(changes.date_time);
+  if (
+    (timeChanged || priceChanged) &&
+    booking.status === "pending" &&
+    booking.assignmentType === "auto" &&
+    !booking.isExpired
+  ) {
+    booking.expiresAt = new Date(Date.now() + getSetting("autoBookingExpiryMinutes") * 60 * 1000);
+  }
+
+  await booking.save();
+
+  if (booking.expiresAt && booking.status === "pending" && booking.assignmentType === "auto") {
+    await scheduleBookingExpiry(booking);
+  }
+  if (assignmentTypeChanged) {
+    if (booking.assignmentType === "admin") {
+      await cancelBookingExpiry(booking._id.toString());
+      await stopDispatch(booking, "stopped");
+    } else if (booking.isPaid || (booking.paymentMethod || "stripe") !== "stripe") {
+      // Same as a new booking: Stripe bookings reach drivers once paid, cash and invoice ones right away
+      const dispatchStarted = await startDispatch(booking);
+      if (!dispatchStarted) {
+        const {
+          notifyNewBooking,
+          notifyAllDriversNewBooking,
+          notifyLiveBookingAdded,
+        } = require("./bookingNotifications");
+        try {
+          await notifyAllDriversNewBooking(booking);
+          await notifyNewBooking(booking);
+          await notifyLiveBookingAdded(booking);
+        } catch (notificationError) {
+          const logger = require("../utils/logger");
+          logger.error(`[UPDATE] Failed to offer booking ${booking._id} to drivers: ${notificationError?.message || notificationError}`);
+        }
+      }
+    }
+  }
+  if (timeChanged) {
+    await scheduleBookingReminder(booking);
+  }
+
+  await recordBookingEvent(booking, {
+    action: "update",
+    actor: { role: "admin", id: adminId },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    driverId: booking.driverId,
+    metadata: {
+      changes,
+      ...(priceChanged
+        ? { previousPrice, newPrice: booking.actualPrice, commission: booking.commission }
+        : {}),
+      ...(assignmentTypeChanged
+        ? { previousAssignmentType, assignmentType: booking.assignmentType }
+        : {}),
+    },
+  });
+
+  // Moving one leg of a round trip usually affects the other one too
+  const linkedLeg = timeChanged ? await exports.flagLinkedLegForReview(booking, "rescheduled") : null;
+
+  return { booking, changes, linkedLeg };
+};
+
 // Helper function to parse price from string to number
 const parsePrice = (priceString) => {
   return parseFloat(String(priceString || "0").replace(/[^\d.-]/g, "")) || 0;
@@ -213,10 +796,11 @@ exports.viewPendingLongDistanceBookings = async (page = 1, limit = 12) => {
     .sort({ createdAt: -1 }) // Newest bookings first
     .lean();
   
-  // Filter by price > 150
+  // Filter by price above the assignment threshold
+  const threshold = getSetting("assignmentPriceThreshold");
   const filteredBookings = allPendingBookings.filter((booking) => {
     const actualPriceNumber = getActualPriceNumber(booking);
-    return actualPriceNumber > 150;
+    return actualPriceNumber > threshold;
   });
   
   // Apply pagination
@@ -270,15 +854,16 @@ exports.getAllPendingBookings = async (page = 1, limit = 12) => {
   };
 };
 
-// Get all bookings with price > 150 (includes all statuses: expired, completed, assigned, etc.)
+// Get all bookings priced above the assignment threshold (includes all statuses: expired, completed, assigned, etc.)
 exports.viewHighPriceBookings = async (page = 1, limit = 12) => {
   const allBookings = await Booking.find({})
     .sort({ createdAt: -1 }) // Newest bookings first
     .lean();
   
+  const threshold = getSetting("assignmentPriceThreshold");
   const filteredBookings = allBookings.filter((booking) => {
     const actualPriceNumber = getActualPriceNumber(booking);
-    return actualPriceNumber > 150;
+    return actualPriceNumber > threshold;
   });
   
   // Apply pagination
@@ -297,7 +882,7 @@ exports.viewHighPriceBookings = async (page = 1, limit = 12) => {
   };
 };
 
-// Get all bookings with price <= 150 (excludes expired - they should only appear in getExpiredBookings)
+// Get all bookings priced at or below the assignment threshold (excludes expired - they should only appear in getExpiredBookings)
 exports.viewLowPriceBookings = async (page = 1, limit = 12) => {
   const allBookings = await Booking.find({
     isExpired: { $ne: true }, // Exclude expired bookings
@@ -305,9 +890,10 @@ exports.viewLowPriceBookings = async (page = 1, limit = 12) => {
     .sort({ createdAt: -1 }) // Newest bookings first
     .lean();
   
+  const threshold = getSetting("assignmentPriceThreshold");
   const filteredBookings = allBookings.filter((booking) => {
     const actualPriceNumber = getActualPriceNumber(booking);
-    return actualPriceNumber <= 150;
+    return actualPriceNumber <= threshold;
   });
   
   // Apply pagination
@@ -389,6 +975,11 @@ exports.getAvailableBookings = async (driverId) => {
 
   // If driverId is provided, filter by driver's vehicle type(s)
   if (driverId) {
+    // A booking under an exclusive dispatch offer is only visible to the driver holding it
+    baseQuery.$and = [
+      { $or: [{ "dispatch.status": { $ne: "offering" } }, { "dispatch.offeredTo": driverId }] },
+    ];
+
     try {
       // Get driver's approved vehicles
       const vehicles = await Vehicle.find({
@@ -440,7 +1031,7 @@ exports.getAvailableBookings = async (driverId) => {
 
   // Use $ne: true to catch null, undefined, and false values
   // This ensures we exclude any booking that has been marked as expired
-  // Includes both auto-assigned (price <= 150) and admin-assigned (price > 150) bookings
+  // Includes both auto-assigned (below the price threshold) and admin-assigned (above it) bookings
   return Booking.find(baseQuery)
     // Show newest created bookings first to surface freshly created items
     .sort({ createdAt: -1, date_time: -1 })
@@ -473,6 +1064,11 @@ exports.getLiveBookings = async (driverId) => {
 
   // If driverId is provided, filter by driver's vehicle type(s)
   if (driverId) {
+    // A booking under an exclusive dispatch offer is only visible to the driver holding it
+    baseQuery.$and = [
+      { $or: [{ "dispatch.status": { $ne: "offering" } }, { "dispatch.offeredTo": driverId }] },
+    ];
+
     try {
       // Get driver's approved vehicles
       const vehicles = await Vehicle.find({
@@ -530,178 +1126,15 @@ exports.getLiveBookings = async (driverId) => {
     .lean();
 };
 
-exports.acceptBooking = async (bookingId, driverId) => {
-  const booking = await Booking.findById(bookingId).lean();
-  if (!booking) {
-    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
-  }
-
-  if (booking.status !== "pending") {
-    throw buildError(
-      `Booking is already ${booking.status} and cannot be accepted.`,
-      400,
-      "INVALID_BOOKING_STATE"
-    );
-  }
-
-  // Check if driver has at least one approved vehicle (exclude soft-deleted)
-  const approvedVehicleCount = await Vehicle.countDocuments({ 
-    driver: driverId, 
-    status: "Approved",
-    deletedAt: null
-  });
-  
-  if (approvedVehicleCount === 0) {
-    throw buildError(
-      "You must have at least one approved vehicle to accept bookings. Please wait for your vehicle to be approved by an administrator.",
-      403,
-      "NO_APPROVED_VEHICLE"
-    );
-  }
-
-  // Use actualPrice for business logic (with fallback to price for backward compatibility)
-  const actualPriceNumber = getActualPriceNumber(booking);
-  const isHighPrice = actualPriceNumber > 150;
-
-  // Build atomic update filter to prevent double acceptance
-  const now = new Date();
-  const expiryConditions = [
-    { expiresAt: { $gt: now } },
-    { expiresAt: null },
-    { expiresAt: { $exists: false } },
-  ];
-  const baseFilter = {
-    _id: bookingId,
-    status: "pending",
-    isExpired: { $ne: true },
-    $or: expiryConditions,
-  };
-
-  const update = {
-    status: "accepted",
-    isAccepted: true,
-    isRejected: false,
-    rejectionReason: undefined,
-    updatedAt: new Date(),
-  };
-
-  if (!isHighPrice) {
-    // Low-price (<=150)
-    if (booking.driverId) {
-      // Admin-assigned low-price booking (e.g., reactivated expired) — only assigned driver may accept
-      if (booking.driverId.toString() !== driverId.toString()) {
-        throw buildError(
-          "You are not assigned to this booking.",
-          403,
-          "UNAUTHORIZED_DRIVER"
-        );
-      }
-      baseFilter.driverId = booking.driverId;
-    } else {
-      // Auto booking: ensure it is still unassigned at update time
-      baseFilter.driverId = null;
-      update.driverId = driverId;
-      update.assignmentType = "auto";
-    }
-  } else {
-    // High-price booking (>150) must be admin-assigned and only that driver can accept
-    if (!booking.driverId) {
-      throw buildError(
-        "Admin must assign a driver for this booking before it can be accepted.",
-        400,
-        "DRIVER_NOT_ASSIGNED"
-      );
-    }
-    if (booking.driverId.toString() !== driverId.toString()) {
-      throw buildError(
-        "You are not assigned to this booking.",
-        403,
-        "UNAUTHORIZED_DRIVER"
-      );
-    }
-    baseFilter.driverId = booking.driverId;
-    // Preserve assignmentType as admin
-  }
-
-  const updated = await Booking.findOneAndUpdate(baseFilter, update, {
-    new: true,
-  });
-
-  if (!updated) {
-    // Booking may have been accepted/expired by another driver or timed out
-    throw buildError(
-      "Booking is no longer available to accept.",
-      409,
-      "BOOKING_ALREADY_TAKEN_OR_EXPIRED"
-    );
-  }
-
-  return updated;
-};
+exports.acceptBooking = async (bookingId, driverId) =>
+  transitionBooking("accept", bookingId, { role: "driver", id: driverId });
 
 exports.rejectBooking = async (bookingId, driverId, reason) => {
-  const booking = await Booking.findById(bookingId).lean();
-  if (!booking) {
-    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
-  }
-
-  if (booking.status !== "pending") {
-    throw buildError(
-      `Booking is already ${booking.status} and cannot be rejected.`,
-      400,
-      "INVALID_BOOKING_STATE"
-    );
-  }
-
-  const actualPriceNumber = getActualPriceNumber(booking);
-  const isHighPrice = actualPriceNumber > 150;
-
-  const filter = {
-    _id: bookingId,
-    status: "pending",
-  };
-
-  if (isHighPrice) {
-    if (!booking.driverId) {
-      throw buildError(
-        "Admin must assign a driver for this booking.",
-        400,
-        "DRIVER_NOT_ASSIGNED"
-      );
-    }
-    if (booking.driverId.toString() !== driverId.toString()) {
-      throw buildError(
-        "You are not assigned to this booking.",
-        403,
-        "UNAUTHORIZED_DRIVER"
-      );
-    }
-    filter.driverId = booking.driverId;
+  // A driver holding a sequential dispatch offer passes the ride on instead of rejecting it
+  if (await holdsDispatchOffer(bookingId, driverId)) {
+    return declineOffer(bookingId, driverId);
   }
-
-  const updated = await Booking.findOneAndUpdate(
-    filter,
-    {
-      $set: {
-        status: "rejected",
-        isRejected: true,
-        isAccepted: false,
-        rejectionReason: reason || "Rejected by driver",
-        driverId: null, // Clear driverId so admin can reassign to another driver
-      },
-    },
-    { new: true }
-  );
-
-  if (!updated) {
-    throw buildError(
-      "Booking could not be rejected (state changed).",
-      409,
-      "BOOKING_STATE_CHANGED"
-    );
-  }
-
-  return updated;
+  return transitionBooking("reject", bookingId, { role: "driver", id: driverId }, { reason });
 };
 
 exports.getUpcomingBookings = async (driverId) => {
@@ -722,296 +1155,138 @@ exports.getDriverCompletedBookings = async (driverId) => {
     .lean();
 };
 
-exports.startBooking = async (bookingId, driverId) => {
-  const booking = await Booking.findById(bookingId).lean();
-  if (!booking) {
-    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
-  }
-
-  if (booking.status !== "accepted") {
-    throw buildError(
-      "Booking can only be started when it is in accepted status.",
-      400,
-      "INVALID_BOOKING_STATE"
-    );
-  }
-
-  if (!booking.driverId || booking.driverId.toString() !== driverId.toString()) {
-    throw buildError(
-      "You are not assigned to this booking.",
-      403,
-      "UNAUTHORIZED_DRIVER"
-    );
-  }
-
-  await assertDriverHasNoActiveBooking(driverId);
-
-  const updated = await Booking.findOneAndUpdate(
-    {
-      _id: bookingId,
-      status: "accepted",
-      driverId: driverId,
-    },
-    {
-      $set: {
-        status: "started",
-        startedAt: new Date(),
-      },
-    },
-    { new: true }
-  );
-
-  if (!updated) {
-    throw buildError(
-      "Booking could not be started (possibly already started or changed).",
-      409,
-      "BOOKING_STATE_CHANGED"
-    );
-  }
-
-  return updated;
-};
+exports.startBooking = async (bookingId, driverId) =>
+  transitionBooking("start", bookingId, { role: "driver", id: driverId });
 
 exports.getActiveBooking = async (driverId) => {
   const booking = await findActiveBookingForDriver(driverId);
   return booking ? booking.toObject() : null;
 };
 
-exports.pickupBooking = async (bookingId, driverId) => {
-  const booking = await Booking.findById(bookingId).lean();
-  if (!booking) {
-    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
-  }
-
-  if (booking.status !== "started") {
-    throw buildError(
-      "Booking can only be marked as picked up after it is started.",
-      400,
-      "INVALID_BOOKING_STATE"
-    );
-  }
+exports.pickupBooking = async (bookingId, driverId) =>
+  transitionBooking("pickup", bookingId, { role: "driver", id: driverId });
 
-  if (!booking.driverId || booking.driverId.toString() !== driverId.toString()) {
-    throw buildError(
-      "You are not assigned to this booking.",
-      403,
-      "UNAUTHORIZED_DRIVER"
-    );
-  }
+exports.arriveBooking = async (bookingId, driverId) =>
+  transitionBooking("arrive", bookingId, { role: "driver", id: driverId });
 
-  const updated = await Booking.findOneAndUpdate(
-    {
-      _id: bookingId,
-      status: "started",
-      driverId: driverId,
-    },
-    {
-      $set: {
-        status: "picked_up",
-        pickedUpAt: new Date(),
-      },
-    },
-    { new: true }
-  );
+/**
+ * Record a customer no-show (see bookingStateMachine "no_show") and refund
+ * the part of a prepaid booking that is not kept as no-show fee
+ */
+exports.markNoShow = async (bookingId, driverId) => {
+  const updated = await transitionBooking("no_show", bookingId, { role: "driver", id: driverId });
 
-  if (!updated) {
-    throw buildError(
-      "Booking could not be marked as picked up (state changed).",
-      409,
-      "BOOKING_STATE_CHANGED"
-    );
+  const refundAmount = parsePrice(updated.refundAmount);
+  if (refundAmount > 0) {
+    // Booking stays no_show; it is already flagged for admin review
+    await refundBooking(updated, refundAmount, "Customer no-show (fee retained)", "NO_SHOW");
   }
 
   return updated;
 };
 
-exports.dropoffBooking = async (bookingId, driverId) => {
-  const booking = await Booking.findById(bookingId).lean();
+exports.dropoffBooking = async (bookingId, driverId) =>
+  transitionBooking("dropoff", bookingId, { role: "driver", id: driverId });
+
+/**
+ * Log waiting time or an unplanned stop between pickup and completion
+ * The amount is priced by the category tariff; the driver's share uses the
+ * same commission ratio as the booking itself.
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Assigned driver
+ * @param {Object} input - { type: "waiting"|"extra_stop", minutes, location, note }
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.addSurcharge = async (bookingId, driverId, { type, minutes, location, note }) => {
+  const booking = await Booking.findById(bookingId);
   if (!booking) {
     throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
   }
-
-  if (booking.status !== "picked_up") {
+  if (!booking.driverId || booking.driverId.toString() !== driverId.toString()) {
+    throw buildError("You are not assigned to this booking.", 403, "NOT_ASSIGNED_DRIVER");
+  }
+  if (!["picked_up", "dropped_off"].includes(booking.status)) {
     throw buildError(
-      "Booking can only be marked as dropped off after it is picked up.",
+      "Surcharges can only be added after pickup and before the ride is completed.",
       400,
       "INVALID_BOOKING_STATE"
     );
   }
 
-  if (!booking.driverId || booking.driverId.toString() !== driverId.toString()) {
-    throw buildError(
-      "You are not assigned to this booking.",
-      403,
-      "UNAUTHORIZED_DRIVER"
-    );
-  }
+  const waitingMinutes = parseInt(minutes, 10) || 0;
+  const previousWaitingMinutes = (booking.surcharges || [])
+    .filter((entry) => entry.type === "waiting")
+    .reduce((sum, entry) => sum + (entry.minutes || 0), 0);
+  const amount = calculateSurcharge(
+    booking.cat_title,
+    { type, minutes: waitingMinutes },
+    previousWaitingMinutes
+  );
 
+  const actualPrice = parsePrice(booking.actualPrice || booking.price);
+  const commission = parsePrice(booking.commission);
+  const commissionRatio = actualPrice > 0
+    ? commission / actualPrice
+    : getSetting("driverCommissionPercentage") / 100;
+
+  const surchargeTotal = Math.round((parsePrice(booking.surchargeTotal) + amount) * 100) / 100;
+  const driverShare = Math.round(surchargeTotal * (1 - commissionRatio) * 100) / 100;
+
+  const entry = {
+    type,
+    minutes: type === "waiting" ? waitingMinutes : undefined,
+    location,
+    note,
+    amount,
+    createdAt: new Date(),
+  };
+
+  // Status condition guards against a completion racing with this update
   const updated = await Booking.findOneAndUpdate(
+    { _id: bookingId, driverId, status: { $in: ["picked_up", "dropped_off"] } },
     {
-      _id: bookingId,
-      status: "picked_up",
-      driverId: driverId,
-    },
-    {
+      $push: { surcharges: entry },
       $set: {
-        status: "dropped_off",
-        droppedOffAt: new Date(),
+        surchargeTotal: surchargeTotal.toFixed(2),
+        surchargeDriverShare: driverShare.toFixed(2),
+        surchargePaymentStatus: surchargeTotal > 0 ? "pending" : "none",
       },
     },
     { new: true }
   );
-
   if (!updated) {
-    throw buildError(
-      "Booking could not be marked as dropped off (state changed).",
-      409,
-      "BOOKING_STATE_CHANGED"
-    );
+    throw buildError("Booking is no longer eligible for surcharges.", 409, "BOOKING_STATE_CHANGED");
   }
 
+  await recordBookingEvent(updated, {
+    action: "surcharge",
+    actor: { role: "driver", id: driverId },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId,
+    reason: note,
+    metadata: { type, minutes: entry.minutes, location, amount, surchargeTotal: updated.surchargeTotal },
+  });
+
   return updated;
 };
 
+/**
+ * Complete a ride and credit the driver's wallet (see bookingStateMachine "complete"),
+ * then charge any logged surcharges to the customer's saved payment method
+ */
 exports.completeBooking = async (bookingId, driverId) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  try {
-    const booking = await Booking.findById(bookingId).session(session);
-    if (!booking) {
-      throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
-    }
-
-    if (booking.status !== "dropped_off") {
-      throw buildError(
-        "Booking can only be completed after it is dropped off.",
-        400,
-        "INVALID_BOOKING_STATE"
-      );
-    }
-
-    if (!booking.driverId || booking.driverId.toString() !== driverId.toString()) {
-      throw buildError(
-        "You are not assigned to this booking.",
-        403,
-        "UNAUTHORIZED_DRIVER"
-      );
-    }
-
-    // Prevent duplicate completions/payments
-    if (booking.isPaid) {
-      throw buildError(
-        "Booking is already completed and paid.",
-        400,
-        "BOOKING_ALREADY_PAID"
-      );
-    }
-
-    // Calculate driver price: if driverPrice is set and > 0, use it; otherwise use the price field (already deducted)
-    let driverPrice = 0;
-    // Use the price field which already has commission deducted
-    const totalPrice = parseFloat(String(booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
-    const commission = parseFloat(String(booking.commission || "0").replace(/[^\d.-]/g, "")) || 0;
-    const explicitDriverPrice = parseFloat(String(booking.driverPrice || "0").replace(/[^\d.-]/g, "")) || 0;
-
-    if (explicitDriverPrice > 0) {
-      driverPrice = explicitDriverPrice;
-    } else if (totalPrice > 0) {
-      driverPrice = totalPrice - commission;
-      if (driverPrice < 0) {
-        driverPrice = 0;
-      }
-      driverPrice = Math.round(driverPrice * 100) / 100;
-    }
-
-    let transaction = null;
-    let newBalance = null;
-
-    if (driverPrice > 0) {
-      const driver = await Driver.findById(driverId).session(session);
-      if (!driver) {
-        throw buildError("Driver not found", 404, "DRIVER_NOT_FOUND");
-      }
-
-      // Atomically increment wallet balance
-      const updatedDriver = await Driver.findOneAndUpdate(
-        { _id: driverId },
-        { $inc: { walletBalance: driverPrice } },
-        { new: true, session, runValidators: false }
-      );
-
-      newBalance = Math.round((updatedDriver.walletBalance || 0) * 100) / 100;
-
-      transaction = await WalletTransaction.create(
-        [
-          {
-            driverId: driverId,
-            bookingId: bookingId,
-            amount: driverPrice,
-            type: "credit",
-            description: `Payment for completed booking from ${booking.from_location} to ${booking.to_location}`,
-            balanceAfter: newBalance,
-          },
-        ],
-        { session }
-      );
-      transaction = transaction?.[0] || null;
-    }
-
-    const updatedBooking = await Booking.findOneAndUpdate(
-      {
-        _id: bookingId,
-        status: "dropped_off",
-        isPaid: { $ne: true },
-      },
-      {
-        $set: {
-          status: "completed",
-          completedAt: new Date(),
-          isPaid: true,
-        },
-      },
-      { new: true, session }
-    );
-
-    if (!updatedBooking) {
-      throw buildError(
-        "Booking is no longer eligible for completion.",
-        409,
-        "BOOKING_ALREADY_COMPLETED"
-      );
-    }
-
-    await session.commitTransaction();
-    session.endSession();
-
-    // PHASE 3: Wallet notification with retry mechanism (non-blocking but with error handling)
-    if (driverPrice > 0 && transaction) {
-      setImmediate(async () => {
-        try {
-          const { notifyWalletBalanceUpdated } = require("./driverNotifications");
-          // Use Promise.race with timeout to ensure notification doesn't hang indefinitely
-          await Promise.race([
-            notifyWalletBalanceUpdated(driverId, driverPrice, newBalance, transaction, updatedBooking),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error("Wallet notification timeout after 30 seconds")), 30000)
-            )
-          ]);
-        } catch (error) {
-          // Log error but don't fail the booking completion
-          const logger = require("../utils/logger");
-          logger.error(`[WALLET] Failed to send wallet notification for booking ${bookingId}: ${error?.message || error}`);
-          // Note: Wallet balance is already updated in database, so this is just a notification failure
-        }
-      });
-    }
-
-    return updatedBooking;
-  } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
-    throw err;
+  const updated = await transitionBooking("complete", bookingId, { role: "driver", id: driverId });
+
+  // Cash surcharges are collected by the driver; invoiced ones go on the invoice
+  if (parsePrice(updated.surchargeTotal) > 0 && (updated.paymentMethod || "stripe") === "stripe") {
+    const { chargeBookingSurcharges } = require("./payment.service");
+    const result = await chargeBookingSurcharges(updated);
+    updated.surchargePaymentStatus = result.status;
+    updated.surchargePaymentIntentId = result.paymentIntentId;
   }
+
+  return updated;
 };
 
 exports.viewAdminAssignedBookings = async (page = 1, limit = 12) => {
@@ -1047,19 +1322,90 @@ exports.viewAdminAssignedBookings = async (page = 1, limit = 12) => {
 
 exports.getAllAssignedBookings = async (driverId) => {
   // Return assigned bookings that are not yet started
-  // Exclude: started, completed, cancelled, expired, rejected
+  // Exclude: started, arrived, completed, cancelled, no_show, expired, rejected
   // Include: pending, accepted (for admin-assigned bookings)
   // Rejected bookings are removed from assigned list - driverId is cleared when rejected
   return Booking.find({
     driverId,
-    status: { $nin: ["started", "completed", "cancelled", "rejected"] }, // Exclude rejected bookings
+    status: { $nin: ["started", "arrived", "completed", "cancelled", "no_show", "rejected"] }, // Exclude rejected bookings
   })
     .sort({ createdAt: -1 }) // Newest bookings first
     .lean();
 };
 
 /**
- * Get expired bookings (bookings that expired after 5 minutes without driver acceptance)
+ * Get bookings flagged for admin review (e.g. no-shows), oldest flag first
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Paginated bookings awaiting review
+ */
+exports.getBookingsForReview = async (page = 1, limit = 12) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const query = { "adminReview.pending": true };
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(query)
+      .sort({ "adminReview.flaggedAt": 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate("driverId", "firstName lastName email phone")
+      .lean(),
+    Booking.countDocuments(query),
+  ]);
+
+  return {
+    bookings,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      limit: parseInt(limit),
+    },
+  };
+};
+
+/**
+ * Close an admin review on a booking
+ * @param {string} bookingId - Booking ID
+ * @param {string} adminId - Admin resolving the review
+ * @param {string} note - Outcome of the review
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.resolveAdminReview = async (bookingId, adminId, note) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, "adminReview.pending": true },
+    {
+      $set: {
+        "adminReview.pending": false,
+        "adminReview.resolvedAt": new Date(),
+        "adminReview.resolvedBy": adminId,
+        "adminReview.note": note,
+      },
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    const exists = await Booking.exists({ _id: bookingId });
+    throw exists
+      ? buildError("Booking has no pending review.", 400, "NO_PENDING_REVIEW")
+      : buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  await recordBookingEvent(booking, {
+    action: "review_resolved",
+    actor: { role: "admin", id: adminId },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    reason: note,
+    metadata: { reviewReason: booking.adminReview.reason },
+  });
+
+  return booking;
+};
+
+/**
+ * Get expired bookings (auto bookings that expired without driver acceptance)
  * Industrial-scale solution: Uses database indexes for efficient querying
  * @param {number} page - Page number
  * @param {number} limit - Items per page
@@ -1100,28 +1446,64 @@ exports.getExpiredBookings = async (page = 1, limit = 12) => {
  * @param {string} bookingId - Booking ID to delete
  * @returns {Promise<Object>} Deleted booking
  */
-exports.deleteBooking = async (bookingId) => {
+exports.deleteBooking = async (bookingId, adminId) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) {
     throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
   }
 
-  // Clear any active timers
-  const { clearExpiryTimer } = require("./bookingExpiryScheduler");
-  const { clearReminderTimer } = require("./bookingReminderScheduler");
-  clearExpiryTimer(bookingId);
-  clearReminderTimer(bookingId);
+  // Cancel any scheduled jobs
+  await cancelBookingExpiry(bookingId);
+  await cancelBookingReminder(bookingId);
 
-  // Delete associated payments
+  // Delete associated payments, unless another booking (e.g. the other leg of a
+  // round trip) was paid by the same checkout: then only detach this booking from it
   const Payment = require("../models/payment.model");
-  await Payment.deleteMany({ bookingId });
+  const payments = await Payment.find({
+    $or: [{ bookingId }, { linkedBookingIds: bookingId }],
+  });
+  for (const payment of payments) {
+    const otherIds = [payment.bookingId, ...(payment.linkedBookingIds || [])].filter(
+      (id) => id && id.toString() !== bookingId.toString()
+    );
+    const remaining = await Booking.find({ _id: { $in: otherIds } }).select("_id").lean();
+    if (remaining.length === 0) {
+      await Payment.deleteOne({ _id: payment._id });
+      continue;
+    }
 
-  // Delete the booking
+    if (payment.bookingId && payment.bookingId.toString() === bookingId.toString()) {
+      const [primary, ...linked] = remaining.map((leg) => leg._id);
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { bookingId: primary, linkedBookingIds: linked } }
+      );
+    } else {
+      await Payment.updateOne({ _id: payment._id }, { $pull: { linkedBookingIds: booking._id } });
+    }
+  }
+
+  // Delete the booking (its audit trail is kept)
   await Booking.findByIdAndDelete(bookingId);
 
+  await recordBookingEvent(booking, {
+    action: "delete",
+    actor: { role: "admin", id: adminId },
+    previousStatus: booking.status,
+    newStatus: null,
+    driverId: booking.driverId,
+  });
+
   return booking;
 };
 
+/**
+ * Get the audit trail of a booking for dispute handling
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} { booking, events }
+ */
+exports.getBookingHistory = async (bookingId) => getBookingHistory(bookingId);
+
 /**
  * Get all completed bookings with driver details for admin
  * @param {number} page - Page number
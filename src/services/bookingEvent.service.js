@@ -0,0 +1,74 @@
+// services/bookingEvent.service.js
+const BookingEvent = require("../models/bookingEvent.model");
+const Booking = require("../models/booking.model");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+/**
+ * Record a booking event in the audit trail
+ * Never throws: a failed audit write is logged and must not break the booking flow.
+ * @param {Object} booking - Booking (document or lean object)
+ * @param {Object} event - { action, actor: { role, id }, previousStatus, newStatus, driverId, reason, metadata }
+ * @returns {Promise<Object|null>} Created event or null on failure
+ */
+const recordBookingEvent = async (booking, event) => {
+  try {
+    const actor = event.actor || {};
+    return await BookingEvent.create({
+      bookingId: booking._id,
+      orderNumber: booking.orderNumber,
+      action: event.action,
+      actorType: actor.role || "system",
+      actorId: actor.id || null,
+      previousStatus: event.previousStatus === undefined ? null : event.previousStatus,
+      newStatus: event.newStatus === undefined ? booking.status : event.newStatus,
+      driverId: event.driverId || null,
+      reason: event.reason,
+      metadata: event.metadata || {},
+    });
+  } catch (error) {
+    logger.error(
+      `[AUDIT] Failed to record ${event.action} for booking ${booking?._id}: ${error?.message || error}`
+    );
+    return null;
+  }
+};
+
+/**
+ * Get the full timeline of a booking (oldest first)
+ * Works for deleted bookings as long as events exist.
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} { booking, events }
+ */
+const getBookingHistory = async (bookingId) => {
+  const [booking, events] = await Promise.all([
+    Booking.findById(bookingId)
+      .select("orderNumber status driverId from_location to_location date_time createdAt")
+      .lean(),
+    BookingEvent.find({ bookingId })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate("driverId", "firstName lastName email phone")
+      .lean(),
+  ]);
+
+  if (!booking && events.length === 0) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  return { booking, events };
+};
+
+module.exports = {
+  recordBookingEvent,
+  getBookingHistory,
+};
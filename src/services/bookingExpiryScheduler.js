@@ -4,27 +4,31 @@ const {
   notifyAdminBookingExpired,
   notifyLiveBookingRemoved,
 } = require("./bookingNotifications");
+const { notifyCustomerRideUpdate } = require("./customerNotifications");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const { registerJobHandler, scheduleJob, cancelJob } = require("./jobQueue.service");
 const logger = require("../utils/logger");
 
-// In-memory map of bookingId -> timeout
-const expiryTimers = new Map();
+// Expiry runs through the durable job queue (services/jobQueue.service.js), one job per booking
+const EXPIRY_JOB = "booking-expiry";
+const expiryJobKey = (bookingId) => `${EXPIRY_JOB}:${bookingId}`;
 
-const clearExpiryTimer = (bookingId) => {
-  const timer = expiryTimers.get(bookingId);
-  if (timer) {
-    clearTimeout(timer);
-    expiryTimers.delete(bookingId);
-    logger.debug?.(`[EXPIRY] Cleared expiry timer for booking ${bookingId}`);
+const cancelBookingExpiry = async (bookingId) => {
+  try {
+    await cancelJob(expiryJobKey(bookingId));
+  } catch (err) {
+    logger.error(`[EXPIRY] Failed to cancel expiry for booking ${bookingId}: ${err.message}`);
   }
 };
 
-const scheduleBookingExpiry = (booking) => {
+const scheduleBookingExpiry = async (booking) => {
   try {
     // Only auto-assigned, pending, non-expired bookings with expiresAt
     if (
       booking.assignmentType !== "auto" ||
       booking.status !== "pending" ||
-      booking.isExpired === true
+      booking.isExpired === true ||
+      !booking.expiresAt
     ) {
       return;
     }
@@ -32,64 +36,75 @@ const scheduleBookingExpiry = (booking) => {
     const bookingId = booking._id?.toString();
     if (!bookingId) return;
 
-    const expiresAt = booking.expiresAt instanceof Date ? booking.expiresAt : new Date(booking.expiresAt);
-    const now = new Date();
-    const delay = Math.max(expiresAt - now, 0);
-
-    // If already expired by time calculation, expire immediately
-    if (delay === 0) {
-      expireBookingNow(bookingId);
-      return;
-    }
-
-    clearExpiryTimer(bookingId);
-
-    const timer = setTimeout(() => expireBookingNow(bookingId), delay);
-    expiryTimers.set(bookingId, timer);
-    logger.info(`[EXPIRY] Scheduled expiry for booking ${bookingId} in ${delay}ms`);
+    // An expiresAt in the past runs on the next poll
+    const expiresAt = new Date(booking.expiresAt);
+    await scheduleJob(EXPIRY_JOB, {
+      key: expiryJobKey(bookingId),
+      runAt: expiresAt,
+      payload: { bookingId },
+    });
+    logger.info(`[EXPIRY] Scheduled expiry for booking ${bookingId} at ${expiresAt.toISOString()}`);
   } catch (err) {
     logger.error(`[EXPIRY] Failed to schedule expiry: ${err.message}`);
   }
 };
 
+/**
+ * Expire a booking nobody accepted (job handler)
+ * Idempotent: the update only matches a booking that is still open and past expiresAt.
+ * Errors are thrown so the job is retried.
+ */
 const expireBookingNow = async (bookingId) => {
-  try {
-    clearExpiryTimer(bookingId);
-
-    const now = new Date();
-    const booking = await Booking.findOneAndUpdate(
-      {
-        _id: bookingId,
-        assignmentType: "auto",
-        status: "pending",
-        isExpired: { $ne: true },
-      },
-      {
-        $set: {
-          isExpired: true,
-          expiredAt: now,
-        },
+  const now = new Date();
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      assignmentType: "auto",
+      status: "pending",
+      isExpired: { $ne: true },
+      expiresAt: { $lte: now },
+    },
+    {
+      $set: {
+        isExpired: true,
+        expiredAt: now,
       },
-      { new: true }
-    );
+    },
+    { new: true }
+  );
 
-    if (!booking) {
-      // Already expired or not eligible
-      return;
-    }
+  if (!booking) {
+    // Already expired, accepted or extended
+    return;
+  }
 
+  await recordBookingEvent(booking, {
+    action: "expire",
+    actor: { role: "system" },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    reason: "No driver accepted the booking in time",
+    metadata: { expiresAt: booking.expiresAt },
+  });
+
+  // The booking is already expired: a retry would find nothing to do, so notification
+  // failures are logged instead of failing the job
+  try {
     await notifyBookingExpired(booking);
     await notifyAdminBookingExpired(booking);
     await notifyLiveBookingRemoved(booking);
-
-    logger.info(`[EXPIRY] Booking ${bookingId} expired and notifications sent`);
-  } catch (err) {
-    logger.error(`[EXPIRY] Error expiring booking ${bookingId}: ${err.message}`);
+    await notifyCustomerRideUpdate(booking, "expired");
+  } catch (error) {
+    logger.error(`[EXPIRY] Booking ${bookingId} expired but notifications failed: ${error?.message || error}`);
+    return;
   }
+
+  logger.info(`[EXPIRY] Booking ${bookingId} expired and notifications sent`);
 };
 
+registerJobHandler(EXPIRY_JOB, ({ bookingId }) => expireBookingNow(bookingId));
+
 module.exports = {
   scheduleBookingExpiry,
-  clearExpiryTimer,
+  cancelBookingExpiry,
 };
-
@@ -4,11 +4,14 @@ const Driver = require("../models/driver.model");
 const Booking = require("../models/booking.model");
 const Vehicle = require("../models/vehicle.model");
 const { publishToChannel } = require("../../config/ably");
+const { PRICING_TIMEZONE } = require("../../config/pricing");
+const { getSetting } = require("./settings.service");
 const { sendToDriver, sendToDrivers } = require("./pushNotification");
 const pushNotificationService = require("./pushNotification");
 const { channels, events } = require("../utils/notificationEvents");
 const sendEmail = require("../utils/email");
 const { createNotification } = require("./notification.service");
+const { notifyCustomerRideUpdate } = require("./customerNotifications");
 const { getCatTitleVariations, normalizeVehicleType } = require("../utils/booking.helper");
 const logger = require("../utils/logger");
 
@@ -326,10 +329,10 @@ const normalizeBookingForLiveUpdate = (booking) => {
 
 /**
  * Send FCM push notifications to all online drivers with FCM tokens
- * This function is called ONLY for auto-assigned bookings (price <= 150)
- * Push notifications are NOT sent for admin-assigned bookings (price > 150)
+ * This function is called ONLY for auto-assigned bookings (price at or below the assignment threshold)
+ * Push notifications are NOT sent for admin-assigned bookings (price above the threshold)
  * 
- * @param {Object} booking - Booking object (should be auto-assigned with price <= 150)
+ * @param {Object} booking - Booking object (should be auto-assigned below the threshold)
  * @returns {Promise<Object>} Result object with success status
  */
 const notifyAllDriversNewBooking = async (booking) => {
@@ -427,9 +430,8 @@ const notifyAllDriversNewBooking = async (booking) => {
 const notifyNewBooking = async (booking) => {
   try {
     
-    // Only notify for auto-assigned bookings (price <= 150)
-    const priceNumber = parseFloat(String(booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
-    if (priceNumber > 150 || booking.assignmentType !== "auto") {
+    // Only notify for auto-assigned bookings (classified by price when the booking was created)
+    if (booking.assignmentType !== "auto") {
       return;
     }
 
@@ -479,7 +481,7 @@ const notifyNewBooking = async (booking) => {
     // NOTE: FCM push notifications are now handled by notifyAllDriversNewBooking() 
     // which is called for ALL bookings (regardless of price) in STEP 2.
     // This function (notifyNewBooking) only handles Ably real-time notifications
-    // for auto-assigned bookings (price <= 150) to avoid duplicate FCM notifications.
+    // for auto-assigned bookings (price at or below the threshold) to avoid duplicate FCM notifications.
     
     // Removed all FCM push notification code from this function to prevent duplicates
     // FCM notifications are now sent via notifyAllDriversNewBooking() in STEP 2
@@ -930,6 +932,160 @@ const notifyBookingUnassigned = async (booking, driverId) => {
   }
 };
 
+/**
+ * Tell the assigned driver that an admin changed booking details (time, address, passengers...)
+ * @param {Object} booking - Updated booking
+ * @param {String} driverId - Assigned driver
+ * @param {Object} changes - { field: { from, to } }
+ */
+const notifyBookingUpdated = async (booking, driverId, changes) => {
+  try {
+    const bookingData = normalizeBookingForNotification(booking);
+    const fullBookingData = normalizeBookingForLiveUpdate(booking);
+    const changedFields = Object.keys(changes || {});
+
+    publishToChannel(channels.DRIVER(driverId.toString()), events.BOOKING_UPDATED, {
+      ...fullBookingData,
+      changedFields,
+      changes,
+      timestamp: new Date().toISOString(),
+    }).catch((ablyError) => {
+      logAblyError("notifyBookingUpdated:driver", ablyError);
+    });
+
+    const driver = await Driver.findById(driverId).select("fcmTokens").lean();
+    if (driver && driver.fcmTokens && Array.isArray(driver.fcmTokens) && driver.fcmTokens.length > 0) {
+      const timeChanged = changedFields.includes("date_time");
+      await sendToDriver(
+        driverId,
+        {
+          title: "Booking Updated ✏️",
+          body: timeChanged
+            ? `The pickup time of your booking from ${booking.from_location} to ${booking.to_location} has changed`
+            : `Details of your booking from ${booking.from_location} to ${booking.to_location} have changed`,
+        },
+        {
+          event: events.BOOKING_UPDATED,
+          ...bookingData,
+          changedFields: changedFields.join(","),
+        }
+      );
+    }
+  } catch (error) {
+    logAblyError("notifyBookingUpdated", error);
+  }
+};
+
+/**
+ * Tell the assigned driver that the customer's flight is delayed and the pickup moved
+ * @param {Object} booking - Booking with the shifted date_time
+ * @param {String} driverId - Assigned driver
+ * @param {Object} delay - Flight delay entry (flightNumber, delayMinutes, previousDateTime, newDateTime)
+ */
+const notifyFlightDelayed = async (booking, driverId, delay) => {
+  try {
+    const bookingData = normalizeBookingForNotification(booking);
+    const fullBookingData = normalizeBookingForLiveUpdate(booking);
+    const newDateTime = new Date(delay.newDateTime).toISOString();
+    const newLocalTime = new Date(delay.newDateTime).toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: PRICING_TIMEZONE,
+    });
+
+    publishToChannel(channels.DRIVER(driverId.toString()), events.FLIGHT_DELAYED, {
+      ...fullBookingData,
+      flightNumber: delay.flightNumber,
+      flightStatus: delay.flightStatus,
+      delayMinutes: delay.delayMinutes,
+      previousDateTime: new Date(delay.previousDateTime).toISOString(),
+      newDateTime,
+      timestamp: new Date().toISOString(),
+    }).catch((ablyError) => {
+      logAblyError("notifyFlightDelayed:driver", ablyError);
+    });
+
+    const driver = await Driver.findById(driverId).select("fcmTokens").lean();
+    if (driver && driver.fcmTokens && Array.isArray(driver.fcmTokens) && driver.fcmTokens.length > 0) {
+      await sendToDriver(
+        driverId,
+        {
+          title: "Flight Delayed ✈️",
+          body: `Flight ${delay.flightNumber} is ${delay.delayMinutes} min late. Pickup at ${booking.from_location} moved to ${newLocalTime}`,
+        },
+        {
+          event: events.FLIGHT_DELAYED,
+          ...bookingData,
+          flightNumber: delay.flightNumber,
+          delayMinutes: String(delay.delayMinutes),
+          newDateTime,
+        }
+      );
+    }
+  } catch (error) {
+    logAblyError("notifyFlightDelayed", error);
+  }
+};
+
+/**
+ * Offer an auto booking exclusively to one driver (sequential dispatch)
+ * @param {Object} booking - Booking with dispatch.offerExpiresAt set
+ * @param {String} driverId - Driver the ride is offered to
+ * @param {Object} offer - { distanceKm, offerExpiresAt }
+ */
+const notifyBookingOffered = async (booking, driverId, offer) => {
+  try {
+    const bookingData = normalizeBookingForNotification(booking);
+    const fullBookingData = normalizeBookingForLiveUpdate(booking);
+    const offerExpiresAt = new Date(offer.offerExpiresAt).toISOString();
+    const distanceKm = offer.distanceKm !== undefined ? offer.distanceKm : null;
+
+    publishToChannel(channels.DRIVER(driverId.toString()), events.BOOKING_OFFERED, {
+      ...fullBookingData,
+      distanceKm,
+      offerExpiresAt,
+      timestamp: new Date().toISOString(),
+    }).catch((ablyError) => {
+      logAblyError("notifyBookingOffered:driver", ablyError);
+    });
+
+    const driver = await Driver.findById(driverId).select("fcmTokens").lean();
+    if (driver && driver.fcmTokens && Array.isArray(driver.fcmTokens) && driver.fcmTokens.length > 0) {
+      await sendToDriver(
+        driverId,
+        {
+          title: "Ride Offered to You 🚕",
+          body: `From ${booking.from_location} to ${booking.to_location} - ${booking.price}${distanceKm !== null ? ` (${distanceKm} km away)` : ""}`,
+        },
+        {
+          event: events.BOOKING_OFFERED,
+          ...bookingData,
+          distanceKm: distanceKm !== null ? String(distanceKm) : "",
+          offerExpiresAt,
+        }
+      );
+    }
+  } catch (error) {
+    logAblyError("notifyBookingOffered", error);
+  }
+};
+
+/**
+ * Tell a driver their exclusive offer is gone (timed out, declined or taken elsewhere)
+ * @param {Object} booking - Booking object
+ * @param {String} driverId - Driver who held the offer
+ * @param {String} reason - "timeout" | "declined" | "withdrawn"
+ */
+const notifyBookingOfferWithdrawn = async (booking, driverId, reason) => {
+  publishToChannel(channels.DRIVER(driverId.toString()), events.BOOKING_OFFER_WITHDRAWN, {
+    bookingId: booking._id.toString(),
+    reason,
+    timestamp: new Date().toISOString(),
+  }).catch((ablyError) => {
+    logAblyError("notifyBookingOfferWithdrawn:driver", ablyError);
+  });
+};
+
 /**
  * Notify driver about booking status updates (started, picked up, dropped off, completed)
  * @param {Object} booking - Booking object
@@ -949,6 +1105,16 @@ const notifyBookingStatusUpdate = async (booking, driverId, status) => {
         body: `You have started the booking from ${booking.from_location} to ${booking.to_location}`,
         event: events.BOOKING_STARTED,
       },
+      arrived: {
+        title: "Arrived at Pickup 📍",
+        body: `You have arrived at ${booking.from_location}. The customer has been notified`,
+        event: events.BOOKING_ARRIVED,
+      },
+      no_show: {
+        title: "No-Show Recorded",
+        body: `Customer no-show recorded at ${booking.from_location}. Your compensation has been added to your wallet`,
+        event: events.BOOKING_NO_SHOW,
+      },
       picked_up: {
         title: "Passenger Picked Up! 👥",
         body: `Passenger picked up from ${booking.from_location}. Heading to ${booking.to_location}`,
@@ -1303,7 +1469,7 @@ const notifyAdminBookingExpired = async (booking) => {
     const price = parseFloat(String(booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
 
     // Prepare detailed notification message
-    const notificationMessage = `Booking expired after 5 minutes without driver acceptance.`;
+    const notificationMessage = `Booking expired after ${getSetting("autoBookingExpiryMinutes")} minutes without driver acceptance.`;
     const detailedMessage = `
 Booking Details:
 - Customer: ${booking.user_name} (${booking.email})
@@ -1322,7 +1488,7 @@ This booking requires manual assignment. Please assign a driver through the admi
         const notification = await createNotification({
           type: "booking-expired",
           title: `Booking Expired - Manual Assignment Required`,
-          message: `Booking from ${booking.from_location} to ${booking.to_location} expired after 5 minutes. No driver accepted.`,
+          message: `Booking from ${booking.from_location} to ${booking.to_location} expired after ${getSetting("autoBookingExpiryMinutes")} minutes. No driver accepted.`,
           bookingId: booking._id,
           bookingDetails: {
             from_location: booking.from_location,
@@ -1690,6 +1856,236 @@ const notifyAdminBookingCompleted = async (booking, driverId) => {
   }
 };
 
+/**
+ * Notify the assigned driver (if any) and admins that a booking was cancelled
+ * @param {Object} booking - Cancelled booking object
+ * @param {String} driverId - ID of the driver that was assigned before cancellation (optional)
+ */
+const notifyBookingCancelled = async (booking, driverId) => {
+  try {
+    await notifyCustomerRideUpdate(booking, "cancelled");
+
+    const bookingData = normalizeBookingForNotification(booking);
+    const fullBookingData = normalizeBookingForLiveUpdate(booking);
+    const timestamp = new Date().toISOString();
+
+    if (driverId) {
+      const driverChannelName = channels.DRIVER(driverId.toString());
+      const driverNotificationData = {
+        ...bookingData,
+        status: "cancelled",
+        cancelledBy: booking.cancelledBy,
+        cancellationReason: booking.cancellationReason,
+        driverId: driverId.toString(),
+        timestamp,
+      };
+
+      // Publish to driver-specific channel (primary)
+      publishToChannel(driverChannelName, events.BOOKING_CANCELLED, driverNotificationData)
+        .catch((ablyError) => {
+          logAblyError("notifyBookingCancelled:driver", ablyError);
+        });
+
+      // Also publish to drivers channel for broadcast compatibility
+      publishToChannel(channels.DRIVERS, events.BOOKING_CANCELLED, {
+        ...driverNotificationData,
+        onlineDriverIds: [driverId.toString()],
+      }).catch((ablyError) => {
+        logAblyError("notifyBookingCancelled:drivers", ablyError);
+      });
+
+      // Remove from the driver's upcoming and assigned lists
+      const removedData = {
+        bookingId: bookingData.bookingId,
+        driverId: driverId.toString(),
+        action: "removed",
+        reason: "booking_cancelled",
+        status: "cancelled",
+        timestamp,
+      };
+      publishToChannel(driverChannelName, events.UPCOMING_BOOKING_REMOVED, removedData)
+        .catch((ablyError) => {
+          logAblyError("notifyBookingCancelled:upcoming", ablyError);
+        });
+      publishToChannel(driverChannelName, events.ASSIGNED_BOOKING_REMOVED, removedData)
+        .catch((ablyError) => {
+          logAblyError("notifyBookingCancelled:assigned", ablyError);
+        });
+
+      const driver = await Driver.findById(driverId).select("fcmTokens").lean();
+      if (driver && Array.isArray(driver.fcmTokens) && driver.fcmTokens.length > 0) {
+        await sendToDriver(
+          driverId,
+          {
+            title: "Booking Cancelled ❌",
+            body: `The booking from ${booking.from_location} to ${booking.to_location} has been cancelled by the ${booking.cancelledBy || "customer"}`,
+          },
+          {
+            event: events.BOOKING_CANCELLED,
+            ...bookingData,
+          }
+        );
+      }
+    }
+
+    const admins = await Admin.find({ active: true }).select("_id email name").lean();
+    if (admins.length === 0) {
+      return;
+    }
+    const adminIds = admins.map((a) => a._id.toString());
+
+    publishToChannel(channels.ADMIN, events.BOOKING_CANCELLED, {
+      ...fullBookingData,
+      status: "cancelled",
+      previousDriverId: driverId ? driverId.toString() : null,
+      timestamp,
+      adminIds,
+    }).catch((ablyError) => {
+      logAblyError("notifyBookingCancelled:admin", ablyError);
+    });
+
+    const refundInfo = booking.refundAmount && parseFloat(booking.refundAmount) > 0
+      ? ` Refund: €${booking.refundAmount} (${booking.refundPercentage}%, ${booking.refundStatus}).`
+      : "";
+
+    const notificationPromises = admins.map(async () => {
+      try {
+        return await createNotification({
+          type: "booking-cancelled",
+          title: `Booking Cancelled`,
+          message: `Booking ${booking.orderNumber || bookingData.bookingId} from ${booking.from_location} to ${booking.to_location} was cancelled by the ${booking.cancelledBy || "customer"}.${refundInfo}`,
+          bookingId: booking._id,
+          bookingDetails: {
+            from_location: booking.from_location,
+            to_location: booking.to_location,
+            price: booking.price,
+            user_name: booking.user_name,
+            email: booking.email,
+          },
+          priority: booking.refundStatus === "failed" ? "high" : "medium",
+          data: {
+            bookingId: bookingData.bookingId,
+            driverId: driverId ? driverId.toString() : null,
+            cancellationReason: booking.cancellationReason,
+            refundAmount: booking.refundAmount,
+            refundPercentage: booking.refundPercentage,
+            refundStatus: booking.refundStatus,
+          },
+        });
+      } catch (notifError) {
+        return null;
+      }
+    });
+
+    await Promise.allSettled(notificationPromises);
+  } catch (error) {
+    logAblyError("notifyBookingCancelled", error);
+  }
+};
+
+/**
+ * Tell admins a no-show was recorded (booking is flagged for review)
+ * @param {Object} booking - Booking (status "no_show")
+ * @param {String} driverId - Driver who recorded the no-show
+ */
+const notifyAdminBookingNoShow = async (booking, driverId) => {
+  try {
+    const admins = await Admin.find({ active: true }).select("_id email name").lean();
+    if (admins.length === 0) {
+      return;
+    }
+
+    const notificationPromises = admins.map(async () => {
+      try {
+        return await createNotification({
+          type: "booking-no-show",
+          title: `Customer No-Show`,
+          message: `Booking ${booking.orderNumber || booking._id} from ${booking.from_location} was marked as a no-show. Fee: €${booking.noShowFee}, driver payout: €${booking.noShowDriverPayout}. Please review.`,
+          bookingId: booking._id,
+          bookingDetails: {
+            from_location: booking.from_location,
+            to_location: booking.to_location,
+            price: booking.price,
+            user_name: booking.user_name,
+            email: booking.email,
+          },
+          priority: "high",
+          data: {
+            bookingId: booking._id.toString(),
+            driverId: driverId ? driverId.toString() : null,
+            noShowFee: booking.noShowFee,
+            noShowDriverPayout: booking.noShowDriverPayout,
+            refundAmount: booking.refundAmount,
+          },
+        });
+      } catch (notifError) {
+        return null;
+      }
+    });
+
+    await Promise.allSettled(notificationPromises);
+  } catch (error) {
+    logAblyError("notifyAdminBookingNoShow", error);
+  }
+};
+
+/**
+ * Tell admins that one leg of a round trip was cancelled/rescheduled
+ * and the other leg needs a keep/cancel decision
+ * @param {Object} linkedBooking - The flagged leg (linkedLegReview set)
+ */
+const notifyLinkedLegReviewRequired = async (linkedBooking) => {
+  try {
+    const review = linkedBooking.linkedLegReview || {};
+    const fullBookingData = normalizeBookingForLiveUpdate(linkedBooking);
+
+    const admins = await Admin.find({ active: true }).select("_id email name").lean();
+    if (admins.length === 0) {
+      return;
+    }
+    const adminIds = admins.map((a) => a._id.toString());
+
+    publishToChannel(channels.ADMIN, events.LINKED_LEG_REVIEW_REQUIRED, {
+      ...fullBookingData,
+      linkedLegReview: review,
+      timestamp: new Date().toISOString(),
+      adminIds,
+    }).catch((ablyError) => {
+      logAblyError("notifyLinkedLegReviewRequired:admin", ablyError);
+    });
+
+    const notificationPromises = admins.map(async () => {
+      try {
+        return await createNotification({
+          type: "linked-leg-review",
+          title: `Linked Booking Needs Review`,
+          message: `Booking ${review.sourceOrderNumber} was ${review.reason}. Decide whether to keep or cancel its linked ${linkedBooking.tripLeg || "outbound"} ride ${linkedBooking.orderNumber}.`,
+          bookingId: linkedBooking._id,
+          bookingDetails: {
+            from_location: linkedBooking.from_location,
+            to_location: linkedBooking.to_location,
+            price: linkedBooking.price,
+            user_name: linkedBooking.user_name,
+            email: linkedBooking.email,
+          },
+          priority: "high",
+          data: {
+            bookingId: linkedBooking._id.toString(),
+            sourceOrderNumber: review.sourceOrderNumber,
+            reason: review.reason,
+          },
+        });
+      } catch (notifError) {
+        return null;
+      }
+    });
+
+    await Promise.allSettled(notificationPromises);
+  } catch (error) {
+    logAblyError("notifyLinkedLegReviewRequired", error);
+  }
+};
+
 module.exports = {
   notifyNewBooking,
   notifyAllDriversNewBooking,
@@ -1697,15 +2093,23 @@ module.exports = {
   notifyBookingAccepted,
   notifyBookingAssigned,
   notifyBookingUnassigned,
+  notifyBookingUpdated,
+  notifyFlightDelayed,
+  notifyBookingOffered,
+  notifyBookingOfferWithdrawn,
   notifyBookingStatusUpdate,
   notifyBookingRejected,
   notifyBookingExpired,
   notifyAdminBookingExpired,
   notifyAdminBookingCompleted,
+  notifyBookingCancelled,
+  notifyLinkedLegReviewRequired,
+  notifyAdminBookingNoShow,
   notifyLiveBookingAdded,
   notifyLiveBookingRemoved,
   notifyLiveBookingUpdated,
   getOnlineDrivers,
+  filterDriversByVehicleType,
   getOnlineDriversWithTokens, // Keep for backward compatibility
   invalidateOnlineDriversCache,
 };
@@ -1,176 +1,340 @@
 const Booking = require("../models/booking.model");
-const Driver = require("../models/driver.model");
+const Job = require("../models/job.model");
 const { sendToDriver } = require("./pushNotification");
+const { sendSms } = require("./sms.service");
+const sendEmail = require("../utils/email");
+const rideUpdateEmail = require("../templates/emails/rideUpdateEmail");
 const { publishToChannel } = require("../../config/ably");
+const { REMINDER_STAGES } = require("../../config/reminders");
+const { PRICING_TIMEZONE } = require("../../config/pricing");
 const { channels, events } = require("../utils/notificationEvents");
+const { getSetting, onSettingChange } = require("./settings.service");
+const { registerJobHandler, scheduleJob, cancelJob } = require("./jobQueue.service");
 const logger = require("../utils/logger");
 
-// In-memory map of bookingId -> timeout
-const reminderTimers = new Map();
+// Reminders run through the durable job queue (services/jobQueue.service.js),
+// one job per booking and reminder stage (config/reminders.js)
+const REMINDER_JOB = "booking-reminder";
+const reminderJobKey = (bookingId, stageName) => `${REMINDER_JOB}:${stageName}:${bookingId}`;
+// Single driver reminder queued before stages existed
+const legacyReminderJobKey = (bookingId) => `${REMINDER_JOB}:${bookingId}`;
+const LEGACY_STAGE = "driver-push";
+
+// Bookings still waiting for their pickup (a rejected ride is waiting for another driver)
+const REMINDABLE_STATUSES = ["pending", "accepted", "rejected"];
+
+/**
+ * Minutes before pickup a stage is sent
+ * @param {Object} stage - Reminder stage
+ * @returns {number} Minutes
+ */
+const getStageMinutes = (stage) => stage.minutesBefore || getSetting("reminderMinutesBefore");
+
+const getDriverId = (booking) =>
+  booking.driverId ? (booking.driverId._id || booking.driverId).toString() : null;
 
 /**
- * Clear reminder timer for a booking
+ * Whether a booking has someone to send a stage to
+ * Customer stages start once the booking is confirmed (confirmation notifications sent).
+ */
+const hasRecipient = (booking, stage) => {
+  if (stage.audience === "driver") {
+    return Boolean(getDriverId(booking));
+  }
+  if (!booking.notificationsSentAt) {
+    return false;
+  }
+  return Boolean(stage.channel === "email" ? booking.email : booking.number);
+};
+
+const formatPickupTime = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: PRICING_TIMEZONE,
+  });
+
+/**
+ * Cancel the pending reminders of a booking
  * @param {string} bookingId - Booking ID
  */
-const clearReminderTimer = (bookingId) => {
-  const timer = reminderTimers.get(bookingId);
-  if (timer) {
-    clearTimeout(timer);
-    reminderTimers.delete(bookingId);
-    logger.debug?.(`[REMINDER] Cleared reminder timer for booking ${bookingId}`);
+const cancelBookingReminder = async (bookingId) => {
+  try {
+    await Promise.all([
+      ...REMINDER_STAGES.map((stage) => cancelJob(reminderJobKey(bookingId, stage.name))),
+      cancelJob(legacyReminderJobKey(bookingId)),
+    ]);
+  } catch (err) {
+    logger.error(`[REMINDER] Failed to cancel reminders for booking ${bookingId}: ${err.message}`);
   }
 };
 
 /**
- * Schedule a 30-minute reminder notification for a booking
- * Schedules reminder 30 minutes before booking time for any future booking
- * @param {Object} booking - Booking object with driverId and date_time
+ * Schedule (or move) the reminders of a booking
+ * Call again whenever the pickup time, driver or status changes: stages that no longer
+ * apply are cancelled and the others follow the current pickup time.
+ * @param {Object} booking - Booking with status, date_time, driverId, email, number
  */
-const scheduleBookingReminder = (booking) => {
+const scheduleBookingReminder = async (booking) => {
   try {
     const bookingId = booking._id?.toString();
-    if (!bookingId || !booking.driverId) {
+    if (!bookingId) {
       return;
     }
 
-    const bookingDateTime = booking.date_time instanceof Date 
-      ? booking.date_time 
-      : new Date(booking.date_time);
-    
+    const bookingDateTime = new Date(booking.date_time);
+    const driverId = getDriverId(booking);
+    const isUpcoming = REMINDABLE_STATUSES.includes(booking.status) && !booking.isExpired;
     const now = new Date();
-    const thirtyMinutesBefore = new Date(bookingDateTime.getTime() - 30 * 60 * 1000); // 30 minutes before
-    const delay = thirtyMinutesBefore - now;
-
-    // Only schedule if:
-    // 1. Booking is in the future
-    // 2. 30 minutes before booking is in the future (so we can schedule the reminder)
-    if (delay <= 0 || bookingDateTime <= now) {
-      // Booking is in the past or reminder time has already passed
-      logger.debug(`[REMINDER] Skipping reminder for booking ${bookingId} - booking is in the past or reminder time has passed`);
-      return;
+
+    const scheduled = [];
+    for (const stage of REMINDER_STAGES) {
+      const key = reminderJobKey(bookingId, stage.name);
+      const reminderTime = new Date(bookingDateTime.getTime() - getStageMinutes(stage) * 60 * 1000);
+
+      // Booking is no longer upcoming, has nobody to remind, or the reminder time has passed
+      if (!isUpcoming || !hasRecipient(booking, stage) || reminderTime <= now) {
+        // eslint-disable-next-line no-await-in-loop
+        await cancelJob(key);
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await scheduleJob(REMINDER_JOB, {
+        key,
+        runAt: reminderTime,
+        payload: {
+          bookingId,
+          stage: stage.name,
+          driverId: stage.audience === "driver" ? driverId : null,
+          dateTime: bookingDateTime.toISOString(),
+        },
+      });
+      scheduled.push(stage.name);
     }
+    await cancelJob(legacyReminderJobKey(bookingId));
 
-    // Clear any existing timer for this booking
-    clearReminderTimer(bookingId);
-
-    // Schedule the reminder
-    const timer = setTimeout(() => sendReminderNow(bookingId), delay);
-    reminderTimers.set(bookingId, timer);
-    
-    const delayMinutes = Math.round(delay / (1000 * 60));
-    const delayHours = Math.round(delayMinutes / 60);
-    const delayDays = Math.round(delayHours / 24);
-    
-    let delayText = "";
-    if (delayDays > 0) {
-      delayText = `${delayDays} day(s) and ${delayHours % 24} hour(s)`;
-    } else if (delayHours > 0) {
-      delayText = `${delayHours} hour(s) and ${delayMinutes % 60} minute(s)`;
-    } else {
-      delayText = `${delayMinutes} minute(s)`;
+    if (scheduled.length > 0) {
+      logger.info(`[REMINDER] Scheduled reminders for booking ${bookingId}: ${scheduled.join(", ")}`);
     }
-    
-    logger.info(`[REMINDER] Scheduled 30-minute reminder for booking ${bookingId} in ${delayText} (reminder will fire at ${thirtyMinutesBefore.toISOString()})`);
   } catch (err) {
-    logger.error(`[REMINDER] Failed to schedule reminder: ${err.message}`);
+    logger.error(`[REMINDER] Failed to schedule reminders: ${err.message}`);
   }
 };
 
 /**
- * Send reminder notification immediately
- * @param {string} bookingId - Booking ID
+ * Record a stage as sent, unless it already was for this pickup time (and driver)
+ * @returns {Promise<boolean>} Whether this call claimed the send
  */
-const sendReminderNow = async (bookingId) => {
-  try {
-    clearReminderTimer(bookingId);
+const claimReminder = async (booking, record) => {
+  const result = await Booking.updateOne(
+    {
+      _id: booking._id,
+      status: { $in: REMINDABLE_STATUSES },
+      date_time: record.dateTime,
+      $nor: [
+        {
+          reminders: {
+            $elemMatch: { stage: record.stage, dateTime: record.dateTime, driverId: record.driverId },
+          },
+        },
+      ],
+    },
+    { $push: { reminders: record } }
+  );
+  return (result.nModified || result.modifiedCount || 0) > 0;
+};
 
-    // Fetch the booking with driver info
-    const booking = await Booking.findById(bookingId)
-      .populate("driverId", "firstName lastName email phone fcmTokens")
-      .lean();
+/**
+ * Undo a claim after a failed send so the retry can send it
+ */
+const releaseReminder = (booking, record) =>
+  Booking.updateOne(
+    { _id: booking._id },
+    { $pull: { reminders: { stage: record.stage, dateTime: record.dateTime, driverId: record.driverId } } }
+  );
 
-    if (!booking || !booking.driverId) {
-      logger.warn(`[REMINDER] Booking ${bookingId} not found or has no driver`);
-      return;
-    }
+/**
+ * CHANNELS
+ * Customer sends throw on failure so the job is retried; driver pushes are best effort.
+ */
 
-    const driver = booking.driverId;
-    const driverId = driver._id?.toString() || driver.id;
-
-    // Format booking date/time for display
-    const bookingDateTime = booking.date_time instanceof Date 
-      ? booking.date_time 
-      : new Date(booking.date_time);
-    
-    const formattedDateTime = bookingDateTime.toLocaleString("en-US", {
-      weekday: "long",
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-
-    // Prepare notification message
-    const notificationTitle = "Booking Reminder ⏰";
-    const notificationBody = `Your booking from ${booking.from_location} to ${booking.to_location} is in 30 minutes (${formattedDateTime})`;
-
-    // Send push notification to driver
-    try {
-      await sendToDriver(
-        driverId,
-        {
-          title: notificationTitle,
-          body: notificationBody,
-        },
-        {
-          type: "booking-reminder",
-          bookingId: bookingId,
+const sendCustomerEmail = async (booking) => {
+  const pickupTime = formatPickupTime(booking.date_time);
+  await sendEmail({
+    email: booking.email,
+    subject: `Your ride is coming up - ${booking.orderNumber || "Taxigate"}`,
+    html: rideUpdateEmail(booking, {
+      heading: "Your ride is coming up",
+      message: `This is a reminder of your ride from ${booking.from_location} to ${booking.to_location}. Please be ready at the pickup point on time.`,
+      rows: [
+        { label: "Pickup Time", value: pickupTime },
+        { label: "Vehicle", value: booking.cat_title },
+        { label: "Passengers", value: booking.num_passengers },
+      ],
+    }),
+    text: `Reminder: your ride from ${booking.from_location} to ${booking.to_location} is on ${pickupTime}.`,
+  });
+};
+
+const sendCustomerSms = async (booking) => {
+  const pickupTime = new Date(booking.date_time).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: PRICING_TIMEZONE,
+  });
+  await sendSms({
+    to: booking.number,
+    message: `Taxigate: your ride ${booking.orderNumber || ""} from ${booking.from_location} is at ${pickupTime}. Please be ready at the pickup point.`.replace(/\s+/g, " "),
+  });
+};
+
+const sendDriverPush = async (booking, driverId) => {
+  const bookingId = booking._id.toString();
+  const bookingDateTime = new Date(booking.date_time);
+
+  // Prepare notification message
+  const minutesLeft = Math.max(Math.round((bookingDateTime - new Date()) / (60 * 1000)), 0);
+  const timeLeft = minutesLeft >= 120 ? `${Math.round(minutesLeft / 60)} hours` : `${minutesLeft} minutes`;
+  const notificationTitle = "Booking Reminder ⏰";
+  const notificationBody = `Your booking from ${booking.from_location} to ${booking.to_location} is in ${timeLeft} (${formatPickupTime(bookingDateTime)})`;
+
+  // Send push notification to driver
+  try {
+    await sendToDriver(
+      driverId,
+      {
+        title: notificationTitle,
+        body: notificationBody,
+      },
+      {
+        type: "booking-reminder",
+        bookingId: bookingId,
+        from_location: booking.from_location,
+        to_location: booking.to_location,
+        date_time: bookingDateTime.toISOString(),
+      }
+    );
+    logger.info(`[REMINDER] Push notification sent to driver ${driverId} for booking ${bookingId}`);
+  } catch (pushError) {
+    logger.error(`[REMINDER] Failed to send push notification: ${pushError.message}`);
+  }
+
+  // Send real-time notification via Ably
+  try {
+    await publishToChannel(
+      channels.DRIVER(driverId),
+      events.BOOKING_REMINDER,
+      {
+        booking: {
+          id: bookingId,
           from_location: booking.from_location,
           to_location: booking.to_location,
           date_time: bookingDateTime.toISOString(),
-        }
-      );
-      logger.info(`[REMINDER] Push notification sent to driver ${driverId} for booking ${bookingId}`);
-    } catch (pushError) {
-      logger.error(`[REMINDER] Failed to send push notification: ${pushError.message}`);
-    }
+          cat_title: booking.cat_title,
+          num_passengers: booking.num_passengers,
+          luggage: booking.luggage,
+          distance: booking.distance,
+          price: booking.price,
+          actualPrice: booking.actualPrice,
+        },
+        driverId: driverId,
+        reminderTime: new Date().toISOString(),
+        minutesBefore: minutesLeft,
+        message: notificationBody,
+      }
+    );
+    logger.info(`[REMINDER] Real-time notification sent to driver ${driverId} for booking ${bookingId}`);
+  } catch (ablyError) {
+    logger.error(`[REMINDER] Failed to send real-time notification: ${ablyError.message}`);
+  }
+};
 
-    // Send real-time notification via Ably
-    try {
-      await publishToChannel(
-        channels.DRIVER(driverId),
-        events.BOOKING_REMINDER,
-        {
-          booking: {
-            id: bookingId,
-            from_location: booking.from_location,
-            to_location: booking.to_location,
-            date_time: bookingDateTime.toISOString(),
-            cat_title: booking.cat_title,
-            num_passengers: booking.num_passengers,
-            luggage: booking.luggage,
-            distance: booking.distance,
-            price: booking.price,
-            actualPrice: booking.actualPrice,
-          },
-          driverId: driverId,
-          reminderTime: new Date().toISOString(),
-          message: notificationBody,
-        }
-      );
-      logger.info(`[REMINDER] Real-time notification sent to driver ${driverId} for booking ${bookingId}`);
-    } catch (ablyError) {
-      logger.error(`[REMINDER] Failed to send real-time notification: ${ablyError.message}`);
-    }
+const deliverReminder = {
+  email: (booking) => sendCustomerEmail(booking),
+  sms: (booking) => sendCustomerSms(booking),
+  push: (booking, driverId) => sendDriverPush(booking, driverId),
+};
 
-    logger.info(`[REMINDER] Reminder sent for booking ${bookingId} to driver ${driverId}`);
-  } catch (err) {
-    logger.error(`[REMINDER] Error sending reminder for booking ${bookingId}: ${err.message}`);
+/**
+ * Send one reminder stage (job handler)
+ * Skipped when the booking moved, changed driver or is no longer upcoming since the job was
+ * scheduled, and when the stage was already sent for this pickup time.
+ * @param {Object} payload - { bookingId, stage, driverId, dateTime }
+ */
+const sendReminderNow = async ({ bookingId, stage: stageName = LEGACY_STAGE, driverId: scheduledDriverId, dateTime }) => {
+  const stage = REMINDER_STAGES.find((candidate) => candidate.name === stageName);
+  if (!stage) {
+    logger.warn(`[REMINDER] Unknown reminder stage ${stageName} for booking ${bookingId}`);
+    return;
   }
+
+  const booking = await Booking.findById(bookingId).lean();
+  if (!booking) {
+    logger.warn(`[REMINDER] Booking ${bookingId} not found`);
+    return;
+  }
+
+  const driverId = getDriverId(booking);
+  const isStale =
+    !REMINDABLE_STATUSES.includes(booking.status) ||
+    booking.isExpired ||
+    !hasRecipient(booking, stage) ||
+    new Date(booking.date_time).getTime() !== new Date(dateTime).getTime() ||
+    (stage.audience === "driver" && driverId !== scheduledDriverId);
+  if (isStale) {
+    logger.debug(`[REMINDER] Skipping outdated ${stage.name} reminder for booking ${bookingId}`);
+    return;
+  }
+
+  const record = {
+    stage: stage.name,
+    audience: stage.audience,
+    channel: stage.channel,
+    dateTime: booking.date_time,
+    driverId: stage.audience === "driver" ? booking.driverId : null,
+    sentAt: new Date(),
+  };
+  if (!(await claimReminder(booking, record))) {
+    logger.debug(`[REMINDER] ${stage.name} reminder for booking ${bookingId} was already sent`);
+    return;
+  }
+
+  try {
+    await deliverReminder[stage.channel](booking, driverId);
+  } catch (error) {
+    await releaseReminder(booking, record);
+    throw error;
+  }
+
+  logger.info(`[REMINDER] ${stage.name} reminder sent for booking ${bookingId}`);
 };
 
+registerJobHandler(REMINDER_JOB, sendReminderNow);
+
+// Move pending reminders when admins change reminderMinutesBefore
+onSettingChange("reminderMinutesBefore", async () => {
+  try {
+    const jobs = await Job.find({ name: REMINDER_JOB, status: "pending" }).select("payload").lean();
+    if (jobs.length === 0) {
+      return;
+    }
+    const bookingIds = [...new Set(jobs.map((job) => job.payload.bookingId))];
+    const bookings = await Booking.find({ _id: { $in: bookingIds } })
+      .select("_id status isExpired driverId date_time email number notificationsSentAt")
+      .lean();
+    await Promise.all(bookings.map(scheduleBookingReminder));
+    logger.info(`[REMINDER] Rescheduled reminders of ${bookings.length} booking(s) after settings change`);
+  } catch (err) {
+    logger.error(`[REMINDER] Failed to reschedule reminders: ${err.message}`);
+  }
+});
+
 module.exports = {
   scheduleBookingReminder,
-  clearReminderTimer,
+  cancelBookingReminder,
 };
@@ -0,0 +1,691 @@
+// services/bookingStateMachine.js
+const mongoose = require("mongoose");
+const Booking = require("../models/booking.model");
+const Driver = require("../models/driver.model");
+const Vehicle = require("../models/vehicle.model");
+const WalletTransaction = require("../models/walletTransaction.model");
+const {
+  assertDriverHasNoActiveBooking,
+  calculateNoShowCharges,
+} = require("../utils/booking.helper");
+const { handleNotification } = require("../utils/booking.utils");
+const { CANCELLABLE_STATUSES } = require("../../config/cancellationPolicy");
+const { NO_SHOW_WAIT_MINUTES } = require("../../config/noShowPolicy");
+const { cancelBookingExpiry } = require("./bookingExpiryScheduler");
+const { scheduleBookingReminder, cancelBookingReminder } = require("./bookingReminderScheduler");
+const { calculateCommission } = require("./commission.service");
+const { assertNoScheduleConflict } = require("./scheduleConflict.service");
+const {
+  notifyBookingAccepted,
+  notifyBookingRejected,
+  notifyBookingStatusUpdate,
+  notifyAdminBookingCompleted,
+  notifyLiveBookingRemoved,
+  notifyLiveBookingUpdated,
+  notifyAdminBookingNoShow,
+} = require("./bookingNotifications");
+const { notifyCustomerRideUpdate } = require("./customerNotifications");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const parseAmount = (value) => parseFloat(String(value || "0").replace(/[^\d.-]/g, "")) || 0;
+
+/**
+ * GUARDS
+ * A guard receives the transition context and throws (buildError) to block the transition.
+ * It may add conditions to ctx.filter / fields to ctx.set so they are applied atomically.
+ */
+
+const requireAssignedDriver = (ctx) => {
+  const { booking, actor } = ctx;
+  if (!booking.driverId || booking.driverId.toString() !== actor.id.toString()) {
+    throw buildError("You are not assigned to this booking.", 403, "UNAUTHORIZED_DRIVER");
+  }
+  ctx.filter.driverId = booking.driverId;
+};
+
+const requireNoOtherActiveBooking = async (ctx) => {
+  await assertDriverHasNoActiveBooking(ctx.actor.id);
+};
+
+const requireApprovedVehicle = async (ctx) => {
+  // Check if driver has at least one approved vehicle (exclude soft-deleted)
+  const approvedVehicleCount = await Vehicle.countDocuments({
+    driver: ctx.actor.id,
+    status: "Approved",
+    deletedAt: null,
+  });
+
+  if (approvedVehicleCount === 0) {
+    throw buildError(
+      "You must have at least one approved vehicle to accept bookings. Please wait for your vehicle to be approved by an administrator.",
+      403,
+      "NO_APPROVED_VEHICLE"
+    );
+  }
+};
+
+const requireNotExpired = (ctx) => {
+  ctx.filter.isExpired = { $ne: true };
+  ctx.filter.$or = [
+    { expiresAt: { $gt: ctx.now } },
+    { expiresAt: null },
+    { expiresAt: { $exists: false } },
+  ];
+};
+
+/**
+ * A no-show can only be recorded after the driver waited NO_SHOW_WAIT_MINUTES at the pickup
+ */
+const requireNoShowWaitElapsed = (ctx) => {
+  const arrivedAt = ctx.booking.arrivedAt ? new Date(ctx.booking.arrivedAt) : null;
+  const availableAt = arrivedAt
+    ? new Date(arrivedAt.getTime() + NO_SHOW_WAIT_MINUTES * 60 * 1000)
+    : null;
+
+  if (!availableAt || availableAt > ctx.now) {
+    throw buildError(
+      `A no-show can only be recorded after waiting ${NO_SHOW_WAIT_MINUTES} minutes at the pickup location.`,
+      400,
+      "NO_SHOW_TOO_EARLY",
+      { availableAt }
+    );
+  }
+};
+
+/**
+ * Prevent duplicate completions/payments: the driver's wallet is settled once per booking.
+ * (isPaid now means the customer paid, so prepaid rides can still be completed.)
+ */
+const requireNotPaidOut = async (ctx) => {
+  const paidOut = await WalletTransaction.exists({
+    bookingId: ctx.booking._id,
+    type: { $in: ["credit", "debit"] },
+  });
+  if (paidOut) {
+    throw buildError("Booking is already completed and paid.", 400, "BOOKING_ALREADY_PAID");
+  }
+};
+
+/**
+ * Auto bookings can be taken by any driver while unassigned.
+ * Admin-assigned bookings (high-price or reactivated) may only be accepted by the assigned driver.
+ * Uses the assignmentType stored at booking time, so a later threshold change does not reclassify it.
+ */
+const requireAcceptingDriver = (ctx) => {
+  const { booking, actor } = ctx;
+  const isAdminAssigned = booking.assignmentType === "admin";
+
+  if (isAdminAssigned && !booking.driverId) {
+    throw buildError(
+      "Admin must assign a driver for this booking before it can be accepted.",
+      400,
+      "DRIVER_NOT_ASSIGNED"
+    );
+  }
+
+  if (booking.driverId) {
+    requireAssignedDriver(ctx);
+    return;
+  }
+
+  // Auto booking: ensure it is still unassigned at update time
+  ctx.filter.driverId = null;
+  ctx.set.driverId = actor.id;
+  ctx.set.assignmentType = "auto";
+};
+
+/**
+ * While sequential dispatch is offering an auto booking (services/dispatch.service.js),
+ * only the driver holding the open offer may accept it.
+ */
+const requireDispatchOffer = (ctx) => {
+  const { booking, actor } = ctx;
+  if (booking.driverId || !booking.dispatch || booking.dispatch.status !== "offering") {
+    return;
+  }
+
+  const offeredTo = booking.dispatch.offeredTo ? booking.dispatch.offeredTo.toString() : null;
+  const offerOpen = offeredTo && new Date(booking.dispatch.offerExpiresAt) > ctx.now;
+  if (!offerOpen || offeredTo !== actor.id.toString()) {
+    throw buildError(
+      "This booking is currently offered to another driver.",
+      409,
+      "BOOKING_OFFERED_TO_ANOTHER_DRIVER"
+    );
+  }
+  ctx.filter["dispatch.offeredTo"] = booking.dispatch.offeredTo;
+};
+
+/**
+ * A driver cannot accept a ride that overlaps one they already accepted
+ * (estimated durations plus the scheduleBufferMinutes setting)
+ */
+const requireNoScheduleConflict = (ctx) => assertNoScheduleConflict(ctx.actor.id, ctx.booking);
+
+/**
+ * Apply the accepting driver's commission rule (e.g. a reduced rate for a fleet)
+ * Must run after requireAcceptingDriver so the driver is known.
+ */
+const applyDriverCommission = async (ctx) => {
+  const { booking, actor } = ctx;
+  const split = await calculateCommission(
+    booking,
+    parseAmount(booking.actualPrice || booking.price),
+    actor.id
+  );
+  ctx.set.commission = split.commission;
+  ctx.set.price = split.driverPrice;
+  ctx.set.driverPrice = split.driverPrice;
+  ctx.set.commissionRule = split.commissionRule;
+};
+
+/**
+ * Admin-assigned (high-price) bookings can only be rejected by the assigned driver
+ */
+const requireRejectingDriver = (ctx) => {
+  if (ctx.booking.assignmentType !== "admin") {
+    return;
+  }
+  if (!ctx.booking.driverId) {
+    throw buildError("Admin must assign a driver for this booking.", 400, "DRIVER_NOT_ASSIGNED");
+  }
+  requireAssignedDriver(ctx);
+};
+
+/**
+ * EFFECTS
+ * Run inside the transition's transaction after the status update.
+ * The return value is stored on ctx.effectResult for the hooks.
+ */
+
+/**
+ * Credit the acting driver's wallet and record the WalletTransaction
+ * A negative amount is recorded as a debit (e.g. commission owed on a cash ride)
+ */
+const creditWallet = async (ctx, session, amount, description) => {
+  const driverId = ctx.actor.id;
+
+  const updatedDriver = await Driver.findOneAndUpdate(
+    { _id: driverId },
+    { $inc: { walletBalance: amount } },
+    { new: true, session, runValidators: false }
+  );
+  if (!updatedDriver) {
+    throw buildError("Driver not found", 404, "DRIVER_NOT_FOUND");
+  }
+
+  const newBalance = Math.round((updatedDriver.walletBalance || 0) * 100) / 100;
+
+  const [transaction] = await WalletTransaction.create(
+    [
+      {
+        driverId,
+        bookingId: ctx.updated._id,
+        amount,
+        type: amount < 0 ? "debit" : "credit",
+        description,
+        balanceAfter: newBalance,
+      },
+    ],
+    { session }
+  );
+
+  return { driverPrice: amount, newBalance, transaction };
+};
+
+/**
+ * Cash rides: the driver collected the full fare (and surcharges), so the platform's
+ * commission is recorded as owed by debiting the wallet instead of crediting the driver price
+ */
+const debitCashCommission = async (ctx, session) => {
+  const { updated } = ctx;
+  const surchargeCommission =
+    parseAmount(updated.surchargeTotal) - parseAmount(updated.surchargeDriverShare);
+  const owed = Math.round((parseAmount(updated.commission) + Math.max(surchargeCommission, 0)) * 100) / 100;
+
+  if (owed <= 0) {
+    return null;
+  }
+
+  return creditWallet(
+    ctx,
+    session,
+    -owed,
+    `Commission owed for cash booking from ${updated.from_location} to ${updated.to_location}`
+  );
+};
+
+const creditDriverWallet = async (ctx, session) => {
+  const { updated } = ctx;
+
+  if (updated.paymentMethod === "cash") {
+    return debitCashCommission(ctx, session);
+  }
+
+  // Use the price field which already has commission deducted
+  const totalPrice = parseAmount(updated.price);
+  const commission = parseAmount(updated.commission);
+  const explicitDriverPrice = parseAmount(updated.driverPrice);
+
+  let driverPrice = 0;
+  if (explicitDriverPrice > 0) {
+    driverPrice = explicitDriverPrice;
+  } else if (totalPrice > 0) {
+    driverPrice = Math.max(Math.round((totalPrice - commission) * 100) / 100, 0);
+  }
+
+  // Driver's share of waiting time / extra stops logged during the ride
+  const surchargeShare = parseAmount(updated.surchargeDriverShare);
+  if (surchargeShare > 0) {
+    driverPrice = Math.round((driverPrice + surchargeShare) * 100) / 100;
+  }
+
+  if (driverPrice <= 0) {
+    return null;
+  }
+
+  return creditWallet(
+    ctx,
+    session,
+    driverPrice,
+    `Payment for completed booking from ${updated.from_location} to ${updated.to_location}` +
+      (surchargeShare > 0 ? ` (incl. €${surchargeShare.toFixed(2)} surcharges)` : "")
+  );
+};
+
+const creditNoShowPayout = async (ctx, session) => {
+  const payout = parseAmount(ctx.updated.noShowDriverPayout);
+  if (payout <= 0) {
+    return null;
+  }
+
+  return creditWallet(
+    ctx,
+    session,
+    payout,
+    `No-show compensation for booking from ${ctx.updated.from_location} to ${ctx.updated.to_location}`
+  );
+};
+
+/**
+ * HOOKS
+ * Run in the background after the transition is committed (response is already sent).
+ * Failures are logged and never affect the transition.
+ */
+
+const clearExpiry = ({ updated }) => cancelBookingExpiry(updated._id.toString());
+
+const clearTimers = async ({ updated }) => {
+  await cancelBookingExpiry(updated._id.toString());
+  await cancelBookingReminder(updated._id.toString());
+};
+
+const scheduleReminder = ({ updated }) => scheduleBookingReminder(updated);
+
+const notifyStatus = (status) => ({ updated, actor }) =>
+  notifyBookingStatusUpdate(updated, actor.id, status);
+
+const notifyAccepted = async ({ updated, actor }) => {
+  // Removes the booking from other drivers' available lists
+  await handleNotification(notifyBookingAccepted(updated, actor.id));
+  await notifyLiveBookingRemoved(updated);
+};
+
+const notifyRejected = async ({ updated, actor }) => {
+  await notifyBookingRejected(updated, actor.id);
+  if (updated.status === "rejected") {
+    await notifyLiveBookingRemoved(updated);
+  } else if (updated.status === "pending") {
+    await notifyLiveBookingUpdated(updated);
+  }
+};
+
+const notifyCompleted = ({ updated, actor }) => notifyAdminBookingCompleted(updated, actor.id);
+
+const notifyCustomer = (update) => ({ updated }) => notifyCustomerRideUpdate(updated, update);
+
+const notifyNoShow = ({ updated, actor }) => notifyAdminBookingNoShow(updated, actor.id);
+
+const notifyWallet = async ({ updated, actor, effectResult }) => {
+  if (!effectResult || !effectResult.transaction) {
+    return;
+  }
+  const { notifyWalletBalanceUpdated } = require("./driverNotifications");
+  // Use Promise.race with timeout to ensure notification doesn't hang indefinitely
+  await Promise.race([
+    notifyWalletBalanceUpdated(
+      actor.id,
+      effectResult.driverPrice,
+      effectResult.newBalance,
+      effectResult.transaction,
+      updated
+    ),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("Wallet notification timeout after 30 seconds")), 30000)
+    ),
+  ]);
+};
+
+/**
+ * TRANSITION TABLE
+ * action: {
+ *   from        - statuses the booking may be in
+ *   to          - status after the transition
+ *   timestamp   - date field stamped with the transition time
+ *   set         - extra fields to set (object or (ctx) => object)
+ *   guards      - checks run before the update (may extend ctx.filter / ctx.set)
+ *   effect      - work done in the same transaction as the update
+ *   hooks       - background side effects (notifications, timers, ...)
+ *   eventMetadata - extra data stored on the audit event ((ctx) => object)
+ *   invalidStateMessage / conflictMessage / conflictCode - error texts
+ * }
+ */
+const TRANSITIONS = {
+  accept: {
+    from: ["pending"],
+    to: "accepted",
+    set: { isAccepted: true, isRejected: false, rejectionReason: undefined },
+    guards: [
+      requireApprovedVehicle,
+      requireNotExpired,
+      requireDispatchOffer,
+      requireAcceptingDriver,
+      requireNoScheduleConflict,
+      applyDriverCommission,
+    ],
+    hooks: [clearExpiry, scheduleReminder, notifyAccepted, notifyCustomer("accepted")],
+    eventMetadata: (ctx) => ({
+      commission: ctx.updated.commission,
+      commissionRule: ctx.updated.commissionRule ? ctx.updated.commissionRule.name : null,
+    }),
+    invalidStateMessage: (booking) => `Booking is already ${booking.status} and cannot be accepted.`,
+    conflictMessage: "Booking is no longer available to accept.",
+    conflictCode: "BOOKING_ALREADY_TAKEN_OR_EXPIRED",
+  },
+  reject: {
+    from: ["pending"],
+    to: "rejected",
+    set: (ctx) => ({
+      isRejected: true,
+      isAccepted: false,
+      rejectionReason: ctx.payload.reason || "Rejected by driver",
+      driverId: null, // Clear driverId so admin can reassign to another driver
+    }),
+    guards: [requireRejectingDriver],
+    hooks: [notifyRejected],
+    invalidStateMessage: (booking) => `Booking is already ${booking.status} and cannot be rejected.`,
+    conflictMessage: "Booking could not be rejected (state changed).",
+  },
+  start: {
+    from: ["accepted"],
+    to: "started",
+    timestamp: "startedAt",
+    guards: [requireAssignedDriver, requireNoOtherActiveBooking],
+    hooks: [clearExpiry, notifyStatus("started"), notifyCustomer("started")],
+    invalidStateMessage: "Booking can only be started when it is in accepted status.",
+    conflictMessage: "Booking could not be started (possibly already started or changed).",
+  },
+  arrive: {
+    from: ["started"],
+    to: "arrived",
+    timestamp: "arrivedAt",
+    guards: [requireAssignedDriver],
+    hooks: [notifyStatus("arrived"), notifyCustomer("arrived")],
+    invalidStateMessage: "Booking can only be marked as arrived after it is started.",
+    conflictMessage: "Booking could not be marked as arrived (state changed).",
+  },
+  // Customer did not show up: fee is kept, part of it goes to the driver, admin reviews
+  no_show: {
+    from: ["arrived"],
+    to: "no_show",
+    timestamp: "noShowAt",
+    set: (ctx) => {
+      const charges = calculateNoShowCharges(ctx.booking);
+      return {
+        noShowFee: charges.noShowFee.toFixed(2),
+        noShowDriverPayout: charges.driverPayout.toFixed(2),
+        refundPercentage: charges.refundPercentage,
+        refundAmount: charges.refundAmount.toFixed(2),
+        refundStatus: charges.refundAmount > 0 ? "pending" : "none",
+        expiresAt: null,
+        adminReview: {
+          pending: true,
+          reason: "no_show",
+          flaggedAt: ctx.now,
+        },
+      };
+    },
+    guards: [requireAssignedDriver, requireNoShowWaitElapsed],
+    effect: creditNoShowPayout,
+    hooks: [clearTimers, notifyStatus("no_show"), notifyNoShow, notifyWallet],
+    eventMetadata: (ctx) => ({
+      noShowFee: ctx.updated.noShowFee,
+      driverPayout: ctx.updated.noShowDriverPayout,
+      waitedMinutes: Math.round((ctx.now - new Date(ctx.booking.arrivedAt)) / 60000),
+    }),
+    invalidStateMessage: "A no-show can only be recorded after arriving at the pickup location.",
+    conflictMessage: "Booking could not be marked as no-show (state changed).",
+  },
+  pickup: {
+    from: ["started", "arrived"],
+    to: "picked_up",
+    timestamp: "pickedUpAt",
+    guards: [requireAssignedDriver],
+    hooks: [clearTimers, notifyStatus("picked_up"), notifyCustomer("picked_up")],
+    invalidStateMessage: "Booking can only be marked as picked up after it is started.",
+    conflictMessage: "Booking could not be marked as picked up (state changed).",
+  },
+  dropoff: {
+    from: ["picked_up"],
+    to: "dropped_off",
+    timestamp: "droppedOffAt",
+    guards: [requireAssignedDriver],
+    hooks: [clearExpiry, notifyStatus("dropped_off"), notifyCustomer("dropped_off")],
+    invalidStateMessage: "Booking can only be marked as dropped off after it is picked up.",
+    conflictMessage: "Booking could not be marked as dropped off (state changed).",
+  },
+  complete: {
+    from: ["dropped_off"],
+    to: "completed",
+    timestamp: "completedAt",
+    // Invoiced rides stay unpaid until the invoice is settled
+    set: (ctx) => ({ isPaid: ctx.booking.paymentMethod === "invoice" ? ctx.booking.isPaid : true }),
+    guards: [requireAssignedDriver, requireNotPaidOut],
+    effect: creditDriverWallet,
+    hooks: [clearTimers, notifyCompleted, notifyStatus("completed"), notifyWallet, notifyCustomer("completed")],
+    eventMetadata: (ctx) => ({
+      driverPayout: ctx.effectResult ? ctx.effectResult.driverPrice : 0,
+      surchargeDriverShare: ctx.updated.surchargeDriverShare,
+      paymentMethod: ctx.updated.paymentMethod,
+    }),
+    invalidStateMessage: "Booking can only be completed after it is dropped off.",
+    conflictMessage: "Booking is no longer eligible for completion.",
+    conflictCode: "BOOKING_ALREADY_COMPLETED",
+  },
+  // Customer/admin cancellation. Refund and notifications depend on the refund outcome,
+  // so they are handled by the caller (booking.service cancelBookingRecord).
+  cancel: {
+    from: CANCELLABLE_STATUSES,
+    to: "cancelled",
+    timestamp: "cancelledAt",
+    set: (ctx) => ({ ...ctx.payload, expiresAt: null, "linkedLegReview.pending": false }),
+    hooks: [clearTimers],
+    eventMetadata: (ctx) => ({
+      refundPercentage: ctx.payload.refundPercentage,
+      refundAmount: ctx.payload.refundAmount,
+    }),
+    invalidStateMessage: (booking) => `Booking is already ${booking.status} and cannot be cancelled.`,
+    conflictMessage: "Booking could not be cancelled (state changed).",
+  },
+};
+
+/**
+ * Whether a booking in `status` can go through `action`
+ */
+const canTransition = (status, action) => {
+  const transition = TRANSITIONS[action];
+  return Boolean(transition && transition.from.includes(status));
+};
+
+/**
+ * Register an extra background hook for a transition (e.g. audit log, customer notifications)
+ * @param {string} action - Transition name from TRANSITIONS
+ * @param {Function} hook - (ctx) => void | Promise
+ */
+const registerTransitionHook = (action, hook) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown booking transition: ${action}`);
+  }
+  transition.hooks = [...(transition.hooks || []), hook];
+};
+
+const resolveMessage = (message, booking) =>
+  typeof message === "function" ? message(booking) : message;
+
+const runHooks = (action, transition, ctx) => {
+  if (!transition.hooks || transition.hooks.length === 0) {
+    return;
+  }
+  // Use setImmediate so the HTTP response is sent before side effects run
+  setImmediate(async () => {
+    for (const hook of transition.hooks) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await hook(ctx);
+      } catch (error) {
+        logger.error(
+          `[STATE] Hook failed for ${action} on booking ${ctx.updated._id}: ${error?.message || error}`
+        );
+      }
+    }
+  });
+};
+
+/**
+ * Run a booking through a transition
+ * Loads the booking, checks the current status and guards, applies the update atomically
+ * (the filter re-checks the status so concurrent requests cannot both win), runs the
+ * transactional effect and schedules the hooks.
+ * @param {string} action - Transition name from TRANSITIONS
+ * @param {string} bookingId - Booking ID
+ * @param {Object} actor - { role: "driver"|"admin"|"customer"|"system", id }
+ * @param {Object} payload - Transition specific input (e.g. rejection reason)
+ * @returns {Promise<Object>} Updated booking
+ */
+const transitionBooking = async (action, bookingId, actor = {}, payload = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw buildError(`Unknown booking transition: ${action}`, 400, "INVALID_TRANSITION");
+  }
+
+  const session = transition.effect ? await mongoose.startSession() : null;
+  if (session) {
+    session.startTransaction();
+  }
+
+  try {
+    const query = Booking.findById(bookingId);
+    const booking = session ? await query.session(session) : await query.lean();
+    if (!booking) {
+      throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+    }
+
+    if (!transition.from.includes(booking.status)) {
+      throw buildError(
+        resolveMessage(transition.invalidStateMessage, booking) ||
+          `Booking cannot go from ${booking.status} to ${transition.to}.`,
+        400,
+        "INVALID_BOOKING_STATE"
+      );
+    }
+
+    const now = new Date();
+    const ctx = {
+      action,
+      booking,
+      actor,
+      payload,
+      now,
+      previousStatus: booking.status,
+      filter: { _id: booking._id, status: { $in: transition.from } },
+      set: {},
+    };
+
+    for (const guard of transition.guards || []) {
+      // eslint-disable-next-line no-await-in-loop
+      await guard(ctx);
+    }
+
+    const extraSet = typeof transition.set === "function" ? transition.set(ctx) : transition.set;
+    const update = {
+      ...extraSet,
+      ...ctx.set,
+      status: transition.to,
+    };
+    if (transition.timestamp) {
+      update[transition.timestamp] = now;
+    }
+
+    ctx.updated = await Booking.findOneAndUpdate(
+      ctx.filter,
+      { $set: update },
+      session ? { new: true, session } : { new: true }
+    );
+
+    if (!ctx.updated) {
+      throw buildError(
+        resolveMessage(transition.conflictMessage, booking) || "Booking state changed.",
+        409,
+        transition.conflictCode || "BOOKING_STATE_CHANGED"
+      );
+    }
+
+    if (transition.effect) {
+      ctx.effectResult = await transition.effect(ctx, session);
+    }
+
+    if (session) {
+      await session.commitTransaction();
+      session.endSession();
+    }
+
+    await recordBookingEvent(ctx.updated, {
+      action,
+      actor,
+      previousStatus: ctx.previousStatus,
+      newStatus: ctx.updated.status,
+      driverId: actor.role === "driver" ? actor.id : ctx.updated.driverId || booking.driverId,
+      reason: payload.reason || payload.cancellationReason,
+      metadata: transition.eventMetadata ? transition.eventMetadata(ctx) : {},
+    });
+
+    runHooks(action, transition, ctx);
+    return ctx.updated;
+  } catch (err) {
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  registerTransitionHook,
+  transitionBooking,
+};
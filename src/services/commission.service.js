@@ -0,0 +1,276 @@
+// services/commission.service.js
+const mongoose = require("mongoose");
+const CommissionRule = require("../models/commissionRule.model");
+const Driver = require("../models/driver.model");
+const { getSetting } = require("./settings.service");
+const { normalizeVehicleType } = require("../utils/booking.helper");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const RULE_FIELDS = [
+  "name",
+  "description",
+  "isActive",
+  "priority",
+  "categories",
+  "driverIds",
+  "fleets",
+  "sources",
+  "validFrom",
+  "validTo",
+  "percentage",
+  "fixedFee",
+];
+
+/**
+ * Number of conditions a rule sets (more conditions = more specific)
+ */
+const getSpecificity = (rule) =>
+  ["categories", "driverIds", "fleets", "sources"].filter((field) => (rule[field] || []).length > 0)
+    .length + (rule.validFrom || rule.validTo ? 1 : 0);
+
+/**
+ * Whether a rule applies to a ride
+ * @param {Object} rule - CommissionRule
+ * @param {Object} ride - { category, source, dateTime, driverId, fleet }
+ */
+const ruleMatches = (rule, ride) => {
+  if ((rule.categories || []).length > 0 && !rule.categories.includes(ride.category)) {
+    return false;
+  }
+  if ((rule.sources || []).length > 0 && !rule.sources.includes(ride.source)) {
+    return false;
+  }
+  if ((rule.driverIds || []).length > 0) {
+    if (!ride.driverId || !rule.driverIds.some((id) => id.toString() === ride.driverId)) {
+      return false;
+    }
+  }
+  if ((rule.fleets || []).length > 0 && (!ride.fleet || !rule.fleets.includes(ride.fleet))) {
+    return false;
+  }
+  if (rule.validFrom && ride.dateTime < new Date(rule.validFrom)) {
+    return false;
+  }
+  if (rule.validTo && ride.dateTime > new Date(rule.validTo)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Pick the rule for a booking: highest priority, then most specific, then newest
+ * @param {Object} booking - Booking (or payload) with cat_title, source, date_time
+ * @param {string|null} driverId - Driver the ride is (or will be) assigned to
+ * @returns {Promise<Object|null>} Matching rule or null (platform default)
+ */
+const findCommissionRule = async (booking, driverId = null) => {
+  const rules = await CommissionRule.find({ isActive: true }).lean();
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const driver = driverId
+    ? await Driver.findById(driverId).select("fleet").lean()
+    : null;
+  const ride = {
+    category: normalizeVehicleType(booking.cat_title),
+    source: booking.source || "website",
+    dateTime: booking.date_time ? new Date(booking.date_time) : new Date(),
+    driverId: driverId ? driverId.toString() : null,
+    fleet: driver ? driver.fleet : null,
+  };
+
+  const [best] = rules
+    .filter((rule) => ruleMatches(rule, ride))
+    .sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) ||
+      getSpecificity(b) - getSpecificity(a) ||
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+  return best || null;
+};
+
+/**
+ * Split a customer price into commission and driver price using the matching rule
+ * @param {Object} booking - Booking (or payload) with cat_title, source, date_time
+ * @param {number} actualPriceNumber - Customer price (EUR)
+ * @param {string|null} driverId - Assigned driver, if any
+ * @returns {Promise<Object>} { commission, driverPrice, commissionRule } (amounts as EUR strings)
+ */
+const calculateCommission = async (booking, actualPriceNumber, driverId = null) => {
+  const rule = await findCommissionRule(booking, driverId);
+  const percentage = rule ? rule.percentage || 0 : getSetting("driverCommissionPercentage");
+  const fixedFee = rule ? rule.fixedFee || 0 : 0;
+
+  const commissionAmount = Math.min(
+    roundMoney(fixedFee + actualPriceNumber * (percentage / 100)),
+    actualPriceNumber
+  );
+  const driverPriceAmount = roundMoney(actualPriceNumber - commissionAmount);
+
+  return {
+    commission: commissionAmount.toFixed(2),
+    driverPrice: driverPriceAmount.toFixed(2),
+    commissionRule: {
+      ruleId: rule ? rule._id : null,
+      name: rule ? rule.name : "Platform default",
+      percentage,
+      fixedFee,
+      driverId: driverId || null,
+      appliedAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Validate and normalize rule input (create and update)
+ */
+const normalizeRuleInput = (input, { partial = false } = {}) => {
+  const data = {};
+  RULE_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) {
+      data[field] = input[field];
+    }
+  });
+
+  if (!partial && !data.name) {
+    throw buildError("Rule name is required.", 400, "INVALID_COMMISSION_RULE");
+  }
+
+  if (data.categories !== undefined) {
+    const categories = (Array.isArray(data.categories) ? data.categories : [data.categories])
+      .map((category) => normalizeVehicleType(category));
+    if (categories.some((category) => !category)) {
+      throw buildError(
+        "Unknown vehicle category in rule.",
+        400,
+        "INVALID_COMMISSION_RULE",
+        { allowedCategories: ["Standard", "Luxury", "Taxi Bus"] }
+      );
+    }
+    data.categories = [...new Set(categories)];
+  }
+
+  if (data.driverIds !== undefined) {
+    const driverIds = Array.isArray(data.driverIds) ? data.driverIds : [data.driverIds];
+    if (driverIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw buildError("Invalid driver ID in rule.", 400, "INVALID_COMMISSION_RULE");
+    }
+    data.driverIds = driverIds;
+  }
+
+  ["fleets", "sources"].forEach((field) => {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      data[field] = [data[field]];
+    }
+  });
+
+  ["percentage", "fixedFee", "priority"].forEach((field) => {
+    if (data[field] !== undefined) {
+      data[field] = Number(data[field]);
+      if (!Number.isFinite(data[field])) {
+        throw buildError(`${field} must be a number.`, 400, "INVALID_COMMISSION_RULE");
+      }
+    }
+  });
+  if (data.percentage !== undefined && (data.percentage < 0 || data.percentage > 100)) {
+    throw buildError("percentage must be between 0 and 100.", 400, "INVALID_COMMISSION_RULE");
+  }
+  if (data.fixedFee !== undefined && data.fixedFee < 0) {
+    throw buildError("fixedFee cannot be negative.", 400, "INVALID_COMMISSION_RULE");
+  }
+
+  ["validFrom", "validTo"].forEach((field) => {
+    if (data[field]) {
+      data[field] = new Date(data[field]);
+      if (Number.isNaN(data[field].getTime())) {
+        throw buildError(`Invalid ${field} date.`, 400, "INVALID_COMMISSION_RULE");
+      }
+    }
+  });
+
+  return data;
+};
+
+const assertValidRange = (rule) => {
+  if (rule.validFrom && rule.validTo && new Date(rule.validFrom) > new Date(rule.validTo)) {
+    throw buildError("validFrom must be before validTo.", 400, "INVALID_COMMISSION_RULE");
+  }
+};
+
+/**
+ * ADMIN CRUD
+ */
+
+const createCommissionRule = async (input, adminId) => {
+  const data = normalizeRuleInput(input);
+  if (data.percentage === undefined && data.fixedFee === undefined) {
+    throw buildError("Set a percentage and/or fixedFee.", 400, "INVALID_COMMISSION_RULE");
+  }
+  assertValidRange(data);
+  return CommissionRule.create({ ...data, createdBy: adminId, updatedBy: adminId });
+};
+
+const getCommissionRules = async ({ isActive } = {}) => {
+  const filter = isActive === undefined ? {} : { isActive: String(isActive) === "true" };
+  return CommissionRule.find(filter)
+    .populate("driverIds", "firstName lastName email fleet")
+    .sort({ priority: -1, createdAt: -1 })
+    .lean();
+};
+
+const getCommissionRuleById = async (ruleId) => {
+  const rule = await CommissionRule.findById(ruleId)
+    .populate("driverIds", "firstName lastName email fleet")
+    .lean();
+  if (!rule) {
+    throw buildError("Commission rule not found", 404, "COMMISSION_RULE_NOT_FOUND");
+  }
+  return rule;
+};
+
+const updateCommissionRule = async (ruleId, input, adminId) => {
+  const rule = await CommissionRule.findById(ruleId);
+  if (!rule) {
+    throw buildError("Commission rule not found", 404, "COMMISSION_RULE_NOT_FOUND");
+  }
+
+  const data = normalizeRuleInput(input, { partial: true });
+  Object.assign(rule, data, { updatedBy: adminId });
+  assertValidRange(rule.toObject());
+  await rule.save();
+  return rule;
+};
+
+/**
+ * Bookings keep their commissionRule snapshot, so deleting a rule never changes past payouts
+ */
+const deleteCommissionRule = async (ruleId) => {
+  const rule = await CommissionRule.findByIdAndDelete(ruleId);
+  if (!rule) {
+    throw buildError("Commission rule not found", 404, "COMMISSION_RULE_NOT_FOUND");
+  }
+  return rule;
+};
+
+module.exports = {
+  findCommissionRule,
+  calculateCommission,
+  createCommissionRule,
+  getCommissionRules,
+  getCommissionRuleById,
+  updateCommissionRule,
+  deleteCommissionRule,
+};
@@ -0,0 +1,476 @@
+// services/customer.service.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+const validator = require("validator");
+const Customer = require("../models/customer.model");
+const Booking = require("../models/booking.model");
+const sendEmail = require("../utils/email");
+const { generateOtp } = require("../utils/generateOtp");
+const {
+  signAccessToken,
+  signRefreshToken,
+  hashRefreshToken,
+  compareRefreshToken,
+} = require("../utils/token");
+const { buildTrackingUrl, buildReviewUrl } = require("../utils/booking.helper");
+const { normalizePhoneNumber } = require("./sms.service");
+const {
+  CUSTOMER_OTP_EXPIRES_MINUTES,
+  CUSTOMER_OTP_MAX_SENDS_PER_DAY,
+  CUSTOMER_OTP_MAX_ATTEMPTS,
+  CUSTOMER_MAX_SAVED_PHONES,
+  CUSTOMER_MAX_SAVED_ADDRESSES,
+} = require("../../config/customers");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Ride statuses the customer can still follow on the tracking page
+const TRACKABLE_STATUSES = ["pending", "accepted", "rejected", "started", "arrived", "picked_up", "dropped_off"];
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Login codes are stored hashed (like password reset tokens) and compared in constant time
+const hashLoginCode = (code) => crypto.createHash("sha256").update(String(code).trim()).digest("hex");
+
+const isLoginCodeMatch = (code, hashedCode) => {
+  const given = Buffer.from(hashLoginCode(code));
+  const stored = Buffer.from(String(hashedCode || ""));
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+};
+
+const toCustomerResponse = (customer) => ({
+  id: customer._id,
+  email: customer.email,
+  name: customer.name || null,
+  phones: customer.phones || [],
+  addresses: customer.addresses || [],
+  role: customer.role,
+  createdAt: customer.createdAt,
+});
+
+const issueTokens = async (customer) => {
+  const claims = {
+    id: customer._id,
+    role: customer.role,
+    name: customer.name,
+    tokenVersion: customer.tokenVersion || 0,
+  };
+  const accessToken = signAccessToken(claims);
+  const refreshToken = signRefreshToken(claims);
+  const hashedRefreshToken = await hashRefreshToken(refreshToken);
+  return { accessToken, refreshToken, hashedRefreshToken };
+};
+
+const findCustomer = async (customerId) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw buildError("Customer account not found.", 404, "CUSTOMER_NOT_FOUND");
+  }
+  return customer;
+};
+
+/**
+ * BOOKING LINKS
+ */
+
+/**
+ * Link the guest bookings made with the customer's email to the account
+ * @param {Object} customer - Customer
+ * @returns {Promise<number>} Bookings linked
+ */
+const linkBookingsByEmail = async (customer) => {
+  const result = await Booking.updateMany(
+    { email: customer.email, customerId: null },
+    { $set: { customerId: customer._id } }
+  );
+  const linked = result.nModified || result.modifiedCount || 0;
+  if (linked > 0) {
+    logger.info(`[CUSTOMER] Linked ${linked} booking(s) to customer ${customer._id}`);
+  }
+  return linked;
+};
+
+/**
+ * Account a new booking belongs to (verified customers only; others are linked on first login)
+ * @param {string} email - Booking email
+ * @returns {Promise<Object|null>} Customer ID
+ */
+const findCustomerIdByEmail = async (email) => {
+  if (!email) {
+    return null;
+  }
+  const customer = await Customer.findOne({ email: normalizeEmail(email), isVerified: true })
+    .select("_id")
+    .lean();
+  return customer ? customer._id : null;
+};
+
+/**
+ * LOGIN (passwordless, code by email)
+ */
+
+/**
+ * Send a login code; creates the account on first use
+ * @param {string} email - Customer email
+ */
+const requestLoginCode = async (email) => {
+  const address = normalizeEmail(email);
+  if (!address) {
+    throw buildError("Email is required.", 400, "EMAIL_REQUIRED");
+  }
+  if (!validator.isEmail(address)) {
+    throw buildError("Please provide a valid email.", 400, "INVALID_EMAIL");
+  }
+
+  const customer = (await Customer.findOne({ email: address })) || new Customer({ email: address });
+
+  const now = new Date();
+  if (!customer.otpLastSentAt || now - customer.otpLastSentAt > 24 * 60 * 60 * 1000) {
+    customer.otpSendCount = 0;
+  }
+  if (customer.otpSendCount >= CUSTOMER_OTP_MAX_SENDS_PER_DAY) {
+    throw buildError(
+      "Max login code requests reached for today. Please try again after 24 hours.",
+      429,
+      "OTP_LIMIT_REACHED"
+    );
+  }
+
+  const otp = generateOtp();
+  customer.otp = hashLoginCode(otp);
+  customer.otpExpiresAt = new Date(now.getTime() + CUSTOMER_OTP_EXPIRES_MINUTES * 60 * 1000);
+  customer.otpAttempts = 0;
+  customer.otpSendCount += 1;
+  customer.otpLastSentAt = now;
+  await customer.save();
+
+  await sendEmail({
+    email: customer.email,
+    subject: "Taxigate - Your Login Code",
+    message: `Your login code is: ${otp}. Expires in ${CUSTOMER_OTP_EXPIRES_MINUTES} minutes.`,
+  });
+};
+
+/**
+ * Log in with the emailed code
+ * The first login verifies the account and links earlier bookings made with the email.
+ * @param {string} email - Customer email
+ * @param {string} otp - Login code
+ * @returns {Promise<Object>} { customer, tokens, linkedBookings }
+ */
+const verifyLoginCode = async (email, otp) => {
+  const address = normalizeEmail(email);
+  if (!address) {
+    throw buildError("Email is required.", 400, "EMAIL_REQUIRED");
+  }
+  if (!otp) {
+    throw buildError("Login code is required.", 400, "OTP_REQUIRED");
+  }
+
+  // Count the attempt atomically before comparing, so parallel guesses cannot
+  // all read the same counter and get past CUSTOMER_OTP_MAX_ATTEMPTS
+  const customer = await Customer.findOneAndUpdate(
+    {
+      email: address,
+      otp: { $exists: true, $ne: null },
+      otpExpiresAt: { $gt: new Date() },
+      otpAttempts: { $lt: CUSTOMER_OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { otpAttempts: 1 } },
+    { new: true }
+  ).select("+otp");
+
+  if (!customer) {
+    const current = await Customer.findOne({ email: address }).select("+otp");
+    if (!current || !current.otp) {
+      throw buildError("Please request a login code first.", 400, "OTP_NOT_REQUESTED");
+    }
+    if (!current.otpExpiresAt || current.otpExpiresAt < new Date()) {
+      throw buildError("Login code expired, please request a new one.", 400, "OTP_EXPIRED");
+    }
+    await Customer.updateOne({ _id: current._id }, { $unset: { otp: 1, otpExpiresAt: 1 } });
+    throw buildError(
+      "Too many invalid attempts, please request a new login code.",
+      429,
+      "OTP_ATTEMPTS_EXCEEDED"
+    );
+  }
+
+  if (!isLoginCodeMatch(otp, customer.otp)) {
+    if (customer.otpAttempts >= CUSTOMER_OTP_MAX_ATTEMPTS) {
+      await Customer.updateOne({ _id: customer._id }, { $unset: { otp: 1, otpExpiresAt: 1 } });
+    }
+    throw buildError("Invalid login code.", 400, "INVALID_OTP");
+  }
+
+  const isFirstLogin = !customer.isVerified;
+  customer.isVerified = true;
+  customer.otp = undefined;
+  customer.otpExpiresAt = undefined;
+  customer.otpAttempts = 0;
+  customer.lastLoginAt = new Date();
+
+  let linkedBookings = 0;
+  if (isFirstLogin) {
+    linkedBookings = await linkBookingsByEmail(customer);
+    customer.bookingsLinkedAt = new Date();
+  }
+
+  const { accessToken, refreshToken, hashedRefreshToken } = await issueTokens(customer);
+  customer.refreshToken = hashedRefreshToken;
+  await customer.save();
+
+  return {
+    customer: toCustomerResponse(customer),
+    tokens: { accessToken, refreshToken },
+    linkedBookings,
+  };
+};
+
+/**
+ * Rotate the tokens of a logged in customer
+ * @param {string} refreshToken - Refresh token from login
+ * @returns {Promise<Object>} { customer, tokens }
+ */
+const refreshSession = async (refreshToken) => {
+  if (!refreshToken) {
+    throw buildError("Refresh token not provided. Please login again.", 401, "REFRESH_TOKEN_REQUIRED");
+  }
+
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(
+      refreshToken,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    );
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw buildError("Refresh token expired. Please login again.", 401, "REFRESH_TOKEN_EXPIRED");
+    }
+    throw buildError("Invalid refresh token.", 401, "INVALID_REFRESH_TOKEN");
+  }
+  if ((decoded.type && decoded.type !== "refresh") || decoded.role !== "customer") {
+    throw buildError("Invalid token type. Refresh token required.", 401, "INVALID_REFRESH_TOKEN");
+  }
+
+  const customer = await Customer.findById(decoded.id).select("+refreshToken");
+  if (!customer) {
+    throw buildError("Customer account not found. Please login again.", 404, "CUSTOMER_NOT_FOUND");
+  }
+  if (decoded.tokenVersion !== (customer.tokenVersion || 0)) {
+    throw buildError("Your session has been terminated. Please login again.", 401, "SESSION_TERMINATED");
+  }
+  if (!customer.refreshToken || !(await compareRefreshToken(refreshToken, customer.refreshToken))) {
+    throw buildError("Invalid refresh token. Please login again.", 401, "INVALID_REFRESH_TOKEN");
+  }
+
+  const tokens = await issueTokens(customer);
+  customer.refreshToken = tokens.hashedRefreshToken;
+  await customer.save();
+
+  return {
+    customer: toCustomerResponse(customer),
+    tokens: { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken },
+  };
+};
+
+/**
+ * End all sessions of a customer
+ * @param {string} customerId - Customer ID
+ */
+const logout = async (customerId) => {
+  await Customer.updateOne(
+    { _id: customerId },
+    { $inc: { tokenVersion: 1 }, $unset: { refreshToken: "" } }
+  );
+};
+
+/**
+ * PROFILE
+ */
+
+const getProfile = async (customerId) => toCustomerResponse(await findCustomer(customerId));
+
+/**
+ * Update profile fields ({ name })
+ */
+const updateProfile = async (customerId, { name } = {}) => {
+  const customer = await findCustomer(customerId);
+  if (name !== undefined) {
+    customer.name = String(name).trim() || undefined;
+  }
+  await customer.save();
+  return toCustomerResponse(customer);
+};
+
+/**
+ * Save a phone number ({ label, number })
+ */
+const addPhone = async (customerId, { label, number } = {}) => {
+  const phone = normalizePhoneNumber(number);
+  if (!phone) {
+    throw buildError("Please provide a valid phone number.", 400, "INVALID_PHONE_NUMBER");
+  }
+
+  const customer = await findCustomer(customerId);
+  if (customer.phones.some((saved) => saved.number === phone)) {
+    throw buildError("This phone number is already saved.", 409, "PHONE_ALREADY_SAVED");
+  }
+  if (customer.phones.length >= CUSTOMER_MAX_SAVED_PHONES) {
+    throw buildError(
+      `You can save up to ${CUSTOMER_MAX_SAVED_PHONES} phone numbers.`,
+      400,
+      "TOO_MANY_PHONES"
+    );
+  }
+
+  customer.phones.push({ label: label ? String(label).trim() : undefined, number: phone });
+  await customer.save();
+  return toCustomerResponse(customer);
+};
+
+/**
+ * Save an address ({ label, address, house_no, coordinates: { lat, lng } })
+ */
+const addAddress = async (customerId, { label, address, house_no: houseNo, coordinates } = {}) => {
+  const text = address ? String(address).trim() : "";
+  if (!text) {
+    throw buildError("Address is required.", 400, "ADDRESS_REQUIRED");
+  }
+  const hasCoordinates = coordinates && coordinates.lat !== undefined && coordinates.lng !== undefined;
+  if (
+    hasCoordinates &&
+    (!Number.isFinite(Number(coordinates.lat)) || !Number.isFinite(Number(coordinates.lng)))
+  ) {
+    throw buildError("Coordinates must be numbers.", 400, "INVALID_COORDINATES");
+  }
+
+  const customer = await findCustomer(customerId);
+  if (customer.addresses.length >= CUSTOMER_MAX_SAVED_ADDRESSES) {
+    throw buildError(
+      `You can save up to ${CUSTOMER_MAX_SAVED_ADDRESSES} addresses.`,
+      400,
+      "TOO_MANY_ADDRESSES"
+    );
+  }
+
+  customer.addresses.push({
+    label: label ? String(label).trim() : undefined,
+    address: text,
+    house_no: houseNo,
+    coordinates: hasCoordinates ? { lat: Number(coordinates.lat), lng: Number(coordinates.lng) } : undefined,
+  });
+  await customer.save();
+  return toCustomerResponse(customer);
+};
+
+/**
+ * Remove a saved phone number or address
+ * @param {string} customerId - Customer ID
+ * @param {string} list - "phones" or "addresses"
+ * @param {string} itemId - Saved item ID
+ */
+const removeSavedItem = async (customerId, list, itemId) => {
+  const customer = await findCustomer(customerId);
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? customer[list].id(itemId) : null;
+  if (!item) {
+    throw buildError("Saved item not found.", 404, "SAVED_ITEM_NOT_FOUND");
+  }
+  item.remove();
+  await customer.save();
+  return toCustomerResponse(customer);
+};
+
+/**
+ * BOOKING HISTORY
+ */
+
+/**
+ * Bookings of the customer, newest pickup first
+ * @param {string} customerId - Customer ID
+ * @param {Object} filters - { status, page, limit }
+ * @returns {Promise<Object>} { bookings, total, page, limit }
+ */
+const getBookingHistory = async (customerId, { status, page = 1, limit = 10 } = {}) => {
+  const filter = { customerId };
+  if (status) filter.status = status;
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(filter)
+      .select(
+        "orderNumber status date_time from_location to_location stops cat_title num_passengers luggage actualPrice price paymentMethod isPaid tripLeg linkedBookingId isExpired cancelledAt refundAmount refundStatus completedAt driverId rating tip createdAt"
+      )
+      .populate("driverId", "firstName")
+      .sort({ date_time: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Booking.countDocuments(filter),
+  ]);
+
+  return {
+    bookings: bookings.map((booking) => ({
+      id: booking._id,
+      orderNumber: booking.orderNumber,
+      status: booking.status,
+      isExpired: booking.isExpired === true,
+      date_time: booking.date_time,
+      from_location: booking.from_location,
+      to_location: booking.to_location,
+      stops: booking.stops || [],
+      cat_title: booking.cat_title,
+      num_passengers: booking.num_passengers,
+      luggage: booking.luggage,
+      price: booking.actualPrice || booking.price,
+      paymentMethod: booking.paymentMethod,
+      isPaid: booking.isPaid,
+      tripLeg: booking.tripLeg || "outbound",
+      linkedBookingId: booking.linkedBookingId || null,
+      cancelledAt: booking.cancelledAt || null,
+      refundAmount: booking.refundAmount || null,
+      refundStatus: booking.refundStatus,
+      completedAt: booking.completedAt || null,
+      driver: booking.driverId ? { firstName: booking.driverId.firstName } : null,
+      rating: booking.rating ?? null,
+      tip: booking.tip?.status === "paid" ? booking.tip.amount : null,
+      trackingUrl: TRACKABLE_STATUSES.includes(booking.status) && !booking.isExpired
+        ? buildTrackingUrl(booking)
+        : null,
+      reviewUrl: booking.status === "completed" && !booking.rating ? buildReviewUrl(booking) : null,
+      createdAt: booking.createdAt,
+    })),
+    total,
+    page: pageNumber,
+    limit: pageSize,
+  };
+};
+
+module.exports = {
+  linkBookingsByEmail,
+  findCustomerIdByEmail,
+  requestLoginCode,
+  verifyLoginCode,
+  refreshSession,
+  logout,
+  getProfile,
+  updateProfile,
+  addPhone,
+  addAddress,
+  removeSavedItem,
+  getBookingHistory,
+};
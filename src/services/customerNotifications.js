@@ -0,0 +1,188 @@
+// src/services/customerNotifications.js
+const Driver = require("../models/driver.model");
+const Vehicle = require("../models/vehicle.model");
+const sendEmail = require("../utils/email");
+const rideUpdateEmail = require("../templates/emails/rideUpdateEmail");
+const { sendSms } = require("./sms.service");
+const { PRICING_TIMEZONE } = require("../../config/pricing");
+const { NO_SHOW_WAIT_MINUTES } = require("../../config/noShowPolicy");
+const {
+  buildTrackingUrl,
+  buildReviewUrl,
+  getVehicleTypesForBooking,
+} = require("../utils/booking.helper");
+const logger = require("../utils/logger");
+
+const formatPickupTime = (date) =>
+  new Date(date).toLocaleString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: PRICING_TIMEZONE,
+  });
+
+/**
+ * Driver and vehicle shown to the customer
+ * The vehicle is the driver's approved vehicle matching the booked category (newest first).
+ * @param {Object} booking - Booking with driverId and cat_title
+ * @returns {Promise<Object>} { driver, vehicle } (null when unknown)
+ */
+const getRideDetails = async (booking) => {
+  const driverId = booking.driverId ? booking.driverId._id || booking.driverId : null;
+  if (!driverId) {
+    return { driver: null, vehicle: null };
+  }
+
+  const vehicleTypes = getVehicleTypesForBooking(booking.cat_title);
+  const [driver, vehicles] = await Promise.all([
+    Driver.findById(driverId).select("firstName lastName phone").lean(),
+    Vehicle.find({ driver: driverId, status: "Approved", deletedAt: null })
+      .select("type brand model color plateNumber")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+  const vehicle = vehicles.find((candidate) => vehicleTypes.includes(candidate.type)) || vehicles[0] || null;
+
+  return { driver, vehicle };
+};
+
+const describeVehicle = (vehicle) =>
+  vehicle ? [vehicle.color, vehicle.brand, vehicle.model].filter(Boolean).join(" ") : null;
+
+const describeRefund = (booking) => {
+  const refundAmount = parseFloat(booking.refundAmount || "0");
+  if (!(refundAmount > 0)) {
+    return null;
+  }
+  const refund = `€${refundAmount.toFixed(2)} (${booking.refundPercentage}%)`;
+  return booking.refundStatus === "failed" ? `${refund} - our team will contact you` : refund;
+};
+
+/**
+ * Customer messages per ride update
+ * subject/message build the email; sms (optional) builds the text message;
+ * link (optional) replaces the tracking link.
+ * ctx: { booking, driverName, vehicle, pickupTime, trackingUrl }
+ */
+const CUSTOMER_RIDE_UPDATES = {
+  accepted: {
+    subject: "Your driver is confirmed",
+    message: ({ booking, driverName, pickupTime }) =>
+      `${driverName || "Your driver"} will pick you up at ${booking.from_location} on ${pickupTime}.`,
+    sms: ({ driverName, vehicle, pickupTime }) =>
+      `your driver ${driverName || ""} will pick you up on ${pickupTime}${vehicle ? ` in a ${describeVehicle(vehicle)} (${vehicle.plateNumber})` : ""}.`,
+  },
+  started: {
+    subject: "Your driver is on the way",
+    message: ({ booking, driverName }) =>
+      `${driverName || "Your driver"} is on the way to ${booking.from_location}.`,
+    sms: ({ driverName, vehicle }) =>
+      `${driverName || "your driver"} is on the way${vehicle ? ` in a ${describeVehicle(vehicle)} (${vehicle.plateNumber})` : ""}.`,
+  },
+  arrived: {
+    subject: "Your driver has arrived",
+    message: ({ booking }) =>
+      `Your driver is waiting for you at ${booking.from_location}. Please head to the pickup point; after ${NO_SHOW_WAIT_MINUTES} minutes of waiting the ride may be recorded as a no-show and a fee charged.`,
+    sms: ({ booking, vehicle }) =>
+      `your driver is waiting at ${booking.from_location}${vehicle ? ` in a ${describeVehicle(vehicle)} (${vehicle.plateNumber})` : ""}.`,
+  },
+  picked_up: {
+    subject: "Your ride has started",
+    message: ({ booking }) => `Enjoy your ride to ${booking.to_location}.`,
+  },
+  dropped_off: {
+    subject: "You have arrived",
+    message: ({ booking }) => `You have arrived at ${booking.to_location}. Please check you have all your belongings.`,
+  },
+  completed: {
+    subject: "Your ride is complete",
+    message: ({ booking }) =>
+      `Your ride from ${booking.from_location} to ${booking.to_location} is complete. Thank you for riding with Taxigate. How was your ride? Let us know by rating your driver, and leave a tip if you like.`,
+    link: ({ booking }) => ({ label: "Rate your ride", url: buildReviewUrl(booking) }),
+  },
+  expired: {
+    subject: "We are still finding your driver",
+    message: ({ booking, pickupTime }) =>
+      `No driver has confirmed your ride from ${booking.from_location} on ${pickupTime} yet. Our team has been notified and will assign a driver as soon as possible.`,
+    sms: ({ pickupTime }) =>
+      `we are still finding a driver for your ride on ${pickupTime}. Our team will assign one as soon as possible.`,
+  },
+  cancelled: {
+    subject: "Your ride has been cancelled",
+    message: ({ booking, pickupTime }) =>
+      `Your ride from ${booking.from_location} to ${booking.to_location} on ${pickupTime} has been cancelled${booking.cancelledBy === "customer" ? " as requested" : ""}.`,
+    sms: ({ booking, pickupTime }) =>
+      `your ride ${booking.orderNumber || ""} on ${pickupTime} has been cancelled.`,
+  },
+};
+
+/**
+ * Tell the customer about a ride update by email and, for time-critical updates, SMS
+ * Failures are logged and never thrown.
+ * @param {Object} booking - Booking after the update
+ * @param {String} update - Key of CUSTOMER_RIDE_UPDATES (e.g. "accepted")
+ */
+const notifyCustomerRideUpdate = async (booking, update) => {
+  const template = CUSTOMER_RIDE_UPDATES[update];
+  if (!template || (!booking.email && !booking.number)) {
+    return;
+  }
+
+  try {
+    const { driver, vehicle } = await getRideDetails(booking);
+    const ctx = {
+      booking,
+      driverName: driver ? driver.firstName : null,
+      vehicle,
+      pickupTime: formatPickupTime(booking.date_time),
+      trackingUrl: update === "cancelled" ? null : buildTrackingUrl(booking),
+    };
+    const message = template.message(ctx);
+    const link = template.link ? template.link(ctx) : { label: "Track your ride", url: ctx.trackingUrl };
+
+    const sends = [];
+    if (booking.email) {
+      sends.push(
+        sendEmail({
+          email: booking.email,
+          subject: `${template.subject} - ${booking.orderNumber || "Taxigate"}`,
+          html: rideUpdateEmail(booking, {
+            heading: template.subject,
+            message,
+            rows: [
+              { label: "Pickup Time", value: ctx.pickupTime },
+              { label: "Driver", value: ctx.driverName },
+              { label: "Driver Phone", value: ["accepted", "started", "arrived"].includes(update) && driver ? driver.phone : null },
+              { label: "Vehicle", value: describeVehicle(vehicle) },
+              { label: "License Plate", value: vehicle ? vehicle.plateNumber : null },
+              { label: "Refund", value: update === "cancelled" ? describeRefund(booking) : null },
+            ],
+            link: link.url ? link : null,
+          }),
+          text: `${message}${link.url ? ` ${link.label}: ${link.url}` : ""}`,
+        })
+      );
+    }
+    if (template.sms && booking.number) {
+      const text = `Taxigate: ${template.sms(ctx)}${ctx.trackingUrl ? ` Track: ${ctx.trackingUrl}` : ""}`;
+      sends.push(sendSms({ to: booking.number, message: text.replace(/\s+/g, " ") }));
+    }
+
+    const results = await Promise.allSettled(sends);
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) => {
+        logger.error(`[NOTIFICATION] Failed to send ${update} update to customer of booking ${booking._id}: ${result.reason?.message || result.reason}`);
+      });
+  } catch (error) {
+    logger.error(`[NOTIFICATION] Failed to notify customer of booking ${booking._id} (${update}): ${error?.message || error}`);
+  }
+};
+
+module.exports = {
+  CUSTOMER_RIDE_UPDATES,
+  getRideDetails,
+  notifyCustomerRideUpdate,
+};
@@ -1,9 +1,12 @@
 const Booking = require("../models/booking.model");
 const Driver = require("../models/driver.model");
+const WalletTransaction = require("../models/walletTransaction.model");
+const { getTipSummary } = require("./tip.service");
 
 /**
  * Get dashboard statistics
- * Returns: Total Sales, Today Orders, Completed Orders, Pending Orders
+ * Returns: Total Sales, Today Orders, Completed Orders, Pending Orders, Tips
+ * Tips go to the drivers in full, so they are reported separately from sales
  */
 exports.getDashboardStats = async () => {
   const now = new Date();
@@ -40,11 +43,19 @@ exports.getDashboardStats = async () => {
     isExpired: false,
   });
 
+  const [allTips, todayTips] = await Promise.all([
+    getTipSummary(),
+    getTipSummary({ from: startOfToday, to: new Date(endOfToday.getTime() + 1) }),
+  ]);
+
   return {
     totalSales: totalSales.toFixed(2),
     todayOrders,
     completedOrders,
     pendingOrders,
+    totalTips: allTips.totalTips.toFixed(2),
+    tipCount: allTips.tipCount,
+    todayTips: todayTips.totalTips.toFixed(2),
   };
 };
 
@@ -62,6 +73,13 @@ exports.getRevenueChartData = async () => {
     .select("actualPrice price createdAt")
     .lean();
 
+  const tipTransactions = await WalletTransaction.find({
+    type: "tip",
+    createdAt: { $gte: twelveMonthsAgo },
+  })
+    .select("amount createdAt")
+    .lean();
+
   // Group by month manually
   const revenueMap = new Map();
   bookings.forEach((booking) => {
@@ -81,12 +99,20 @@ exports.getRevenueChartData = async () => {
     data.orders += 1;
   });
 
+  const tipsMap = new Map();
+  tipTransactions.forEach((transaction) => {
+    const date = new Date(transaction.createdAt);
+    const key = `${date.getFullYear()}-${date.getMonth() + 1}`;
+    tipsMap.set(key, (tipsMap.get(key) || 0) + (transaction.amount || 0));
+  });
+
   // Generate data for last 12 months
   const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "July", "Aug", "Sep", "Oct", "Nov", "Dec"];
   const chartData = {
     labels: [],
     netProfit: [], // Revenue
     orders: [], // Completed orders count
+    tips: [], // Tips credited to drivers (not part of revenue)
   };
 
   for (let i = 11; i >= 0; i--) {
@@ -97,6 +123,7 @@ exports.getRevenueChartData = async () => {
     chartData.labels.push(months[date.getMonth()]);
     chartData.netProfit.push(Math.round(data.revenue));
     chartData.orders.push(data.orders);
+    chartData.tips.push(Math.round(tipsMap.get(monthKey) || 0));
   }
 
   return chartData;
@@ -0,0 +1,463 @@
+// services/dispatch.service.js
+const Booking = require("../models/booking.model");
+const Driver = require("../models/driver.model");
+const { registerTransitionHook } = require("./bookingStateMachine");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const { registerJobHandler, scheduleJob, cancelJob } = require("./jobQueue.service");
+const {
+  notifyAllDriversNewBooking,
+  notifyNewBooking,
+  notifyLiveBookingAdded,
+  notifyBookingOffered,
+  notifyBookingOfferWithdrawn,
+  filterDriversByVehicleType,
+} = require("./bookingNotifications");
+const {
+  DISPATCH_STRATEGY,
+  DISPATCH_OFFER_SECONDS,
+  DISPATCH_MAX_CANDIDATES,
+  DISPATCH_MAX_DISTANCE_KM,
+  DISPATCH_LOCATION_MAX_AGE_MINUTES,
+  DISPATCH_HYBRID_MIN_LEAD_MINUTES,
+} = require("../../config/dispatch");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Nearby drivers fetched per step, before the vehicle type filter
+const CANDIDATE_QUERY_LIMIT = 50;
+
+// Offer timeouts run through the durable job queue (services/jobQueue.service.js)
+const OFFER_TIMEOUT_JOB = "dispatch-offer-timeout";
+const offerJobKey = (bookingId) => `${OFFER_TIMEOUT_JOB}:${bookingId}`;
+
+const hasCoordinates = (point) =>
+  !!point && Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lng));
+
+/**
+ * Great-circle distance in km (rounded to 100 m)
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+};
+
+/**
+ * Online, approved drivers with a recent position near the pickup, nearest first,
+ * that have an approved vehicle for the booking's category
+ * @param {Object} booking - Booking with pickupCoordinates and cat_title
+ * @param {Array} excludeDriverIds - Drivers already offered the ride
+ * @returns {Promise<Array>} [{ driverId, distanceKm }]
+ */
+const findDispatchCandidates = async (booking, excludeDriverIds = []) => {
+  const pickup = { lat: Number(booking.pickupCoordinates.lat), lng: Number(booking.pickupCoordinates.lng) };
+
+  const drivers = await Driver.find({
+    _id: { $nin: excludeDriverIds },
+    isOnline: true,
+    status: "Approved",
+    deletedAt: null,
+    "locationMeta.recordedAt": {
+      $gte: new Date(Date.now() - DISPATCH_LOCATION_MAX_AGE_MINUTES * 60 * 1000),
+    },
+    location: {
+      $near: {
+        $geometry: { type: "Point", coordinates: [pickup.lng, pickup.lat] },
+        $maxDistance: DISPATCH_MAX_DISTANCE_KM * 1000,
+      },
+    },
+  })
+    .select("_id location")
+    .limit(CANDIDATE_QUERY_LIMIT)
+    .lean();
+
+  // filterDriversByVehicleType keeps the $near order
+  const eligible = await filterDriversByVehicleType(drivers, booking.cat_title);
+  return eligible.map((driver) => ({
+    driverId: driver._id,
+    distanceKm: distanceKm(pickup, {
+      lat: driver.location.coordinates[1],
+      lng: driver.location.coordinates[0],
+    }),
+  }));
+};
+
+/**
+ * Notify every matching driver at once (the original behaviour)
+ */
+const broadcastToDrivers = async (booking) => {
+  try {
+    await notifyAllDriversNewBooking(booking);
+  } catch (error) {
+    logger.error(`[DISPATCH] Failed to send push notifications for booking ${booking._id}: ${error.message}`);
+  }
+  try {
+    await notifyNewBooking(booking);
+  } catch (error) {
+    logger.error(`[DISPATCH] Failed to notify drivers of booking ${booking._id}: ${error.message}`);
+  }
+  if (booking.status === "pending" && !booking.isExpired) {
+    try {
+      await notifyLiveBookingAdded(booking);
+    } catch (error) {
+      logger.error(`[DISPATCH] Failed to add booking ${booking._id} to live bookings: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * End sequential offering and broadcast the booking
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Why the cascade stopped (e.g. "candidates_exhausted")
+ */
+const fallBackToBroadcast = async (bookingId, reason) => {
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: "pending",
+      driverId: null,
+      isExpired: { $ne: true },
+      "dispatch.status": "offering",
+      "dispatch.offeredTo": null,
+    },
+    { $set: { "dispatch.status": "broadcast", "dispatch.broadcastAt": new Date() } },
+    { new: true }
+  );
+  if (!booking) {
+    return;
+  }
+
+  await recordBookingEvent(booking, {
+    action: "dispatch_broadcast",
+    actor: { role: "system" },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    metadata: { reason, attempts: booking.dispatch.attempts.length },
+  });
+  logger.info(`[DISPATCH] Booking ${booking._id} broadcast to all drivers (${reason})`);
+
+  await broadcastToDrivers(booking);
+};
+
+const scheduleOfferTimeout = (bookingId, driverId, offerExpiresAt) =>
+  scheduleJob(OFFER_TIMEOUT_JOB, {
+    key: offerJobKey(bookingId),
+    runAt: offerExpiresAt,
+    payload: { bookingId, driverId },
+  });
+
+/**
+ * Offer the booking to the nearest driver who has not had it yet
+ * Falls back to broadcast when the candidates (or the time before the booking expires) run out.
+ * @param {string} bookingId - Booking ID
+ */
+const offerToNextCandidate = async (bookingId) => {
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    status: "pending",
+    driverId: null,
+    isExpired: { $ne: true },
+    "dispatch.status": "offering",
+    "dispatch.offeredTo": null,
+  }).lean();
+  if (!booking) {
+    return;
+  }
+
+  const attempts = booking.dispatch.attempts || [];
+  const offerMs = DISPATCH_OFFER_SECONDS * 1000;
+  const now = new Date();
+
+  if (attempts.length >= DISPATCH_MAX_CANDIDATES) {
+    await fallBackToBroadcast(bookingId, "candidates_exhausted");
+    return;
+  }
+  // Leave at least one offer window for the broadcast before the booking expires
+  if (booking.expiresAt && new Date(booking.expiresAt) - now < offerMs * 2) {
+    await fallBackToBroadcast(bookingId, "expiring");
+    return;
+  }
+
+  const [candidate] = await findDispatchCandidates(
+    booking,
+    attempts.map((attempt) => attempt.driverId)
+  );
+  if (!candidate) {
+    await fallBackToBroadcast(bookingId, attempts.length > 0 ? "candidates_exhausted" : "no_nearby_drivers");
+    return;
+  }
+
+  const offerExpiresAt = new Date(now.getTime() + offerMs);
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: "pending",
+      driverId: null,
+      "dispatch.status": "offering",
+      "dispatch.offeredTo": null,
+    },
+    {
+      $set: { "dispatch.offeredTo": candidate.driverId, "dispatch.offerExpiresAt": offerExpiresAt },
+      $push: {
+        "dispatch.attempts": {
+          driverId: candidate.driverId,
+          distanceKm: candidate.distanceKm,
+          offeredAt: now,
+          outcome: "offered",
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return;
+  }
+
+  await scheduleOfferTimeout(bookingId.toString(), candidate.driverId.toString(), offerExpiresAt);
+
+  await recordBookingEvent(updated, {
+    action: "dispatch_offer",
+    actor: { role: "system" },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId: candidate.driverId,
+    metadata: {
+      attempt: attempts.length + 1,
+      distanceKm: candidate.distanceKm,
+      offerExpiresAt,
+    },
+  });
+  logger.info(
+    `[DISPATCH] Booking ${bookingId} offered to driver ${candidate.driverId} (${candidate.distanceKm} km, attempt ${attempts.length + 1})`
+  );
+
+  await notifyBookingOffered(updated, candidate.driverId, {
+    distanceKm: candidate.distanceKm,
+    offerExpiresAt,
+  });
+};
+
+/**
+ * Close the current offer and move on to the next candidate
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver holding the offer
+ * @param {string} outcome - "timeout" | "declined"
+ * @returns {Promise<Object|null>} Updated booking, or null if the driver no longer held the offer
+ */
+const endOffer = async (bookingId, driverId, outcome) => {
+  const updated = await Booking.findOneAndUpdate(
+    { _id: bookingId, "dispatch.offeredTo": driverId, "dispatch.attempts.driverId": driverId },
+    {
+      $set: {
+        "dispatch.offeredTo": null,
+        "dispatch.offerExpiresAt": null,
+        "dispatch.attempts.$.outcome": outcome,
+        "dispatch.attempts.$.respondedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+  if (outcome !== "timeout") {
+    await cancelJob(offerJobKey(bookingId.toString()));
+  }
+
+  await recordBookingEvent(updated, {
+    action: `dispatch_offer_${outcome}`,
+    actor: outcome === "declined" ? { role: "driver", id: driverId } : { role: "system" },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId,
+  });
+
+  if (outcome !== "declined") {
+    notifyBookingOfferWithdrawn(updated, driverId, outcome);
+  }
+
+  setImmediate(() => {
+    offerToNextCandidate(bookingId).catch((error) => {
+      logger.error(`[DISPATCH] Failed to offer booking ${bookingId} to the next driver: ${error.message}`);
+    });
+  });
+
+  return updated;
+};
+
+/**
+ * Start dispatching a new auto booking according to DISPATCH_STRATEGY
+ * @param {Object} booking - Pending auto booking
+ * @returns {Promise<boolean>} true when dispatch took over notifying drivers,
+ *   false when the caller should broadcast as usual
+ */
+const startDispatch = async (booking) => {
+  if (
+    DISPATCH_STRATEGY === "broadcast" ||
+    booking.assignmentType !== "auto" ||
+    booking.status !== "pending" ||
+    booking.isExpired === true
+  ) {
+    return false;
+  }
+
+  const isUrgent =
+    DISPATCH_STRATEGY === "hybrid" &&
+    new Date(booking.date_time) - Date.now() < DISPATCH_HYBRID_MIN_LEAD_MINUTES * 60 * 1000;
+  const sequential = hasCoordinates(booking.pickupCoordinates) && !isUrgent;
+
+  const started = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "pending", driverId: null, "dispatch.status": { $exists: false } },
+    {
+      $set: {
+        dispatch: {
+          strategy: DISPATCH_STRATEGY,
+          status: sequential ? "offering" : "broadcast",
+          offeredTo: null,
+          offerExpiresAt: null,
+          attempts: [],
+          broadcastAt: sequential ? undefined : new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+
+  // Already dispatched (notifications re-sent) or taken meanwhile: nothing to broadcast
+  if (!started) {
+    return true;
+  }
+  if (!sequential) {
+    return false;
+  }
+
+  await offerToNextCandidate(booking._id);
+  return true;
+};
+
+/**
+ * Whether a driver currently holds the exclusive offer for a booking
+ */
+const holdsDispatchOffer = async (bookingId, driverId) =>
+  !!(await Booking.exists({
+    _id: bookingId,
+    status: "pending",
+    "dispatch.status": "offering",
+    "dispatch.offeredTo": driverId,
+  }));
+
+/**
+ * Decline an exclusive offer; the ride moves on to the next driver
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver holding the offer
+ * @returns {Promise<Object>} Updated booking (still pending)
+ */
+const declineOffer = async (bookingId, driverId) => {
+  const updated = await endOffer(bookingId, driverId, "declined");
+  if (!updated) {
+    throw buildError("You do not have an open offer for this booking.", 409, "NO_ACTIVE_OFFER");
+  }
+  return updated;
+};
+
+/**
+ * Stop offering a booking (accepted, assigned by an admin, cancelled, ...)
+ * @param {Object} booking - Booking
+ * @param {string} status - Final dispatch status ("accepted" | "stopped")
+ * @param {string} [acceptedBy] - Driver who accepted
+ */
+const stopDispatch = async (booking, status, acceptedBy) => {
+  const bookingId = booking._id.toString();
+  await cancelJob(offerJobKey(bookingId));
+
+  const previous = await Booking.findOneAndUpdate(
+    { _id: bookingId, "dispatch.status": "offering" },
+    {
+      $set: {
+        "dispatch.status": status,
+        "dispatch.offeredTo": null,
+        "dispatch.offerExpiresAt": null,
+      },
+    }
+  ).lean();
+  if (!previous) {
+    return;
+  }
+
+  const holder = previous.dispatch.offeredTo ? previous.dispatch.offeredTo.toString() : null;
+  if (holder) {
+    const outcome = holder === String(acceptedBy) ? "accepted" : "withdrawn";
+    await Booking.updateOne(
+      { _id: bookingId, "dispatch.attempts.driverId": previous.dispatch.offeredTo },
+      {
+        $set: {
+          "dispatch.attempts.$.outcome": outcome,
+          "dispatch.attempts.$.respondedAt": new Date(),
+        },
+      }
+    );
+    if (outcome === "withdrawn") {
+      notifyBookingOfferWithdrawn(booking, holder, outcome);
+    }
+  }
+};
+
+/**
+ * Continue cascades interrupted by a restart
+ * Re-queues the timeout of open offers (a no-op when the job is already queued) and
+ * offers bookings that were between two offers to the next driver.
+ */
+const resumeDispatches = async () => {
+  const bookings = await Booking.find({ status: "pending", "dispatch.status": "offering" })
+    .select("_id dispatch.offeredTo dispatch.offerExpiresAt")
+    .lean();
+
+  for (const booking of bookings) {
+    const bookingId = booking._id.toString();
+    const { offeredTo, offerExpiresAt } = booking.dispatch;
+    try {
+      if (offeredTo) {
+        // eslint-disable-next-line no-await-in-loop
+        await scheduleOfferTimeout(bookingId, offeredTo.toString(), offerExpiresAt || new Date());
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await offerToNextCandidate(bookingId);
+      }
+    } catch (error) {
+      logger.error(`[DISPATCH] Failed to resume dispatch of booking ${bookingId}: ${error.message}`);
+    }
+  }
+  if (bookings.length > 0) {
+    logger.info(`[DISPATCH] Resumed ${bookings.length} sequential dispatch(es)`);
+  }
+};
+
+registerJobHandler(OFFER_TIMEOUT_JOB, ({ bookingId, driverId }) => endOffer(bookingId, driverId, "timeout"));
+
+registerTransitionHook("accept", ({ updated, actor }) => stopDispatch(updated, "accepted", actor.id));
+registerTransitionHook("cancel", ({ updated }) => stopDispatch(updated, "stopped"));
+registerTransitionHook("reject", ({ updated }) => stopDispatch(updated, "stopped"));
+
+module.exports = {
+  startDispatch,
+  declineOffer,
+  holdsDispatchOffer,
+  stopDispatch,
+  resumeDispatches,
+  findDispatchCandidates,
+  distanceKm,
+};
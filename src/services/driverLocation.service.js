@@ -0,0 +1,266 @@
+// services/driverLocation.service.js
+const mongoose = require("mongoose");
+const Driver = require("../models/driver.model");
+const { publishToChannel, getRealtimeChannel } = require("../../config/ably");
+const { channels, events } = require("../utils/notificationEvents");
+const {
+  LOCATION_TRAIL_LENGTH,
+  LOCATION_MIN_INTERVAL_MS,
+  ADMIN_LOCATION_THROTTLE_SECONDS,
+  LOCATION_ABLY_INGEST,
+} = require("../../config/driverLocation");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Positions may be buffered on the phone for a while, but not come from the future
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const toOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Validate a submitted position
+ * @returns {Object} { lat, lng, heading, speed, accuracy, recordedAt, bookingId }
+ */
+const parseLocation = (input = {}) => {
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw buildError("lat and lng must be valid coordinates.", 400, "INVALID_LOCATION");
+  }
+
+  const recordedAt = input.recordedAt ? new Date(input.recordedAt) : new Date();
+  if (Number.isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    throw buildError("Invalid recordedAt value.", 400, "INVALID_LOCATION");
+  }
+
+  if (input.bookingId && !mongoose.Types.ObjectId.isValid(input.bookingId)) {
+    throw buildError("Invalid bookingId.", 400, "INVALID_LOCATION");
+  }
+
+  return {
+    lat,
+    lng,
+    heading: toOptionalNumber(input.heading),
+    speed: toOptionalNumber(input.speed),
+    accuracy: toOptionalNumber(input.accuracy),
+    recordedAt,
+    bookingId: input.bookingId || null,
+  };
+};
+
+/**
+ * ADMIN MAP FEED
+ * At most one position per driver per ADMIN_LOCATION_THROTTLE_SECONDS. The first update in a
+ * window goes out right away; the latest one received during the window is sent when it ends.
+ */
+const adminFeed = new Map(); // driverId -> { lastPublishedAt, pending, timer }
+
+const publishAdminLocation = (payload) => {
+  publishToChannel(channels.ADMIN, events.DRIVER_LOCATION_UPDATED, payload).catch((error) => {
+    logger.error(`[LOCATION] Failed to publish admin location for driver ${payload.driverId}: ${error?.message || error}`);
+  });
+};
+
+const queueAdminLocation = (payload) => {
+  const throttleMs = ADMIN_LOCATION_THROTTLE_SECONDS * 1000;
+  const now = Date.now();
+  const entry = adminFeed.get(payload.driverId) || { lastPublishedAt: 0, pending: null, timer: null };
+  adminFeed.set(payload.driverId, entry);
+
+  if (now - entry.lastPublishedAt >= throttleMs && !entry.timer) {
+    entry.lastPublishedAt = now;
+    publishAdminLocation(payload);
+    return;
+  }
+
+  entry.pending = payload;
+  if (!entry.timer) {
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      if (entry.pending) {
+        entry.lastPublishedAt = Date.now();
+        publishAdminLocation(entry.pending);
+        entry.pending = null;
+      }
+    }, Math.max(throttleMs - (now - entry.lastPublishedAt), 0));
+    entry.timer.unref?.();
+  }
+};
+
+/**
+ * Store a driver's position and feed the admin map
+ * Out-of-order and too-frequent updates are ignored (accepted: false).
+ * @param {string} driverId - Driver ID
+ * @param {Object} input - { lat, lng, heading, speed, accuracy, recordedAt, bookingId }
+ * @returns {Promise<Object>} { accepted, location }
+ */
+const updateDriverLocation = async (driverId, input) => {
+  const position = parseLocation(input);
+  const minPrevious = new Date(position.recordedAt.getTime() - LOCATION_MIN_INTERVAL_MS);
+
+  const driver = await Driver.findOneAndUpdate(
+    {
+      _id: driverId,
+      deletedAt: null,
+      $or: [
+        { "locationMeta.recordedAt": { $exists: false } },
+        { "locationMeta.recordedAt": null },
+        { "locationMeta.recordedAt": { $lte: minPrevious } },
+      ],
+    },
+    {
+      $set: {
+        location: { type: "Point", coordinates: [position.lng, position.lat] },
+        locationMeta: {
+          heading: position.heading,
+          speed: position.speed,
+          accuracy: position.accuracy,
+          bookingId: position.bookingId,
+          recordedAt: position.recordedAt,
+        },
+      },
+      $push: {
+        locationTrail: {
+          $each: [
+            {
+              lat: position.lat,
+              lng: position.lng,
+              heading: position.heading,
+              speed: position.speed,
+              recordedAt: position.recordedAt,
+            },
+          ],
+          $slice: -LOCATION_TRAIL_LENGTH,
+        },
+      },
+    },
+    { new: true, runValidators: false }
+  )
+    .select("_id firstName lastName isOnline")
+    .lean();
+
+  if (!driver) {
+    const exists = await Driver.exists({ _id: driverId, deletedAt: null });
+    if (!exists) {
+      throw buildError("Driver not found", 404, "DRIVER_NOT_FOUND");
+    }
+    return { accepted: false, location: null };
+  }
+
+  const location = {
+    driverId: driver._id.toString(),
+    lat: position.lat,
+    lng: position.lng,
+    heading: position.heading ?? null,
+    speed: position.speed ?? null,
+    accuracy: position.accuracy ?? null,
+    bookingId: position.bookingId ? position.bookingId.toString() : null,
+    recordedAt: position.recordedAt.toISOString(),
+  };
+
+  queueAdminLocation({
+    ...location,
+    firstName: driver.firstName,
+    lastName: driver.lastName,
+    isOnline: driver.isOnline,
+    timestamp: new Date().toISOString(),
+  });
+
+  return { accepted: true, location };
+};
+
+/**
+ * Latest position of every online driver (initial load of the admin map)
+ * @returns {Promise<Array>} Drivers with location
+ */
+const getOnlineDriverLocations = async () => {
+  const drivers = await Driver.find({
+    isOnline: true,
+    deletedAt: null,
+    location: { $exists: true },
+  })
+    .select("_id firstName lastName phone location locationMeta")
+    .lean();
+
+  return drivers.map((driver) => ({
+    driverId: driver._id.toString(),
+    firstName: driver.firstName,
+    lastName: driver.lastName,
+    phone: driver.phone,
+    lat: driver.location.coordinates[1],
+    lng: driver.location.coordinates[0],
+    heading: driver.locationMeta?.heading ?? null,
+    speed: driver.locationMeta?.speed ?? null,
+    bookingId: driver.locationMeta?.bookingId || null,
+    recordedAt: driver.locationMeta?.recordedAt || null,
+  }));
+};
+
+/**
+ * Breadcrumb trail of a driver (oldest first)
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} { driverId, trail }
+ */
+const getDriverTrail = async (driverId) => {
+  const driver = await Driver.findById(driverId).select("+locationTrail").lean();
+  if (!driver) {
+    throw buildError("Driver not found", 404, "DRIVER_NOT_FOUND");
+  }
+  return { driverId: driver._id.toString(), trail: driver.locationTrail || [] };
+};
+
+/**
+ * Subscribe to positions published over Ably (long-running server only)
+ * The message clientId comes from the driver's Ably token (GET /api/drivers/ably-token),
+ * so a driver can only move themselves.
+ */
+const startLocationIngestion = () => {
+  if (!LOCATION_ABLY_INGEST) {
+    return;
+  }
+  const isServerless = !!(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+  if (isServerless) {
+    logger.warn("[LOCATION] Ably location ingestion is not available in serverless environments");
+    return;
+  }
+
+  try {
+    const channel = getRealtimeChannel(channels.DRIVER_LOCATIONS);
+    channel.subscribe(events.DRIVER_LOCATION, async (message) => {
+      // clientId is "driver-{id}" (see channels.DRIVER)
+      const driverId = String(message.clientId || "").replace(/^driver-/, "");
+      if (!mongoose.Types.ObjectId.isValid(driverId)) {
+        return;
+      }
+      try {
+        await updateDriverLocation(driverId, message.data || {});
+      } catch (error) {
+        logger.warn(`[LOCATION] Ignored Ably location from ${driverId}: ${error.message}`);
+      }
+    });
+    logger.info(`[LOCATION] Listening for driver locations on Ably channel ${channels.DRIVER_LOCATIONS}`);
+  } catch (error) {
+    logger.error(`[LOCATION] Failed to start Ably location ingestion: ${error?.message || error}`);
+  }
+};
+
+module.exports = {
+  updateDriverLocation,
+  getOnlineDriverLocations,
+  getDriverTrail,
+  startLocationIngestion,
+};
@@ -0,0 +1,82 @@
+// services/flightStatusProvider.js
+const {
+  FLIGHT_STATUS_PROVIDER,
+  FLIGHT_STUB_DELAYS,
+} = require("../../config/flightTracking");
+
+/**
+ * Flight status providers
+ *
+ * A provider is an object with:
+ *   name: string
+ *   getFlightStatus({ flightNumber, scheduledArrival }) => Promise<{
+ *     flightNumber,
+ *     status: "scheduled" | "delayed" | "landed" | "cancelled" | "unknown",
+ *     scheduledArrival: Date,
+ *     estimatedArrival: Date | null,
+ *     delayMinutes: number,
+ *   }>
+ *
+ * Real providers (e.g. an aviation data API) are added with registerFlightStatusProvider
+ * and selected through FLIGHT_STATUS_PROVIDER.
+ */
+
+const normalizeFlightNumber = (flightNumber) =>
+  String(flightNumber || "").replace(/\s+/g, "").toUpperCase();
+
+/**
+ * Local stub: every flight is on time unless a delay is configured in FLIGHT_STUB_DELAYS
+ */
+const stubProvider = {
+  name: "stub",
+  getFlightStatus: async ({ flightNumber, scheduledArrival }) => {
+    const normalized = normalizeFlightNumber(flightNumber);
+    const delayMinutes = FLIGHT_STUB_DELAYS[normalized] || 0;
+    const scheduled = new Date(scheduledArrival);
+
+    return {
+      flightNumber: normalized,
+      status: delayMinutes > 0 ? "delayed" : "scheduled",
+      scheduledArrival: scheduled,
+      estimatedArrival: new Date(scheduled.getTime() + delayMinutes * 60 * 1000),
+      delayMinutes,
+    };
+  },
+};
+
+const providers = {
+  [stubProvider.name]: stubProvider,
+};
+
+/**
+ * Register a flight status provider
+ * @param {Object} provider - { name, getFlightStatus }
+ */
+const registerFlightStatusProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.getFlightStatus !== "function") {
+    throw new Error("A flight status provider needs a name and a getFlightStatus function");
+  }
+  providers[provider.name] = provider;
+};
+
+/**
+ * Get the configured provider
+ * Throws when FLIGHT_STATUS_PROVIDER names a provider that was never registered, so a
+ * misconfigured provider fails loudly instead of reporting every flight on time.
+ * @returns {Object} Flight status provider
+ */
+const getFlightStatusProvider = () => {
+  const provider = providers[FLIGHT_STATUS_PROVIDER];
+  if (!provider) {
+    throw new Error(
+      `Unknown FLIGHT_STATUS_PROVIDER "${FLIGHT_STATUS_PROVIDER}" (registered: ${Object.keys(providers).join(", ")})`
+    );
+  }
+  return provider;
+};
+
+module.exports = {
+  normalizeFlightNumber,
+  registerFlightStatusProvider,
+  getFlightStatusProvider,
+};
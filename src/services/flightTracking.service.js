@@ -0,0 +1,137 @@
+// services/flightTracking.service.js
+const Booking = require("../models/booking.model");
+const { getFlightStatusProvider } = require("./flightStatusProvider");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const { scheduleBookingReminder } = require("./bookingReminderScheduler");
+const { notifyFlightDelayed } = require("./bookingNotifications");
+const {
+  FLIGHT_TRACKING_LOOKAHEAD_HOURS,
+  FLIGHT_DELAY_THRESHOLD_MINUTES,
+} = require("../../config/flightTracking");
+const logger = require("../utils/logger");
+
+// Only rides that have not started yet can still be moved
+const TRACKED_STATUSES = ["pending", "accepted"];
+
+// Keep polling a little after the pickup time: delays are often only reported at the last moment
+const TRACKING_GRACE_MINUTES = 60;
+
+/**
+ * Poll the flight of one booking and shift the pickup when it is delayed
+ * The pickup follows the flight: booked time + current delay (never earlier than booked).
+ * @param {Object} booking - Booking document with flight_no
+ * @returns {Promise<Object>} { shifted, delay }
+ */
+const checkFlightForBooking = async (booking) => {
+  const provider = getFlightStatusProvider();
+  const scheduledDateTime = booking.scheduledDateTime || booking.date_time;
+
+  const flight = await provider.getFlightStatus({
+    flightNumber: booking.flight_no,
+    scheduledArrival: scheduledDateTime,
+  });
+
+  const delayMinutes = Math.max(Math.round(flight.delayMinutes || 0), 0);
+  const newDateTime = new Date(new Date(scheduledDateTime).getTime() + delayMinutes * 60 * 1000);
+  const shiftMinutes = Math.abs(newDateTime - new Date(booking.date_time)) / (60 * 1000);
+
+  const flightStatus = {
+    status: flight.status,
+    delayMinutes,
+    estimatedArrival: flight.estimatedArrival || null,
+    lastCheckedAt: new Date(),
+  };
+
+  // A cancelled flight needs a human decision, the ride itself stays as booked
+  const flagCancelled = flight.status === "cancelled" && !booking.adminReview?.pending;
+  const reviewUpdate = flagCancelled
+    ? { adminReview: { pending: true, reason: "flight_cancelled", flaggedAt: new Date() } }
+    : {};
+
+  if (shiftMinutes < FLIGHT_DELAY_THRESHOLD_MINUTES) {
+    await Booking.updateOne({ _id: booking._id }, { $set: { flightStatus, ...reviewUpdate } });
+    return { shifted: false, delay: null };
+  }
+
+  const delay = {
+    flightNumber: flight.flightNumber || booking.flight_no,
+    flightStatus: flight.status,
+    delayMinutes,
+    estimatedArrival: flight.estimatedArrival || null,
+    previousDateTime: booking.date_time,
+    newDateTime,
+    provider: provider.name,
+    recordedAt: new Date(),
+  };
+
+  // Only move the pickup if nobody changed the time or started the ride meanwhile
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: TRACKED_STATUSES }, date_time: booking.date_time },
+    {
+      $set: { date_time: newDateTime, scheduledDateTime, flightStatus, ...reviewUpdate },
+      $push: { flightDelayHistory: delay },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { shifted: false, delay: null };
+  }
+
+  await scheduleBookingReminder(updated);
+
+  await recordBookingEvent(updated, {
+    action: "flight_delay",
+    actor: { role: "system" },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId: updated.driverId,
+    metadata: delay,
+  });
+
+  if (updated.driverId) {
+    await notifyFlightDelayed(updated, updated.driverId, delay);
+  }
+
+  logger.info(
+    `[FLIGHT] Booking ${updated._id} pickup moved to ${newDateTime.toISOString()} (flight ${delay.flightNumber}, ${delayMinutes} min delay)`
+  );
+
+  return { shifted: true, delay };
+};
+
+/**
+ * Poll all upcoming pickups with a flight number (used by the trackFlights job)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { checked, shifted, errors }
+ */
+const trackUpcomingFlights = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: { $in: TRACKED_STATUSES },
+    flight_no: { $exists: true, $nin: [null, ""] },
+    date_time: {
+      $gte: new Date(now.getTime() - TRACKING_GRACE_MINUTES * 60 * 1000),
+      $lte: new Date(now.getTime() + FLIGHT_TRACKING_LOOKAHEAD_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  let shifted = 0;
+  let errors = 0;
+  for (const booking of bookings) {
+    try {
+      const result = await checkFlightForBooking(booking);
+      if (result.shifted) {
+        shifted++;
+      }
+    } catch (error) {
+      errors++;
+      logger.error(`[FLIGHT] Failed to check flight for booking ${booking._id}: ${error.message}`);
+    }
+  }
+
+  return { checked: bookings.length, shifted, errors };
+};
+
+module.exports = {
+  checkFlightForBooking,
+  trackUpcomingFlights,
+};
@@ -0,0 +1,210 @@
+// services/groupBooking.service.js
+const mongoose = require("mongoose");
+const BookingGroup = require("../models/bookingGroup.model");
+const Booking = require("../models/booking.model");
+const { createBooking } = require("./booking.service");
+const { TRANSITIONS, registerTransitionHook } = require("./bookingStateMachine");
+const { generateOrderNumber } = require("./orderNumber.service");
+const { GROUP_ORDER_NUMBER_PREFIX } = require("../../config/orderNumbers");
+const { publishToChannel } = require("../../config/ably");
+const { channels, events } = require("../utils/notificationEvents");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const IN_PROGRESS_STATUSES = ["started", "arrived", "picked_up", "dropped_off"];
+const FINISHED_STATUSES = ["completed", "no_show"];
+
+/**
+ * Derive the parent status from the child rides
+ * Cancelled children are ignored unless every child is cancelled.
+ * @param {Array} children - Child bookings
+ * @returns {string} BookingGroup status
+ */
+const deriveGroupStatus = (children) => {
+  const active = children.filter((child) => child.status !== "cancelled");
+  if (active.length === 0) {
+    return "cancelled";
+  }
+
+  const finished = active.filter((child) => FINISHED_STATUSES.includes(child.status)).length;
+  if (finished === active.length) {
+    return "all_completed";
+  }
+  if (finished > 0) {
+    return "partially_completed";
+  }
+  if (active.some((child) => IN_PROGRESS_STATUSES.includes(child.status))) {
+    return "in_progress";
+  }
+
+  const assigned = active.filter((child) => child.driverId && child.status !== "rejected").length;
+  if (assigned === active.length) {
+    return "all_assigned";
+  }
+  return assigned > 0 ? "partially_assigned" : "unassigned";
+};
+
+/**
+ * Recompute and store the parent status; admins are told when it changes
+ * @param {string} groupId - BookingGroup ID
+ * @returns {Promise<Object|null>} { group, bookings }
+ */
+const refreshGroupStatus = async (groupId) => {
+  const group = await BookingGroup.findById(groupId);
+  if (!group) {
+    return null;
+  }
+
+  const bookings = await Booking.find({ groupId }).sort({ createdAt: 1 }).lean();
+  const status = deriveGroupStatus(bookings);
+  const isPaid = bookings.length > 0 && bookings.every((child) => child.isPaid);
+  const paymentId = bookings.find((child) => child.paymentId)?.paymentId || group.paymentId;
+
+  const statusChanged = group.status !== status;
+  if (statusChanged || group.isPaid !== isPaid) {
+    group.status = status;
+    group.isPaid = isPaid;
+    group.paymentId = paymentId;
+    await group.save();
+  }
+
+  if (statusChanged) {
+    publishToChannel(channels.ADMIN, events.GROUP_BOOKING_UPDATED, {
+      groupId: group._id.toString(),
+      orderNumber: group.orderNumber,
+      status,
+      bookings: bookings.map((child) => ({
+        bookingId: child._id.toString(),
+        orderNumber: child.orderNumber,
+        status: child.status,
+        driverId: child.driverId ? child.driverId.toString() : null,
+      })),
+      timestamp: new Date().toISOString(),
+    }).catch((error) => {
+      logger.error(`[GROUP] Failed to publish group update for ${groupId}: ${error?.message || error}`);
+    });
+  }
+
+  return { group, bookings };
+};
+
+// Keep the parent in sync with every child lifecycle change
+Object.keys(TRANSITIONS).forEach((action) => {
+  registerTransitionHook(action, async ({ updated }) => {
+    if (updated.groupId) {
+      await refreshGroupStatus(updated.groupId);
+    }
+  });
+});
+
+/**
+ * Create a group booking: the parent plus one child ride per vehicle (all or none are kept)
+ * @param {Object} payload - Booking payload (num_passengers is the whole group)
+ * @param {Object} groupQuote - Result of calculateGroupFare
+ * @returns {Promise<Object>} { group, bookings }
+ */
+const createGroupBooking = async (payload, groupQuote) => {
+  const group = await BookingGroup.create({
+    orderNumber: await generateOrderNumber({ prefix: GROUP_ORDER_NUMBER_PREFIX }),
+    from_location: payload.from_location,
+    to_location: payload.to_location,
+    date_time: payload.date_time,
+    cat_title: payload.cat_title,
+    num_passengers: groupQuote.passengers,
+    vehicleCount: groupQuote.vehicleCount,
+    user_name: payload.user_name,
+    email: payload.email,
+    number: payload.number,
+    totalPrice: groupQuote.total.toFixed(2),
+  });
+
+  const bookings = [];
+  try {
+    for (const quote of groupQuote.vehicles) {
+      bookings.push(
+        await createBooking({
+          ...payload,
+          num_passengers: quote.passengers,
+          actualPrice: quote.total.toFixed(2),
+          extras: quote.extras.map((extra) => extra.code),
+          priceBreakdown: {
+            ...quote.breakdown,
+            isNight: quote.isNight,
+            total: quote.total,
+          },
+          groupId: group._id,
+        })
+      );
+    }
+
+    group.bookingIds = bookings.map((booking) => booking._id);
+    await group.save();
+  } catch (error) {
+    // No partial groups: the children are not paid or dispatched yet (checkout starts after this),
+    // so the ones already created are removed together with the parent
+    logger.error(`[GROUP] Creating group ${group.orderNumber} failed after ${bookings.length} rides: ${error.message}`);
+    await Booking.deleteMany({ groupId: group._id });
+    await BookingGroup.deleteOne({ _id: group._id });
+    throw error;
+  }
+
+  return { group, bookings };
+};
+
+/**
+ * Parent with its child rides
+ * Read only: the parent status is kept in sync by the transition hooks and payment confirmation.
+ */
+const getGroupBooking = async (groupId) => {
+  const group = mongoose.Types.ObjectId.isValid(groupId)
+    ? await BookingGroup.findById(groupId).lean()
+    : null;
+  if (!group) {
+    throw buildError("Group booking not found", 404, "GROUP_BOOKING_NOT_FOUND");
+  }
+  const bookings = await Booking.find({ groupId }).sort({ createdAt: 1 }).lean();
+  return { group, bookings };
+};
+
+const getGroupBookings = async (page = 1, limit = 12, status) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const filter = status ? { status } : {};
+
+  const [groups, total] = await Promise.all([
+    BookingGroup.find(filter)
+      .populate("bookingIds", "orderNumber status driverId num_passengers actualPrice isPaid")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    BookingGroup.countDocuments(filter),
+  ]);
+
+  return {
+    groups,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+module.exports = {
+  deriveGroupStatus,
+  refreshGroupStatus,
+  createGroupBooking,
+  getGroupBooking,
+  getGroupBookings,
+};
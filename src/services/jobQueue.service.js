@@ -0,0 +1,289 @@
+// services/jobQueue.service.js
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/job.model");
+const {
+  JOB_LEASE_SECONDS,
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_BASE_SECONDS,
+  JOB_BATCH_SIZE,
+} = require("../../config/jobQueue");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Identifies this process in job leases
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Batches run one after the other when startup recovery finds a backlog
+const MAX_RECOVERY_BATCHES = 10;
+
+// name -> (payload, job) => Promise
+const handlers = new Map();
+
+// Only one runDueJobs loop per process
+let activeRun = null;
+
+/**
+ * Register the function that runs jobs of a kind
+ * A job can run more than once (e.g. when a worker dies mid-run and the lease expires),
+ * so handlers must be idempotent: re-check the current state before acting.
+ * @param {string} name - Job name
+ * @param {Function} handler - (payload, job) => Promise; throw to retry
+ */
+const registerJobHandler = (name, handler) => {
+  if (typeof handler !== "function") {
+    throw new Error(`Job handler for ${name} must be a function`);
+  }
+  handlers.set(name, handler);
+};
+
+/**
+ * Schedule a job, or move it when a job with the same key exists
+ * @param {string} name - Registered job name
+ * @param {Object} options - { key, runAt, payload, maxAttempts }
+ * @returns {Promise<Object>} Job
+ */
+const scheduleJob = async (name, { key, runAt = new Date(), payload = {}, maxAttempts = JOB_MAX_ATTEMPTS }) => {
+  const update = {
+    $set: {
+      name,
+      payload,
+      runAt: new Date(runAt),
+      status: "pending",
+      attempts: 0,
+      maxAttempts,
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null,
+      finishedAt: null,
+    },
+  };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+  try {
+    return await Job.findOneAndUpdate({ key }, update, options).lean();
+  } catch (error) {
+    // Two upserts of a new key at the same time: the loser updates the winner's job
+    if (error.code === 11000) {
+      return Job.findOneAndUpdate({ key }, update, options).lean();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a job that has not finished yet
+ * @param {string} key - Job key
+ * @returns {Promise<boolean>} Whether a job was cancelled
+ */
+const cancelJob = async (key) => {
+  const result = await Job.updateOne(
+    { key, status: { $in: ["pending", "running"] } },
+    {
+      $set: {
+        status: "cancelled",
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    }
+  );
+  return (result.nModified || result.modifiedCount || 0) > 0;
+};
+
+/**
+ * Lease the next due job (or one whose lease ran out)
+ */
+const claimNextJob = (now) =>
+  Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + JOB_LEASE_SECONDS * 1000),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+
+/**
+ * Run a leased job and record the outcome
+ * Only the lease holder may finish the job; a job rescheduled or cancelled meanwhile is left alone.
+ * @returns {Promise<boolean>} Whether the handler succeeded
+ */
+const runJob = async (job) => {
+  const lease = { _id: job._id, status: "running", lockedBy: WORKER_ID };
+  const release = { lockedBy: null, lockedUntil: null };
+
+  try {
+    const handler = handlers.get(job.name);
+    if (!handler) {
+      throw new Error(`No handler registered for job ${job.name}`);
+    }
+    await handler(job.payload || {}, job);
+
+    await Job.updateOne(lease, {
+      $set: { status: "completed", finishedAt: new Date(), lastError: null, ...release },
+    });
+    return true;
+  } catch (error) {
+    const giveUp = job.attempts >= job.maxAttempts;
+    const retryDelaySeconds = Math.min(
+      JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1),
+      MAX_RETRY_DELAY_SECONDS
+    );
+
+    await Job.updateOne(lease, {
+      $set: giveUp
+        ? { status: "failed", finishedAt: new Date(), lastError: error.message, ...release }
+        : {
+          status: "pending",
+          runAt: new Date(Date.now() + retryDelaySeconds * 1000),
+          lastError: error.message,
+          ...release,
+        },
+    });
+
+    logger.error(
+      `[JOBS] ${job.name} (${job.key}) failed on attempt ${job.attempts}/${job.maxAttempts}: ${error.message}${giveUp ? " - giving up" : ` - retrying in ${retryDelaySeconds}s`}`
+    );
+    return false;
+  }
+};
+
+/**
+ * Run due jobs, oldest first
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { processed, succeeded, failed }
+ */
+const runDueJobs = async ({ limit = JOB_BATCH_SIZE } = {}) => {
+  if (activeRun) {
+    return activeRun;
+  }
+
+  activeRun = (async () => {
+    const result = { processed: 0, succeeded: 0, failed: 0 };
+    while (result.processed < limit) {
+      // eslint-disable-next-line no-await-in-loop
+      const job = await claimNextJob(new Date());
+      if (!job) {
+        break;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const succeeded = await runJob(job);
+      result.processed++;
+      result[succeeded ? "succeeded" : "failed"]++;
+    }
+    return result;
+  })();
+
+  try {
+    return await activeRun;
+  } finally {
+    activeRun = null;
+  }
+};
+
+/**
+ * Startup sweeper: run everything that became due while no worker was running
+ * (server restarts, serverless instances) and take over jobs of dead workers.
+ * @returns {Promise<Object>} { overdue, stale, processed }
+ */
+const recoverOverdueJobs = async () => {
+  const now = new Date();
+  const [overdue, stale] = await Promise.all([
+    Job.countDocuments({ status: "pending", runAt: { $lte: now } }),
+    Job.countDocuments({ status: "running", lockedUntil: { $lte: now } }),
+  ]);
+
+  let processed = 0;
+  for (let batch = 0; batch < MAX_RECOVERY_BATCHES; batch++) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await runDueJobs();
+    processed += result.processed;
+    if (result.processed < JOB_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (overdue > 0 || stale > 0) {
+    logger.info(`[JOBS] Recovered ${overdue} overdue and ${stale} abandoned job(s), ran ${processed}`);
+  }
+  return { overdue, stale, processed };
+};
+
+/**
+ * ADMIN
+ */
+
+const getJobs = async ({ status, name, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (name) filter.name = name;
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ runAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Job.countDocuments(filter),
+  ]);
+  return { jobs, total, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * Run a failed job again now
+ */
+const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: "failed" },
+    {
+      $set: {
+        status: "pending",
+        runAt: new Date(),
+        attempts: 0,
+        finishedAt: null,
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!job) {
+    throw buildError("Failed job not found", 404, "JOB_NOT_FOUND");
+  }
+  return job;
+};
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJob,
+  runDueJobs,
+  recoverOverdueJobs,
+  getJobs,
+  retryJob,
+};
@@ -0,0 +1,68 @@
+// services/orderNumber.service.js
+const Counter = require("../models/counter.model");
+const {
+  ORDER_NUMBER_PREFIX,
+  ORDER_NUMBER_START,
+  ORDER_NUMBER_SCOPE,
+} = require("../../config/orderNumbers");
+
+/**
+ * Atomically increment a named sequence and return the new value
+ * The counter document is created on first use.
+ * @param {string} key - Sequence key
+ * @returns {Promise<number>} Next value (1, 2, 3, ...)
+ */
+const getNextSequence = async (key) => {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the _id; the loser just retries the increment
+    if (error.code === 11000) {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true }
+      ).lean();
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Counter key for an order number sequence (one per prefix, optionally per year)
+ */
+const getSequenceKey = (prefix, scope, date) =>
+  scope === "yearly"
+    ? `orderNumber:${prefix}:${date.getUTCFullYear()}`
+    : `orderNumber:${prefix}`;
+
+/**
+ * Generate the next order/ride number
+ * Format: {PREFIX}-{NUMBER} (global) or {PREFIX}-{YEAR}-{NUMBER} (yearly)
+ * Example: RID-100234, RID-2026-100001
+ * @param {Object} options - { prefix, scope, date } (defaults from config/orderNumbers.js)
+ * @returns {Promise<string>} Order number
+ */
+const generateOrderNumber = async ({
+  prefix = ORDER_NUMBER_PREFIX,
+  scope = ORDER_NUMBER_SCOPE,
+  date = new Date(),
+} = {}) => {
+  const seq = await getNextSequence(getSequenceKey(prefix, scope, date));
+  const number = ORDER_NUMBER_START + seq;
+
+  return scope === "yearly"
+    ? `${prefix}-${date.getUTCFullYear()}-${number}`
+    : `${prefix}-${number}`;
+};
+
+module.exports = {
+  getNextSequence,
+  generateOrderNumber,
+};
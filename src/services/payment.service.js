@@ -1,14 +1,24 @@
 // services/payment.service.js
 const Payment = require("../models/payment.model");
 const Booking = require("../models/booking.model");
-const { createCheckoutSession } = require("../utils/stripe");
+const { createCheckoutSession, createRefund, createOffSessionCharge } = require("../utils/stripe");
 
 
+/**
+ * Create (or reuse) a Stripe checkout session for a booking
+ * @param {string} bookingId - Booking ID the payment belongs to
+ * @param {number} amount - Amount in currency units
+ * @param {string} email - Customer email
+ * @param {string} frontendUrl - Base URL for success/cancel redirects
+ * @param {Array<string>} linkedBookingIds - Other bookings covered by this payment (e.g. return leg)
+ * @returns {Promise<object>} - { payment, sessionUrl }
+ */
 exports.createPaymentSessionForBooking = async (
   bookingId,
   amount,
   email,
-  frontendUrl
+  frontendUrl,
+  linkedBookingIds = []
 ) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) {
@@ -50,10 +60,12 @@ exports.createPaymentSessionForBooking = async (
       bookingId: bookingIdParam,
       orderNumber: booking.orderNumber || "",
     },
+    savePaymentMethod: true,
   });
 
   const payment = await Payment.create({
     bookingId: bookingId,
+    linkedBookingIds,
     stripeSessionId: session.id,
     stripePaymentIntentId: session.payment_intent || null,
     amount: parseFloat(amount) * 100,
@@ -107,6 +119,165 @@ exports.getPaymentBySessionId = async (sessionId) => {
   );
 };
 
+/**
+ * Refund a booking's succeeded payment through Stripe
+ * @param {string} bookingId - Booking ID
+ * @param {number} refundAmount - Amount to refund in currency units
+ * @param {string} reason - Why the refund is issued (stored in Stripe metadata)
+ * @returns {Promise<object|null>} - { payment, refund } or null if the booking has no succeeded payment
+ */
+exports.refundPaymentForBooking = async (bookingId, refundAmount, reason) => {
+  // A round trip shares one payment, so each leg refunds from the same charge
+  const payment = await Payment.findOne({
+    $or: [{ bookingId }, { linkedBookingIds: bookingId }],
+    status: { $in: ["succeeded", "partially_refunded"] },
+  });
+  if (!payment) {
+    return null;
+  }
+
+  const paymentIntentId =
+    payment.stripePaymentIntentId || (await getStripePaymentIntent(payment.stripeSessionId));
+  if (!paymentIntentId) {
+    throw new Error("Payment intent not found for this booking");
+  }
+
+  const refundableCents = payment.amount - (payment.refundedAmount || 0);
+  const refundCents = Math.min(Math.round(refundAmount * 100), refundableCents);
+  if (refundCents <= 0) {
+    return null;
+  }
+  const refund = await createRefund({
+    paymentIntentId,
+    amount: refundCents / 100,
+    idempotencyKey: `refund-${bookingId.toString()}`,
+    metadata: {
+      bookingId: bookingId.toString(),
+      reason: reason || "",
+    },
+  });
+
+  payment.stripePaymentIntentId = paymentIntentId;
+  payment.refundedAmount = (payment.refundedAmount || 0) + refundCents;
+  payment.stripeRefundId = refund.id;
+  payment.status = payment.refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+  payment.refundedAt = new Date();
+  await payment.save();
+
+  return { payment, refund };
+};
+
+/**
+ * Load the customer and payment method saved by the checkout session
+ * (stored on the payment after the first lookup)
+ * @param {object} payment - Payment document
+ * @returns {Promise<object>} - { customerId, paymentMethodId }
+ */
+const getSavedPaymentMethod = async (payment) => {
+  if (payment.stripeCustomerId && payment.stripePaymentMethodId) {
+    return {
+      customerId: payment.stripeCustomerId,
+      paymentMethodId: payment.stripePaymentMethodId,
+    };
+  }
+
+  const { getStripe } = require("../utils/stripe");
+  const stripe = getStripe();
+  const session = await stripe.checkout.sessions.retrieve(payment.stripeSessionId, {
+    expand: ["payment_intent.payment_method"],
+  });
+
+  const paymentIntent = session.payment_intent;
+  const customerId = session.customer || (paymentIntent && paymentIntent.customer) || null;
+  // Only cards are saved at checkout (see createCheckoutSession); iDEAL payments have nothing to charge
+  const paymentMethod = paymentIntent && typeof paymentIntent === "object" ? paymentIntent.payment_method : null;
+  const paymentMethodId = paymentMethod && paymentMethod.type === "card" ? paymentMethod.id : null;
+
+  if (customerId && paymentMethodId) {
+    payment.stripeCustomerId = customerId;
+    payment.stripePaymentMethodId = paymentMethodId;
+    await payment.save();
+  }
+
+  return { customerId, paymentMethodId };
+};
+
+/**
+ * Charge a booking's logged surcharges (waiting time, extra stops) to the
+ * payment method saved at checkout. Failures never undo the completion:
+ * the booking is flagged for admin review instead.
+ * @param {object} booking - Completed booking document
+ * @returns {Promise<object>} - { status: "succeeded"|"failed", paymentIntentId }
+ */
+exports.chargeBookingSurcharges = async (booking) => {
+  const { recordBookingEvent } = require("./bookingEvent.service");
+  const logger = require("../utils/logger");
+  const amount = parseFloat(String(booking.surchargeTotal || "0").replace(/[^\d.-]/g, "")) || 0;
+
+  let status = "failed";
+  let paymentIntentId;
+  let failureMessage;
+  try {
+    const payment = await Payment.findOne({
+      $or: [{ bookingId: booking._id }, { linkedBookingIds: booking._id }],
+      status: { $in: ["succeeded", "partially_refunded"] },
+    });
+    if (!payment) {
+      throw new Error("No completed payment found for this booking");
+    }
+
+    const { customerId, paymentMethodId } = await getSavedPaymentMethod(payment);
+    if (!customerId || !paymentMethodId) {
+      throw new Error("No saved payment method for this booking");
+    }
+
+    const paymentIntent = await createOffSessionCharge({
+      customerId,
+      paymentMethodId,
+      amount,
+      currency: payment.currency || "eur",
+      description: `Surcharges for booking ${booking.orderNumber || booking._id}`,
+      idempotencyKey: `surcharge-${booking._id.toString()}`,
+      metadata: {
+        bookingId: booking._id.toString(),
+        orderNumber: booking.orderNumber || "",
+        type: "surcharge",
+      },
+    });
+    paymentIntentId = paymentIntent.id;
+    status = paymentIntent.status === "succeeded" ? "succeeded" : "failed";
+    if (status === "failed") {
+      failureMessage = `Payment intent status ${paymentIntent.status}`;
+    }
+  } catch (error) {
+    // Card declined / authentication required also ends up here
+    failureMessage = error?.message || String(error);
+    paymentIntentId = error?.raw?.payment_intent?.id || paymentIntentId;
+  }
+
+  const update = { surchargePaymentStatus: status, surchargePaymentIntentId: paymentIntentId };
+  if (status === "failed") {
+    logger.error(`[SURCHARGE] Charge failed for booking ${booking._id}: ${failureMessage}`);
+    Object.assign(update, {
+      "adminReview.pending": true,
+      "adminReview.reason": "surcharge_payment_failed",
+      "adminReview.flaggedAt": new Date(),
+    });
+  }
+  await Booking.updateOne({ _id: booking._id }, { $set: update });
+
+  await recordBookingEvent(booking, {
+    action: "surcharge_payment",
+    actor: { role: "system" },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    reason: failureMessage,
+    metadata: { amount: booking.surchargeTotal, status, paymentIntentId },
+  });
+
+  return { status, paymentIntentId };
+};
+
 const getStripePaymentIntent = async (sessionId) => {
   try {
     const { getStripe } = require("../utils/stripe");
@@ -2,6 +2,7 @@
 const Booking = require("../models/booking.model");
 const Payment = require("../models/payment.model");
 const { confirmPayment } = require("./payment.service");
+const { recordBookingEvent } = require("./bookingEvent.service");
 const {
   sendBookingNotifications,
 } = require("../controllers/booking.controller");
@@ -59,6 +60,35 @@ exports.confirmPaymentAndNotify = async (bookingId, paymentId) => {
     throw new Error("Booking not found");
   }
 
+  // Round trips: the return leg is paid by the same checkout
+  const linkedBookings = await markLinkedBookingsPaid(payment);
+
+  // Group rides: the parent is paid once all its children are
+  if (booking.groupId) {
+    const { refreshGroupStatus } = require("./groupBooking.service");
+    try {
+      await refreshGroupStatus(booking.groupId);
+    } catch (groupError) {
+      console.error("Error refreshing group after payment confirmation:", groupError.message);
+    }
+  }
+
+  if (!existingBooking.isPaid) {
+    for (const paidBooking of [booking, ...linkedBookings]) {
+      await recordBookingEvent(paidBooking, {
+        action: "payment",
+        actor: { role: "customer" },
+        previousStatus: paidBooking.status,
+        newStatus: paidBooking.status,
+        metadata: {
+          paymentId: payment._id,
+          amount: payment.amount / 100,
+          currency: payment.currency,
+        },
+      });
+    }
+  }
+
   // Only send notifications if they haven't been sent yet
   // This prevents double emails when webhook is called multiple times
   if (!booking.notificationsSentAt) {
@@ -70,9 +100,37 @@ exports.confirmPaymentAndNotify = async (bookingId, paymentId) => {
     }
   }
 
+  for (const linkedBooking of linkedBookings) {
+    if (!linkedBooking.notificationsSentAt) {
+      try {
+        await sendBookingNotificationsForBooking(linkedBooking);
+      } catch (notificationError) {
+        console.error("Error sending notifications for linked booking:", notificationError.message);
+      }
+    }
+  }
+
   return { booking, payment };
 };
 
+/**
+ * Mark the other bookings covered by a payment as paid
+ * @param {object} payment - Payment document
+ * @returns {Promise<Array>} - Updated linked bookings
+ */
+const markLinkedBookingsPaid = async (payment) => {
+  if (!payment.linkedBookingIds || payment.linkedBookingIds.length === 0) {
+    return [];
+  }
+
+  await Booking.updateMany(
+    { _id: { $in: payment.linkedBookingIds } },
+    { $set: { isPaid: true, paymentId: payment._id } }
+  );
+
+  return Booking.find({ _id: { $in: payment.linkedBookingIds } });
+};
+
 /**
  * Send booking notifications (extracted logic to avoid circular dependencies)
  * @param {object} booking - Booking object
@@ -89,6 +147,9 @@ const sendBookingNotificationsForBooking = async (booking) => {
     notifyLiveBookingAdded,
   } = require("../services/bookingNotifications");
   const { scheduleBookingExpiry } = require("../services/bookingExpiryScheduler");
+  const { scheduleBookingReminder } = require("../services/bookingReminderScheduler");
+  const { startDispatch } = require("../services/dispatch.service");
+  const { buildCancellationUrl } = require("../utils/booking.helper");
 
   // Check if notifications already sent
   // This prevents double emails when webhook is called multiple times
@@ -96,16 +157,17 @@ const sendBookingNotificationsForBooking = async (booking) => {
     return;
   }
 
-  // Calculate price for assignment type check
-  const actualPriceNumber = parseFloat(String(booking.actualPrice || booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
-  const isAutoAssigned = actualPriceNumber <= 150 && booking.assignmentType === "auto";
+  // Assignment type was fixed when the booking was created (see createBooking)
+  const isAutoAssigned = booking.assignmentType === "auto";
 
   // PHASE 1: Send email notifications
   try {
     // Send email to customer
     if (booking.email) {
       try {
-        const customerEmailHtml = bookingConfirmationEmail(booking);
+        const customerEmailHtml = bookingConfirmationEmail(booking, {
+          cancelUrl: buildCancellationUrl(booking),
+        });
         await sendEmail({
           email: booking.email,
           subject: `Booking Confirmation`,
@@ -136,8 +198,18 @@ const sendBookingNotificationsForBooking = async (booking) => {
     console.error("Error in email sending process:", emailError.message);
   }
 
-  // PHASE 2: Send push notifications to drivers (only for auto-assigned bookings)
+  // PHASE 2: Start sequential dispatch (config/dispatch.js); otherwise broadcast to all drivers
+  let dispatchStarted = false;
   if (isAutoAssigned) {
+    try {
+      dispatchStarted = await startDispatch(booking);
+    } catch (dispatchError) {
+      console.error("Failed to start dispatch:", dispatchError.message);
+    }
+  }
+  const broadcastToDrivers = isAutoAssigned && !dispatchStarted;
+
+  if (broadcastToDrivers) {
     try {
       await notifyAllDriversNewBooking(booking);
     } catch (fcmError) {
@@ -146,7 +218,7 @@ const sendBookingNotificationsForBooking = async (booking) => {
   }
 
   // PHASE 3: Schedule expiry for auto-assigned pending bookings
-  scheduleBookingExpiry(booking);
+  await scheduleBookingExpiry(booking);
 
   // PHASE 4: Send Ably real-time notifications
   try {
@@ -158,7 +230,7 @@ const sendBookingNotificationsForBooking = async (booking) => {
     }
 
     // Send real-time notifications to online drivers (only for auto-assigned)
-    if (isAutoAssigned) {
+    if (broadcastToDrivers) {
       try {
         await notifyNewBooking(booking);
       } catch (notificationError) {
@@ -167,7 +239,7 @@ const sendBookingNotificationsForBooking = async (booking) => {
     }
 
     // Send live booking added notification (only for auto-assigned bookings)
-    if (isAutoAssigned && booking.status === "pending" && !booking.isExpired) {
+    if (broadcastToDrivers && booking.status === "pending" && !booking.isExpired) {
       try {
         await notifyLiveBookingAdded(booking);
       } catch (liveError) {
@@ -181,5 +253,9 @@ const sendBookingNotificationsForBooking = async (booking) => {
   // Mark notifications as sent
   booking.notificationsSentAt = new Date();
   await booking.save();
+
+  // Customer reminders start once the booking is confirmed
+  await scheduleBookingReminder(booking);
 };
 
+exports.sendBookingNotificationsForBooking = sendBookingNotificationsForBooking;
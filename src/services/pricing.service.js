@@ -0,0 +1,251 @@
+// services/pricing.service.js
+const {
+  TARIFFS,
+  EXTRAS,
+  NIGHT_SURCHARGE,
+  MAX_GROUP_VEHICLES,
+  PRICING_TIMEZONE,
+  PRICE_TOLERANCE_AMOUNT,
+  PRICE_TOLERANCE_PERCENTAGE,
+} = require("../../config/pricing");
+const { parseDistanceToNumber, normalizeVehicleType } = require("../utils/booking.helper");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the local hour (0-23) of a date in the pricing timezone
+ */
+const getLocalHour = (date) => {
+  const hour = new Intl.DateTimeFormat("en-GB", {
+    hour: "numeric",
+    hourCycle: "h23",
+    timeZone: PRICING_TIMEZONE,
+  }).format(date);
+  return parseInt(hour, 10);
+};
+
+/**
+ * Whether a pickup time falls inside the night surcharge window
+ */
+const isNightRide = (date) => {
+  const hour = getLocalHour(date);
+  const { startHour, endHour } = NIGHT_SURCHARGE;
+  return startHour > endHour
+    ? hour >= startHour || hour < endHour
+    : hour >= startHour && hour < endHour;
+};
+
+/**
+ * Calculate the fare for a ride
+ * @param {Object} input - Ride details
+ * @param {string} input.cat_title - Vehicle category (Dutch or English)
+ * @param {string|number} input.distance - Distance in km (e.g. "12.4 km")
+ * @param {Array} input.stops - Intermediate stops
+ * @param {number} input.num_passengers - Number of passengers
+ * @param {Date|string} input.date_time - Pickup time
+ * @param {Array<string>} input.extras - Extra codes (see config/pricing.js EXTRAS)
+ * @returns {Object} Fare quote with breakdown and total (EUR)
+ */
+const calculateFare = ({ cat_title, distance, stops = [], num_passengers = 1, date_time, extras = [] }) => {
+  const category = normalizeVehicleType(cat_title);
+  const tariff = category ? TARIFFS[category] : null;
+  if (!tariff) {
+    throw buildError(`Unknown vehicle category: ${cat_title}`, 400, "UNKNOWN_VEHICLE_CATEGORY");
+  }
+
+  const distanceKm = parseDistanceToNumber(distance);
+  if (Number.isNaN(distanceKm) || distanceKm < 0) {
+    throw buildError("Invalid distance value.", 400, "INVALID_DISTANCE");
+  }
+
+  const passengers = parseInt(num_passengers, 10) || 1;
+  if (passengers > tariff.maxPassengers) {
+    throw buildError(
+      `A ${category} ride can carry at most ${tariff.maxPassengers} passengers.`,
+      400,
+      "TOO_MANY_PASSENGERS",
+      { maxPassengers: tariff.maxPassengers }
+    );
+  }
+
+  const pickupTime = new Date(date_time);
+  if (Number.isNaN(pickupTime.getTime())) {
+    throw buildError("Invalid date_time value.", 400, "INVALID_DATE_TIME");
+  }
+
+  const extraCodes = Array.isArray(extras) ? [...new Set(extras)] : [];
+  const unknownExtras = extraCodes.filter((code) => !EXTRAS[code]);
+  if (unknownExtras.length > 0) {
+    throw buildError(
+      `Unknown extras: ${unknownExtras.join(", ")}`,
+      400,
+      "UNKNOWN_EXTRAS",
+      { allowedExtras: Object.keys(EXTRAS) }
+    );
+  }
+
+  const stopCount = Array.isArray(stops) ? stops.filter((stop) => stop && String(stop).trim()).length : 0;
+  const extraPassengers = Math.max(passengers - tariff.includedPassengers, 0);
+
+  const baseFare = tariff.baseFare;
+  const distanceFare = roundMoney(distanceKm * tariff.perKm);
+  const stopsFare = roundMoney(stopCount * tariff.perStop);
+  const passengerFare = roundMoney(extraPassengers * tariff.perExtraPassenger);
+
+  // Minimum fare applies to the ride itself, before night surcharge and extras
+  const rideFare = baseFare + distanceFare + stopsFare + passengerFare;
+  const minimumFareAdjustment = roundMoney(Math.max(tariff.minimumFare - rideFare, 0));
+  const adjustedRideFare = rideFare + minimumFareAdjustment;
+
+  const isNight = isNightRide(pickupTime);
+  const nightSurcharge = isNight ? roundMoney(adjustedRideFare * (NIGHT_SURCHARGE.multiplier - 1)) : 0;
+
+  const extrasItems = extraCodes.map((code) => ({
+    code,
+    label: EXTRAS[code].label,
+    amount: EXTRAS[code].amount,
+  }));
+  const extrasFare = roundMoney(extrasItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const total = roundMoney(adjustedRideFare + nightSurcharge + extrasFare);
+
+  return {
+    category,
+    currency: "EUR",
+    distanceKm,
+    passengers,
+    stops: stopCount,
+    isNight,
+    extras: extrasItems,
+    breakdown: {
+      baseFare,
+      distanceFare,
+      stopsFare,
+      passengerFare,
+      minimumFareAdjustment,
+      nightSurcharge,
+      extrasFare,
+    },
+    total,
+  };
+};
+
+/**
+ * Calculate the fare for a group that does not fit in one vehicle
+ * Passengers are spread as evenly as possible over the fewest vehicles of the
+ * category; extras are added to the first vehicle only.
+ * @param {Object} input - Same as calculateFare (num_passengers is the whole group)
+ * @returns {Object} { category, passengers, vehicleCount, vehicles: [fare quote], total }
+ */
+const calculateGroupFare = (input) => {
+  const category = normalizeVehicleType(input.cat_title);
+  const tariff = category ? TARIFFS[category] : null;
+  if (!tariff) {
+    throw buildError(`Unknown vehicle category: ${input.cat_title}`, 400, "UNKNOWN_VEHICLE_CATEGORY");
+  }
+
+  const passengers = parseInt(input.num_passengers, 10);
+  if (!passengers || passengers < 1) {
+    throw buildError("num_passengers is required for a group booking.", 400, "INVALID_PASSENGERS");
+  }
+
+  const vehicleCount = Math.ceil(passengers / tariff.maxPassengers);
+  if (vehicleCount < 2) {
+    throw buildError(
+      `${passengers} passengers fit in one ${category}; make a regular booking instead.`,
+      400,
+      "GROUP_TOO_SMALL",
+      { maxPassengers: tariff.maxPassengers }
+    );
+  }
+  if (vehicleCount > MAX_GROUP_VEHICLES) {
+    throw buildError(
+      `A group booking can use at most ${MAX_GROUP_VEHICLES} vehicles.`,
+      400,
+      "GROUP_TOO_LARGE",
+      { maxPassengers: MAX_GROUP_VEHICLES * tariff.maxPassengers }
+    );
+  }
+
+  const basePassengers = Math.floor(passengers / vehicleCount);
+  const remainder = passengers % vehicleCount;
+  const vehicles = Array.from({ length: vehicleCount }, (_, index) =>
+    calculateFare({
+      ...input,
+      num_passengers: basePassengers + (index < remainder ? 1 : 0),
+      extras: index === 0 ? input.extras : [],
+    })
+  );
+
+  return {
+    category,
+    currency: "EUR",
+    passengers,
+    vehicleCount,
+    vehicles,
+    total: roundMoney(vehicles.reduce((sum, quote) => sum + quote.total, 0)),
+  };
+};
+
+/**
+ * Check whether a client-submitted price matches the calculated fare
+ * @param {number} submittedPrice - Price sent by the client
+ * @param {number} calculatedPrice - Price calculated by calculateFare
+ * @returns {boolean} True if within PRICE_TOLERANCE_AMOUNT or PRICE_TOLERANCE_PERCENTAGE
+ */
+const isPriceWithinTolerance = (submittedPrice, calculatedPrice) => {
+  const difference = Math.abs(submittedPrice - calculatedPrice);
+  const allowed = Math.max(
+    PRICE_TOLERANCE_AMOUNT,
+    calculatedPrice * (PRICE_TOLERANCE_PERCENTAGE / 100)
+  );
+  return difference <= allowed;
+};
+
+/**
+ * Price a surcharge logged by the driver during a ride
+ * Waiting time is billed per minute once the booking's total waiting time
+ * exceeds the tariff's free minutes; extra stops use the per-stop tariff.
+ * @param {string} catTitle - Vehicle category of the booking
+ * @param {Object} surcharge - { type: "waiting"|"extra_stop", minutes }
+ * @param {number} previousWaitingMinutes - Waiting minutes already logged on the booking
+ * @returns {number} Amount in EUR
+ */
+const calculateSurcharge = (catTitle, { type, minutes }, previousWaitingMinutes = 0) => {
+  const category = normalizeVehicleType(catTitle);
+  const tariff = category ? TARIFFS[category] : null;
+  if (!tariff) {
+    throw buildError(`Unknown vehicle category: ${catTitle}`, 400, "UNKNOWN_VEHICLE_CATEGORY");
+  }
+
+  if (type === "extra_stop") {
+    return roundMoney(tariff.perStop);
+  }
+
+  if (type === "waiting") {
+    const free = tariff.freeWaitingMinutes || 0;
+    const billableBefore = Math.max(previousWaitingMinutes - free, 0);
+    const billableAfter = Math.max(previousWaitingMinutes + minutes - free, 0);
+    return roundMoney((billableAfter - billableBefore) * (tariff.waitingPerMinute || 0));
+  }
+
+  throw buildError(`Unknown surcharge type: ${type}`, 400, "UNKNOWN_SURCHARGE_TYPE");
+};
+
+module.exports = {
+  calculateFare,
+  isPriceWithinTolerance,
+  calculateSurcharge,
+  calculateGroupFare,
+};
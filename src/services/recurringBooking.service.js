@@ -0,0 +1,465 @@
+// services/recurringBooking.service.js
+const RecurringBooking = require("../models/recurringBooking.model");
+const Booking = require("../models/booking.model");
+const Driver = require("../models/driver.model");
+const { calculateFare } = require("./pricing.service");
+const {
+  createBooking,
+  assignDriverToBooking,
+  cancelBookingAsAdmin,
+} = require("./booking.service");
+const { CANCELLABLE_STATUSES } = require("../../config/cancellationPolicy");
+const { PRICING_TIMEZONE } = require("../../config/pricing");
+const {
+  RECURRING_HORIZON_DAYS,
+  MAX_RECURRING_OCCURRENCES,
+} = require("../../config/recurringBookings");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LOCAL CALENDAR HELPERS
+ * Occurrence dates are plain local days ("YYYY-MM-DD") in PRICING_TIMEZONE,
+ * handled as UTC midnights so day arithmetic is not affected by DST.
+ */
+
+const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatLocalDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const addDays = (dateString, days) => formatLocalDate(parseLocalDate(dateString) + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((parseLocalDate(to) - parseLocalDate(from)) / DAY_MS);
+
+const getWeekday = (dateString) => new Date(parseLocalDate(dateString)).getUTCDay();
+
+/**
+ * Offset (ms) of PRICING_TIMEZONE from UTC at a given instant
+ */
+const getTimezoneOffset = (timestamp) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: PRICING_TIMEZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(new Date(timestamp))
+    .reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a local day + "HH:mm" in PRICING_TIMEZONE to a Date
+ */
+const toPickupTime = (dateString, timeOfDay) => {
+  const [hours, minutes] = timeOfDay.split(":").map(Number);
+  const wallClock = parseLocalDate(dateString) + (hours * 60 + minutes) * 60 * 1000;
+  const firstGuess = wallClock - getTimezoneOffset(wallClock);
+  // Second pass corrects the guess when it lands on the other side of a DST change
+  return new Date(wallClock - getTimezoneOffset(firstGuess));
+};
+
+const getLocalToday = (now) => formatLocalDate(now.getTime() + getTimezoneOffset(now.getTime()));
+
+/**
+ * List occurrence days of a recurrence (RRULE-like) up to and including `untilDate`
+ * @param {Object} recurrence - { frequency, interval, weekdays, startDate, endDate, count }
+ * @param {string} untilDate - Last local day to consider (YYYY-MM-DD)
+ * @returns {Array<string>} Local days, in order (skipped dates are NOT removed: they still count)
+ */
+const getOccurrenceDates = (recurrence, untilDate) => {
+  const { frequency, startDate, endDate, count } = recurrence;
+  const interval = recurrence.interval || 1;
+  const weekdays =
+    recurrence.weekdays && recurrence.weekdays.length > 0
+      ? recurrence.weekdays
+      : [getWeekday(startDate)];
+  const maxOccurrences = Math.min(count || MAX_RECURRING_OCCURRENCES, MAX_RECURRING_OCCURRENCES);
+  const lastDate = endDate && endDate < untilDate ? endDate : untilDate;
+
+  // Weeks are counted from the Sunday of the start week
+  const firstWeekStart = addDays(startDate, -getWeekday(startDate));
+
+  const dates = [];
+  for (
+    let date = startDate;
+    date <= lastDate && dates.length < maxOccurrences;
+    date = addDays(date, 1)
+  ) {
+    if (frequency === "daily") {
+      if (daysBetween(startDate, date) % interval === 0) {
+        dates.push(date);
+      }
+    } else if (frequency === "weekly") {
+      const week = Math.floor(daysBetween(firstWeekStart, date) / 7);
+      if (week % interval === 0 && weekdays.includes(getWeekday(date))) {
+        dates.push(date);
+      }
+    }
+  }
+  return dates;
+};
+
+/**
+ * Whether a series can never produce another occurrence
+ */
+const isSeriesExhausted = (series, occurrenceDates, lastConsideredDate) => {
+  const { endDate, count } = series.recurrence;
+  const maxOccurrences = Math.min(count || MAX_RECURRING_OCCURRENCES, MAX_RECURRING_OCCURRENCES);
+  if (occurrenceDates.length >= maxOccurrences) {
+    return true;
+  }
+  return Boolean(endDate && lastConsideredDate >= endDate);
+};
+
+/**
+ * Create the Booking for one occurrence (priced with the fare engine at that pickup time)
+ */
+const createOccurrenceBooking = async (series, occurrenceDate, pickupTime) => {
+  const template = series.template.toObject ? series.template.toObject() : series.template;
+  const quote = calculateFare({ ...template, date_time: pickupTime });
+
+  let booking = await createBooking({
+    ...template,
+    date_time: pickupTime,
+    actualPrice: quote.total.toFixed(2),
+    extras: quote.extras.map((extra) => extra.code),
+    priceBreakdown: {
+      ...quote.breakdown,
+      isNight: quote.isNight,
+      total: quote.total,
+    },
+    source: "recurring",
+    paymentMethod: series.paymentMethod,
+    createdBy: series.createdBy,
+    recurringBookingId: series._id,
+    occurrenceDate,
+    isPaid: false,
+  });
+
+  let assignedDriverId = null;
+  if (series.preferredDriverId) {
+    try {
+      booking = await assignDriverToBooking(booking._id, series.preferredDriverId, series.createdBy);
+      assignedDriverId = series.preferredDriverId.toString();
+    } catch (error) {
+      // Booking stays unassigned and goes through normal dispatch
+      logger.warn(`[RECURRING] Could not assign preferred driver to booking ${booking._id}: ${error.message}`);
+    }
+  }
+
+  return { booking, assignedDriverId };
+};
+
+/**
+ * Generate bookings for a series up to the rolling horizon
+ * Already generated occurrences are skipped (unique recurringBookingId + occurrenceDate).
+ * @param {Object} series - RecurringBooking document
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} Created occurrences [{ booking, assignedDriverId }]
+ */
+const generateOccurrencesForSeries = async (series, now = new Date()) => {
+  if (series.status !== "active") {
+    return [];
+  }
+
+  const horizonDate = getLocalToday(new Date(now.getTime() + RECURRING_HORIZON_DAYS * DAY_MS));
+  const occurrenceDates = getOccurrenceDates(series.recurrence, horizonDate);
+  const skipped = new Set(series.skippedDates || []);
+  const generatedUntil = series.generatedUntil ? new Date(series.generatedUntil) : null;
+
+  const created = [];
+  let lastPickupTime = generatedUntil;
+  let failed = false;
+
+  for (const occurrenceDate of occurrenceDates) {
+    const pickupTime = toPickupTime(occurrenceDate, series.recurrence.timeOfDay);
+    if (pickupTime <= now || (generatedUntil && pickupTime <= generatedUntil)) {
+      continue;
+    }
+
+    if (!skipped.has(occurrenceDate)) {
+      try {
+        created.push(await createOccurrenceBooking(series, occurrenceDate, pickupTime));
+      } catch (error) {
+        // Duplicate = generated by an earlier run; anything else is retried on the next run
+        if (error.code !== 11000 || !error.keyPattern?.recurringBookingId) {
+          logger.error(`[RECURRING] Failed to generate ${occurrenceDate} for series ${series._id}: ${error.message}`);
+          failed = true;
+          break;
+        }
+      }
+    }
+    lastPickupTime = pickupTime;
+  }
+
+  const update = {
+    generatedUntil: lastPickupTime,
+    occurrenceCount: (series.occurrenceCount || 0) + created.length,
+  };
+  if (!failed && isSeriesExhausted(series, occurrenceDates, horizonDate)) {
+    update.status = "ended";
+  }
+
+  await RecurringBooking.updateOne({ _id: series._id, status: "active" }, { $set: update });
+  Object.assign(series, update);
+
+  return created;
+};
+
+/**
+ * Run the booking notification pipeline for generated occurrences
+ * (confirmation emails, admin notifications, driver assignment notification)
+ * @param {Array} occurrences - Result of generateOccurrencesForSeries
+ */
+const notifyGeneratedOccurrences = async (occurrences) => {
+  const { sendBookingNotificationsForBooking } = require("./paymentConfirmation.service");
+  const { notifyBookingAssigned } = require("./bookingNotifications");
+
+  for (const { booking, assignedDriverId } of occurrences) {
+    try {
+      await sendBookingNotificationsForBooking(booking);
+    } catch (error) {
+      logger.error(`[RECURRING] Notifications failed for booking ${booking._id}: ${error.message}`);
+    }
+    if (assignedDriverId) {
+      try {
+        await notifyBookingAssigned(booking, assignedDriverId);
+      } catch (error) {
+        logger.error(`[RECURRING] Assignment notification failed for booking ${booking._id}: ${error.message}`);
+      }
+    }
+  }
+};
+
+/**
+ * Generate upcoming occurrences for every active series (cron entry point)
+ * @returns {Promise<Object>} { series, created, errors }
+ */
+const generateDueOccurrences = async (now = new Date()) => {
+  const seriesList = await RecurringBooking.find({ status: "active" });
+  let created = 0;
+  let errors = 0;
+
+  for (const series of seriesList) {
+    try {
+      const occurrences = await generateOccurrencesForSeries(series, now);
+      created += occurrences.length;
+      await notifyGeneratedOccurrences(occurrences);
+    } catch (error) {
+      errors++;
+      logger.error(`[RECURRING] Failed to process series ${series._id}: ${error.message}`);
+    }
+  }
+
+  return { series: seriesList.length, created, errors };
+};
+
+/**
+ * ADMIN SERVICES
+ */
+
+/**
+ * Create a recurring series and generate its first occurrences
+ * @param {Object} data - { template, recurrence, paymentMethod, preferredDriverId }
+ * @param {string} adminId - Admin creating the series
+ * @returns {Promise<Object>} { series, occurrences }
+ */
+const createRecurringBooking = async (data, adminId) => {
+  const { template, recurrence, paymentMethod, preferredDriverId } = data;
+
+  if (preferredDriverId) {
+    const driver = await Driver.findById(preferredDriverId).select("status").lean();
+    if (!driver) {
+      throw buildError("Preferred driver not found", 404, "DRIVER_NOT_FOUND");
+    }
+    if (driver.status !== "Approved") {
+      throw buildError("Preferred driver is not approved.", 400, "DRIVER_NOT_APPROVED");
+    }
+  }
+
+  // Fails early on unknown categories/extras or too many passengers
+  calculateFare({
+    ...template,
+    date_time: toPickupTime(recurrence.startDate, recurrence.timeOfDay),
+  });
+
+  if (getOccurrenceDates(recurrence, recurrence.endDate || addDays(recurrence.startDate, 366)).length === 0) {
+    throw buildError("The recurrence does not produce any occurrence.", 400, "EMPTY_RECURRENCE");
+  }
+
+  const series = await RecurringBooking.create({
+    template,
+    recurrence,
+    paymentMethod,
+    preferredDriverId: preferredDriverId || null,
+    createdBy: adminId,
+  });
+
+  const occurrences = await generateOccurrencesForSeries(series);
+  return { series, occurrences };
+};
+
+const getRecurringBookings = async (page = 1, limit = 12, status) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const filter = status ? { status } : {};
+
+  const [series, total] = await Promise.all([
+    RecurringBooking.find(filter)
+      .populate("preferredDriverId", "firstName lastName email phone")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    RecurringBooking.countDocuments(filter),
+  ]);
+
+  return {
+    series,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Series details with its generated bookings (upcoming first)
+ */
+const getRecurringBookingById = async (seriesId) => {
+  const series = await RecurringBooking.findById(seriesId)
+    .populate("preferredDriverId", "firstName lastName email phone")
+    .lean();
+  if (!series) {
+    throw buildError("Recurring booking not found", 404, "RECURRING_BOOKING_NOT_FOUND");
+  }
+
+  const bookings = await Booking.find({ recurringBookingId: seriesId })
+    .sort({ date_time: 1 })
+    .lean();
+
+  return { series, bookings };
+};
+
+/**
+ * Skip a single occurrence. A booking already generated for that day is cancelled.
+ * @param {string} seriesId - Series ID
+ * @param {string} occurrenceDate - Local day (YYYY-MM-DD)
+ * @param {string} adminId - Admin skipping the occurrence
+ * @param {string} reason - Optional reason
+ * @returns {Promise<Object>} { series, cancelled: { booking, previousDriverId } | null }
+ */
+const skipOccurrence = async (seriesId, occurrenceDate, adminId, reason) => {
+  const series = await RecurringBooking.findById(seriesId);
+  if (!series) {
+    throw buildError("Recurring booking not found", 404, "RECURRING_BOOKING_NOT_FOUND");
+  }
+  if (series.status !== "active") {
+    throw buildError(`Recurring booking is ${series.status}.`, 400, "RECURRING_BOOKING_NOT_ACTIVE");
+  }
+  if (!getOccurrenceDates(series.recurrence, occurrenceDate).includes(occurrenceDate)) {
+    throw buildError("The series has no occurrence on this date.", 400, "OCCURRENCE_NOT_FOUND");
+  }
+
+  const booking = await Booking.findOne({ recurringBookingId: seriesId, occurrenceDate });
+  if (booking && !CANCELLABLE_STATUSES.includes(booking.status) && booking.status !== "cancelled") {
+    throw buildError(
+      `The booking for this occurrence is already ${booking.status}.`,
+      400,
+      "OCCURRENCE_NOT_SKIPPABLE"
+    );
+  }
+
+  await RecurringBooking.updateOne({ _id: seriesId }, { $addToSet: { skippedDates: occurrenceDate } });
+
+  let cancelled = null;
+  if (booking && booking.status !== "cancelled") {
+    cancelled = await cancelBookingAsAdmin(
+      booking._id,
+      adminId,
+      reason || `Occurrence ${occurrenceDate} of a recurring booking skipped`
+    );
+  }
+
+  const updatedSeries = await RecurringBooking.findById(seriesId);
+  return { series: updatedSeries, cancelled };
+};
+
+/**
+ * Cancel a whole series: no new occurrences, future cancellable bookings are cancelled
+ * @returns {Promise<Object>} { series, cancelled: [{ booking, previousDriverId }] }
+ */
+const cancelRecurringBooking = async (seriesId, adminId, reason) => {
+  const series = await RecurringBooking.findOneAndUpdate(
+    { _id: seriesId, status: "active" },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: adminId,
+        cancellationReason: reason,
+      },
+    },
+    { new: true }
+  );
+  if (!series) {
+    const exists = await RecurringBooking.exists({ _id: seriesId });
+    throw exists
+      ? buildError("Recurring booking is no longer active.", 400, "RECURRING_BOOKING_NOT_ACTIVE")
+      : buildError("Recurring booking not found", 404, "RECURRING_BOOKING_NOT_FOUND");
+  }
+
+  const upcoming = await Booking.find({
+    recurringBookingId: seriesId,
+    status: { $in: CANCELLABLE_STATUSES },
+    date_time: { $gt: new Date() },
+  });
+
+  const cancelled = [];
+  for (const booking of upcoming) {
+    try {
+      cancelled.push(
+        await cancelBookingAsAdmin(booking._id, adminId, reason || "Recurring booking cancelled")
+      );
+    } catch (error) {
+      // State changed meanwhile (e.g. driver started the ride); leave that booking alone
+      logger.warn(`[RECURRING] Could not cancel booking ${booking._id}: ${error.message}`);
+    }
+  }
+
+  return { series, cancelled };
+};
+
+module.exports = {
+  getOccurrenceDates,
+  generateOccurrencesForSeries,
+  generateDueOccurrences,
+  notifyGeneratedOccurrences,
+  createRecurringBooking,
+  getRecurringBookings,
+  getRecurringBookingById,
+  skipOccurrence,
+  cancelRecurringBooking,
+};
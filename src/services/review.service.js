@@ -0,0 +1,294 @@
+// services/review.service.js
+const mongoose = require("mongoose");
+const Booking = require("../models/booking.model");
+const Driver = require("../models/driver.model");
+const { verifyBookingToken } = require("../utils/token");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const { getTipOptions } = require("./tip.service");
+const { REVIEW_TAGS, REVIEW_COMMENT_MAX_LENGTH } = require("../../config/reviews");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const toReviewResponse = (booking) => ({
+  bookingId: booking._id,
+  orderNumber: booking.orderNumber,
+  rating: booking.rating,
+  comment: booking.review?.comment || null,
+  tags: booking.review?.tags || [],
+  submittedAt: booking.review?.submittedAt || null,
+  hidden: booking.review?.hidden === true,
+  hiddenAt: booking.review?.hiddenAt || null,
+  hiddenReason: booking.review?.hiddenReason || null,
+});
+
+/**
+ * Average rating of a driver over visible reviews
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} { averageRating, totalRatings }
+ */
+const getDriverRatingSummary = async (driverId) => {
+  const [summary] = await Booking.aggregate([
+    {
+      $match: {
+        driverId: new mongoose.Types.ObjectId(driverId),
+        status: "completed",
+        rating: { $gte: 1, $lte: 5 },
+        "review.hidden": { $ne: true },
+      },
+    },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  return {
+    averageRating: summary ? Math.round(summary.average * 100) / 100 : null,
+    totalRatings: summary ? summary.count : 0,
+  };
+};
+
+/**
+ * Store the rating rollup on the driver after a review is added or moderated
+ * @param {string} driverId - Driver ID
+ */
+const refreshDriverRating = async (driverId) => {
+  if (!driverId) {
+    return;
+  }
+  try {
+    const { averageRating, totalRatings } = await getDriverRatingSummary(driverId);
+    await Driver.updateOne(
+      { _id: driverId },
+      { $set: { ratingSummary: { average: averageRating, count: totalRatings, updatedAt: new Date() } } }
+    );
+  } catch (error) {
+    logger.error(`[REVIEW] Failed to refresh rating of driver ${driverId}: ${error.message}`);
+  }
+};
+
+/**
+ * CUSTOMER (signed review link)
+ */
+
+const findBookingForReview = async (token) => {
+  const decoded = verifyBookingToken(token, "review");
+  if (!decoded) {
+    throw buildError("This review link is invalid or has expired.", 403, "INVALID_BOOKING_TOKEN");
+  }
+
+  const booking = await Booking.findById(decoded.bookingId)
+    .select("orderNumber status from_location to_location date_time completedAt driverId rating review tip")
+    .populate("driverId", "firstName")
+    .lean();
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+  if (booking.status !== "completed") {
+    throw buildError("Only completed rides can be reviewed.", 409, "BOOKING_NOT_COMPLETED");
+  }
+  return booking;
+};
+
+/**
+ * Ride summary, available tags, the review if one was already submitted and tip options
+ * @param {string} token - Review token from the completion email
+ * @returns {Promise<Object>} { ride, tags, review, tip }
+ */
+const getReviewForm = async (token) => {
+  const booking = await findBookingForReview(token);
+
+  return {
+    ride: {
+      orderNumber: booking.orderNumber,
+      from_location: booking.from_location,
+      to_location: booking.to_location,
+      date_time: booking.date_time,
+      completedAt: booking.completedAt,
+      driver: booking.driverId ? { firstName: booking.driverId.firstName } : null,
+    },
+    tags: Object.entries(REVIEW_TAGS).map(([key, label]) => ({ key, label })),
+    review: booking.rating
+      ? {
+        rating: booking.rating,
+        comment: booking.review?.comment || null,
+        tags: booking.review?.tags || [],
+        submittedAt: booking.review?.submittedAt || null,
+      }
+      : null,
+    tip: getTipOptions(booking),
+  };
+};
+
+/**
+ * Submit the review of a completed ride (once per booking)
+ * @param {string} token - Review token from the completion email
+ * @param {Object} input - { rating: 1-5, comment, tags: [tag key] }
+ * @returns {Promise<Object>} Review
+ */
+const submitReview = async (token, { rating, comment, tags } = {}) => {
+  const score = Number(rating);
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw buildError("Rating must be a whole number from 1 to 5.", 400, "INVALID_RATING");
+  }
+
+  const tagList = tags === undefined || tags === null ? [] : tags;
+  const unknownTags = Array.isArray(tagList)
+    ? tagList.filter((tag) => !Object.prototype.hasOwnProperty.call(REVIEW_TAGS, tag))
+    : [tagList];
+  if (unknownTags.length > 0) {
+    throw buildError(`Unknown review tag(s): ${unknownTags.join(", ")}`, 400, "INVALID_REVIEW_TAGS");
+  }
+
+  const text = comment === undefined || comment === null ? "" : String(comment).trim();
+  if (text.length > REVIEW_COMMENT_MAX_LENGTH) {
+    throw buildError(
+      `Comment must be at most ${REVIEW_COMMENT_MAX_LENGTH} characters.`,
+      400,
+      "REVIEW_COMMENT_TOO_LONG"
+    );
+  }
+
+  const booking = await findBookingForReview(token);
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "completed", rating: null },
+    {
+      $set: {
+        rating: score,
+        review: {
+          comment: text || undefined,
+          tags: [...new Set(tagList)],
+          submittedAt: new Date(),
+          hidden: false,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw buildError("A review was already submitted for this ride.", 409, "REVIEW_ALREADY_SUBMITTED");
+  }
+
+  await recordBookingEvent(updated, {
+    action: "review",
+    actor: { role: "customer" },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId: updated.driverId,
+    metadata: { rating: score, tags: updated.review.tags },
+  });
+  await refreshDriverRating(updated.driverId);
+
+  return toReviewResponse(updated);
+};
+
+/**
+ * ADMIN
+ */
+
+/**
+ * List submitted reviews, newest first
+ * @param {Object} filters - { driverId, hidden ("true"/"false"), maxRating, page, limit }
+ * @returns {Promise<Object>} { reviews, total, page, limit }
+ */
+const getReviews = async ({ driverId, hidden, maxRating, page = 1, limit = 20 } = {}) => {
+  if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+    throw buildError("Invalid driver ID format.", 400, "INVALID_DRIVER_ID");
+  }
+
+  const filter = { "review.submittedAt": { $ne: null } };
+  if (driverId) filter.driverId = driverId;
+  if (hidden === "true") filter["review.hidden"] = true;
+  if (hidden === "false") filter["review.hidden"] = { $ne: true };
+  if (maxRating) filter.rating = { $lte: Number(maxRating) };
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(filter)
+      .select("orderNumber rating review driverId user_name email from_location to_location completedAt")
+      .populate("driverId", "firstName lastName email")
+      .sort({ "review.submittedAt": -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Booking.countDocuments(filter),
+  ]);
+
+  const reviews = bookings.map((booking) => ({
+    ...toReviewResponse(booking),
+    driver: booking.driverId || null,
+    customer: { name: booking.user_name, email: booking.email },
+    from_location: booking.from_location,
+    to_location: booking.to_location,
+    completedAt: booking.completedAt,
+  }));
+
+  return { reviews, total, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * Hide an abusive review (or show it again); hidden reviews do not count for the driver
+ * @param {string} bookingId - Booking ID
+ * @param {boolean} hidden - Hide or show
+ * @param {string} adminId - Admin moderating
+ * @param {string} reason - Why the review is hidden
+ * @returns {Promise<Object>} Review
+ */
+const setReviewHidden = async (bookingId, hidden, adminId, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw buildError("Review not found", 404, "REVIEW_NOT_FOUND");
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: bookingId, "review.submittedAt": { $ne: null } },
+    {
+      $set: hidden
+        ? {
+          "review.hidden": true,
+          "review.hiddenAt": new Date(),
+          "review.hiddenBy": adminId,
+          "review.hiddenReason": reason,
+        }
+        : {
+          "review.hidden": false,
+          "review.hiddenAt": null,
+          "review.hiddenBy": null,
+          "review.hiddenReason": null,
+        },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw buildError("Review not found", 404, "REVIEW_NOT_FOUND");
+  }
+
+  await recordBookingEvent(updated, {
+    action: hidden ? "review_hidden" : "review_shown",
+    actor: { role: "admin", id: adminId },
+    previousStatus: updated.status,
+    newStatus: updated.status,
+    driverId: updated.driverId,
+    reason,
+  });
+  await refreshDriverRating(updated.driverId);
+
+  return toReviewResponse(updated);
+};
+
+module.exports = {
+  getDriverRatingSummary,
+  refreshDriverRating,
+  getReviewForm,
+  submitReview,
+  getReviews,
+  setReviewHidden,
+};
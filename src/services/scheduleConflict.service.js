@@ -0,0 +1,169 @@
+// services/scheduleConflict.service.js
+const mongoose = require("mongoose");
+const Booking = require("../models/booking.model");
+const { getSetting } = require("./settings.service");
+const { parseDistanceToNumber } = require("../utils/booking.helper");
+const {
+  SCHEDULE_AVERAGE_SPEED_KMH,
+  SCHEDULE_MIN_RIDE_MINUTES,
+} = require("../../config/scheduleConflicts");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Rides the driver has committed to (accepted or under way)
+const COMMITTED_STATUSES = ["accepted", "started", "arrived", "picked_up", "dropped_off"];
+
+// Longest ride looked back for when searching overlaps
+const MAX_RIDE_LOOKBACK_HOURS = 24;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Estimated ride duration in minutes from the booking distance (km)
+ * @param {Object} booking - Booking with distance
+ * @returns {number} Minutes
+ */
+const estimateRideMinutes = (booking) => {
+  const distanceKm = parseDistanceToNumber(booking.distance);
+  if (Number.isNaN(distanceKm) || distanceKm <= 0) {
+    return SCHEDULE_MIN_RIDE_MINUTES;
+  }
+  return Math.max(Math.ceil((distanceKm / SCHEDULE_AVERAGE_SPEED_KMH) * 60), SCHEDULE_MIN_RIDE_MINUTES);
+};
+
+/**
+ * Time a ride occupies the driver
+ * @returns {Object} { start, end }
+ */
+const getRideWindow = (booking) => {
+  const start = new Date(booking.date_time);
+  return { start, end: new Date(start.getTime() + estimateRideMinutes(booking) * MINUTE_MS) };
+};
+
+/**
+ * Rides of a driver that overlap a booking (including the buffer between rides)
+ * @param {string} driverId - Driver ID
+ * @param {Object} booking - Booking the driver would take (date_time, distance)
+ * @param {Object} options - { includeAssigned: also count pending rides assigned to the driver }
+ * @returns {Promise<Array>} Conflicting rides, earliest first
+ */
+const findScheduleConflicts = async (driverId, booking, { includeAssigned = false } = {}) => {
+  if (!driverId || !booking.date_time) {
+    return [];
+  }
+
+  const bufferMs = getSetting("scheduleBufferMinutes") * MINUTE_MS;
+  const ride = getRideWindow(booking);
+
+  const statuses = includeAssigned ? ["pending", ...COMMITTED_STATUSES] : COMMITTED_STATUSES;
+  const candidates = await Booking.find({
+    _id: { $ne: booking._id },
+    driverId,
+    status: { $in: statuses },
+    isExpired: { $ne: true },
+    date_time: {
+      $gte: new Date(ride.start.getTime() - MAX_RIDE_LOOKBACK_HOURS * 60 * MINUTE_MS),
+      $lt: new Date(ride.end.getTime() + bufferMs),
+    },
+  })
+    .select("_id orderNumber date_time distance status from_location to_location")
+    .sort({ date_time: 1 })
+    .lean();
+
+  return candidates
+    .map((other) => ({ other, window: getRideWindow(other) }))
+    .filter(({ window }) =>
+      window.start.getTime() < ride.end.getTime() + bufferMs &&
+      ride.start.getTime() < window.end.getTime() + bufferMs
+    )
+    .map(({ other, window }) => ({
+      bookingId: other._id.toString(),
+      orderNumber: other.orderNumber || null,
+      status: other.status,
+      from_location: other.from_location,
+      to_location: other.to_location,
+      date_time: window.start,
+      estimatedEnd: window.end,
+    }));
+};
+
+/**
+ * Throw SCHEDULE_CONFLICT when a driver's committed rides overlap the booking
+ * @param {string} driverId - Driver ID
+ * @param {Object} booking - Booking the driver wants to accept
+ */
+const assertNoScheduleConflict = async (driverId, booking) => {
+  const conflicts = await findScheduleConflicts(driverId, booking);
+  if (conflicts.length > 0) {
+    throw buildError(
+      `This ride overlaps ${conflicts.length === 1 ? "another ride" : `${conflicts.length} other rides`} you have accepted (including ${getSetting("scheduleBufferMinutes")} minutes between rides).`,
+      409,
+      "SCHEDULE_CONFLICT",
+      {
+        code: "SCHEDULE_CONFLICT",
+        conflictingBookingIds: conflicts.map((conflict) => conflict.bookingId),
+        conflicts,
+      }
+    );
+  }
+};
+
+/**
+ * Warnings for the admin assignment UI (assigning is never blocked)
+ * @param {string} driverId - Driver ID
+ * @param {Object} booking - Booking being assigned
+ * @returns {Promise<Array>} [] or [{ code, message, bookingIds, conflicts }]
+ */
+const getScheduleConflictWarnings = async (driverId, booking) => {
+  const conflicts = await findScheduleConflicts(driverId, booking, { includeAssigned: true });
+  if (conflicts.length === 0) {
+    return [];
+  }
+  return [
+    {
+      code: "SCHEDULE_CONFLICT",
+      message: `The driver has ${conflicts.length} ride(s) overlapping this booking.`,
+      bookingIds: conflicts.map((conflict) => conflict.bookingId),
+      conflicts,
+    },
+  ];
+};
+
+/**
+ * Warnings for assigning a driver to a booking, looked up by ID (admin assignment UI)
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Array>} See getScheduleConflictWarnings
+ */
+const getScheduleConflictWarningsForBooking = async (bookingId, driverId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw buildError("Invalid booking ID.", 400, "INVALID_BOOKING_ID");
+  }
+  if (!driverId || !mongoose.Types.ObjectId.isValid(driverId)) {
+    throw buildError("A valid driverId query parameter is required.", 400, "INVALID_DRIVER_ID");
+  }
+
+  const booking = await Booking.findById(bookingId).lean();
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  return getScheduleConflictWarnings(driverId, booking);
+};
+
+module.exports = {
+  estimateRideMinutes,
+  findScheduleConflicts,
+  assertNoScheduleConflict,
+  getScheduleConflictWarnings,
+  getScheduleConflictWarningsForBooking,
+};
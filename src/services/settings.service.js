@@ -0,0 +1,244 @@
+// services/settings.service.js
+const { EventEmitter } = require("events");
+const Setting = require("../models/setting.model");
+const {
+  SETTING_DEFINITIONS,
+  SETTINGS_CACHE_TTL_SECONDS,
+} = require("../../config/settings");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// In-process cache of stored values (key -> { value, updatedBy, updatedAt })
+const cache = new Map();
+let loadedAt = 0;
+let loading = null;
+
+// Emits "change" with { key, previousValue, value } whenever a value changes
+const settingsEvents = new EventEmitter();
+
+const getDefault = (key) => SETTING_DEFINITIONS[key].default;
+
+/**
+ * Current value of a setting (cached value or default)
+ * Synchronous so hot paths (booking creation, guards) never wait on the database.
+ * @param {string} key - Setting key from config/settings.js
+ * @returns {*} Setting value
+ */
+const getSetting = (key) => {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return cache.has(key) ? cache.get(key).value : getDefault(key);
+};
+
+/**
+ * Replace the cache with the stored values and notify listeners of differences
+ */
+const applyStoredSettings = (stored) => {
+  const previous = new Map(Object.keys(SETTING_DEFINITIONS).map((key) => [key, getSetting(key)]));
+
+  cache.clear();
+  stored
+    .filter((setting) => SETTING_DEFINITIONS[setting._id])
+    .forEach((setting) => {
+      cache.set(setting._id, {
+        value: setting.value,
+        updatedBy: setting.updatedBy || null,
+        updatedAt: setting.updatedAt || null,
+      });
+    });
+  loadedAt = Date.now();
+
+  previous.forEach((previousValue, key) => {
+    const value = getSetting(key);
+    if (value !== previousValue) {
+      settingsEvents.emit("change", { key, previousValue, value });
+    }
+  });
+};
+
+/**
+ * Load all settings from the database into the cache
+ */
+const loadSettings = async () => {
+  if (!loading) {
+    loading = Setting.find({})
+      .lean()
+      .then(applyStoredSettings)
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Reload the cache when it is older than SETTINGS_CACHE_TTL_SECONDS
+ * Keeps several server instances in sync; failures keep the current values.
+ */
+const refreshSettingsIfStale = async () => {
+  if (Date.now() - loadedAt < SETTINGS_CACHE_TTL_SECONDS * 1000) {
+    return;
+  }
+  try {
+    await loadSettings();
+  } catch (error) {
+    logger.error(`[SETTINGS] Failed to load settings: ${error.message}`);
+  }
+};
+
+/**
+ * Subscribe to changes of one setting (or all settings when key is omitted)
+ * @param {string} [key] - Setting key
+ * @param {Function} listener - ({ key, previousValue, value }) => void
+ * @returns {Function} Unsubscribe
+ */
+const onSettingChange = (key, listener) => {
+  const handler = typeof key === "function"
+    ? key
+    : (change) => {
+      if (change.key === key) listener(change);
+    };
+  settingsEvents.on("change", handler);
+  return () => settingsEvents.off("change", handler);
+};
+
+/**
+ * All settings with their definition and current value (admin view)
+ * @returns {Promise<Array>} Settings
+ */
+const getSettings = async () => {
+  await loadSettings();
+  return Object.keys(SETTING_DEFINITIONS).map((key) => {
+    const definition = SETTING_DEFINITIONS[key];
+    const stored = cache.get(key);
+    return {
+      key,
+      value: getSetting(key),
+      type: definition.type,
+      min: definition.min,
+      max: definition.max,
+      default: definition.default,
+      description: definition.description,
+      isDefault: !stored,
+      updatedBy: stored ? stored.updatedBy : null,
+      updatedAt: stored ? stored.updatedAt : null,
+    };
+  });
+};
+
+/**
+ * Validate and convert a submitted value
+ * @returns {number} Parsed value
+ */
+const parseSettingValue = (key, rawValue) => {
+  const definition = SETTING_DEFINITIONS[key];
+  const value = typeof rawValue === "string" && rawValue.trim() !== "" ? Number(rawValue) : rawValue;
+
+  const typeOk = definition.type === "integer"
+    ? Number.isInteger(value)
+    : typeof value === "number" && Number.isFinite(value);
+  const tooLow = definition.min !== undefined && value < definition.min;
+  const tooHigh = definition.max !== undefined && value > definition.max;
+
+  if (!typeOk || tooLow || tooHigh) {
+    const bounds = [
+      definition.min !== undefined ? `>= ${definition.min}` : null,
+      definition.max !== undefined ? `<= ${definition.max}` : null,
+    ].filter(Boolean).join(" and ");
+    throw buildError(
+      `${key} must be ${definition.type === "integer" ? "an integer" : "a number"}${bounds ? ` ${bounds}` : ""}.`,
+      400,
+      "INVALID_SETTING_VALUE",
+      { key, type: definition.type, min: definition.min, max: definition.max }
+    );
+  }
+  return value;
+};
+
+/**
+ * Update one or more settings
+ * @param {Object} updates - { key: value }
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} { settings, changes }
+ */
+const updateSettings = async (updates, adminId) => {
+  const keys = Object.keys(updates || {});
+  if (keys.length === 0) {
+    throw buildError("No settings provided.", 400, "NO_SETTINGS");
+  }
+
+  const unknown = keys.filter((key) => !SETTING_DEFINITIONS[key]);
+  if (unknown.length > 0) {
+    throw buildError(
+      `Unknown settings: ${unknown.join(", ")}`,
+      400,
+      "UNKNOWN_SETTINGS",
+      { allowedSettings: Object.keys(SETTING_DEFINITIONS) }
+    );
+  }
+
+  // Validate everything before writing anything
+  const parsed = keys.reduce((acc, key) => {
+    acc[key] = parseSettingValue(key, updates[key]);
+    return acc;
+  }, {});
+
+  await loadSettings();
+  const changes = {};
+  keys.forEach((key) => {
+    const previousValue = getSetting(key);
+    if (previousValue !== parsed[key]) {
+      changes[key] = { from: previousValue, to: parsed[key] };
+    }
+  });
+
+  const saved = await Promise.all(
+    Object.keys(changes).map((key) =>
+      Setting.findByIdAndUpdate(
+        key,
+        { $set: { value: parsed[key], updatedBy: adminId || null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean()
+    )
+  );
+
+  // Apply to this instance right away; others follow within SETTINGS_CACHE_TTL_SECONDS
+  saved.forEach((setting) => {
+    cache.set(setting._id, {
+      value: setting.value,
+      updatedBy: setting.updatedBy || null,
+      updatedAt: setting.updatedAt || null,
+    });
+    settingsEvents.emit("change", {
+      key: setting._id,
+      previousValue: changes[setting._id].from,
+      value: setting.value,
+    });
+  });
+
+  if (saved.length > 0) {
+    logger.info(`[SETTINGS] Updated by admin ${adminId}: ${JSON.stringify(changes)}`);
+  }
+
+  return { settings: await getSettings(), changes };
+};
+
+module.exports = {
+  getSetting,
+  getSettings,
+  updateSettings,
+  loadSettings,
+  refreshSettingsIfStale,
+  onSettingChange,
+};
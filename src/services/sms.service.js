@@ -0,0 +1,101 @@
+// services/sms.service.js
+const { SMS_PROVIDER, SMS_SENDER } = require("../../config/sms");
+const logger = require("../utils/logger");
+
+/**
+ * SMS transports
+ *
+ * A transport is an object with:
+ *   name: string
+ *   send({ to, from, body }) => Promise<{ messageId }>
+ *
+ * Real transports (e.g. an SMS gateway API) are added with registerSmsTransport
+ * and selected through SMS_PROVIDER.
+ */
+
+/**
+ * Normalize a phone number to digits with an optional leading "+"
+ * @param {string} phone - Phone number as entered by the customer
+ * @returns {string} Normalized number ("" when unusable)
+ */
+const normalizePhoneNumber = (phone) => {
+  const trimmed = String(phone || "").trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (digits.length < 6) {
+    return "";
+  }
+  return trimmed.startsWith("+") ? `+${digits}` : digits;
+};
+
+/**
+ * Hide all but the last 3 digits of a phone number for logs
+ * @param {string} phone - Phone number
+ * @returns {string} e.g. "+********678"
+ */
+const maskPhoneNumber = (phone) => {
+  const value = String(phone || "");
+  return value.replace(/\d(?=(?:\D*\d){3})/g, "*");
+};
+
+/**
+ * Local stub: messages are only written to the log
+ */
+const stubTransport = {
+  name: "stub",
+  send: async ({ to, from, body }) => {
+    logger.info(`[SMS] (stub) ${from} -> ${maskPhoneNumber(to)}: ${body}`);
+    return { messageId: `stub-${Date.now()}` };
+  },
+};
+
+const transports = {
+  [stubTransport.name]: stubTransport,
+};
+
+/**
+ * Register an SMS transport
+ * @param {Object} transport - { name, send }
+ */
+const registerSmsTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== "function") {
+    throw new Error("An SMS transport needs a name and a send function");
+  }
+  transports[transport.name] = transport;
+};
+
+/**
+ * Get the configured transport
+ * Throws when SMS_PROVIDER names a transport that was never registered, so a
+ * misconfigured provider fails loudly instead of only logging messages.
+ * @returns {Object} SMS transport
+ */
+const getSmsTransport = () => {
+  const transport = transports[SMS_PROVIDER];
+  if (!transport) {
+    throw new Error(
+      `Unknown SMS_PROVIDER "${SMS_PROVIDER}" (registered: ${Object.keys(transports).join(", ")})`
+    );
+  }
+  return transport;
+};
+
+/**
+ * Send a text message
+ * Throws when the number is unusable or the transport fails, so callers can retry.
+ * @param {Object} options - { to, message }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendSms = async ({ to, message }) => {
+  const phone = normalizePhoneNumber(to);
+  if (!phone) {
+    throw new Error(`Invalid phone number for SMS: ${maskPhoneNumber(to)}`);
+  }
+  return getSmsTransport().send({ to: phone, from: SMS_SENDER, body: message });
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  registerSmsTransport,
+  getSmsTransport,
+  sendSms,
+};
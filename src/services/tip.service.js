@@ -0,0 +1,362 @@
+// services/tip.service.js
+const mongoose = require("mongoose");
+const Booking = require("../models/booking.model");
+const Driver = require("../models/driver.model");
+const WalletTransaction = require("../models/walletTransaction.model");
+const { verifyBookingToken } = require("../utils/token");
+const { createCheckoutSession, createRefund, getStripe } = require("../utils/stripe");
+const { recordBookingEvent } = require("./bookingEvent.service");
+const { TIP_MIN_AMOUNT, TIP_MAX_AMOUNT, TIP_PRESET_AMOUNTS } = require("../../config/tips");
+const logger = require("../utils/logger");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+const TIP_SESSION_TYPE = "tip";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Tip options shown on the review page
+ * @param {Object} booking - Booking with status, driverId and tip
+ * @returns {Object} { enabled, presets, min, max, paid }
+ */
+const getTipOptions = (booking) => {
+  const paid = booking.tip?.status === "paid";
+  return {
+    enabled: booking.status === "completed" && Boolean(booking.driverId) && !paid,
+    presets: TIP_PRESET_AMOUNTS,
+    min: TIP_MIN_AMOUNT,
+    max: TIP_MAX_AMOUNT,
+    currency: "EUR",
+    paid: paid ? { amount: booking.tip.amount, paidAt: booking.tip.paidAt } : null,
+  };
+};
+
+/**
+ * Find the booking that issued a tip checkout (any of its sessions, not only the latest)
+ */
+const findBookingByTipSession = (sessionId) =>
+  Booking.findOne({
+    $or: [{ "tip.stripeSessionIds": sessionId }, { "tip.stripeSessionId": sessionId }],
+  });
+
+/**
+ * Close the previous checkout of a booking so only the latest one can be paid.
+ * Throws when Stripe cannot confirm it is closed, so no second checkout is opened.
+ * @returns {Promise<Object>} The Stripe session (status "expired" or "complete")
+ */
+const expireCheckoutSession = async (sessionId) => {
+  try {
+    const session = await getStripe().checkout.sessions.retrieve(sessionId);
+    if (session.status === "open") {
+      return await getStripe().checkout.sessions.expire(sessionId);
+    }
+    return session;
+  } catch (error) {
+    logger.warn(`[TIP] Could not expire checkout session ${sessionId}: ${error.message}`);
+    throw buildError(
+      "Your previous tip checkout could not be closed. Please try again in a moment.",
+      503,
+      "TIP_CHECKOUT_UNAVAILABLE"
+    );
+  }
+};
+
+/**
+ * CUSTOMER (review link)
+ */
+
+/**
+ * Start a Stripe Checkout for a tip on a completed ride (once per booking)
+ * @param {string} token - Review token from the completion email
+ * @param {Object} input - { amount } in EUR
+ * @returns {Promise<Object>} { sessionUrl, amount }
+ */
+const createTipCheckout = async (token, { amount } = {}) => {
+  const decoded = verifyBookingToken(token, "review");
+  if (!decoded) {
+    throw buildError("This link is invalid or has expired.", 403, "INVALID_BOOKING_TOKEN");
+  }
+
+  const tipAmount = roundAmount(Number(amount));
+  if (!Number.isFinite(tipAmount) || tipAmount < TIP_MIN_AMOUNT || tipAmount > TIP_MAX_AMOUNT) {
+    throw buildError(
+      `Tip must be between €${TIP_MIN_AMOUNT} and €${TIP_MAX_AMOUNT}.`,
+      400,
+      "INVALID_TIP_AMOUNT",
+      { min: TIP_MIN_AMOUNT, max: TIP_MAX_AMOUNT }
+    );
+  }
+
+  const booking = await Booking.findById(decoded.bookingId)
+    .select("orderNumber status driverId email tip")
+    .lean();
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+  if (booking.status !== "completed" || !booking.driverId) {
+    throw buildError("Only completed rides can be tipped.", 409, "BOOKING_NOT_COMPLETED");
+  }
+  if (booking.tip?.status === "paid") {
+    throw buildError("A tip was already paid for this ride.", 409, "TIP_ALREADY_PAID");
+  }
+
+  const frontendUrl = process.env.CLIENT_URL;
+  if (!frontendUrl) {
+    throw buildError("Tipping is not available right now.", 503, "TIPS_UNAVAILABLE");
+  }
+
+  if (booking.tip?.stripeSessionId) {
+    const previous = await expireCheckoutSession(booking.tip.stripeSessionId);
+    // The previous checkout was paid before the webhook arrived: credit it instead
+    if (previous.payment_status === "paid") {
+      await confirmTipPayment(previous);
+      throw buildError("A tip was already paid for this ride.", 409, "TIP_ALREADY_PAID");
+    }
+  }
+
+  const bookingIdParam = booking._id.toString();
+  const session = await createCheckoutSession({
+    amount: tipAmount,
+    currency: "eur",
+    customerEmail: booking.email,
+    successUrl: `${frontendUrl}/review/${token}?tip=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${frontendUrl}/review/${token}?tip=cancelled`,
+    clientReferenceId: bookingIdParam,
+    metadata: {
+      type: TIP_SESSION_TYPE,
+      orderNumber: booking.orderNumber || "",
+    },
+    productName: `Tip for your driver - ${booking.orderNumber || "Taxigate"}`,
+  });
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, "tip.status": { $ne: "paid" } },
+    {
+      $set: {
+        "tip.amount": tipAmount,
+        "tip.status": "pending",
+        "tip.stripeSessionId": session.id,
+        "tip.requestedAt": new Date(),
+      },
+      $push: { "tip.stripeSessionIds": session.id },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await expireCheckoutSession(session.id).catch(() => null);
+    throw buildError("A tip was already paid for this ride.", 409, "TIP_ALREADY_PAID");
+  }
+
+  return { sessionUrl: session.url, amount: tipAmount };
+};
+
+/**
+ * PAYMENT CONFIRMATION
+ */
+
+/**
+ * Whether a Stripe checkout session is a tip (see createTipCheckout)
+ */
+const isTipSession = (session) => session?.metadata?.type === TIP_SESSION_TYPE;
+
+/**
+ * Credit a paid tip to the driver's wallet (webhook and success page; idempotent)
+ * The tip is claimed and the wallet credited in one transaction, so it is credited once.
+ * Any checkout issued for the booking can claim it; a second paid checkout is refunded.
+ * @param {Object} session - Stripe checkout session
+ * @returns {Promise<Object|null>} { booking, transaction, newBalance }, null when already credited
+ */
+const confirmTipPayment = async (session) => {
+  if (session.payment_status !== "paid") {
+    return null;
+  }
+
+  const amount = roundAmount((session.amount_total || 0) / 100);
+  const transactionId = new mongoose.Types.ObjectId();
+  const dbSession = await mongoose.startSession();
+  dbSession.startTransaction();
+
+  let booking;
+  let transaction;
+  let newBalance;
+  try {
+    booking = await Booking.findOneAndUpdate(
+      {
+        $or: [{ "tip.stripeSessionIds": session.id }, { "tip.stripeSessionId": session.id }],
+        "tip.status": "pending",
+      },
+      {
+        $set: {
+          "tip.status": "paid",
+          "tip.amount": amount,
+          "tip.stripeSessionId": session.id,
+          "tip.paidAt": new Date(),
+          "tip.stripePaymentIntentId": session.payment_intent || null,
+          "tip.walletTransactionId": transactionId,
+        },
+      },
+      { new: true, session: dbSession }
+    );
+    if (!booking) {
+      await dbSession.abortTransaction();
+      dbSession.endSession();
+      await refundDuplicateTip(session);
+      return null;
+    }
+
+    const updatedDriver = await Driver.findOneAndUpdate(
+      { _id: booking.driverId },
+      { $inc: { walletBalance: amount } },
+      { new: true, session: dbSession, runValidators: false }
+    );
+    if (!updatedDriver) {
+      throw buildError("Driver not found", 404, "DRIVER_NOT_FOUND");
+    }
+    newBalance = roundAmount(updatedDriver.walletBalance || 0);
+
+    [transaction] = await WalletTransaction.create(
+      [
+        {
+          _id: transactionId,
+          driverId: booking.driverId,
+          bookingId: booking._id,
+          amount,
+          type: "tip",
+          description: `Tip for booking from ${booking.from_location} to ${booking.to_location}`,
+          balanceAfter: newBalance,
+        },
+      ],
+      { session: dbSession }
+    );
+
+    await dbSession.commitTransaction();
+    dbSession.endSession();
+  } catch (error) {
+    await dbSession.abortTransaction();
+    dbSession.endSession();
+    throw error;
+  }
+
+  logger.info(`[TIP] €${amount.toFixed(2)} tip credited to driver ${booking.driverId} for booking ${booking._id}`);
+
+  await recordBookingEvent(booking, {
+    action: "tip",
+    actor: { role: "customer" },
+    previousStatus: booking.status,
+    newStatus: booking.status,
+    driverId: booking.driverId,
+    metadata: { amount, stripeSessionId: session.id },
+  });
+
+  setImmediate(async () => {
+    try {
+      const { notifyWalletBalanceUpdated } = require("./driverNotifications");
+      await notifyWalletBalanceUpdated(booking.driverId, amount, newBalance, transaction, booking);
+    } catch (error) {
+      logger.error(`[TIP] Failed to notify driver ${booking.driverId} of tip: ${error?.message || error}`);
+    }
+  });
+
+  return { booking, transaction, newBalance };
+};
+
+/**
+ * Refund a paid checkout of a booking whose tip was already credited through another checkout
+ * @param {Object} session - Paid Stripe checkout session
+ */
+const refundDuplicateTip = async (session) => {
+  const booking = await findBookingByTipSession(session.id).select("tip").lean();
+  if (!booking || booking.tip?.status !== "paid" || booking.tip.stripeSessionId === session.id) {
+    return;
+  }
+  if (!session.payment_intent) {
+    logger.error(`[TIP] Duplicate tip session ${session.id} for booking ${booking._id} has no payment intent`);
+    return;
+  }
+
+  try {
+    await createRefund({
+      paymentIntentId: session.payment_intent,
+      reason: "duplicate",
+      idempotencyKey: `tip-duplicate-${session.id}`,
+      metadata: { bookingId: booking._id.toString(), type: TIP_SESSION_TYPE },
+    });
+    logger.warn(`[TIP] Refunded duplicate tip session ${session.id} for booking ${booking._id}`);
+  } catch (error) {
+    logger.error(`[TIP] Failed to refund duplicate tip session ${session.id} for booking ${booking._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Check a tip checkout from the success page (in case the webhook is late)
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Promise<Object>} { paid, amount, paidAt }
+ */
+const verifyTipBySessionId = async (sessionId) => {
+  const booking = await findBookingByTipSession(sessionId).select("tip").lean();
+  if (!booking) {
+    throw buildError("Tip not found for this session", 404, "TIP_NOT_FOUND");
+  }
+
+  if (booking.tip.status !== "paid" || booking.tip.stripeSessionId !== sessionId) {
+    const session = await getStripe().checkout.sessions.retrieve(sessionId);
+    if (session.payment_status === "paid" && session.status === "complete") {
+      await confirmTipPayment(session);
+    }
+  }
+
+  const current = await Booking.findById(booking._id).select("tip").lean();
+  return {
+    paid: current.tip.status === "paid",
+    amount: current.tip.amount,
+    paidAt: current.tip.paidAt || null,
+  };
+};
+
+/**
+ * REPORTING
+ */
+
+/**
+ * Tips credited in a period (all drivers, or one)
+ * @param {Object} filters - { driverId, from, to }
+ * @returns {Promise<Object>} { totalTips, tipCount }
+ */
+const getTipSummary = async ({ driverId, from, to } = {}) => {
+  const match = { type: "tip" };
+  if (driverId) match.driverId = new mongoose.Types.ObjectId(driverId);
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+
+  const [summary] = await WalletTransaction.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: "$amount" }, count: { $sum: 1 } } },
+  ]);
+
+  return {
+    totalTips: summary ? roundAmount(summary.total) : 0,
+    tipCount: summary ? summary.count : 0,
+  };
+};
+
+module.exports = {
+  getTipOptions,
+  createTipCheckout,
+  isTipSession,
+  confirmTipPayment,
+  verifyTipBySessionId,
+  getTipSummary,
+};
@@ -0,0 +1,146 @@
+// services/tracking.service.js
+const Booking = require("../models/booking.model");
+const BookingEvent = require("../models/bookingEvent.model");
+const Driver = require("../models/driver.model");
+const { verifyBookingToken } = require("../utils/token");
+const { getRideDetails } = require("./customerNotifications");
+const { distanceKm } = require("./dispatch.service");
+const {
+  TRACKING_ETA_SPEED_KMH,
+  TRACKING_LOCATION_MAX_AGE_MINUTES,
+} = require("../../config/tracking");
+
+/**
+ * Helper to build a consistent error with HTTP status code.
+ */
+const buildError = (message, statusCode = 400, code, meta) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (meta) err.meta = meta;
+  return err;
+};
+
+// Audit actions shown to the customer, and the step they stand for
+const TIMELINE_STEPS = {
+  create: "booked",
+  accept: "accepted",
+  start: "started",
+  arrive: "arrived",
+  pickup: "picked_up",
+  dropoff: "dropped_off",
+  complete: "completed",
+  no_show: "no_show",
+  cancel: "cancelled",
+};
+
+// Statuses in which a driver has taken the ride (driver and vehicle are shown)
+const DRIVER_VISIBLE_STATUSES = ["accepted", "started", "arrived", "picked_up", "dropped_off", "completed"];
+
+// Statuses in which the driver's position is shown (ride under way)
+const LOCATION_VISIBLE_STATUSES = ["started", "arrived", "picked_up", "dropped_off"];
+
+// Roads are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+/**
+ * Rough ETA to the next stop: the pickup while the driver is on the way, the destination during the ride
+ * @returns {Object|null} { target, distanceKm, minutes }
+ */
+const estimateArrival = (booking, position) => {
+  const target = {
+    started: { name: "pickup", point: booking.pickupCoordinates },
+    picked_up: { name: "dropoff", point: booking.dropoffCoordinates },
+  }[booking.status];
+  if (!target || !position || !target.point) {
+    return null;
+  }
+
+  const roadKm = distanceKm(position, target.point) * ROAD_DISTANCE_FACTOR;
+  return {
+    target: target.name,
+    distanceKm: Math.round(roadKm * 10) / 10,
+    minutes: Math.max(Math.ceil((roadKm / TRACKING_ETA_SPEED_KMH) * 60), 1),
+  };
+};
+
+/**
+ * Latest position of the driver, unless it is too old to be useful
+ */
+const getDriverPosition = async (driverId, now) => {
+  const driver = await Driver.findById(driverId).select("location locationMeta").lean();
+  const recordedAt = driver?.locationMeta?.recordedAt ? new Date(driver.locationMeta.recordedAt) : null;
+  if (
+    !driver?.location?.coordinates ||
+    !recordedAt ||
+    now - recordedAt > TRACKING_LOCATION_MAX_AGE_MINUTES * 60 * 1000
+  ) {
+    return null;
+  }
+
+  const [lng, lat] = driver.location.coordinates;
+  return {
+    lat,
+    lng,
+    heading: driver.locationMeta.heading ?? null,
+    recordedAt,
+  };
+};
+
+/**
+ * Public trip view for a tracking link
+ * Only what the customer needs: no IDs, prices or contact details.
+ * @param {string} token - Tracking token from the link
+ * @returns {Promise<Object>} Trip
+ */
+const getTripByToken = async (token) => {
+  const decoded = verifyBookingToken(token, "track");
+  if (!decoded) {
+    throw buildError("This tracking link is invalid or has expired.", 403, "INVALID_BOOKING_TOKEN");
+  }
+
+  const booking = await Booking.findById(decoded.bookingId)
+    .select("orderNumber status date_time from_location to_location stops cat_title driverId pickupCoordinates dropoffCoordinates isExpired")
+    .lean();
+  if (!booking) {
+    throw buildError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  }
+
+  const now = new Date();
+  const showDriver = Boolean(booking.driverId) && DRIVER_VISIBLE_STATUSES.includes(booking.status);
+  const showLocation = showDriver && LOCATION_VISIBLE_STATUSES.includes(booking.status);
+
+  const [events, rideDetails, position] = await Promise.all([
+    BookingEvent.find({ bookingId: booking._id, action: { $in: Object.keys(TIMELINE_STEPS) } })
+      .select("action createdAt")
+      .sort({ createdAt: 1, _id: 1 })
+      .lean(),
+    showDriver ? getRideDetails(booking) : { driver: null, vehicle: null },
+    showLocation ? getDriverPosition(booking.driverId, now) : null,
+  ]);
+
+  const { driver, vehicle } = rideDetails;
+
+  return {
+    orderNumber: booking.orderNumber,
+    status: booking.status,
+    isExpired: booking.isExpired === true,
+    date_time: booking.date_time,
+    from_location: booking.from_location,
+    to_location: booking.to_location,
+    stops: booking.stops || [],
+    cat_title: booking.cat_title,
+    timeline: events.map((event) => ({ step: TIMELINE_STEPS[event.action], at: event.createdAt })),
+    driver: driver ? { firstName: driver.firstName } : null,
+    vehicle: vehicle
+      ? { brand: vehicle.brand, model: vehicle.model, color: vehicle.color, plateNumber: vehicle.plateNumber }
+      : null,
+    location: position,
+    eta: estimateArrival(booking, position),
+    updatedAt: now,
+  };
+};
+
+module.exports = {
+  getTripByToken,
+};
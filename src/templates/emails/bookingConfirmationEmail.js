@@ -1,4 +1,4 @@
-module.exports = function bookingConfirmationEmail(booking) {
+module.exports = function bookingConfirmationEmail(booking, options = {}) {
   // Helper function to format booking date/time
   const formatDateTime = (date) => {
     if (!date) return "N/A";
@@ -23,6 +23,14 @@ module.exports = function bookingConfirmationEmail(booking) {
       </tr>`
     : "";
 
+  const cancelInfo = options.cancelUrl
+    ? `<p style="margin-top: 20px; font-size: 13px; color: #666666; text-align: center;">
+        Plans changed? You can
+        <a href="${options.cancelUrl}" style="color: #667eea;">cancel this booking</a>
+        until your driver starts the ride. Refunds depend on how long before pickup you cancel.
+      </p>`
+    : "";
+
   const stopsInfo = booking.stops && booking.stops.length > 0
     ? `<tr>
         <td style="padding: 8px 0; border-bottom: 1px solid #e0e0e0; vertical-align: top;">
@@ -332,6 +340,7 @@ module.exports = function bookingConfirmationEmail(booking) {
               <div class="price-label">Total Price</div>
               <div class="price-value">€${booking.actualPrice || booking.price}</div>
             </div>
+            ${cancelInfo}
           </div>
           
           <div class="footer">
@@ -0,0 +1,62 @@
+/**
+ * Short customer email for live ride updates (driver arrived, no-show, ...)
+ * @param {Object} booking - Booking
+ * @param {Object} options - { heading, message, rows: [{ label, value }], link: { label, url } }
+ */
+module.exports = function rideUpdateEmail(booking, options = {}) {
+  const { heading = "Ride Update", message = "", rows = [], link = null } = options;
+
+  const detailRows = [
+    { label: "Order Number", value: booking.orderNumber },
+    { label: "Pickup", value: booking.from_location },
+    { label: "Destination", value: booking.to_location },
+    ...rows,
+  ]
+    .filter((row) => row.value !== undefined && row.value !== null && row.value !== "")
+    .map(
+      (row) => `<tr>
+        <td style="padding: 8px 0; border-bottom: 1px solid #e0e0e0;">
+          <strong>${row.label}:</strong>
+        </td>
+        <td style="padding: 8px 0; border-bottom: 1px solid #e0e0e0;">
+          ${row.value}
+        </td>
+      </tr>`
+    )
+    .join("");
+
+  const linkInfo = link && link.url
+    ? `<p style="margin-top: 20px; text-align: center;">
+        <a href="${link.url}" style="display: inline-block; padding: 12px 24px; background-color: #667eea; color: #ffffff; text-decoration: none; border-radius: 6px; font-size: 15px;">${link.label}</a>
+      </p>`
+    : "";
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${heading} - Taxigate</title>
+      </head>
+      <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0; color: #333333;">
+        <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; padding: 30px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">${heading}</h1>
+          </div>
+          <div style="padding: 30px;">
+            <p style="font-size: 16px; margin-top: 0;">Hi ${booking.user_name || "there"},</p>
+            <p style="font-size: 15px;">${message}</p>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+              ${detailRows}
+            </table>
+            ${linkInfo}
+          </div>
+          <div style="padding: 20px 30px; background-color: #f9f9f9; text-align: center; font-size: 12px; color: #888888;">
+            &copy; ${new Date().getFullYear()} Taxigate. All rights reserved.
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
@@ -1,3 +1,5 @@
+const { getSetting } = require("../services/settings.service");
+
 class APIFeatures {
   constructor(query, queryString) {
     this.query = query;
@@ -25,8 +27,9 @@ class APIFeatures {
 
     // Price filter for low/high
     if (queryObj.price_filter) {
-      if (queryObj.price_filter === "low") filterConditions.price = { $lt: 150 };
-      if (queryObj.price_filter === "high") filterConditions.price = { $gte: 150 };
+      const threshold = getSetting("assignmentPriceThreshold");
+      if (queryObj.price_filter === "low") filterConditions.price = { $lt: threshold };
+      if (queryObj.price_filter === "high") filterConditions.price = { $gte: threshold };
     }
 
     this.query = this.query.find(filterConditions);
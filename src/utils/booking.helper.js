@@ -1,4 +1,12 @@
 const Booking = require("../models/booking.model");
+const { signBookingToken } = require("./token");
+const { REFUND_TIERS } = require("../../config/cancellationPolicy");
+const {
+  NO_SHOW_FEE_PERCENTAGE,
+  NO_SHOW_DRIVER_SHARE_PERCENTAGE,
+} = require("../../config/noShowPolicy");
+const { TRACKING_LINK_HOURS_AFTER_PICKUP } = require("../../config/tracking");
+const { REVIEW_LINK_EXPIRES_IN } = require("../../config/reviews");
 
 /**
  * Parse distance string (e.g. "123", "123.4", "123 km") to a number.
@@ -22,7 +30,7 @@ const findActiveBookingForDriver = async (driverId) => {
   if (!driverId) return null;
   return Booking.findOne({
     driverId,
-    status: { $in: ["started", "picked_up", "dropped_off"] },
+    status: { $in: ["started", "arrived", "picked_up", "dropped_off"] },
   });
 };
 
@@ -135,6 +143,94 @@ const getVehicleTypesForBooking = (bookingCatTitle) => {
   return [];
 };
 
+/**
+ * Work out how much of a booking is refunded if the customer cancels now.
+ * Uses the tiers from config/cancellationPolicy.js based on hours left until pickup.
+ *
+ * @param {Object} booking - Booking (needs date_time and actualPrice/price)
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} { hoursBeforePickup, refundPercentage, totalPrice, refundAmount }
+ */
+const calculateCancellationRefund = (booking, now = new Date()) => {
+  const totalPrice = parseFloat(String(booking.actualPrice || booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
+  const pickupTime = new Date(booking.date_time);
+  const hoursBeforePickup = Math.max((pickupTime - now) / (60 * 60 * 1000), 0);
+
+  const tier = REFUND_TIERS.find((t) => hoursBeforePickup >= t.minHoursBefore);
+  const refundPercentage = tier ? tier.refundPercentage : 0;
+  const refundAmount = Math.round(totalPrice * refundPercentage) / 100;
+
+  return {
+    hoursBeforePickup: Math.round(hoursBeforePickup * 100) / 100,
+    refundPercentage,
+    totalPrice,
+    refundAmount,
+  };
+};
+
+/**
+ * Calculate the no-show fee, the driver's share of it and what is refunded
+ * to the customer (only prepaid bookings are refunded or pay the driver's share).
+ * @param {Object} booking - Booking document or plain object
+ * @returns {Object} { totalPrice, noShowFee, driverPayout, refundAmount, refundPercentage }
+ */
+const calculateNoShowCharges = (booking) => {
+  const totalPrice = parseFloat(String(booking.actualPrice || booking.price || "0").replace(/[^\d.-]/g, "")) || 0;
+  const noShowFee = Math.round(totalPrice * NO_SHOW_FEE_PERCENTAGE) / 100;
+  // The fee is only collected on prepaid bookings; unpaid ones credit the driver nothing
+  const driverPayout = booking.isPaid ? Math.round(noShowFee * NO_SHOW_DRIVER_SHARE_PERCENTAGE) / 100 : 0;
+  const refundAmount = booking.isPaid ? Math.round((totalPrice - noShowFee) * 100) / 100 : 0;
+
+  return {
+    totalPrice,
+    noShowFee,
+    driverPayout,
+    refundAmount,
+    refundPercentage: booking.isPaid ? 100 - NO_SHOW_FEE_PERCENTAGE : 0,
+  };
+};
+
+/**
+ * Build the customer-facing cancellation link for a booking (sent in the confirmation email).
+ * Returns null when CLIENT_URL is not configured.
+ */
+const buildCancellationUrl = (booking) => {
+  const frontendUrl = process.env.CLIENT_URL;
+  if (!frontendUrl || !booking.orderNumber) return null;
+  const token = signBookingToken(booking, "cancel");
+  return `${frontendUrl}/booking/cancel?orderNumber=${encodeURIComponent(booking.orderNumber)}&token=${token}`;
+};
+
+/**
+ * Sign a trip tracking token (GET /api/track/:token)
+ * Valid until TRACKING_LINK_HOURS_AFTER_PICKUP after the pickup time.
+ */
+const signTrackingToken = (booking, now = new Date()) => {
+  const validUntil = new Date(booking.date_time).getTime() + TRACKING_LINK_HOURS_AFTER_PICKUP * 60 * 60 * 1000;
+  const expiresInSeconds = Math.max(Math.ceil((validUntil - now.getTime()) / 1000), 60 * 60);
+  return signBookingToken(booking, "track", expiresInSeconds);
+};
+
+/**
+ * Build the customer-facing ride tracking link for a booking (sent in ride update emails/SMS).
+ * Returns null when CLIENT_URL is not configured.
+ */
+const buildTrackingUrl = (booking) => {
+  const frontendUrl = process.env.CLIENT_URL;
+  if (!frontendUrl) return null;
+  return `${frontendUrl}/track/${signTrackingToken(booking)}`;
+};
+
+/**
+ * Build the customer-facing review link for a completed booking (sent in the completion email).
+ * Returns null when CLIENT_URL is not configured.
+ */
+const buildReviewUrl = (booking) => {
+  const frontendUrl = process.env.CLIENT_URL;
+  if (!frontendUrl) return null;
+  return `${frontendUrl}/review/${signBookingToken(booking, "review", REVIEW_LINK_EXPIRES_IN)}`;
+};
+
 module.exports = {
   parseDistanceToNumber,
   findActiveBookingForDriver,
@@ -142,6 +238,12 @@ module.exports = {
   normalizeVehicleType,
   getCatTitleVariations,
   getVehicleTypesForBooking,
+  calculateCancellationRefund,
+  calculateNoShowCharges,
+  buildCancellationUrl,
+  signTrackingToken,
+  buildTrackingUrl,
+  buildReviewUrl,
 };
 
 
@@ -32,9 +32,14 @@ const toBookingResponse = (booking) => {
     num_passengers: booking.num_passengers,
     date_time: booking.date_time,
     return_date_time: booking.return_date_time,
+    tripLeg: booking.tripLeg || "outbound",
+    linkedBookingId: booking.linkedBookingId || null,
+    linkedLegReview: booking.linkedLegReview?.pending ? booking.linkedLegReview : null,
     cat_title: booking.cat_title,
     actualPrice: booking.actualPrice || booking.price, 
     price: booking.price, 
+    priceBreakdown: booking.priceBreakdown || null,
+    extras: booking.extras && Array.isArray(booking.extras) ? booking.extras : [],
     user_name: booking.user_name,
     email: booking.email,
     number: booking.number,
@@ -44,9 +49,14 @@ const toBookingResponse = (booking) => {
     stops: booking.stops && Array.isArray(booking.stops) ? booking.stops : [],
     stopsCoordinates: booking.stopsCoordinates && Array.isArray(booking.stopsCoordinates) ? booking.stopsCoordinates : [],
     flight_no: booking.flight_no,
+    scheduledDateTime: booking.scheduledDateTime || null,
+    flightStatus: booking.flightStatus?.status ? booking.flightStatus : null,
+    flightDelayHistory: Array.isArray(booking.flightDelayHistory) ? booking.flightDelayHistory : [],
     distance: booking.distance,
     commission: booking.commission,
+    commissionRule: booking.commissionRule?.appliedAt ? booking.commissionRule : null,
     driverPrice: booking.driverPrice,
+    dispatch: booking.dispatch?.strategy ? booking.dispatch : null,
     driverId: booking.driverId,
     assignmentType: booking.assignmentType,
     status: booking.status,
@@ -54,11 +64,32 @@ const toBookingResponse = (booking) => {
     isRejected: booking.isRejected,
     rejectionReason: booking.rejectionReason,
     startedAt: booking.startedAt,
+    arrivedAt: booking.arrivedAt,
     pickedUpAt: booking.pickedUpAt,
     droppedOffAt: booking.droppedOffAt,
     completedAt: booking.completedAt,
+    rating: booking.rating ?? null,
+    cancelledAt: booking.cancelledAt,
+    cancelledBy: booking.cancelledBy,
+    cancellationReason: booking.cancellationReason,
+    refundPercentage: booking.refundPercentage,
+    refundAmount: booking.refundAmount,
+    refundStatus: booking.refundStatus,
+    noShowAt: booking.noShowAt,
+    noShowFee: booking.noShowFee,
+    noShowDriverPayout: booking.noShowDriverPayout,
+    surcharges: booking.surcharges || [],
+    surchargeTotal: booking.surchargeTotal,
+    surchargeDriverShare: booking.surchargeDriverShare,
+    surchargePaymentStatus: booking.surchargePaymentStatus,
+    adminReview: booking.adminReview?.pending || booking.adminReview?.resolvedAt ? booking.adminReview : null,
     pickupCoordinates: booking.pickupCoordinates || null, 
     dropoffCoordinates: booking.dropoffCoordinates || null, 
+    source: booking.source,
+    paymentMethod: booking.paymentMethod,
+    recurringBookingId: booking.recurringBookingId || null,
+    occurrenceDate: booking.occurrenceDate,
+    groupId: booking.groupId || null,
     isPaid: booking.isPaid,
     expiresAt: booking.expiresAt,
     expiredAt: booking.expiredAt,
@@ -10,6 +10,7 @@ module.exports = {
          * @returns {string} Channel name in format "driver-{id}"
          */
         DRIVER: (driverId) => `driver-${driverId}`,
+        DRIVER_LOCATIONS: "driver-locations", // Drivers publish their position here (inbound)
     },
 
     events: {
@@ -17,6 +18,7 @@ module.exports = {
         BOOKING_TAKEN: "booking-taken",
         BOOKING_ASSIGNED: "booking-assigned",
         BOOKING_CANCELLED: "booking-cancelled",
+        LINKED_LEG_REVIEW_REQUIRED: "linked-leg-review-required",
         BOOKING_REMOVED: "booking-removed",
         BOOKING_EXPIRED: "booking-expired",
         BOOKING_EXPIRED_ADMIN: "booking-expired-admin",
@@ -25,11 +27,21 @@ module.exports = {
         LIVE_BOOKING_REMOVED: "live-booking-removed",
         LIVE_BOOKING_UPDATED: "live-booking-updated",
         BOOKING_STARTED: "booking-started",
+        BOOKING_ARRIVED: "booking-arrived",
+        BOOKING_NO_SHOW: "booking-no-show",
         BOOKING_PICKED_UP: "booking-picked-up",
         BOOKING_DROPPED_OFF: "booking-dropped-off",
         BOOKING_COMPLETED: "booking-completed",
         BOOKING_REJECTED: "booking-rejected",
         BOOKING_UNASSIGNED: "booking-unassigned",
+        BOOKING_UPDATED: "booking-updated",
+        FLIGHT_DELAYED: "flight-delayed",
+        BOOKING_OFFERED: "booking-offered", // Exclusive offer to one driver (sequential dispatch)
+        BOOKING_OFFER_WITHDRAWN: "booking-offer-withdrawn",
+        GROUP_BOOKING_UPDATED: "group-booking-updated",
+        SETTINGS_UPDATED: "settings-updated",
+        DRIVER_LOCATION: "location", // Inbound on DRIVER_LOCATIONS
+        DRIVER_LOCATION_UPDATED: "driver-location-updated",
         BOOKING_ACCEPTED_ADMIN: "booking-accepted-admin",
         BOOKING_REJECTED_ADMIN: "booking-rejected-admin",
         DRIVER_REGISTERED: "driver-registered",
@@ -49,6 +49,8 @@ const verifyWebhookSignature = (payload, signature, secret) => {
  * @param {string} params.cancelUrl - Cancel redirect URL
  * @param {string} params.clientReferenceId - Client reference ID (booking ID)
  * @param {object} params.metadata - Additional metadata
+ * @param {boolean} params.savePaymentMethod - Keep the card for later off-session charges (iDEAL is not saved)
+ * @param {string} params.productName - Line item name shown at checkout
  * @returns {Promise<object>} - Stripe session object
  */
 const createCheckoutSession = async ({
@@ -59,6 +61,8 @@ const createCheckoutSession = async ({
   cancelUrl,
   clientReferenceId,
   metadata = {},
+  savePaymentMethod = false,
+  productName = "Taxi Booking Payment",
 }) => {
   const stripe = getStripe();
 
@@ -79,7 +83,7 @@ const createCheckoutSession = async ({
         price_data: {
           currency: currency.toLowerCase(),
           product_data: {
-            name: "Taxi Booking Payment",
+            name: productName,
           },
           unit_amount: Math.round(amount * 100), // Convert to cents
         },
@@ -93,14 +97,100 @@ const createCheckoutSession = async ({
       ...metadata,
       bookingId: clientReferenceId,
     },
+    // Only cards can be charged off-session again; an iDEAL payment method cannot
+    ...(savePaymentMethod
+      ? {
+          customer_creation: "always",
+          payment_method_options: { card: { setup_future_usage: "off_session" } },
+        }
+      : {}),
   });
 
   return session;
 };
 
+/**
+ * Refund (part of) a payment
+ * @param {object} params - Refund parameters
+ * @param {string} params.paymentIntentId - Stripe payment intent to refund
+ * @param {number} params.amount - Amount to refund in currency units (omit for full refund)
+ * @param {string} params.reason - Stripe refund reason (default: requested_by_customer)
+ * @param {string} params.idempotencyKey - Prevents double refunds on retries
+ * @param {object} params.metadata - Additional metadata
+ * @returns {Promise<object>} - Stripe refund object
+ */
+const createRefund = async ({
+  paymentIntentId,
+  amount,
+  reason = "requested_by_customer",
+  idempotencyKey,
+  metadata = {},
+}) => {
+  const stripe = getStripe();
+
+  if (!paymentIntentId) {
+    throw new Error("paymentIntentId is required to create a refund");
+  }
+
+  const params = {
+    payment_intent: paymentIntentId,
+    reason,
+    metadata,
+  };
+  if (amount !== undefined && amount !== null) {
+    params.amount = Math.round(amount * 100); // Convert to cents
+  }
+
+  return stripe.refunds.create(params, idempotencyKey ? { idempotencyKey } : undefined);
+};
+
+/**
+ * Charge a saved payment method without the customer present (e.g. ride surcharges)
+ * @param {object} params - Charge parameters
+ * @param {string} params.customerId - Stripe customer
+ * @param {string} params.paymentMethodId - Saved payment method of that customer
+ * @param {number} params.amount - Amount in currency units
+ * @param {string} params.currency - Currency code (default: eur)
+ * @param {string} params.description - Shown on the customer's statement/receipt
+ * @param {string} params.idempotencyKey - Prevents double charges on retries
+ * @param {object} params.metadata - Additional metadata
+ * @returns {Promise<object>} - Stripe payment intent (status "succeeded" on success)
+ */
+const createOffSessionCharge = async ({
+  customerId,
+  paymentMethodId,
+  amount,
+  currency = "eur",
+  description,
+  idempotencyKey,
+  metadata = {},
+}) => {
+  const stripe = getStripe();
+
+  if (!customerId || !paymentMethodId) {
+    throw new Error("customerId and paymentMethodId are required for an off-session charge");
+  }
+
+  return stripe.paymentIntents.create(
+    {
+      amount: Math.round(amount * 100), // Convert to cents
+      currency: currency.toLowerCase(),
+      customer: customerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      description,
+      metadata,
+    },
+    idempotencyKey ? { idempotencyKey } : undefined
+  );
+};
+
 module.exports = {
   getStripe,
   verifyWebhookSignature,
   createCheckoutSession,
+  createRefund,
+  createOffSessionCharge,
 };
 
@@ -196,6 +196,47 @@ exports.clearTokens = (res, role = "driver") => {
   });
 };
 
+/**
+ * Sign a customer-facing booking token (cancellation links, etc.)
+ * Customers have no account, so possession of this token proves they own the booking.
+ * @param {Object} booking - Booking document (needs _id and orderNumber)
+ * @param {String} purpose - What the token may be used for (e.g. "cancel")
+ * @param {String|Number} expiresIn - JWT expiry (default: BOOKING_TOKEN_EXPIRES_IN or 180d)
+ * @returns {String} Signed booking token
+ */
+exports.signBookingToken = (booking, purpose, expiresIn) => {
+  return jwt.sign(
+    {
+      bookingId: (booking._id || booking.id).toString(),
+      orderNumber: booking.orderNumber,
+      purpose,
+      type: "booking",
+    },
+    process.env.BOOKING_TOKEN_SECRET || process.env.JWT_SECRET,
+    { expiresIn: expiresIn || process.env.BOOKING_TOKEN_EXPIRES_IN || "180d" }
+  );
+};
+
+/**
+ * Verify a customer-facing booking token
+ * @param {String} token - Token from the link/request
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if invalid/expired/wrong purpose
+ */
+exports.verifyBookingToken = (token, purpose) => {
+  if (!token || typeof token !== "string") return null;
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.BOOKING_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    if (decoded.type !== "booking" || decoded.purpose !== purpose) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Legacy function for backward compatibility (deprecated)
 exports.signToken = (entity) => {
   return this.signAccessToken(entity);